@@ -0,0 +1,40 @@
+import { NextResponse } from "next/server";
+import { LiveDataError } from "@/lib/livedata";
+import { runAssessment, AssessmentError, describeDataError } from "@/lib/assess";
+import { eventStream } from "@/lib/sse";
+
+export const maxDuration = 60;
+
+// Same request body as POST /api/assess, answered as Server-Sent Events:
+//   person → company / hiringSignals → scores → narrativeSection… → narrative → done
+// `done` carries the full report (identical to the JSON endpoint). A name search
+// that needs disambiguation sends `candidates` instead; failures send `error`
+// with the HTTP status the JSON endpoint would have used. A client that
+// disconnects cancels the run (see eventStream).
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Invalid JSON body" }, { status: 400 });
+  }
+
+  return eventStream(async (send, signal) => {
+    try {
+      const result = await runAssessment(body, send, { signal });
+      if (result.candidates) send("candidates", { candidates: result.candidates });
+      else send("done", result);
+    } catch (err) {
+      if (signal.aborted) return;
+      console.error("Assessment stream error:", err);
+      if (err instanceof AssessmentError) {
+        send("error", { error: err.message, status: err.status });
+      } else if (err instanceof LiveDataError) {
+        const { status, message } = describeDataError(err);
+        send("error", { error: message, status });
+      } else {
+        send("error", { error: err.message || "Internal server error", status: 500 });
+      }
+    }
+  }, { signal: request.signal });
+}
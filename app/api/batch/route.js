@@ -0,0 +1,51 @@
+import { NextResponse } from "next/server";
+import { parseBatchCsv, runBatch, batchResultsCsvHeader, batchResultCsvLine, BatchError } from "@/lib/batch";
+import { getScoringProfile, ScoringProfileError } from "@/lib/profiles";
+import { eventStream } from "@/lib/sse";
+
+// Large batches run a few rows at a time; this is the Vercel Pro ceiling, and
+// lib/batch-limits.js caps each request to fit inside it
+export const maxDuration = 300;
+
+// POST /api/batch  { csv, narrative?: false, profile?, refresh?, rowOffset?: 0 }
+// Answers with Server-Sent Events:
+//   rows  { total, rows, csvHeader }  the parsed input + the results CSV header
+//   row   { result, csv, done, total } as each row finishes (any order), with
+//                                      its results CSV line
+//   done  { total }                    once every row has finished
+//   error { error }                    if the batch itself fails
+// Narratives are off unless `narrative: true`, since each one is a Claude call.
+// Sheets over the per-request cap are sent as chunks (splitCsv in lib/csv.js);
+// `rowOffset` keeps each chunk's row numbers those of the whole sheet.
+export async function POST(request) {
+  let rows;
+  let options;
+  try {
+    const body = await request.json();
+    const rowOffset = body.rowOffset ?? 0;
+    if (!Number.isInteger(rowOffset) || rowOffset < 0) throw new BatchError("rowOffset must be a non-negative integer");
+    rows = parseBatchCsv(body.csv, { narrative: body.narrative === true, rowOffset });
+    getScoringProfile(body.profile);
+    options = { narrative: body.narrative === true, profile: body.profile, refresh: body.refresh === true };
+  } catch (err) {
+    if (err instanceof BatchError || err instanceof ScoringProfileError || err instanceof SyntaxError) {
+      return NextResponse.json({ error: err.message }, { status: 400 });
+    }
+    throw err;
+  }
+
+  const origin = new URL(request.url).origin;
+  return eventStream(async (send, signal) => {
+    send("rows", { total: rows.length, rows, csvHeader: batchResultsCsvHeader() });
+    try {
+      await runBatch(rows, { ...options, signal }, (result, done) => {
+        send("row", { result, csv: batchResultCsvLine(result, origin), done, total: rows.length });
+      });
+      send("done", { total: rows.length });
+    } catch (err) {
+      if (signal.aborted) return;
+      console.error("Batch error:", err);
+      send("error", { error: err.message || "Internal server error" });
+    }
+  }, { signal: request.signal });
+}
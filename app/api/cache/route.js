@@ -0,0 +1,24 @@
+import { NextResponse } from "next/server";
+import { getCacheStats, clearCache } from "@/lib/cache";
+import { isAdminRequest } from "@/lib/admin";
+
+export const dynamic = "force-dynamic";
+
+// GET  /api/cache → hit/miss counters for the LiveData response cache
+// DELETE /api/cache → drop every cached entry (admin only, see lib/admin.js)
+export async function GET() {
+  return NextResponse.json(getCacheStats());
+}
+
+export async function DELETE(request) {
+  if (!isAdminRequest(request)) {
+    return NextResponse.json({ error: "Clearing the cache needs Authorization: Bearer <ADMIN_TOKEN>" }, { status: 401 });
+  }
+  try {
+    await clearCache();
+    return NextResponse.json({ cleared: true, ...getCacheStats() });
+  } catch (err) {
+    console.error("Cache clear error:", err);
+    return NextResponse.json({ error: err.message || "Internal server error" }, { status: 500 });
+  }
+}
@@ -1,26 +1,35 @@
 import { NextResponse } from "next/server";
-
-export const maxDuration = 30;
+import { cached } from "@/lib/cache";
+import { liveDataFetch, getCompanyDemographics, getCompanyStats, LiveDataError } from "@/lib/livedata";
+import { AssessmentError, describeDataError, summarizeDemographics } from "@/lib/assess";
+import { resolveCompany } from "@/lib/company";
+import { lookupSalary, lookupAIRisk } from "@/lib/role-lookup";
+import { getScoringProfile, ScoringProfileError } from "@/lib/profiles";
+import { KNOWN_FUNCTIONS, KNOWN_LEVELS } from "@/lib/salary";
+import { readMessageStream } from "@/lib/claude";
+import { eventStream } from "@/lib/sse";
+
+export const maxDuration = 60;
 
 // ─── LiveData API Direct Access ──────────────────────────────
 const LDT_BASE = "https://gotlivedata.io/api/people/v1/o_52c87b0a";
 const LDT_KEY = process.env.LIVEDATA_API_KEY || "ldtkey_ab94dc93b2af4b51a633ad3fb1859494";
 
 async function ldtSearch(body) {
-  try {
-    const res = await fetch(`${LDT_BASE}/search`, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${LDT_KEY}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(body),
-    });
-    if (!res.ok) return { error: `API returned ${res.status}` };
-    return res.json();
-  } catch (err) {
-    return { error: err.message };
-  }
+  return cached("search", `${LDT_BASE}/search`, body, async () => {
+    try {
+      return await liveDataFetch(`${LDT_BASE}/search`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${LDT_KEY}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(body),
+      });
+    } catch (err) {
+      return { error: err.status ? `API returned ${err.status}` : err.message };
+    }
+  });
 }
 
 // ─── Tool Definitions ────────────────────────────────────────
@@ -124,6 +133,110 @@ const tools = [
       required: ["company_name", "direction"],
     },
   },
+  {
+    name: "search_moves_between_companies",
+    description:
+      "Count the people who left one named company and now work at another, broken down by their current function and level, with sample titles. Use this when the user asks about talent moving between two specific companies (e.g. 'how many people went from Gong to Salesloft?'). For all destinations of one company use search_person_moves instead.",
+    input_schema: {
+      type: "object",
+      properties: {
+        from_company: {
+          type: "string",
+          description: "The company people left",
+        },
+        to_company: {
+          type: "string",
+          description: "The company they work at now",
+        },
+        title: {
+          type: "string",
+          description: "Optional job title filter on the role they left",
+        },
+        function: {
+          type: "string",
+          description: "Optional broad function category filter on the role they left",
+        },
+        months_back: {
+          type: "number",
+          description: "How many months back the move could have happened. Default 24.",
+        },
+      },
+      required: ["from_company", "to_company"],
+    },
+  },
+  {
+    name: "get_company_demographics",
+    description:
+      "Look up a company's current headcount and how it splits across functions, with growth over a chosen window. Use this when the user asks how big a company or one of its departments is, or whether it is growing or shrinking.",
+    input_schema: {
+      type: "object",
+      properties: {
+        company_name: {
+          type: "string",
+          description: "The company name to look up (e.g. 'Salesforce', 'Procore')",
+        },
+        function: {
+          type: "string",
+          description: "Optional function to focus on (e.g. 'Marketing', 'Engineering', 'Sales and Support'). All functions are still returned.",
+        },
+        months_back: {
+          type: "number",
+          description: "Growth window in months. Default 24.",
+        },
+      },
+      required: ["company_name"],
+    },
+  },
+  {
+    name: "estimate_salary",
+    description:
+      "Get the salary band (low / midpoint / high / 90th percentile, USD) for a function and level in a location, the Staff-to-VP comp ladder for that function, and the AI pay pressure for the role. These are the same estimates the report's Salary tab shows. Use this for ANY compensation question instead of estimating figures yourself, including roles other than the person's.",
+    input_schema: {
+      type: "object",
+      properties: {
+        function: {
+          type: "string",
+          description: `Function category. One of: ${KNOWN_FUNCTIONS.join(", ")}. A "Director of Marketing" is 'Marketing and Product'.`,
+        },
+        level: {
+          type: "string",
+          description: `Seniority level. One of: ${KNOWN_LEVELS.join(", ")}.`,
+        },
+        location: {
+          type: "string",
+          description: "Optional city or state (e.g. 'Denver', 'San Francisco', 'Texas'). Omit for the national figure.",
+        },
+        title: {
+          type: "string",
+          description: "Optional job title; only changes the AI pay pressure (via title keywords), not the band.",
+        },
+      },
+      required: ["function", "level"],
+    },
+  },
+  {
+    name: "score_ai_risk",
+    description:
+      "Score AI automation exposure (0-100, higher = more exposed) for any function / level / title with the same rules as the report's AI Risk score, and return the rule and adjustments behind the number. Use this when the user asks how exposed a different role would be, or to compare roles.",
+    input_schema: {
+      type: "object",
+      properties: {
+        function: {
+          type: "string",
+          description: `Function category. One of: ${KNOWN_FUNCTIONS.join(", ")}.`,
+        },
+        level: {
+          type: "string",
+          description: `Optional seniority level. One of: ${KNOWN_LEVELS.join(", ")}.`,
+        },
+        title: {
+          type: "string",
+          description: "Optional job title (e.g. 'Account Executive', 'Data Scientist'); title keywords raise or lower the score.",
+        },
+      },
+      required: ["function"],
+    },
+  },
 ];
 
 // ─── Tool Execution ──────────────────────────────────────────
@@ -305,7 +418,133 @@ async function executeSearchPersonMoves({ company_name, direction, title, functi
   };
 }
 
-async function executeTool(name, input) {
+// Current employees of the destination whose job at the origin ended in the
+// window. The search returns at most MAX_MOVE_RESULTS people, so the counts are
+// a floor when it comes back full.
+const MAX_MOVE_RESULTS = 200;
+
+async function executeSearchMovesBetweenCompanies({ from_company, to_company, title, function: fn, months_back = 24 }) {
+  const dateFrom = new Date();
+  dateFrom.setMonth(dateFrom.getMonth() - months_back);
+  const dateTo = new Date().toISOString().split("T")[0];
+
+  const originFilters = [
+    { type: "must", field: "jobs.company.name", match_type: "fuzzy", string_values: [from_company] },
+    { type: "must", field: "jobs.ended_at", match_type: "fuzzy", date_from: dateFrom.toISOString().split("T")[0], date_to: dateTo },
+  ];
+  if (title) originFilters.push({ type: "must", field: "jobs.title", match_type: "fuzzy", string_values: [title] });
+  if (fn) originFilters.push({ type: "must", field: "jobs.function", match_type: "exact", string_values: [fn] });
+
+  const result = await ldtSearch({
+    filters: [
+      {
+        operator: "and",
+        filters: [
+          { type: "must", field: "position.company.name", match_type: "fuzzy", string_values: [to_company] },
+        ],
+        isJobsGroup: false,
+      },
+      {
+        operator: "and",
+        filters: originFilters,
+        isJobsGroup: true,
+        jobsGroupType: "ended",
+        positionStatus: "all",
+      },
+    ],
+    size: MAX_MOVE_RESULTS,
+    return_fields: ["name", "position.title", "position.company.name", "position.function", "position.level"],
+  });
+
+  if (result.error) return { error: result.error };
+
+  // Fuzzy matching can let the origin itself through (people who left and came back)
+  const fromLower = from_company.toLowerCase();
+  const people = (result?.results || []).filter((p) => p.position?.company?.name && p.position.company.name.toLowerCase() !== fromLower);
+  if (people.length === 0) {
+    return { from: from_company, to: to_company, period: `last ${months_back} months`, totalMoves: 0, message: `No one found who moved from ${from_company} to ${to_company} in this period.` };
+  }
+
+  const tally = (key) => {
+    const counts = {};
+    for (const p of people) {
+      const value = key(p) || "Unknown";
+      counts[value] = (counts[value] || 0) + 1;
+    }
+    return Object.entries(counts).map(([name, count]) => ({ name, count })).sort((a, b) => b.count - a.count);
+  };
+
+  return {
+    from: from_company,
+    to: to_company,
+    period: `last ${months_back} months`,
+    totalMoves: people.length,
+    isFloor: (result.results || []).length >= MAX_MOVE_RESULTS,
+    byFunction: tally((p) => p.position.function).map(({ name, count }) => ({ function: name, count })),
+    byLevel: tally((p) => p.position.level).map(({ name, count }) => ({ level: name, count })),
+    sampleTitles: tally((p) => p.position.title).slice(0, 10).map(({ name, count }) => ({ title: name, count })),
+    samplePeople: people.slice(0, 5).map((p) => ({ name: p.name, title: p.position.title })),
+    filters: { title: title || "all", function: fn || "all" },
+  };
+}
+
+const MAX_FUNCTIONS = 15;
+
+async function executeGetCompanyDemographics({ company_name, function: fn, months_back = 24 }) {
+  const dateFrom = new Date();
+  dateFrom.setMonth(dateFrom.getMonth() - months_back);
+  const dateTo = new Date().toISOString().split("T")[0];
+
+  let company, demographics, stats;
+  try {
+    company = await resolveCompany({ name: company_name });
+    [demographics, stats] = await Promise.all([
+      getCompanyDemographics(company.id, dateFrom.toISOString().split("T")[0], dateTo),
+      getCompanyStats(company.id).catch(() => ({})),
+    ]);
+  } catch (err) {
+    if (err instanceof AssessmentError) return { company: company_name, message: err.message };
+    if (err instanceof LiveDataError) return { error: describeDataError(err).message };
+    throw err;
+  }
+
+  if (demographics.length === 0) {
+    return { company: company.name, period: `last ${months_back} months`, message: `No headcount data found for ${company.name}.` };
+  }
+
+  const summary = summarizeDemographics(demographics, null);
+  const pct = (from, to) => (from > 0 ? Math.round(((to - from) / from) * 100) : null);
+  const functions = Object.entries(summary.functionBreakdown)
+    .map(([name, { current, earliest }]) => ({ function: name, headcount: current, earlier: earliest, change: current - earliest, growthPct: pct(earliest, current) }))
+    .filter((f) => f.function !== "Unknown" && (f.headcount > 0 || f.earlier > 0))
+    .sort((a, b) => b.headcount - a.headcount);
+  const focus = fn ? functions.find((f) => f.function.toLowerCase() === fn.toLowerCase()) || null : null;
+
+  return {
+    company: company.name,
+    otherMatches: company.alternatives.map((a) => a.name),
+    period: `last ${months_back} months`,
+    currentHeadcount: stats.count_employees ?? summary.totalHeadcount,
+    trackedHeadcount: summary.totalHeadcount,
+    growthPct: summary.growthPct,
+    functions: functions.slice(0, MAX_FUNCTIONS),
+    ...(fn ? { focus: focus || { function: fn, message: `No ${fn} headcount found at ${company.name}.` } } : {}),
+  };
+}
+
+// Salary and AI risk lookups are pure functions of the input, scored with the
+// report's profile so they match its tables; a bad function or level comes back
+// as an error Claude can correct
+function executeRoleLookup(lookup, input, profile) {
+  try {
+    return { ...lookup(input, profile), scoringProfile: { id: profile.id, version: profile.version } };
+  } catch (err) {
+    if (err instanceof AssessmentError) return { error: err.message };
+    throw err;
+  }
+}
+
+async function executeTool(name, input, { profile }) {
   switch (name) {
     case "search_company_hires":
       return executeSearchCompanyHires(input);
@@ -313,25 +552,190 @@ async function executeTool(name, input) {
       return executeSearchLocationHires(input);
     case "search_person_moves":
       return executeSearchPersonMoves(input);
+    case "search_moves_between_companies":
+      return executeSearchMovesBetweenCompanies(input);
+    case "get_company_demographics":
+      return executeGetCompanyDemographics(input);
+    case "estimate_salary":
+      return executeRoleLookup(lookupSalary, input, profile);
+    case "score_ai_risk":
+      return executeRoleLookup(lookupAIRisk, input, profile);
     default:
       return { error: `Unknown tool: ${name}` };
   }
 }
 
+// Status line shown in the Ask bar while a tool runs
+function describeToolCall(name, input = {}) {
+  const role = input.title || input.function;
+  switch (name) {
+    case "search_company_hires":
+      return `Searching LiveData for ${role ? `${role} ` : ""}hires at ${input.company_name}${input.location ? ` in ${input.location}` : ""}…`;
+    case "search_location_hires":
+      return `Searching LiveData for ${role ? `${role} ` : ""}hires in ${input.location}…`;
+    case "search_person_moves":
+      return input.direction === "arrivals"
+        ? `Checking where ${input.company_name}'s recent hires came from…`
+        : `Checking where people went after leaving ${input.company_name}…`;
+    case "search_moves_between_companies":
+      return `Tracing moves from ${input.from_company} to ${input.to_company}…`;
+    case "get_company_demographics":
+      return `Looking up ${input.company_name}'s headcount by function…`;
+    case "estimate_salary":
+      return `Estimating pay for ${[input.level, input.function].filter(Boolean).join(" ")}${input.location ? ` in ${input.location}` : ""}…`;
+    case "score_ai_risk":
+      return `Scoring AI exposure for ${input.title || [input.level, input.function].filter(Boolean).join(" ")}…`;
+    default:
+      return "Looking up workforce data…";
+  }
+}
+
+// ─── Citations ───────────────────────────────────────────────
+
+const MAX_CITATION_ROWS = 8;
+
+// Chip label for one tool call under the answer
+function citationLabel(name, input = {}) {
+  const role = input.title || input.function;
+  switch (name) {
+    case "search_company_hires":
+      return [`${input.company_name} hires`, role, input.level, input.location].filter(Boolean).join(" · ");
+    case "search_location_hires":
+      return [`Hires in ${input.location}`, role, input.level].filter(Boolean).join(" · ");
+    case "search_person_moves":
+      return [input.direction === "arrivals" ? `Where ${input.company_name} hires came from` : `Where ${input.company_name} leavers went`, role].filter(Boolean).join(" · ");
+    case "search_moves_between_companies":
+      return [`${input.from_company} → ${input.to_company}`, role].filter(Boolean).join(" · ");
+    case "get_company_demographics":
+      return [`${input.company_name} headcount`, input.function].filter(Boolean).join(" · ");
+    case "estimate_salary":
+      return [`Salary: ${[input.level, input.function].filter(Boolean).join(" ")}`, input.location].filter(Boolean).join(" · ");
+    case "score_ai_risk":
+      return `AI risk: ${input.title || [input.level, input.function].filter(Boolean).join(" ")}`;
+    default:
+      return name;
+  }
+}
+
+// What a citation shows of a tool result: one headline and the top rows, so the
+// trace stays small however much the tool returned
+function summarizeToolResult(name, result) {
+  if (result.error) return { headline: `Lookup failed: ${result.error}`, rows: [], error: true };
+  switch (name) {
+    case "search_company_hires":
+      return {
+        headline: `${result.totalHires} hires, ${result.totalDepartures} departures (${result.period})`,
+        rows: (result.breakdown || []).slice(0, MAX_CITATION_ROWS).map((r) => ({ label: r.group, value: `+${r.hires} / -${r.departures}` })),
+      };
+    case "search_location_hires":
+      return {
+        headline: `${result.totalHires} hires across ${result.totalCompanies} companies (${result.period})`,
+        rows: (result.topCompanies || []).slice(0, MAX_CITATION_ROWS).map((r) => ({ label: r.company, value: `${r.hires} hires` })),
+      };
+    case "search_person_moves":
+      return {
+        headline: `${result.totalPeople} ${result.direction === "arrivals" ? "recent hires" : "departures"} tracked (${result.period})`,
+        rows: (result.topDestinations || []).slice(0, MAX_CITATION_ROWS).map((r) => ({ label: r.company, value: `${r.count} ${r.count === 1 ? "person" : "people"}` })),
+      };
+    case "search_moves_between_companies":
+      if (!result.totalMoves) return { headline: result.message, rows: [] };
+      return {
+        headline: `${result.isFloor ? "At least " : ""}${result.totalMoves} moved from ${result.from} to ${result.to} (${result.period})`,
+        rows: [
+          ...result.byFunction.map((r) => ({ label: r.function, value: `${r.count}` })),
+          ...result.byLevel.map((r) => ({ label: `${r.level} level`, value: `${r.count}` })),
+        ].slice(0, MAX_CITATION_ROWS),
+      };
+    case "get_company_demographics": {
+      if (!result.functions) return { headline: result.message, rows: [] };
+      const signed = (n) => (n == null ? "n/a" : `${n > 0 ? "+" : ""}${n}%`);
+      const focused = result.focus?.headcount != null ? [result.focus] : [];
+      const rows = [...focused, ...result.functions.filter((f) => !focused.includes(f))];
+      return {
+        headline: `${result.company}: ${result.currentHeadcount.toLocaleString()} employees, ${signed(result.growthPct)} (${result.period})`,
+        rows: rows.slice(0, MAX_CITATION_ROWS).map((f) => ({ label: f.function, value: `${f.headcount.toLocaleString()} (${signed(f.growthPct)})` })),
+      };
+    }
+    case "estimate_salary": {
+      const k = (n) => `$${Math.round(n / 1000)}K`;
+      const { estimate, aiPressure } = result;
+      return {
+        headline: `${result.level} ${result.function}${result.location ? `, ${result.location}` : ""}: ${k(estimate.low)} – ${k(estimate.midpoint)} – ${k(estimate.high)} (AI pay pressure ${aiPressure.pctImpact}%)`,
+        rows: result.progression.map((p) => ({ label: p.level, value: `${k(p.low)} – ${k(p.high)}` })),
+      };
+    }
+    case "score_ai_risk":
+      return {
+        headline: `AI risk ${result.score}/100 for ${[result.level, result.function].filter(Boolean).join(" ")}${result.title ? ` (${result.title})` : ""}`,
+        rows: [
+          { label: "Rule", value: result.rule },
+          ...result.adjustments.map((a) => ({ label: a.label, value: `${a.delta > 0 ? "+" : ""}${a.delta}` })),
+        ],
+      };
+    default:
+      return { headline: "", rows: [] };
+  }
+}
+
+// ─── Conversation History ────────────────────────────────────
+
+const MAX_HISTORY_MESSAGES = 12;
+const MAX_HISTORY_CHARS = 12000;
+
+// Earlier Ask bar turns ({ role, text }) as Claude messages, newest first up to
+// the caps. Turns must alternate and start with the user, so a question whose
+// answer never arrived is dropped rather than sent twice in a row.
+function trimHistory(history) {
+  if (!Array.isArray(history)) return [];
+
+  const turns = [];
+  for (const m of history) {
+    if ((m?.role !== "user" && m?.role !== "assistant") || typeof m.text !== "string" || !m.text.trim()) continue;
+    if (turns.length && turns[turns.length - 1].role === m.role) turns.pop();
+    turns.push({ role: m.role, content: m.text.trim() });
+  }
+  // The current question is the next user turn
+  if (turns[turns.length - 1]?.role === "user") turns.pop();
+
+  const kept = [];
+  let chars = 0;
+  for (let i = turns.length - 1; i >= 0 && kept.length < MAX_HISTORY_MESSAGES; i--) {
+    chars += turns[i].content.length;
+    if (chars > MAX_HISTORY_CHARS) break;
+    kept.unshift(turns[i]);
+  }
+  while (kept.length && kept[0].role !== "user") kept.shift();
+  return kept;
+}
+
 // ─── Main Handler ────────────────────────────────────────────
 
+// Body: { question, history, ...assessment context }. `history` is the earlier
+// conversation as [{ role: "user" | "assistant", text }]. Answers as
+// Server-Sent Events: status (a tool is running) / tool (its citation, once it
+// returns) / token (answer text as it is written) → done { answer, toolCalls },
+// or error { error, status }.
 export async function POST(request) {
   try {
-    const { question, person, scores, company, salary, hiringSignals, tab } = await request.json();
+    const { question, history, person, scores, scoreBreakdown, company, salary, hiringSignals, tab, profile: profileId } = await request.json();
 
     if (!question) {
       return NextResponse.json({ error: "Question required" }, { status: 400 });
     }
 
+    // The report's scoring profile, so estimate_salary and score_ai_risk agree with its scores
+    let profile;
+    try {
+      profile = getScoringProfile(profileId);
+    } catch (err) {
+      if (err instanceof ScoringProfileError) return NextResponse.json({ error: err.message }, { status: 400 });
+      throw err;
+    }
+
     const apiKey = process.env.ANTHROPIC_API_KEY;
     if (!apiKey) {
-      return NextResponse.json({
-        answer: "The AI assistant is not available right now. Please try again later.",
+      return eventStream(async (send) => {
+        send("done", { answer: "The AI assistant is not available right now. Please try again later.", toolCalls: [] });
       });
     }
 
@@ -344,7 +748,21 @@ Education: ${person?.education || "Not available"}.
 Career: ${(person?.jobs || []).slice(0, 6).map((j) => `${j.title} @ ${j.company}`).join(" → ")}`);
 
     if (scores) {
-      contextSections.push(`RISK SCORES: Overall ${scores.overall}/100, AI Risk ${scores.aiRisk}/100, Company Instability ${scores.companyInstability}/100, Promotion Ceiling ${scores.promotionCeiling}/100, Function Churn ${scores.functionChurn}/100, Tenure Volatility ${scores.tenureVolatility}/100`);
+      const fmt = (v) => (v == null ? "unavailable" : `${v}/100`);
+      contextSections.push(`RISK SCORES: Overall ${fmt(scores.overall)}, AI Risk ${fmt(scores.aiRisk)}, Company Instability ${fmt(scores.companyInstability)}, Promotion Ceiling ${fmt(scores.promotionCeiling)}, Function Churn ${fmt(scores.functionChurn)}, Tenure Volatility ${fmt(scores.tenureVolatility)}, Market Demand ${fmt(scores.marketDemand)} (higher = weaker demand)`);
+    }
+
+    // Which rule produced each score, so "why is my AI risk 82?" has a concrete answer
+    if (scoreBreakdown) {
+      const lines = Object.entries(scoreBreakdown)
+        .filter(([, e]) => e?.rule)
+        .map(([key, e]) => {
+          const adjustments = (e.adjustments || []).map((a) => `${a.delta > 0 ? "+" : ""}${a.delta} ${a.label}`).join("; ");
+          const weight = e.contribution != null ? ` [${Math.round(e.effectiveWeight * 100)}% weight, ${e.contribution} pts of overall]` : "";
+          const confidence = e.confidence ? ` (confidence ${e.confidence}${e.sample ? `, ${e.sample.size} ${e.sample.unit}` : ""})` : "";
+          return `- ${key}: ${e.rule}${adjustments ? `; ${adjustments}` : ""}${weight}${confidence}`;
+        });
+      if (lines.length) contextSections.push(`HOW SCORES WERE CALCULATED:\n${lines.join("\n")}`);
     }
 
     if (tab === "company" && company) {
@@ -377,7 +795,7 @@ Progression: ${(salary.progression || []).map((p) => `${p.level}: $${Math.round(
 
     const systemPrompt = `You are workforce.ai, an AI workforce intelligence assistant with access to real-time workforce data from Live Data Technologies, which tracks over 100 million professional profiles.
 
-You are answering a follow-up question about a specific person's employment risk assessment. Answer concisely (2-4 paragraphs max) but with substance. Be direct and specific — use the person's name, company, and data when relevant.
+You are answering a follow-up question about a specific person's employment risk assessment. Earlier turns of the conversation come first; use them to resolve follow-ups like "and what about their competitors?", but take the assessment data from the latest message. Answer concisely (2-4 paragraphs max) but with substance. Be direct and specific — use the person's name, company, and data when relevant.
 
 UNDERSTANDING THE DATA MODEL:
 Our data has three distinct concepts — think carefully about which one the user means:
@@ -391,12 +809,16 @@ TOOLS: You have tools to query live workforce data. USE THEM when the user asks
 - Whether a specific company has been hiring (use search_company_hires)
 - Hiring activity in a specific city or region (use search_location_hires)
 - Where people from a company have gone, or who has joined a company (use search_person_moves)
+- How many people moved from one named company to another, and in which functions and levels (use search_moves_between_companies)
+- How big a company or one of its departments is, and whether it is growing or shrinking (use get_company_demographics)
+- What any role pays, in any location (use estimate_salary) — never quote salary figures you did not get from this tool or the assessment context
+- How exposed to AI a different role or title would be (use score_ai_risk)
 
 Do NOT say "I don't have data on that" or "that company doesn't appear in my signals" — instead, use a tool to look it up. The pre-loaded hiring signals from the assessment are a starting point, but you can always query for more specific data.
 
 When the user asks about a specific geographic area (like "Santa Barbara only"), use the search_location_hires tool with that specific location — don't just filter your existing data mentally.
 
-When presenting results, lead with the specific numbers. Be precise, not vague.
+When presenting results, lead with the specific numbers. Be precise, not vague. Make it clear which numbers come from LiveData lookups and which are general market knowledge — the user sees each lookup cited under your answer.
 
 If a tool returns zero results, say so clearly — don't speculate about why or redirect to other companies unless the user asks. But consider whether a different filter might find what they're looking for (e.g., if a title search returns nothing, try a broader function search and mention what you did).
 
@@ -411,78 +833,99 @@ USER QUESTION: ${question}
 Answer this question using the assessment data, your tools, and your knowledge. If the question involves a specific company or location, use your tools to get precise data — don't guess. Be specific and actionable.`;
 
     // ─── Agentic loop: call Claude, handle tool use, repeat ───
-    let messages = [{ role: "user", content: userPrompt }];
-    let maxIterations = 4; // safety cap on tool use rounds
-
-    for (let i = 0; i < maxIterations; i++) {
-      const res = await fetch("https://api.anthropic.com/v1/messages", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-api-key": apiKey,
-          "anthropic-version": "2023-06-01",
-        },
-        body: JSON.stringify({
-          model: "claude-sonnet-4-5-20250929",
-          max_tokens: 2000,
-          system: systemPrompt,
-          messages,
-          tools,
-        }),
-      });
-
-      if (!res.ok) {
-        const errBody = await res.text().catch(() => "");
-        console.error("Chat API error:", res.status, errBody);
-        return NextResponse.json({
-          answer: `I'm having trouble connecting to the AI service right now. Please try again in a moment.`,
-        });
-      }
-
-      const data = await res.json();
-
-      // If Claude is done (no tool use), extract the text and return
-      if (data.stop_reason === "end_turn") {
-        const answer = data.content
-          ?.filter((b) => b.type === "text")
-          .map((b) => b.text)
-          .join("\n") || "No response generated.";
-        return NextResponse.json({ answer });
-      }
-
-      // If Claude wants to use tools, execute them
-      if (data.stop_reason === "tool_use") {
-        const toolUseBlocks = data.content.filter((b) => b.type === "tool_use");
-        const toolResults = [];
-
-        for (const toolBlock of toolUseBlocks) {
-          console.log(`Chat tool call: ${toolBlock.name}`, JSON.stringify(toolBlock.input));
-          const result = await executeTool(toolBlock.name, toolBlock.input);
-          toolResults.push({
-            type: "tool_result",
-            tool_use_id: toolBlock.id,
-            content: JSON.stringify(result),
+    // A client that disconnects aborts the Claude request and skips further tools
+    return eventStream(async (send, signal) => {
+      const messages = [...trimHistory(history), { role: "user", content: userPrompt }];
+      const maxIterations = 4; // safety cap on tool use rounds
+      const toolCalls = [];
+      let answer = "";
+      let afterTools = false;
+
+      // Text from before a tool round ("Let me check…") stays in the answer,
+      // set apart from what Claude writes once the results are in
+      const onText = (text) => {
+        if (afterTools && answer) text = `\n\n${text}`;
+        afterTools = false;
+        answer += text;
+        send("token", { text });
+      };
+
+      try {
+        for (let i = 0; i < maxIterations; i++) {
+          const res = await fetch("https://api.anthropic.com/v1/messages", {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+              "x-api-key": apiKey,
+              "anthropic-version": "2023-06-01",
+            },
+            signal,
+            body: JSON.stringify({
+              model: "claude-sonnet-4-5-20250929",
+              max_tokens: 2000,
+              system: systemPrompt,
+              messages,
+              tools,
+              stream: true,
+            }),
           });
+
+          if (!res.ok) {
+            const errBody = await res.text().catch(() => "");
+            console.error("Chat API error:", res.status, errBody);
+            send("done", { answer: "I'm having trouble connecting to the AI service right now. Please try again in a moment.", toolCalls });
+            return;
+          }
+
+          const { content, stopReason } = await readMessageStream(res, onText);
+
+          // If Claude wants to use tools, execute them
+          if (stopReason === "tool_use") {
+            const toolUseBlocks = content.filter((b) => b.type === "tool_use");
+            const toolResults = [];
+
+            for (const toolBlock of toolUseBlocks) {
+              signal.throwIfAborted();
+              console.log(`Chat tool call: ${toolBlock.name}`, JSON.stringify(toolBlock.input));
+              send("status", { text: describeToolCall(toolBlock.name, toolBlock.input) });
+              const result = await executeTool(toolBlock.name, toolBlock.input, { profile });
+              const call = {
+                id: toolBlock.id,
+                name: toolBlock.name,
+                label: citationLabel(toolBlock.name, toolBlock.input),
+                input: toolBlock.input,
+                ...summarizeToolResult(toolBlock.name, result),
+              };
+              toolCalls.push(call);
+              send("tool", call);
+              toolResults.push({
+                type: "tool_result",
+                tool_use_id: toolBlock.id,
+                content: JSON.stringify(result),
+              });
+            }
+
+            // Add assistant response + tool results to messages for next round
+            // (the API rejects empty text blocks)
+            messages.push({ role: "assistant", content: content.filter((b) => b.type !== "text" || b.text) });
+            messages.push({ role: "user", content: toolResults });
+            afterTools = true;
+            continue;
+          }
+
+          // Claude is done (end_turn, or any other stop reason) — send what it wrote
+          send("done", { answer: answer || "No response generated.", toolCalls });
+          return;
         }
 
-        // Add assistant response + tool results to messages for next round
-        messages.push({ role: "assistant", content: data.content });
-        messages.push({ role: "user", content: toolResults });
-        continue;
+        // If we exhausted iterations, say so
+        send("done", { answer: "I ran into a limit processing your question. Could you try rephrasing it more specifically?", toolCalls });
+      } catch (err) {
+        if (signal.aborted) return;
+        console.error("Chat stream error:", err);
+        send("error", { error: err.message || "Internal server error", status: 500 });
       }
-
-      // Unexpected stop reason — return whatever text we have
-      const answer = data.content
-        ?.filter((b) => b.type === "text")
-        .map((b) => b.text)
-        .join("\n") || "No response generated.";
-      return NextResponse.json({ answer });
-    }
-
-    // If we exhausted iterations, return what we have
-    return NextResponse.json({
-      answer: "I ran into a limit processing your question. Could you try rephrasing it more specifically?",
-    });
+    }, { signal: request.signal });
   } catch (err) {
     console.error("Chat error:", err);
     return NextResponse.json(
@@ -0,0 +1,15 @@
+import { NextResponse } from "next/server";
+import { loadCohort, ReportError } from "@/lib/reports";
+
+export const dynamic = "force-dynamic";
+
+// GET /api/cohorts/<id> → the saved cohort: per-person results + rollup
+export async function GET(request, { params }) {
+  try {
+    return NextResponse.json(await loadCohort(params.id));
+  } catch (err) {
+    if (err instanceof ReportError) return NextResponse.json({ error: err.message }, { status: err.status });
+    console.error("Cohort load error:", err);
+    return NextResponse.json({ error: err.message || "Internal server error" }, { status: 500 });
+  }
+}
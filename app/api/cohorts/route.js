@@ -0,0 +1,63 @@
+import { NextResponse } from "next/server";
+import { parseBatchCsv, runBatch, BatchError } from "@/lib/batch";
+import { rollupCohort } from "@/lib/cohorts";
+import { getScoringProfile, ScoringProfileError } from "@/lib/profiles";
+import { saveCohort, listCohorts } from "@/lib/reports";
+import { eventStream } from "@/lib/sse";
+
+export const dynamic = "force-dynamic";
+export const maxDuration = 300;
+
+// GET /api/cohorts → saved cohorts, newest first
+export async function GET() {
+  try {
+    return NextResponse.json({ cohorts: await listCohorts() });
+  } catch (err) {
+    console.error("Cohort list error:", err);
+    return NextResponse.json({ error: err.message || "Internal server error" }, { status: 500 });
+  }
+}
+
+// POST /api/cohorts  { name, csv, narrative?: false, profile? }
+// The CSV is the batch format plus an optional "manager" column. Streams the same
+// rows / row events as /api/batch, then `done` with { id, rollup } once the
+// cohort is saved.
+export async function POST(request) {
+  let name;
+  let rows;
+  let options;
+  try {
+    const body = await request.json();
+    name = (body.name || "").trim();
+    if (!name) throw new BatchError("Cohort name required");
+    rows = parseBatchCsv(body.csv, { narrative: body.narrative === true });
+    const profile = getScoringProfile(body.profile);
+    options = { narrative: body.narrative === true, profile: profile.id };
+  } catch (err) {
+    if (err instanceof BatchError || err instanceof ScoringProfileError || err instanceof SyntaxError) {
+      return NextResponse.json({ error: err.message }, { status: 400 });
+    }
+    throw err;
+  }
+
+  return eventStream(async (send, signal) => {
+    send("rows", { total: rows.length, rows });
+    try {
+      const results = await runBatch(rows, { ...options, signal }, (result, done) => send("row", { result, done, total: rows.length }));
+      const rollup = rollupCohort(results);
+      const profile = getScoringProfile(options.profile);
+      const id = await saveCohort({
+        name,
+        size: rows.length,
+        scoringProfile: { id: profile.id, version: profile.version },
+        results,
+        rollup,
+      });
+      send("done", { id, rollup });
+    } catch (err) {
+      if (signal.aborted) return;
+      console.error("Cohort error:", err);
+      send("error", { error: err.message || "Internal server error" });
+    }
+  }, { signal: request.signal });
+}
@@ -0,0 +1,27 @@
+import { NextResponse } from "next/server";
+import { LiveDataError } from "@/lib/livedata";
+import { AssessmentError, describeDataError } from "@/lib/assess";
+import { runCompanyAssessment } from "@/lib/company";
+
+export const maxDuration = 60;
+
+// Body: { name } or { id } — see lib/company.js
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    return NextResponse.json(await runCompanyAssessment(body));
+  } catch (err) {
+    console.error("Company assessment error:", err);
+    if (err instanceof AssessmentError) {
+      return NextResponse.json({ error: err.message }, { status: err.status });
+    }
+    if (err instanceof LiveDataError) {
+      const { status, message } = describeDataError(err);
+      return NextResponse.json({ error: message }, { status });
+    }
+    return NextResponse.json(
+      { error: err.message || "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
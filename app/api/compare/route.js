@@ -0,0 +1,23 @@
+import { NextResponse } from "next/server";
+import { AssessmentError } from "@/lib/assess";
+import { runComparison } from "@/lib/compare";
+
+// Up to four assessments run side by side, each with its own narrative call
+export const maxDuration = 120;
+
+// Body: { people: [{ name, company } | { linkedin } | { reportId }], summary } — see lib/compare.js
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    return NextResponse.json(await runComparison(body, { signal: request.signal }));
+  } catch (err) {
+    console.error("Comparison error:", err);
+    if (err instanceof AssessmentError) {
+      return NextResponse.json({ error: err.message }, { status: err.status });
+    }
+    return NextResponse.json(
+      { error: err.message || "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
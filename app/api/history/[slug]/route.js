@@ -0,0 +1,18 @@
+import { NextResponse } from "next/server";
+import { listHistoryForReport, ReportError } from "@/lib/reports";
+
+export const dynamic = "force-dynamic";
+
+// GET /api/history/<linkedin slug>?report=<id> → every saved run for that person,
+// oldest first. `report` must be the permanent id of one of those runs.
+export async function GET(request, { params }) {
+  try {
+    const slug = decodeURIComponent(params.slug);
+    const reportId = new URL(request.url).searchParams.get("report");
+    return NextResponse.json({ slug, runs: await listHistoryForReport(slug, reportId) });
+  } catch (err) {
+    if (err instanceof ReportError) return NextResponse.json({ error: err.message }, { status: err.status });
+    console.error("History load error:", err);
+    return NextResponse.json({ error: err.message || "Internal server error" }, { status: 500 });
+  }
+}
@@ -0,0 +1,22 @@
+import { NextResponse } from "next/server";
+import { loadReport, previousReport, diffReports, ReportError } from "@/lib/reports";
+
+export const dynamic = "force-dynamic";
+
+// GET /api/reports/<id>/diff[?against=<earlier id>] → what changed since the
+// earlier run (default: the previous run for the same LinkedIn slug)
+export async function GET(request, { params }) {
+  try {
+    const { report } = await loadReport(params.id);
+    const against = new URL(request.url).searchParams.get("against");
+    const earlier = against ? (await loadReport(against)).report : await previousReport(report);
+    if (!earlier) {
+      return NextResponse.json({ error: "No earlier run of this person to compare against" }, { status: 404 });
+    }
+    return NextResponse.json(diffReports(earlier, report));
+  } catch (err) {
+    if (err instanceof ReportError) return NextResponse.json({ error: err.message }, { status: err.status });
+    console.error("Report diff error:", err);
+    return NextResponse.json({ error: err.message || "Internal server error" }, { status: 500 });
+  }
+}
@@ -0,0 +1,24 @@
+import { NextResponse } from "next/server";
+import { loadReport, ReportError } from "@/lib/reports";
+import { renderReportPdf, reportPdfFilename } from "@/lib/report-pdf";
+
+export const dynamic = "force-dynamic";
+
+// GET /api/reports/<id>/pdf → the full report as a PDF download (id may be a
+// share link id). ?inline=1 opens it in the browser instead.
+export async function GET(request, { params }) {
+  try {
+    const { report, share } = await loadReport(params.id);
+    const disposition = new URL(request.url).searchParams.get("inline") ? "inline" : "attachment";
+    return new NextResponse(renderReportPdf(report, { share }), {
+      headers: {
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `${disposition}; filename="${reportPdfFilename(report)}"`,
+      },
+    });
+  } catch (err) {
+    if (err instanceof ReportError) return NextResponse.json({ error: err.message }, { status: err.status });
+    console.error("Report PDF error:", err);
+    return NextResponse.json({ error: err.message || "Internal server error" }, { status: 500 });
+  }
+}
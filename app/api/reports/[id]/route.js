@@ -0,0 +1,16 @@
+import { NextResponse } from "next/server";
+import { loadReport, ReportError } from "@/lib/reports";
+
+export const dynamic = "force-dynamic";
+
+// GET /api/reports/<id> → a saved report (id may be a share link id)
+export async function GET(request, { params }) {
+  try {
+    const { report, share } = await loadReport(params.id);
+    return NextResponse.json({ ...report, share });
+  } catch (err) {
+    if (err instanceof ReportError) return NextResponse.json({ error: err.message }, { status: err.status });
+    console.error("Report load error:", err);
+    return NextResponse.json({ error: err.message || "Internal server error" }, { status: 500 });
+  }
+}
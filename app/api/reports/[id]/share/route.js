@@ -0,0 +1,16 @@
+import { NextResponse } from "next/server";
+import { createShareLink, ReportError } from "@/lib/reports";
+
+// POST /api/reports/<id>/share  { expiresInDays?: 1 | 7 | 30 }
+// → { share, url } where url is the /report/<shareId> path to send around
+export async function POST(request, { params }) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const share = await createShareLink(params.id, { expiresInDays: body.expiresInDays ?? null });
+    return NextResponse.json({ share, url: `/report/${share.id}` });
+  } catch (err) {
+    if (err instanceof ReportError) return NextResponse.json({ error: err.message }, { status: err.status });
+    console.error("Share link error:", err);
+    return NextResponse.json({ error: err.message || "Internal server error" }, { status: 500 });
+  }
+}
@@ -0,0 +1,34 @@
+import { NextResponse } from "next/server";
+import { LiveDataError } from "@/lib/livedata";
+import { AssessmentError, describeDataError } from "@/lib/assess";
+import { loadReport, ReportError } from "@/lib/reports";
+import { simulateReport } from "@/lib/simulate";
+
+export const maxDuration = 60;
+
+// POST /api/reports/<id>/simulate → the report re-scored with overrides.
+// Body: { overrides: { currentTitle, currentLevel, currentFunction, location, company },
+// narrative, refresh } — see lib/simulate.js. Nothing is saved. Share links
+// can't simulate: each run can spend LiveData calls, and the What If tab is
+// hidden on shared reports anyway.
+export async function POST(request, { params }) {
+  try {
+    const { overrides, narrative, refresh } = await request.json();
+    const { report, share } = await loadReport(params.id);
+    if (share) throw new ReportError("Simulations need the report's own link, not a share link", 403);
+    return NextResponse.json(await simulateReport(report, overrides, { narrative: narrative === true, refresh, signal: request.signal }));
+  } catch (err) {
+    console.error("Simulation error:", err);
+    if (err instanceof ReportError || err instanceof AssessmentError) {
+      return NextResponse.json({ error: err.message }, { status: err.status });
+    }
+    if (err instanceof LiveDataError) {
+      const { status, message } = describeDataError(err);
+      return NextResponse.json({ error: message }, { status });
+    }
+    return NextResponse.json(
+      { error: err.message || "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,10 @@
+import { NextResponse } from "next/server";
+import { listScoringProfiles } from "@/lib/profiles";
+
+export const dynamic = "force-dynamic";
+
+// GET /api/scoring-profiles → ids, versions and descriptions of the profiles
+// that can be passed as `profile` to POST /api/assess
+export async function GET() {
+  return NextResponse.json({ profiles: listScoringProfiles() });
+}
@@ -0,0 +1,241 @@
+"use client";
+
+import { useState } from "react";
+import { readEventStream } from "@/lib/sse";
+import { splitCsv } from "@/lib/csv";
+import { MAX_BATCH_ROWS, MAX_NARRATIVE_BATCH_ROWS, MAX_SHEET_ROWS } from "@/lib/batch-limits";
+
+// ─── Batch Assessment ─────────────────────────────────────────
+
+const STATUS_STYLES = {
+  pending: { label: "Queued", color: "#4a4f7a" },
+  ok: { label: "Scored", color: "#22c55e" },
+  ambiguous: { label: "Ambiguous", color: "#f59e0b" },
+  unmatched: { label: "No match", color: "#ef4444" },
+  error: { label: "Error", color: "#ef4444" },
+};
+
+const needsReview = (r) => r.status !== "ok" && r.status !== "pending";
+
+function riskColor(score) {
+  if (score >= 70) return "#ef4444";
+  if (score >= 50) return "#f59e0b";
+  if (score >= 30) return "#a5b4fc";
+  return "#22c55e";
+}
+
+export default function BatchPage() {
+  const [csv, setCsv] = useState("");
+  const [fileName, setFileName] = useState(null);
+  const [withNarrative, setWithNarrative] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [results, setResults] = useState([]);
+  const [progress, setProgress] = useState(null);
+  // The results CSV arrives a line per finished row, so a batch cut off by the
+  // server time limit still downloads what was scored
+  const [csvLines, setCsvLines] = useState(null);
+  const [reviewOnly, setReviewOnly] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setFileName(file.name);
+    setCsv(await file.text());
+  };
+
+  const handleRun = async () => {
+    setRunning(true);
+    setError(null);
+    setResults([]);
+    setCsvLines(null);
+    setProgress(null);
+
+    // A request has to finish inside the server time limit, so a long sheet
+    // goes up as several requests, one after another, merged into one table
+    const chunks = splitCsv(csv, withNarrative ? MAX_NARRATIVE_BATCH_ROWS : MAX_BATCH_ROWS);
+    let total = chunks.reduce((sum, chunk) => sum + chunk.rows, 0);
+    if (total > MAX_SHEET_ROWS) {
+      setError(`Sheets are limited to ${MAX_SHEET_ROWS} rows (this one has ${total}). Split the file and run each part.`);
+      setRunning(false);
+      return;
+    }
+    setProgress({ done: 0, total });
+
+    // ?profile=<id> picks a scoring profile, same as the single-person page
+    const profile = new URLSearchParams(window.location.search).get("profile");
+    let doneBefore = 0;
+    try {
+      for (const [i, chunk] of chunks.entries()) {
+        const notRun = i > 0 ? ` Rows from ${chunk.rowOffset + 2} on were not assessed.` : "";
+        const res = await fetch("/api/batch", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ csv: chunk.csv, rowOffset: chunk.rowOffset, narrative: withNarrative, ...(profile ? { profile } : {}) }),
+        });
+        if (!res.ok || !res.headers.get("content-type")?.includes("text/event-stream")) {
+          const data = await res.json().catch(() => ({}));
+          setError((data.error || `Server error (${res.status})`) + notRun);
+          break;
+        }
+
+        let finished = false;
+        let failed = false;
+        await readEventStream(res, (event, data) => {
+          if (event === "rows") {
+            // The server skips rows without a name, company or LinkedIn URL
+            total += data.total - chunk.rows;
+            setResults((rows) => [...rows, ...data.rows.map((input) => ({ row: input.row, input, status: "pending" }))]);
+            setCsvLines((lines) => lines || { header: data.csvHeader, rows: {} });
+            setProgress({ done: doneBefore, total });
+          } else if (event === "row") {
+            setResults((rows) => rows.map((r) => (r.row === data.result.row ? data.result : r)));
+            setCsvLines((lines) => ({ ...lines, rows: { ...lines.rows, [data.result.row]: data.csv } }));
+            setProgress({ done: doneBefore + data.done, total });
+          } else if (event === "done") {
+            finished = true;
+            doneBefore += data.total;
+          } else if (event === "error") {
+            finished = failed = true;
+            setError(data.error);
+          }
+        });
+        if (failed) break;
+        if (!finished) {
+          const later = i < chunks.length - 1 ? ", and every row after them," : "";
+          setError(`The batch was cut off before it finished. Rows marked Queued${later} were not assessed.`);
+          break;
+        }
+      }
+    } catch (err) {
+      setError(`Network error: ${err.message || "Unknown"}. Check your connection and try again.`);
+    }
+    setRunning(false);
+  };
+
+  const csvRowCount = csvLines ? Object.keys(csvLines.rows).length : 0;
+
+  const handleDownload = () => {
+    // Input order, whatever order the rows finished in
+    const lines = Object.entries(csvLines.rows).sort(([a], [b]) => a - b).map(([, line]) => line);
+    const url = URL.createObjectURL(new Blob([csvLines.header, ...lines], { type: "text/csv" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${(fileName || "batch").replace(/\.csv$/i, "")}-results.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const reviewCount = results.filter(needsReview).length;
+  const shown = reviewOnly ? results.filter(needsReview) : results;
+
+  return (
+    <div style={{ padding: "24px" }}>
+      <div style={{ maxWidth: "900px", margin: "0 auto" }}>
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h1 style={{ fontSize: "28px", fontWeight: 800, letterSpacing: "-0.02em" }}>Batch Assessment</h1>
+            <p style={{ fontSize: "13px", color: "#8a8fb5", lineHeight: 1.6 }}>
+              Upload a CSV with a <strong style={{ color: "#c4c8e0" }}>name</strong> and <strong style={{ color: "#c4c8e0" }}>company</strong> column, or a <strong style={{ color: "#c4c8e0" }}>linkedin</strong> column. Up to {MAX_SHEET_ROWS} rows; long sheets run in parts of {MAX_BATCH_ROWS} rows ({MAX_NARRATIVE_BATCH_ROWS} with AI narratives) so each part finishes within the five-minute limit.
+            </p>
+          </div>
+          <a href="/" style={{ fontSize: "11px", color: "#6366f1", background: "#6366f112", border: "1px solid #6366f133", borderRadius: "8px", padding: "5px 12px", fontWeight: 600 }}>Single assessment</a>
+        </div>
+
+        <div style={{ backgroundColor: "#12122a", borderRadius: "16px", padding: "24px", marginBottom: "16px", border: "1px solid #ffffff08" }}>
+          <div className="flex items-center gap-3 flex-wrap">
+            <label style={{ fontSize: "13px", color: "#fff", background: "#6366f1", borderRadius: "10px", padding: "10px 16px", cursor: running ? "wait" : "pointer", fontWeight: 600 }}>
+              Choose CSV
+              <input type="file" accept=".csv,text/csv" onChange={handleFile} disabled={running} style={{ display: "none" }} />
+            </label>
+            <span style={{ fontSize: "12px", color: "#8a8fb5" }}>{fileName || "No file selected"}</span>
+          </div>
+          <label className="flex items-center gap-2" style={{ marginTop: "16px", fontSize: "12px", color: "#8a8fb5", cursor: "pointer" }}>
+            <input type="checkbox" checked={withNarrative} onChange={(e) => setWithNarrative(e.target.checked)} disabled={running} />
+            Write an AI narrative for each person (about $0.04 per row, and slower). Without it, reports use the rules-based summary.
+          </label>
+          <button onClick={handleRun} disabled={running || !csv} style={{ width: "100%", marginTop: "16px", padding: "12px", borderRadius: "12px", border: "none", backgroundColor: running || !csv ? "#4a4f7a" : "#6366f1", color: "#fff", fontSize: "14px", fontWeight: 700, cursor: running ? "wait" : "pointer" }}>
+            {running ? "Assessing..." : "Run Batch →"}
+          </button>
+        </div>
+
+        {progress && (
+          <div style={{ marginBottom: "16px" }}>
+            <div className="flex justify-between" style={{ fontSize: "12px", color: "#8a8fb5", marginBottom: "6px" }}>
+              <span>{progress.done} of {progress.total} rows</span>
+              {reviewCount > 0 && <span style={{ color: "#f59e0b" }}>{reviewCount} need review</span>}
+            </div>
+            <div style={{ height: "6px", borderRadius: "3px", backgroundColor: "#1a1a2e" }}>
+              <div style={{ height: "100%", borderRadius: "3px", width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%`, backgroundColor: "#6366f1", transition: "width 0.3s" }} />
+            </div>
+          </div>
+        )}
+
+        {results.length > 0 && (
+          <div style={{ backgroundColor: "#12122a", borderRadius: "16px", padding: "16px", border: "1px solid #ffffff08" }}>
+            <div className="flex items-center justify-between mb-3">
+              <label className="flex items-center gap-2" style={{ fontSize: "12px", color: "#8a8fb5", cursor: "pointer" }}>
+                <input type="checkbox" checked={reviewOnly} onChange={(e) => setReviewOnly(e.target.checked)} />
+                Only rows that need review ({reviewCount})
+              </label>
+              {!running && csvRowCount > 0 && (
+                <button onClick={handleDownload} style={{ fontSize: "12px", color: "#fff", background: "#22c55e", border: "none", borderRadius: "8px", padding: "6px 14px", cursor: "pointer", fontWeight: 600 }}>
+                  {csvRowCount < progress.total ? `Download results CSV (${csvRowCount} of ${progress.total} rows)` : "Download results CSV"}
+                </button>
+              )}
+            </div>
+            <table style={{ width: "100%", fontSize: "12px", borderCollapse: "collapse" }}>
+              <thead>
+                <tr style={{ color: "#4a4f7a", textAlign: "left" }}>
+                  <th style={{ padding: "6px" }}>Row</th>
+                  <th style={{ padding: "6px" }}>Input</th>
+                  <th style={{ padding: "6px" }}>Status</th>
+                  <th style={{ padding: "6px" }}>Match</th>
+                  <th style={{ padding: "6px", textAlign: "right" }}>Overall</th>
+                  <th style={{ padding: "6px" }}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {shown.map((r) => {
+                  const status = STATUS_STYLES[r.status] || STATUS_STYLES.error;
+                  return (
+                    <tr key={r.row} style={{ borderTop: "1px solid #ffffff08", verticalAlign: "top" }}>
+                      <td style={{ padding: "8px 6px", color: "#4a4f7a" }}>{r.row}</td>
+                      <td style={{ padding: "8px 6px", color: "#c4c8e0" }}>
+                        {r.input.name || r.input.linkedin}
+                        {r.input.company && <div style={{ color: "#4a4f7a" }}>{r.input.company}</div>}
+                      </td>
+                      <td style={{ padding: "8px 6px" }}>
+                        <span style={{ color: status.color, fontWeight: 600 }}>{status.label}</span>
+                        {r.note && <div style={{ color: "#8a8fb5", fontSize: "11px", maxWidth: "220px" }}>{r.note}</div>}
+                      </td>
+                      <td style={{ padding: "8px 6px", color: "#8a8fb5" }}>
+                        {r.person && <>{r.person.currentTitle} · {r.person.currentCompany}</>}
+                        {r.candidates?.map((c) => (
+                          <div key={c.index} style={{ fontSize: "11px" }}>{c.name} — {c.currentTitle} · {c.currentCompany}{c.linkedin ? ` (${c.linkedin})` : ""}</div>
+                        ))}
+                      </td>
+                      <td style={{ padding: "8px 6px", textAlign: "right", fontWeight: 700, color: r.scores ? riskColor(r.scores.overall) : "#4a4f7a" }}>
+                        {r.scores?.overall ?? "—"}
+                        {r.dataQuality && <div style={{ fontSize: "10px", color: "#4a4f7a", fontWeight: 500 }}>data {r.dataQuality.grade}</div>}
+                      </td>
+                      <td style={{ padding: "8px 6px", textAlign: "right" }}>
+                        {r.reportId && <a href={`/report/${r.reportId}`} target="_blank" rel="noreferrer" style={{ color: "#6366f1", fontWeight: 600 }}>Open →</a>}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {error && (
+          <div style={{ marginTop: "16px", backgroundColor: "#ef444422", border: "1px solid #ef444444", color: "#ef4444", padding: "12px 24px", borderRadius: "12px", fontSize: "13px", fontWeight: 600, textAlign: "center" }}>
+            {error}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
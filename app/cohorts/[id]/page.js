@@ -0,0 +1,258 @@
+"use client";
+
+import { useEffect, useState } from "react";
+
+// ─── Cohort Rollup Dashboard ──────────────────────────────────
+
+const SCORE_LABELS = {
+  overall: "Overall Risk",
+  aiRisk: "AI Automation Exposure",
+  companyInstability: "Company Instability",
+  promotionCeiling: "Promotion Ceiling",
+  tenureVolatility: "Tenure Volatility",
+  functionChurn: "Function Churn",
+  salaryCompression: "Salary Compression",
+  marketDemand: "Market Demand",
+};
+
+const DIMENSION_LABELS = { function: "Function", level: "Level", location: "Location", manager: "Manager" };
+
+function riskColor(score) {
+  if (score >= 70) return "#ef4444";
+  if (score >= 50) return "#f59e0b";
+  if (score >= 30) return "#a5b4fc";
+  return "#22c55e";
+}
+
+const money = (n) => (n == null ? "—" : `$${Math.round(n / 1000)}K`);
+
+function Section({ title, icon, children, right }) {
+  return (
+    <div style={{ backgroundColor: "#12122a", borderRadius: "16px", padding: "24px", marginBottom: "16px", border: "1px solid #ffffff08" }}>
+      <div className="flex items-center justify-between" style={{ marginBottom: "16px" }}>
+        <h3 style={{ fontSize: "13px", fontWeight: 700, color: "#8a8fb5", textTransform: "uppercase", letterSpacing: "0.1em", display: "flex", alignItems: "center", gap: "8px" }}>
+          <span style={{ fontSize: "16px" }}>{icon}</span>{title}
+        </h3>
+        {right}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+function Histogram({ buckets }) {
+  const max = Math.max(1, ...buckets.map((b) => b.count));
+  return (
+    <div>
+      <div className="flex items-end gap-1" style={{ height: "120px" }}>
+        {buckets.map((b) => (
+          <div key={b.from} title={`${b.from}–${b.to}: ${b.count}`} style={{ flex: 1, height: `${(b.count / max) * 100}%`, minHeight: b.count ? "4px" : "1px", backgroundColor: b.count ? riskColor(b.from + 5) : "#1a1a2e", borderRadius: "3px 3px 0 0" }} />
+        ))}
+      </div>
+      <div className="flex gap-1" style={{ marginTop: "4px" }}>
+        {buckets.map((b) => (
+          <div key={b.from} style={{ flex: 1, textAlign: "center", fontSize: "9px", color: "#4a4f7a" }}>{b.count || ""}<div>{b.from}</div></div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function Heatmap({ heatmap }) {
+  const cell = (fn, level) => heatmap.cells.find((c) => c.function === fn && c.level === level);
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <table style={{ borderCollapse: "separate", borderSpacing: "3px", fontSize: "11px" }}>
+        <thead>
+          <tr>
+            <th />
+            {heatmap.levels.map((level) => <th key={level} style={{ color: "#8a8fb5", fontWeight: 600, padding: "4px 8px" }}>{level}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {heatmap.functions.map((fn) => (
+            <tr key={fn}>
+              <td style={{ color: "#c4c8e0", paddingRight: "8px", whiteSpace: "nowrap" }}>{fn}</td>
+              {heatmap.levels.map((level) => {
+                const c = cell(fn, level);
+                return (
+                  <td key={level} title={c?.count ? `${c.count} people` : "Nobody"} style={{ minWidth: "64px", textAlign: "center", padding: "8px", borderRadius: "6px", backgroundColor: c?.value != null ? `${riskColor(c.value)}33` : "#0a0a1a", color: c?.value != null ? riskColor(c.value) : "#4a4f7a", fontWeight: 700 }}>
+                    {c?.value ?? "·"}
+                    {c?.count > 0 && <div style={{ fontSize: "9px", color: "#8a8fb5", fontWeight: 500 }}>n={c.count}</div>}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default function CohortPage({ params }) {
+  const [cohort, setCohort] = useState(null);
+  const [error, setError] = useState(null);
+  const [histogramKey, setHistogramKey] = useState("overall");
+  const [dimension, setDimension] = useState("function");
+
+  useEffect(() => {
+    fetch(`/api/cohorts/${params.id}`)
+      .then((res) => res.json())
+      .then((data) => (data.error ? setError(data.error) : setCohort(data)))
+      .catch((err) => setError(err.message));
+  }, [params.id]);
+
+  if (error) return <div style={{ padding: "48px", textAlign: "center", color: "#ef4444" }}>{error} · <a href="/cohorts" style={{ color: "#6366f1" }}>All cohorts</a></div>;
+  if (!cohort) return <div style={{ padding: "48px", textAlign: "center", color: "#8a8fb5" }}>Loading…</div>;
+
+  const { rollup, results } = cohort;
+  const excluded = results.filter((r) => r.status !== "ok");
+  const selectStyle = { fontSize: "11px", padding: "4px 8px", borderRadius: "6px", border: "1px solid #ffffff12", backgroundColor: "#0a0a1a", color: "#fff" };
+
+  return (
+    <div style={{ padding: "24px" }}>
+      <div style={{ maxWidth: "900px", margin: "0 auto" }}>
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h1 style={{ fontSize: "28px", fontWeight: 800, letterSpacing: "-0.02em" }}>{cohort.name}</h1>
+            <div style={{ fontSize: "12px", color: "#8a8fb5" }}>
+              {rollup.assessed} of {cohort.size} assessed · {new Date(cohort.createdAt).toLocaleDateString()}
+              {cohort.scoringProfile && <> · Scoring: {cohort.scoringProfile.id} v{cohort.scoringProfile.version}</>}
+            </div>
+          </div>
+          <a href="/cohorts" style={{ fontSize: "11px", color: "#6366f1", background: "#6366f112", border: "1px solid #6366f133", borderRadius: "8px", padding: "5px 12px", fontWeight: 600 }}>All cohorts</a>
+        </div>
+
+        {rollup.assessed === 0 ? (
+          <Section title="Nothing to roll up" icon="⚠️">
+            <div style={{ fontSize: "13px", color: "#8a8fb5" }}>No one in this cohort could be assessed. See the rows below.</div>
+          </Section>
+        ) : (
+          <>
+            <Section title="Summary" icon="⚡">
+              <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: "12px", marginBottom: "16px", textAlign: "center" }}>
+                <div>
+                  <div style={{ fontSize: "32px", fontWeight: 800, color: riskColor(rollup.summary.scores.overall) }}>{rollup.summary.scores.overall}</div>
+                  <div style={{ fontSize: "11px", color: "#8a8fb5" }}>Average overall risk</div>
+                </div>
+                <div>
+                  <div style={{ fontSize: "32px", fontWeight: 800, color: rollup.summary.highRisk ? "#ef4444" : "#22c55e" }}>{rollup.summary.highRisk}</div>
+                  <div style={{ fontSize: "11px", color: "#8a8fb5" }}>People at high risk (70+)</div>
+                </div>
+                <div>
+                  <div style={{ fontSize: "32px", fontWeight: 800, color: "#fff" }}>{money(rollup.summary.salaryMidpoint)}</div>
+                  <div style={{ fontSize: "11px", color: "#8a8fb5" }}>Average est. salary midpoint</div>
+                </div>
+              </div>
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "4px 24px" }}>
+                {Object.entries(rollup.summary.scores).filter(([key]) => key !== "overall").map(([key, value]) => (
+                  <div key={key} className="flex justify-between" style={{ fontSize: "12px", padding: "4px 0", borderBottom: "1px solid #ffffff06" }}>
+                    <span style={{ color: "#8a8fb5" }}>{SCORE_LABELS[key] || key}</span>
+                    <span style={{ color: value != null ? riskColor(value) : "#4a4f7a", fontWeight: 700 }}>{value ?? "n/a"}</span>
+                  </div>
+                ))}
+              </div>
+            </Section>
+
+            {rollup.highestRisk.length > 0 && (
+              <Section title="Highest-Risk Segments" icon="🚨">
+                <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(200px, 1fr))", gap: "8px" }}>
+                  {rollup.highestRisk.map((s) => (
+                    <div key={`${s.dimension}:${s.key}`} style={{ padding: "12px", borderRadius: "10px", border: `1px solid ${riskColor(s.scores.overall)}44`, backgroundColor: `${riskColor(s.scores.overall)}0a` }}>
+                      <div style={{ fontSize: "10px", color: "#8a8fb5", textTransform: "uppercase", letterSpacing: "0.05em" }}>{DIMENSION_LABELS[s.dimension]}</div>
+                      <div style={{ fontSize: "14px", fontWeight: 700, color: "#fff" }}>{s.key}</div>
+                      <div style={{ fontSize: "12px", color: riskColor(s.scores.overall), fontWeight: 700 }}>{s.scores.overall} avg · {s.count} people</div>
+                      <div style={{ fontSize: "11px", color: "#8a8fb5" }}>AI exposure {s.scores.aiRisk ?? "n/a"} · {s.highRisk} at 70+</div>
+                    </div>
+                  ))}
+                </div>
+              </Section>
+            )}
+
+            <Section
+              title="Distribution"
+              icon="📊"
+              right={
+                <select value={histogramKey} onChange={(e) => setHistogramKey(e.target.value)} style={selectStyle}>
+                  {Object.keys(rollup.histograms).map((key) => <option key={key} value={key}>{SCORE_LABELS[key] || key}</option>)}
+                </select>
+              }
+            >
+              <Histogram buckets={rollup.histograms[histogramKey]} />
+            </Section>
+
+            <Section title="AI Risk · Function × Level" icon="🤖">
+              <Heatmap heatmap={rollup.heatmap} />
+            </Section>
+
+            <Section
+              title="By Segment"
+              icon="🧩"
+              right={
+                <div className="flex gap-1">
+                  {Object.keys(DIMENSION_LABELS).map((d) => (
+                    <button key={d} onClick={() => setDimension(d)} style={{ fontSize: "11px", padding: "4px 10px", borderRadius: "6px", border: "none", cursor: "pointer", fontWeight: 600, backgroundColor: dimension === d ? "#6366f1" : "#0a0a1a", color: dimension === d ? "#fff" : "#8a8fb5" }}>{DIMENSION_LABELS[d]}</button>
+                  ))}
+                </div>
+              }
+            >
+              <table style={{ width: "100%", fontSize: "12px", borderCollapse: "collapse" }}>
+                <thead>
+                  <tr style={{ color: "#4a4f7a", textAlign: "right" }}>
+                    <th style={{ padding: "6px", textAlign: "left" }}>{DIMENSION_LABELS[dimension]}</th>
+                    <th style={{ padding: "6px" }}>People</th>
+                    <th style={{ padding: "6px" }}>Overall</th>
+                    <th style={{ padding: "6px" }}>AI</th>
+                    <th style={{ padding: "6px" }}>70+</th>
+                    <th style={{ padding: "6px" }}>Salary mid</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rollup.segments[dimension].map((s) => (
+                    <tr key={s.key} style={{ borderTop: "1px solid #ffffff08", textAlign: "right" }}>
+                      <td style={{ padding: "8px 6px", textAlign: "left", color: "#c4c8e0" }}>{s.key}</td>
+                      <td style={{ padding: "8px 6px", color: "#8a8fb5" }}>{s.count}</td>
+                      <td style={{ padding: "8px 6px", fontWeight: 700, color: riskColor(s.scores.overall) }}>{s.scores.overall}</td>
+                      <td style={{ padding: "8px 6px", color: s.scores.aiRisk != null ? riskColor(s.scores.aiRisk) : "#4a4f7a" }}>{s.scores.aiRisk ?? "n/a"}</td>
+                      <td style={{ padding: "8px 6px", color: s.highRisk ? "#ef4444" : "#4a4f7a" }}>{s.highRisk}</td>
+                      <td style={{ padding: "8px 6px", color: "#8a8fb5" }}>{money(s.salaryMidpoint)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </Section>
+          </>
+        )}
+
+        <Section title="People" icon="👥">
+          <table style={{ width: "100%", fontSize: "12px", borderCollapse: "collapse" }}>
+            <tbody>
+              {results.filter((r) => r.status === "ok").sort((a, b) => b.scores.overall - a.scores.overall).map((r) => (
+                <tr key={r.row} style={{ borderTop: "1px solid #ffffff08" }}>
+                  <td style={{ padding: "8px 6px", color: "#fff", fontWeight: 600 }}>{r.person.name}</td>
+                  <td style={{ padding: "8px 6px", color: "#8a8fb5" }}>{r.person.currentTitle} · {r.person.currentLevel}</td>
+                  <td style={{ padding: "8px 6px", color: "#8a8fb5" }}>{r.input.manager || "—"}</td>
+                  <td style={{ padding: "8px 6px", textAlign: "right", fontWeight: 700, color: riskColor(r.scores.overall) }}>{r.scores.overall}</td>
+                  <td style={{ padding: "8px 6px", textAlign: "right" }}>
+                    {r.shareId && <a href={`/report/${r.shareId}`} target="_blank" rel="noreferrer" style={{ color: "#6366f1", fontWeight: 600 }}>Open →</a>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {excluded.length > 0 && (
+            <div style={{ marginTop: "16px", padding: "12px", border: "1px dashed #f59e0b55", borderRadius: "10px" }}>
+              <div style={{ fontSize: "12px", fontWeight: 700, color: "#f59e0b", marginBottom: "6px" }}>Not included ({excluded.length})</div>
+              {excluded.map((r) => (
+                <div key={r.row} style={{ fontSize: "11px", color: "#8a8fb5", lineHeight: 1.7 }}>
+                  Row {r.row} · {r.input.name || r.input.linkedin || "(blank)"}{r.input.company ? `, ${r.input.company}` : ""} — {r.note}
+                </div>
+              ))}
+            </div>
+          )}
+        </Section>
+      </div>
+    </div>
+  );
+}
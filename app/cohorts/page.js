@@ -0,0 +1,119 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { readEventStream } from "@/lib/sse";
+
+// ─── Cohorts ──────────────────────────────────────────────────
+
+const PLACEHOLDER = `name,company,linkedin,manager
+Jordan Avery,Northwind Software,,Sam Lee
+,,https://linkedin.com/in/someone,Sam Lee`;
+
+export default function CohortsPage() {
+  const [cohorts, setCohorts] = useState(null);
+  const [name, setName] = useState("");
+  const [csv, setCsv] = useState("");
+  const [withNarrative, setWithNarrative] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch("/api/cohorts")
+      .then((res) => res.json())
+      .then((data) => setCohorts(data.cohorts || []))
+      .catch(() => setCohorts([]));
+  }, []);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (file) setCsv(await file.text());
+  };
+
+  const handleCreate = async () => {
+    setRunning(true);
+    setError(null);
+    setProgress(null);
+    try {
+      const profile = new URLSearchParams(window.location.search).get("profile");
+      const res = await fetch("/api/cohorts", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name, csv, narrative: withNarrative, ...(profile ? { profile } : {}) }),
+      });
+      if (!res.ok || !res.headers.get("content-type")?.includes("text/event-stream")) {
+        const data = await res.json().catch(() => ({}));
+        setError(data.error || `Server error (${res.status})`);
+        setRunning(false);
+        return;
+      }
+
+      let cohortId = null;
+      await readEventStream(res, (event, data) => {
+        if (event === "rows") setProgress({ done: 0, total: data.total });
+        else if (event === "row") setProgress({ done: data.done, total: data.total });
+        else if (event === "done") cohortId = data.id;
+        else if (event === "error") setError(data.error);
+      });
+      if (cohortId) {
+        window.location.href = `/cohorts/${cohortId}`;
+        return;
+      }
+      setError((e) => e || "The cohort run was cut off before it finished. Try again.");
+    } catch (err) {
+      setError(`Network error: ${err.message || "Unknown"}. Check your connection and try again.`);
+    }
+    setRunning(false);
+  };
+
+  const inputStyle = { width: "100%", padding: "12px 16px", borderRadius: "12px", border: "1px solid #ffffff12", backgroundColor: "#0a0a1a", color: "#fff", fontSize: "13px", outline: "none" };
+
+  return (
+    <div style={{ padding: "24px" }}>
+      <div style={{ maxWidth: "800px", margin: "0 auto" }}>
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h1 style={{ fontSize: "28px", fontWeight: 800, letterSpacing: "-0.02em" }}>Team Risk Rollups</h1>
+            <p style={{ fontSize: "13px", color: "#8a8fb5", lineHeight: 1.6 }}>Assess a named group of people and see risk by function, level, location and manager.</p>
+          </div>
+          <a href="/" style={{ fontSize: "11px", color: "#6366f1", background: "#6366f112", border: "1px solid #6366f133", borderRadius: "8px", padding: "5px 12px", fontWeight: 600 }}>Single assessment</a>
+        </div>
+
+        <div style={{ backgroundColor: "#12122a", borderRadius: "16px", padding: "24px", marginBottom: "16px", border: "1px solid #ffffff08" }}>
+          <h3 style={{ fontSize: "13px", fontWeight: 700, color: "#8a8fb5", textTransform: "uppercase", letterSpacing: "0.1em", marginBottom: "16px" }}>New Cohort</h3>
+          <input type="text" placeholder="Cohort name, e.g. EMEA Sales Q3" value={name} onChange={(e) => setName(e.target.value)} disabled={running} style={{ ...inputStyle, marginBottom: "12px" }} />
+          <textarea placeholder={PLACEHOLDER} value={csv} onChange={(e) => setCsv(e.target.value)} disabled={running} rows={6} style={{ ...inputStyle, fontFamily: "monospace", fontSize: "12px" }} />
+          <div className="flex items-center justify-between flex-wrap gap-2" style={{ marginTop: "8px" }}>
+            <label style={{ fontSize: "12px", color: "#6366f1", cursor: "pointer", fontWeight: 600 }}>
+              …or load a CSV file
+              <input type="file" accept=".csv,text/csv" onChange={handleFile} disabled={running} style={{ display: "none" }} />
+            </label>
+            <label className="flex items-center gap-2" style={{ fontSize: "12px", color: "#8a8fb5", cursor: "pointer" }}>
+              <input type="checkbox" checked={withNarrative} onChange={(e) => setWithNarrative(e.target.checked)} disabled={running} />
+              AI narrative per person (about $0.04 each)
+            </label>
+          </div>
+          <button onClick={handleCreate} disabled={running || !name.trim() || !csv.trim()} style={{ width: "100%", marginTop: "16px", padding: "12px", borderRadius: "12px", border: "none", backgroundColor: running || !name.trim() || !csv.trim() ? "#4a4f7a" : "#6366f1", color: "#fff", fontSize: "14px", fontWeight: 700, cursor: running ? "wait" : "pointer" }}>
+            {running ? (progress ? `Assessing ${progress.done} of ${progress.total}...` : "Starting...") : "Assess Cohort →"}
+          </button>
+          {error && <div style={{ marginTop: "12px", fontSize: "12px", color: "#ef4444", textAlign: "center" }}>{error}</div>}
+        </div>
+
+        <div style={{ backgroundColor: "#12122a", borderRadius: "16px", padding: "24px", border: "1px solid #ffffff08" }}>
+          <h3 style={{ fontSize: "13px", fontWeight: 700, color: "#8a8fb5", textTransform: "uppercase", letterSpacing: "0.1em", marginBottom: "12px" }}>Saved Cohorts</h3>
+          {cohorts === null && <div style={{ fontSize: "12px", color: "#4a4f7a" }}>Loading…</div>}
+          {cohorts?.length === 0 && <div style={{ fontSize: "12px", color: "#4a4f7a" }}>None yet.</div>}
+          {cohorts?.map((c) => (
+            <a key={c.id} href={`/cohorts/${c.id}`} className="flex items-center justify-between" style={{ padding: "10px 0", borderTop: "1px solid #ffffff08", fontSize: "13px", color: "#c4c8e0" }}>
+              <span>
+                <strong style={{ color: "#fff" }}>{c.name}</strong>
+                <span style={{ color: "#4a4f7a", marginLeft: "8px", fontSize: "11px" }}>{c.assessed} of {c.size} assessed · {new Date(c.createdAt).toLocaleDateString()}</span>
+              </span>
+              <span style={{ fontWeight: 700 }}>{c.overall ?? "—"}</span>
+            </a>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,9 @@
+import Home from "@/app/page";
+
+export const dynamic = "force-dynamic";
+
+// /company/<id> — a company-only report for a LiveData company id, fetched
+// fresh (through the LiveData cache) by the same dashboard as the search page
+export default function CompanyReportPage({ params }) {
+  return <Home initialCompanyId={decodeURIComponent(params.id)} />;
+}
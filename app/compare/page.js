@@ -0,0 +1,290 @@
+"use client";
+
+import { useEffect, useState } from "react";
+
+// ─── Comparison ───────────────────────────────────────────────
+
+const MAX_PEOPLE = 4;
+const REPORT_ID = /(?:\/report\/)?([a-f0-9]{16})\/?$/i;
+
+function riskColor(score) {
+  if (score >= 70) return "#ef4444";
+  if (score >= 50) return "#f59e0b";
+  if (score >= 30) return "#a5b4fc";
+  return "#22c55e";
+}
+
+// One free-text box per person: a LinkedIn URL, a saved report link or id, or
+// "Name, Company"
+function parsePerson(text) {
+  const value = text.trim();
+  if (/linkedin\.com\/in\//i.test(value)) return { linkedin: value };
+  const report = value.match(REPORT_ID);
+  if (report) return { reportId: report[1].toLowerCase() };
+  const [name, ...company] = value.split(",");
+  return { name: name.trim(), company: company.join(",").trim() || null };
+}
+
+const emptySlot = () => ({ text: "", saved: null });
+
+const formatters = {
+  scores: (v) => v,
+  midpoint: (v) => `$${Math.round(v / 1000)}K`,
+  low: (v) => `$${Math.round(v / 1000)}K`,
+  high: (v) => `$${Math.round(v / 1000)}K`,
+  aiPressure: (v) => `${v}%`,
+  growthPct: (v) => `${v > 0 ? "+" : ""}${v}%`,
+  totalHeadcount: (v) => v.toLocaleString(),
+};
+
+function CompareRow({ row, format, columns, color }) {
+  return (
+    <div style={{ display: "grid", gridTemplateColumns: `180px repeat(${columns}, 1fr)`, gap: "8px", padding: "8px 4px", borderBottom: "1px solid #ffffff06", borderLeft: row.differs ? "2px solid #f59e0b" : "2px solid transparent" }}>
+      <span style={{ fontSize: "12px", color: row.differs ? "#fff" : "#8a8fb5", fontWeight: row.differs ? 600 : 500, paddingLeft: "6px" }}>{row.label}</span>
+      {row.values.map((v, i) => {
+        const highlight = row.differs && (i === row.best ? "#22c55e" : i === row.worst ? "#ef4444" : null);
+        return (
+          <span key={i} style={{ fontSize: "13px", textAlign: "center", fontWeight: 700, color: v == null ? "#4a4f7a" : color ? color(v) : "#fff", backgroundColor: highlight ? `${highlight}14` : "transparent", border: highlight ? `1px solid ${highlight}44` : "1px solid transparent", borderRadius: "6px", padding: "2px 0" }}>
+            {v == null ? "—" : format(v)}
+          </span>
+        );
+      })}
+    </div>
+  );
+}
+
+function Block({ title, children }) {
+  return (
+    <div style={{ backgroundColor: "#12122a", borderRadius: "16px", padding: "20px", marginBottom: "16px", border: "1px solid #ffffff08", overflowX: "auto" }}>
+      <h3 style={{ fontSize: "13px", fontWeight: 700, color: "#8a8fb5", textTransform: "uppercase", letterSpacing: "0.1em", marginBottom: "12px" }}>{title}</h3>
+      {children}
+    </div>
+  );
+}
+
+export default function ComparePage() {
+  const [slots, setSlots] = useState([emptySlot(), emptySlot()]);
+  const [withSummary, setWithSummary] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [differencesOnly, setDifferencesOnly] = useState(false);
+  const [error, setError] = useState(null);
+
+  // /compare?reports=<id>,<id> starts from saved reports (the report page's Compare button)
+  useEffect(() => {
+    const ids = (new URLSearchParams(window.location.search).get("reports") || "").split(",").filter(Boolean).slice(0, MAX_PEOPLE);
+    if (ids.length) {
+      const prefilled = ids.map((id) => ({ text: "", saved: { reportId: id, label: "Saved report" } }));
+      setSlots(prefilled.length < 2 ? [...prefilled, emptySlot()] : prefilled);
+    }
+  }, []);
+
+  const updateSlot = (i, slot) => setSlots((all) => all.map((s, j) => (j === i ? slot : s)));
+  const ready = slots.every((s) => s.saved || s.text.trim());
+
+  const handleCompare = async () => {
+    setRunning(true);
+    setError(null);
+    try {
+      const profile = new URLSearchParams(window.location.search).get("profile");
+      const res = await fetch("/api/compare", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          people: slots.map((s) => (s.saved ? { reportId: s.saved.reportId } : parsePerson(s.text))),
+          summary: withSummary,
+          ...(profile ? { profile } : {}),
+        }),
+      });
+      const data = await res.json().catch(() => ({ error: `Server error (${res.status})` }));
+      if (!res.ok) {
+        setError(data.error || "Something went wrong");
+      } else {
+        setResult(data);
+        // Scored people become saved reports, so fixing one column doesn't re-run the others
+        const columns = data.comparison?.columns || [];
+        setSlots((all) => all.map((s, i) => {
+          const column = columns.find((c) => c.entry === i);
+          return column?.reportId ? { text: s.text, saved: { reportId: column.reportId, label: `${column.name} · ${column.company || ""}` } } : s;
+        }));
+      }
+    } catch (err) {
+      setError(`Network error: ${err.message || "Unknown"}. Check your connection and try again.`);
+    }
+    setRunning(false);
+  };
+
+  const comparison = result?.comparison;
+  const columnCount = comparison?.columns.length || 0;
+  const shown = (rows) => (differencesOnly ? rows.filter((r) => r.differs) : rows);
+  const problems = (result?.entries || []).filter((e) => e.status !== "ok");
+  const inputStyle = { flex: 1, padding: "12px 16px", borderRadius: "12px", border: "1px solid #ffffff12", backgroundColor: "#0a0a1a", color: "#fff", fontSize: "13px", outline: "none" };
+
+  return (
+    <div style={{ padding: "24px" }}>
+      <div style={{ maxWidth: "1000px", margin: "0 auto" }}>
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h1 style={{ fontSize: "28px", fontWeight: 800, letterSpacing: "-0.02em" }}>Compare Side by Side</h1>
+            <p style={{ fontSize: "13px", color: "#8a8fb5", lineHeight: 1.6 }}>Two to four people, each as a LinkedIn URL, a saved report link, or &ldquo;Name, Company&rdquo;.</p>
+          </div>
+          <a href="/" style={{ fontSize: "11px", color: "#6366f1", background: "#6366f112", border: "1px solid #6366f133", borderRadius: "8px", padding: "5px 12px", fontWeight: 600 }}>Single assessment</a>
+        </div>
+
+        <div style={{ backgroundColor: "#12122a", borderRadius: "16px", padding: "24px", marginBottom: "16px", border: "1px solid #ffffff08" }}>
+          {slots.map((slot, i) => (
+            <div key={i} className="flex items-center gap-2" style={{ marginBottom: "10px" }}>
+              <span style={{ width: "20px", fontSize: "12px", color: "#4a4f7a", fontWeight: 700 }}>{i + 1}</span>
+              {slot.saved ? (
+                <div style={{ ...inputStyle, color: "#a5b4fc" }}>
+                  {slot.saved.label} <span style={{ color: "#4a4f7a", fontSize: "11px" }}>({slot.saved.reportId})</span>
+                </div>
+              ) : (
+                <input type="text" placeholder="https://linkedin.com/in/username  or  Jordan Avery, Northwind" value={slot.text} onChange={(e) => updateSlot(i, { ...slot, text: e.target.value })} disabled={running} style={inputStyle} />
+              )}
+              {slot.saved && (
+                <button onClick={() => updateSlot(i, { ...slot, saved: null })} disabled={running} title="Edit this person" style={{ fontSize: "11px", color: "#8a8fb5", background: "none", border: "1px solid #ffffff12", borderRadius: "8px", padding: "6px 10px", cursor: "pointer" }}>Edit</button>
+              )}
+              {slots.length > 2 && (
+                <button onClick={() => { setSlots((all) => all.filter((_, j) => j !== i)); setResult(null); }} disabled={running} title="Remove" style={{ fontSize: "13px", color: "#4a4f7a", background: "none", border: "none", cursor: "pointer" }}>✕</button>
+              )}
+            </div>
+          ))}
+          <div className="flex items-center justify-between flex-wrap gap-2" style={{ marginTop: "8px" }}>
+            {slots.length < MAX_PEOPLE ? (
+              <button onClick={() => setSlots((all) => [...all, emptySlot()])} disabled={running} style={{ fontSize: "12px", color: "#6366f1", background: "none", border: "none", cursor: "pointer", fontWeight: 600 }}>+ Add person</button>
+            ) : <span />}
+            <label className="flex items-center gap-2" style={{ fontSize: "12px", color: "#8a8fb5", cursor: "pointer" }}>
+              <input type="checkbox" checked={withSummary} onChange={(e) => setWithSummary(e.target.checked)} disabled={running} />
+              AI comparative summary
+            </label>
+          </div>
+          <button onClick={handleCompare} disabled={running || !ready} style={{ width: "100%", marginTop: "16px", padding: "12px", borderRadius: "12px", border: "none", backgroundColor: running || !ready ? "#4a4f7a" : "#6366f1", color: "#fff", fontSize: "14px", fontWeight: 700, cursor: running ? "wait" : "pointer" }}>
+            {running ? "Assessing everyone..." : "Compare →"}
+          </button>
+        </div>
+
+        {problems.length > 0 && (
+          <div style={{ padding: "16px", border: "1px solid #f59e0b44", borderRadius: "12px", backgroundColor: "#f59e0b0d", marginBottom: "16px" }}>
+            {problems.map((p) => (
+              <div key={p.index} style={{ fontSize: "12px", color: "#c4c8e0", marginBottom: "6px" }}>
+                <strong style={{ color: "#f59e0b" }}>Person {p.index + 1}:</strong> {p.note}
+                {p.candidates?.filter((c) => c.linkedin).map((c) => (
+                  <button key={c.index} onClick={() => updateSlot(p.index, { text: `https://linkedin.com/in/${c.linkedin}`, saved: null })} style={{ display: "block", marginTop: "4px", fontSize: "11px", color: "#a5b4fc", background: "none", border: "none", cursor: "pointer", textAlign: "left" }}>
+                    → {c.name} — {c.currentTitle} · {c.currentCompany}
+                  </button>
+                ))}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {result && !comparison && (
+          <div style={{ fontSize: "13px", color: "#8a8fb5", textAlign: "center", marginBottom: "16px" }}>Fewer than two people could be scored — fix the entries above and compare again.</div>
+        )}
+
+        {comparison && (
+          <>
+            {result.summary && (
+              <div style={{ fontSize: "13px", color: "#c4c8e0", lineHeight: 1.9, padding: "20px", marginBottom: "16px", background: "linear-gradient(135deg, #12122a 0%, #1a1a3e 100%)", borderRadius: "14px", border: "1px solid #6366f122" }}>
+                <div style={{ fontSize: "11px", fontWeight: 700, color: "#a5b4fc", textTransform: "uppercase", letterSpacing: "0.08em", marginBottom: "8px" }}>Summary</div>
+                {result.summary}
+              </div>
+            )}
+
+            {comparison.profilesDiffer && (
+              <div style={{ fontSize: "12px", color: "#f59e0b", marginBottom: "12px" }}>These reports were scored with different scoring profiles, so score gaps are not like for like.</div>
+            )}
+
+            <div className="flex items-center justify-end" style={{ marginBottom: "8px" }}>
+              <label className="flex items-center gap-2" style={{ fontSize: "12px", color: "#8a8fb5", cursor: "pointer" }}>
+                <input type="checkbox" checked={differencesOnly} onChange={(e) => setDifferencesOnly(e.target.checked)} />
+                Only rows that differ
+              </label>
+            </div>
+
+            {/* Column headers */}
+            <div style={{ display: "grid", gridTemplateColumns: `180px repeat(${columnCount}, 1fr)`, gap: "8px", marginBottom: "12px", padding: "0 4px" }}>
+              <span />
+              {comparison.columns.map((c) => (
+                <div key={c.entry} style={{ textAlign: "center" }}>
+                  <div style={{ fontSize: "14px", fontWeight: 800, color: "#fff" }}>{c.name}</div>
+                  <div style={{ fontSize: "11px", color: "#a5b4fc" }}>{c.title}</div>
+                  <div style={{ fontSize: "11px", color: "#8a8fb5" }}>{c.company}{c.location ? ` · ${c.location.split(",")[0]}` : ""}</div>
+                  {c.reportId && <a href={`/report/${c.reportId}`} target="_blank" rel="noreferrer" style={{ fontSize: "11px", color: "#6366f1", fontWeight: 600 }}>Open report →</a>}
+                </div>
+              ))}
+            </div>
+
+            <Block title="Risk Scores">
+              {shown(comparison.scores).map((row) => (
+                <CompareRow key={row.key} row={row} format={formatters.scores} columns={columnCount} color={riskColor} />
+              ))}
+            </Block>
+
+            <Block title="Salary Estimate">
+              {shown(comparison.salary).map((row) => (
+                <CompareRow key={row.key} row={row} format={formatters[row.key]} columns={columnCount} />
+              ))}
+            </Block>
+
+            <Block title="Company">
+              {shown(comparison.company).map((row) => (
+                <CompareRow key={row.key} row={row} format={formatters[row.key]} columns={columnCount} />
+              ))}
+            </Block>
+
+            {!differencesOnly && (
+              <>
+                <Block title="Progression Ladder">
+                  <div style={{ display: "grid", gridTemplateColumns: `180px repeat(${columnCount}, 1fr)`, gap: "8px" }}>
+                    <span style={{ fontSize: "11px", color: "#4a4f7a", paddingLeft: "8px" }}>Midpoint by level, in each person&apos;s function</span>
+                    {comparison.ladders.map((ladder, i) => (
+                      <div key={i}>
+                        {ladder.map((rung) => (
+                          <div key={rung.level} className="flex justify-between" style={{ fontSize: "11px", padding: "4px 8px", borderRadius: "6px", color: rung.current ? "#a5b4fc" : "#8a8fb5", fontWeight: rung.current ? 700 : 500, backgroundColor: rung.current ? "#6366f115" : "transparent" }}>
+                            <span>{rung.level}{rung.current ? " ←" : ""}</span>
+                            <span>${Math.round(rung.midpoint / 1000)}K</span>
+                          </div>
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+                </Block>
+
+                <Block title="Top Future-Proofing Paths">
+                  <div style={{ display: "grid", gridTemplateColumns: `180px repeat(${columnCount}, 1fr)`, gap: "8px" }}>
+                    <span />
+                    {comparison.paths.map((paths, i) => (
+                      <div key={i}>
+                        {paths.length === 0 && <div style={{ fontSize: "11px", color: "#4a4f7a" }}>No paths in this report</div>}
+                        {paths.map((p, j) => (
+                          <div key={j} style={{ padding: "8px", marginBottom: "6px", borderRadius: "8px", backgroundColor: "#0a0a1a" }}>
+                            <div style={{ fontSize: "12px", fontWeight: 700, color: "#fff" }}>{p.title}</div>
+                            <div style={{ fontSize: "10px", color: "#8a8fb5" }}>
+                              {[p.fitScore != null && `Fit ${p.fitScore}`, p.aiSafeScore != null && `AI-safe ${p.aiSafeScore}`, p.timeToTransition].filter(Boolean).join(" · ")}
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+                </Block>
+              </>
+            )}
+
+            <div style={{ fontSize: "10px", color: "#4a4f7a", textAlign: "center" }}>
+              Highlighted rows differ by at least 10 points (scores and growth) or 10% (salary). Green marks the better position in a row, red the worse.
+            </div>
+          </>
+        )}
+
+        {error && (
+          <div style={{ marginTop: "16px", backgroundColor: "#ef444422", border: "1px solid #ef444444", color: "#ef4444", padding: "12px 24px", borderRadius: "12px", fontSize: "13px", fontWeight: 600, textAlign: "center" }}>
+            {error}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,9 @@
 "use client";
 
-import { useState } from "react";
+import { useEffect, useState } from "react";
+import { readEventStream } from "@/lib/sse";
+import { KNOWN_FUNCTIONS, KNOWN_LEVELS } from "@/lib/salary";
+import { matchAiRoleProfile } from "@/lib/ai-roles";
 
 // ─── Shared Components ────────────────────────────────────────
 
@@ -18,20 +21,80 @@ function RiskGauge({ score, label, color }) {
   );
 }
 
-function RiskBar({ label, value, color, delay = 0, tip }) {
+function RiskBar({ label, value, color, delay = 0, tip, explain }) {
   const [anim, setAnim] = useState(false);
   if (!anim) setTimeout(() => setAnim(true), delay);
+  if (value == null) {
+    return (
+      <div className="mb-3">
+        <div className="flex justify-between items-center mb-1">
+          <span style={{ fontSize: "12px", color: "#4a4f7a", fontWeight: 500, display: "flex", alignItems: "center" }}>
+            {label}{tip && <InfoTip text={tip} />}
+          </span>
+          <span style={{ fontSize: "11px", color: "#4a4f7a", fontWeight: 600 }}>Data unavailable</span>
+        </div>
+        <div style={{ height: "6px", backgroundColor: "#1a1a2e", borderRadius: "3px", backgroundImage: "repeating-linear-gradient(45deg, transparent 0 4px, #ffffff08 4px 8px)" }} />
+        {explain && <ScoreExplanation explain={explain} />}
+      </div>
+    );
+  }
+  // Scores resting on thin data stay visible but recede next to well-supported ones
+  const lowConfidence = explain?.confidence === "low";
   return (
-    <div className="mb-3">
+    <div className="mb-3" style={{ opacity: lowConfidence ? 0.55 : 1 }}>
       <div className="flex justify-between items-center mb-1">
         <span style={{ fontSize: "12px", color: "#8a8fb5", fontWeight: 500, display: "flex", alignItems: "center" }}>
           {label}{tip && <InfoTip text={tip} />}
         </span>
-        <span style={{ fontSize: "12px", color, fontWeight: 700 }}>{value}%</span>
+        <span style={{ fontSize: "12px", color, fontWeight: 700, display: "flex", alignItems: "center", gap: "6px" }}>
+          {lowConfidence && <span style={{ fontSize: "9px", fontWeight: 600, color: "#6b7094", border: "1px dashed #4a4f7a", borderRadius: "6px", padding: "1px 6px", textTransform: "uppercase", letterSpacing: "0.05em" }}>Low confidence</span>}
+          {value}%
+        </span>
       </div>
       <div style={{ height: "6px", backgroundColor: "#1a1a2e", borderRadius: "3px", overflow: "hidden" }}>
         <div style={{ width: anim ? `${value}%` : "0%", height: "100%", backgroundColor: color, borderRadius: "3px", transition: "width 1s ease-out" }} />
       </div>
+      {explain && <ScoreExplanation explain={explain} />}
+    </div>
+  );
+}
+
+// "How this was calculated" — the rule, inputs and weight behind one score (scoreBreakdown from /api/assess)
+function ScoreExplanation({ explain }) {
+  const [open, setOpen] = useState(false);
+  const inputs = Object.entries(explain.inputs || {}).filter(([, v]) => v != null && v !== "");
+  const humanize = (key) => key.replace(/([A-Z])/g, " $1").replace(/^./, (c) => c.toUpperCase());
+  return (
+    <div style={{ marginTop: "4px" }}>
+      <button onClick={() => setOpen(!open)} style={{ background: "none", border: "none", padding: 0, fontSize: "10px", color: "#4a4f7a", cursor: "pointer", fontWeight: 600 }}>
+        {open ? "▾" : "▸"} How this was calculated
+      </button>
+      {open && (
+        <div style={{ marginTop: "6px", padding: "10px 12px", backgroundColor: "#12122a", border: "1px solid #ffffff0a", borderRadius: "8px", fontSize: "11px", color: "#8a8fb5", lineHeight: 1.7 }}>
+          <div style={{ color: "#c4c8e0" }}>{explain.rule}</div>
+          {explain.confidence && explain.confidence !== "none" && (
+            <div style={{ color: explain.confidence === "low" ? "#f59e0b" : "#6b7094" }}>
+              Confidence: {explain.confidence} · based on {explain.sample?.size ?? 0} {explain.sample?.unit}
+              {explain.missing && explain.confidence !== "high" ? ` — ${explain.missing}` : ""}
+            </div>
+          )}
+          {explain.adjustments?.map((a, i) => (
+            <div key={i}>{a.delta > 0 ? "+" : ""}{a.delta} · {a.label}</div>
+          ))}
+          {inputs.length > 0 && (
+            <div style={{ marginTop: "6px", color: "#6b7094" }}>
+              {inputs.map(([k, v]) => `${humanize(k)}: ${v}`).join(" · ")}
+            </div>
+          )}
+          {explain.weight != null && (
+            <div style={{ marginTop: "6px", paddingTop: "6px", borderTop: "1px solid #ffffff0a" }}>
+              {explain.contribution != null
+                ? `Weight ${Math.round(explain.effectiveWeight * 100)}% of overall · contributes ${explain.contribution} points`
+                : `Weight ${Math.round(explain.weight * 100)}% · left out of overall while unavailable`}
+            </div>
+          )}
+        </div>
+      )}
     </div>
   );
 }
@@ -71,6 +134,20 @@ function FitScore({ score, label }) {
   );
 }
 
+const SCORE_LABELS = {
+  aiRisk: "AI Automation Exposure",
+  companyInstability: "Company Instability",
+  promotionCeiling: "Promotion Ceiling",
+  tenureVolatility: "Tenure Volatility",
+  functionChurn: "Function Churn",
+  salaryCompression: "Salary Compression",
+  marketDemand: "Market Demand",
+};
+
+function dataQualityColor(grade) {
+  return { A: "#22c55e", B: "#a5b4fc", C: "#f59e0b" }[grade] || "#ef4444";
+}
+
 function riskColor(score) {
   if (score >= 70) return "#ef4444";
   if (score >= 50) return "#f59e0b";
@@ -140,16 +217,18 @@ function toneProfile(score) {
 
 // ─── Search Page ──────────────────────────────────────────────
 
-function SearchForm({ onSubmit, loading }) {
+function SearchForm({ onSubmit, onCompanySubmit, loading, stage }) {
   const [name, setName] = useState("");
   const [company, setCompany] = useState("");
-  const [mode, setMode] = useState("name"); // "name" or "linkedin"
+  const [mode, setMode] = useState("name"); // "name", "linkedin" or "company"
   const [linkedin, setLinkedin] = useState("");
 
   const handleSubmit = (e) => {
     e.preventDefault();
     if (mode === "linkedin") {
       onSubmit({ linkedin });
+    } else if (mode === "company") {
+      onCompanySubmit({ name: company });
     } else {
       onSubmit({ name, company });
     }
@@ -181,6 +260,7 @@ function SearchForm({ onSubmit, loading }) {
         <div className="flex justify-center gap-2 mb-6">
           <button onClick={() => setMode("name")} style={{ padding: "6px 16px", borderRadius: "8px", fontSize: "12px", fontWeight: 600, border: "none", cursor: "pointer", backgroundColor: mode === "name" ? "#6366f1" : "#12122a", color: mode === "name" ? "#fff" : "#8a8fb5" }}>Name + Company</button>
           <button onClick={() => setMode("linkedin")} style={{ padding: "6px 16px", borderRadius: "8px", fontSize: "12px", fontWeight: 600, border: "none", cursor: "pointer", backgroundColor: mode === "linkedin" ? "#6366f1" : "#12122a", color: mode === "linkedin" ? "#fff" : "#8a8fb5" }}>LinkedIn URL</button>
+          <button onClick={() => setMode("company")} style={{ padding: "6px 16px", borderRadius: "8px", fontSize: "12px", fontWeight: 600, border: "none", cursor: "pointer", backgroundColor: mode === "company" ? "#6366f1" : "#12122a", color: mode === "company" ? "#fff" : "#8a8fb5" }}>Company Only</button>
         </div>
 
         <div onSubmit={handleSubmit}>
@@ -189,11 +269,13 @@ function SearchForm({ onSubmit, loading }) {
               <input type="text" placeholder="Full name" value={name} onChange={(e) => setName(e.target.value)} style={{ width: "100%", padding: "14px 18px", borderRadius: "12px", border: "1px solid #ffffff12", backgroundColor: "#12122a", color: "#fff", fontSize: "15px", outline: "none" }} />
               <input type="text" placeholder="Current or previous company (optional but recommended)" value={company} onChange={(e) => setCompany(e.target.value)} style={{ width: "100%", padding: "14px 18px", borderRadius: "12px", border: "1px solid #ffffff12", backgroundColor: "#12122a", color: "#fff", fontSize: "15px", outline: "none" }} />
             </div>
+          ) : mode === "company" ? (
+            <input type="text" placeholder="Company name" value={company} onChange={(e) => setCompany(e.target.value)} style={{ width: "100%", padding: "14px 18px", borderRadius: "12px", border: "1px solid #ffffff12", backgroundColor: "#12122a", color: "#fff", fontSize: "15px", outline: "none" }} />
           ) : (
             <input type="text" placeholder="https://linkedin.com/in/username" value={linkedin} onChange={(e) => setLinkedin(e.target.value)} style={{ width: "100%", padding: "14px 18px", borderRadius: "12px", border: "1px solid #ffffff12", backgroundColor: "#12122a", color: "#fff", fontSize: "15px", outline: "none" }} />
           )}
 
-          <button onClick={handleSubmit} disabled={loading || (mode === "name" ? !name : !linkedin)} style={{ width: "100%", marginTop: "16px", padding: "14px", borderRadius: "12px", border: "none", backgroundColor: loading ? "#4a4f7a" : "#6366f1", color: "#fff", fontSize: "15px", fontWeight: 700, cursor: loading ? "wait" : "pointer", transition: "all 0.2s" }}>
+          <button onClick={handleSubmit} disabled={loading || (mode === "name" ? !name : mode === "company" ? !company : !linkedin)} style={{ width: "100%", marginTop: "16px", padding: "14px", borderRadius: "12px", border: "none", backgroundColor: loading ? "#4a4f7a" : "#6366f1", color: "#fff", fontSize: "15px", fontWeight: 700, cursor: loading ? "wait" : "pointer", transition: "all 0.2s" }}>
             {loading ? "Analyzing..." : "Generate Assessment →"}
           </button>
         </div>
@@ -204,8 +286,8 @@ function SearchForm({ onSubmit, loading }) {
               <div style={{ width: "20px", height: "20px", borderRadius: "50%", border: "2px solid #6366f1", borderTopColor: "transparent", animation: "spin 1s linear infinite" }} />
             </div>
             <style>{`@keyframes spin { to { transform: rotate(360deg); } }`}</style>
-            <p style={{ fontSize: "13px", color: "#8a8fb5" }}>Looking up person · Analyzing company · Scoring risk · Generating insights...</p>
-            <p style={{ fontSize: "11px", color: "#4a4f7a", marginTop: "4px" }}>This usually takes 30–60 seconds</p>
+            <p style={{ fontSize: "13px", color: "#8a8fb5" }}>{stage || (mode === "company" ? "Looking up company..." : "Looking up person...")}</p>
+            <p style={{ fontSize: "11px", color: "#4a4f7a", marginTop: "4px" }}>Scores appear as soon as they're ready; the written analysis follows</p>
           </div>
         )}
 
@@ -215,12 +297,58 @@ function SearchForm({ onSubmit, loading }) {
             <span style={{ fontSize: "12px", fontWeight: 700, color: "#8a8fb5" }}>workforce<span style={{ color: "#6366f1" }}>.ai</span></span>
           </div>
           <div>AI-powered workforce intelligence · 100M+ career profiles</div>
+          <a href="/batch" style={{ display: "inline-block", marginTop: "8px", color: "#6366f1", fontWeight: 600 }}>Assessing a whole team? Upload a CSV →</a>
+          <div><a href="/cohorts" style={{ color: "#6366f1", fontWeight: 600 }}>Team risk rollups →</a></div>
+          <div><a href="/compare" style={{ color: "#6366f1", fontWeight: 600 }}>Compare people side by side →</a></div>
         </div>
       </div>
     </div>
   );
 }
 
+// ─── Candidate Picker ─────────────────────────────────────────
+
+function CandidatePicker({ candidates, query, onPick, onBack, loading, stage }) {
+  return (
+    <div style={{ minHeight: "100vh", display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", padding: "24px" }}>
+      <div style={{ maxWidth: "520px", width: "100%" }}>
+        <h2 style={{ fontSize: "24px", fontWeight: 800, letterSpacing: "-0.02em", marginBottom: "8px", textAlign: "center" }}>Which {query?.name || "person"}?</h2>
+        <p style={{ fontSize: "13px", color: "#8a8fb5", lineHeight: 1.6, marginBottom: "24px", textAlign: "center" }}>
+          We found {candidates.length} possible matches{query?.company ? ` for "${query.company}"` : ""}. Pick the right profile before we score it.
+        </p>
+
+        {candidates.map((c) => {
+          const color = c.confidence >= 80 ? "#22c55e" : c.confidence >= 60 ? "#a5b4fc" : "#f59e0b";
+          return (
+            <button key={c.index} onClick={() => onPick(c)} disabled={loading} style={{ width: "100%", textAlign: "left", display: "flex", alignItems: "center", gap: "12px", padding: "14px 16px", marginBottom: "8px", borderRadius: "12px", border: "1px solid #ffffff12", backgroundColor: "#12122a", color: "#fff", cursor: loading ? "wait" : "pointer" }}>
+              <div style={{ width: "32px", height: "32px", borderRadius: "50%", background: "linear-gradient(135deg, #6366f1, #a5b4fc)", display: "flex", alignItems: "center", justifyContent: "center", fontSize: "12px", fontWeight: 800, color: "#fff", flexShrink: 0 }}>
+                {(c.name || "?")[0]}
+              </div>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontSize: "14px", fontWeight: 700 }}>{c.name}</div>
+                <div style={{ fontSize: "12px", color: "#a5b4fc" }}>{c.currentTitle} · {c.currentCompany}</div>
+                <div style={{ fontSize: "10px", color: "#4a4f7a", marginTop: "2px" }}>
+                  {c.location || "Location unknown"}{c.linkedin ? ` · linkedin.com/in/${c.linkedin}` : ""}
+                </div>
+              </div>
+              <FitScore score={c.confidence} label="Match" />
+              <span style={{ fontSize: "10px", color, fontWeight: 700 }}>→</span>
+            </button>
+          );
+        })}
+
+        <button onClick={onBack} disabled={loading} style={{ width: "100%", marginTop: "8px", padding: "12px", borderRadius: "12px", border: "1px solid #6366f133", backgroundColor: "transparent", color: "#6366f1", fontSize: "13px", fontWeight: 600, cursor: "pointer" }}>
+          ← None of these — search again
+        </button>
+
+        {loading && (
+          <p style={{ fontSize: "13px", color: "#8a8fb5", marginTop: "16px", textAlign: "center" }}>{stage || "Looking up person..."}</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
 // ─── Ask workforce.ai Widget ─────────────────────────────────
 
 function getSuggestedQuestions(tab, person, scores, hiringSignals) {
@@ -270,7 +398,52 @@ function getSuggestedQuestions(tab, person, scores, hiringSignals) {
   return (questions[tab] || []).slice(0, 4);
 }
 
-function AskBar({ tab, person, scores, company, salary, hiringSignals }) {
+// LiveData lookups behind an answer; click a chip for its filters and counts
+function CitationChips({ calls }) {
+  const [open, setOpen] = useState(null);
+  const active = calls.find((c) => c.id === open);
+  const formatInput = (input) =>
+    Object.entries(input || {}).map(([k, v]) => `${k.replace(/_/g, " ")}: ${v}`).join(" · ");
+
+  return (
+    <div style={{ marginTop: "8px" }}>
+      <div className="flex flex-wrap gap-1">
+        {calls.map((call) => (
+          <button
+            key={call.id}
+            onClick={() => setOpen(open === call.id ? null : call.id)}
+            style={{
+              padding: "3px 8px",
+              borderRadius: "6px",
+              fontSize: "10px",
+              fontWeight: 600,
+              color: call.error ? "#f59e0b" : "#a5b4fc",
+              backgroundColor: open === call.id ? "#6366f122" : "#6366f10a",
+              border: `1px solid ${open === call.id ? "#6366f166" : "#6366f122"}`,
+              cursor: "pointer",
+            }}
+          >
+            📊 {call.label} {open === call.id ? "▴" : "▾"}
+          </button>
+        ))}
+      </div>
+      {active && (
+        <div style={{ marginTop: "6px", padding: "8px 10px", borderRadius: "8px", backgroundColor: "#0a0a1a", border: "1px solid #ffffff0d" }}>
+          <div style={{ fontSize: "11px", color: "#fff", fontWeight: 600, marginBottom: "2px" }}>{active.headline}</div>
+          <div style={{ fontSize: "10px", color: "#4a4f7a", marginBottom: active.rows.length ? "6px" : 0 }}>LiveData {active.name} · {formatInput(active.input)}</div>
+          {active.rows.map((row, i) => (
+            <div key={i} className="flex justify-between" style={{ fontSize: "11px", color: "#c4c8e0", padding: "2px 0", borderTop: i ? "1px solid #ffffff08" : "none" }}>
+              <span>{row.label}</span>
+              <span style={{ color: "#8a8fb5" }}>{row.value}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function AskBar({ tab, person, scores, scoreBreakdown, company, salary, hiringSignals, scoringProfile }) {
   const [question, setQuestion] = useState("");
   const [messages, setMessages] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -278,12 +451,19 @@ function AskBar({ tab, person, scores, company, salary, hiringSignals }) {
 
   const suggested = getSuggestedQuestions(tab, person, scores, hiringSignals);
 
+  // The reply is always the last message while a question is in flight
+  const updateReply = (patch) =>
+    setMessages((prev) => prev.map((m, i) => (i === prev.length - 1 ? { ...m, ...patch(m) } : m)));
+
   const handleAsk = async (q) => {
     const text = q || question;
     if (!text.trim() || loading) return;
 
+    // Failed replies aren't part of the conversation the assistant should remember
+    const history = messages.filter((m) => !m.error && m.text).map(({ role, text }) => ({ role, text }));
+
     setExpanded(true);
-    setMessages((prev) => [...prev, { role: "user", text }]);
+    setMessages((prev) => [...prev, { role: "user", text }, { role: "assistant", text: "", statuses: [], toolCalls: [], streaming: true }]);
     setQuestion("");
     setLoading(true);
 
@@ -293,25 +473,45 @@ function AskBar({ tab, person, scores, company, salary, hiringSignals }) {
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
           question: text,
+          history,
           person,
           scores,
+          scoreBreakdown,
           company,
           salary,
           hiringSignals,
           tab,
+          ...(scoringProfile?.id ? { profile: scoringProfile.id } : {}),
         }),
       });
-      let data;
-      try {
-        const responseText = await res.text();
-        data = JSON.parse(responseText);
-      } catch {
-        data = { answer: "The AI assistant timed out. Try a shorter question." };
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        updateReply(() => ({ text: data.error || "Something went wrong. Please try again.", error: true }));
+      } else {
+        let finished = false;
+        await readEventStream(res, (event, data) => {
+          if (event === "status") {
+            updateReply((m) => ({ statuses: [...m.statuses, data.text] }));
+          } else if (event === "tool") {
+            updateReply((m) => ({ toolCalls: [...m.toolCalls, data] }));
+          } else if (event === "token") {
+            updateReply((m) => ({ text: m.text + data.text }));
+          } else if (event === "done") {
+            finished = true;
+            updateReply(() => ({ text: data.answer, toolCalls: data.toolCalls || [] }));
+          } else if (event === "error") {
+            finished = true;
+            updateReply(() => ({ text: data.error || "Something went wrong. Please try again.", error: true }));
+          }
+        });
+        if (!finished) {
+          updateReply((m) => (m.text ? {} : { text: "The AI assistant timed out. Try a shorter question.", error: true }));
+        }
       }
-      setMessages((prev) => [...prev, { role: "assistant", text: data.answer || data.error || "No response." }]);
     } catch {
-      setMessages((prev) => [...prev, { role: "assistant", text: "Something went wrong. Please try again." }]);
+      updateReply(() => ({ text: "Something went wrong. Please try again.", error: true }));
     }
+    updateReply(() => ({ streaming: false }));
     setLoading(false);
   };
 
@@ -383,21 +583,26 @@ function AskBar({ tab, person, scores, company, salary, hiringSignals }) {
                         <div style={{ minWidth: "28px", marginTop: "1px" }}>
                           <div style={{ width: "16px", height: "16px", borderRadius: "5px", background: "linear-gradient(135deg, #6366f1, #a5b4fc)", display: "flex", alignItems: "center", justifyContent: "center", fontSize: "8px", fontWeight: 800, color: "#fff" }}>W</div>
                         </div>
-                        <div style={{ fontSize: "12px", color: "#c4c8e0", lineHeight: 1.75, whiteSpace: "pre-line" }}>{msg.text}</div>
+                        <div style={{ flex: 1, minWidth: 0 }}>
+                          {/* Tool lookups, the latest one pulsing while the reply streams */}
+                          {(msg.statuses || []).map((status, j) => (
+                            <div key={j} style={{ fontSize: "11px", color: "#6366f1", marginBottom: "4px" }}>
+                              <span className={msg.streaming && j === msg.statuses.length - 1 ? "animate-pulse" : ""}>🔎 {status}</span>
+                            </div>
+                          ))}
+                          {msg.text ? (
+                            <div style={{ fontSize: "12px", color: "#c4c8e0", lineHeight: 1.75, whiteSpace: "pre-line" }}>{msg.text}</div>
+                          ) : msg.streaming && !(msg.statuses || []).length && (
+                            <div style={{ fontSize: "12px", color: "#6366f1" }}>
+                              <span className="animate-pulse">Thinking...</span>
+                            </div>
+                          )}
+                          {msg.toolCalls?.length > 0 && <CitationChips calls={msg.toolCalls} />}
+                        </div>
                       </div>
                     )}
                   </div>
                 ))}
-                {loading && (
-                  <div className="flex items-center gap-2" style={{ marginTop: "8px" }}>
-                    <div style={{ minWidth: "28px" }}>
-                      <div style={{ width: "16px", height: "16px", borderRadius: "5px", background: "linear-gradient(135deg, #6366f1, #a5b4fc)", display: "flex", alignItems: "center", justifyContent: "center", fontSize: "8px", fontWeight: 800, color: "#fff" }}>W</div>
-                    </div>
-                    <div style={{ fontSize: "12px", color: "#6366f1" }}>
-                      <span className="animate-pulse">Thinking...</span>
-                    </div>
-                  </div>
-                )}
               </div>
             )}
 
@@ -470,11 +675,610 @@ function AskBar({ tab, person, scores, company, salary, hiringSignals }) {
   );
 }
 
+// ─── Share Link ───────────────────────────────────────────────
+
+function ShareMenu({ reportId }) {
+  const [open, setOpen] = useState(false);
+  const [expiresInDays, setExpiresInDays] = useState("7");
+  const [link, setLink] = useState(null);
+  const [status, setStatus] = useState(null);
+
+  const createLink = async () => {
+    setStatus("Creating…");
+    try {
+      const res = await fetch(`/api/reports/${reportId}/share`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ expiresInDays: expiresInDays === "never" ? null : Number(expiresInDays) }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Could not create link");
+      const url = `${window.location.origin}${data.url}`;
+      setLink(url);
+      await navigator.clipboard?.writeText(url).then(() => setStatus("Copied to clipboard"), () => setStatus(null));
+    } catch (err) {
+      setStatus(err.message);
+    }
+  };
+
+  return (
+    <div style={{ position: "relative" }}>
+      <button onClick={() => setOpen(!open)} style={{ fontSize: "11px", color: "#6366f1", background: "#6366f112", border: "1px solid #6366f133", borderRadius: "8px", padding: "5px 12px", cursor: "pointer", fontWeight: 600 }}>Share</button>
+      {open && (
+        <div style={{ position: "absolute", right: 0, top: "32px", zIndex: 20, width: "260px", padding: "12px", backgroundColor: "#12122a", border: "1px solid #6366f133", borderRadius: "10px", boxShadow: "0 8px 30px #00000066" }}>
+          <div style={{ fontSize: "11px", color: "#8a8fb5", marginBottom: "8px" }}>Anyone with the link can view this report.</div>
+          <div className="flex items-center gap-2">
+            <select value={expiresInDays} onChange={(e) => { setExpiresInDays(e.target.value); setLink(null); setStatus(null); }} style={{ flex: 1, fontSize: "11px", padding: "5px 8px", borderRadius: "6px", border: "1px solid #ffffff12", backgroundColor: "#0a0a1a", color: "#fff" }}>
+              <option value="1">Expires in 1 day</option>
+              <option value="7">Expires in 7 days</option>
+              <option value="30">Expires in 30 days</option>
+              <option value="never">Never expires</option>
+            </select>
+            <button onClick={createLink} style={{ fontSize: "11px", color: "#fff", background: "#6366f1", border: "none", borderRadius: "6px", padding: "5px 10px", cursor: "pointer", fontWeight: 600 }}>Create link</button>
+          </div>
+          {link && <input readOnly value={link} onFocus={(e) => e.target.select()} style={{ width: "100%", marginTop: "8px", fontSize: "10px", padding: "5px 8px", borderRadius: "6px", border: "1px solid #ffffff12", backgroundColor: "#0a0a1a", color: "#a5b4fc" }} />}
+          {status && <div style={{ fontSize: "10px", color: "#4a4f7a", marginTop: "6px" }}>{status}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Report History ───────────────────────────────────────────
+
+function ScoreSparkline({ runs, currentId }) {
+  const points = runs.filter((r) => r.scores?.overall != null);
+  if (points.length < 2) return null;
+  const w = 240, h = 48, pad = 6;
+  const x = (i) => pad + (i / (points.length - 1)) * (w - pad * 2);
+  const y = (score) => h - pad - (score / 100) * (h - pad * 2);
+  const path = points.map((r, i) => `${i ? "L" : "M"} ${x(i).toFixed(1)} ${y(r.scores.overall).toFixed(1)}`).join(" ");
+  return (
+    <svg width={w} height={h} viewBox={`0 0 ${w} ${h}`} style={{ display: "block" }}>
+      <path d={path} fill="none" stroke="#6366f1" strokeWidth="2" strokeLinejoin="round" />
+      {points.map((r, i) => (
+        <circle key={r.id} cx={x(i)} cy={y(r.scores.overall)} r={r.id === currentId ? 4 : 2.5} fill={riskColor(r.scores.overall)}>
+          <title>{`${new Date(r.generatedAt).toLocaleDateString()}: ${r.scores.overall}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
+const PERSON_FIELD_LABELS = {
+  currentTitle: "Title",
+  currentCompany: "Company",
+  currentLevel: "Level",
+  currentFunction: "Function",
+  location: "Location",
+};
+
+function ChangeBadge({ change }) {
+  if (change == null) return <span style={{ fontSize: "11px", color: "#4a4f7a" }}>n/a</span>;
+  // Scores are risk, so a rise is bad news
+  const color = change > 0 ? "#ef4444" : change < 0 ? "#22c55e" : "#4a4f7a";
+  return <span style={{ fontSize: "12px", fontWeight: 700, color }}>{change > 0 ? `▲ ${change}` : change < 0 ? `▼ ${-change}` : "—"}</span>;
+}
+
+function ChangesView({ reportId, runs }) {
+  const others = runs.filter((r) => r.id !== reportId);
+  const index = runs.findIndex((r) => r.id === reportId);
+  const [against, setAgainst] = useState((index > 0 ? runs[index - 1] : others[others.length - 1])?.id);
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!against) return;
+    setDiff(null);
+    setError(null);
+    fetch(`/api/reports/${reportId}/diff?against=${against}`)
+      .then((res) => res.json())
+      .then((data) => (data.error ? setError(data.error) : setDiff(data)))
+      .catch((err) => setError(err.message));
+  }, [reportId, against]);
+
+  const k = (n) => (n == null ? "—" : `$${Math.round(n / 1000)}K`);
+
+  return (
+    <div className="animate-fade-in">
+      <Section title="What Changed" icon="📈">
+        <div className="flex items-center gap-2" style={{ marginBottom: "16px", fontSize: "12px", color: "#8a8fb5" }}>
+          Compared with
+          <select value={against || ""} onChange={(e) => setAgainst(e.target.value)} style={{ fontSize: "12px", padding: "4px 8px", borderRadius: "6px", border: "1px solid #ffffff12", backgroundColor: "#0a0a1a", color: "#fff" }}>
+            {others.map((r) => (
+              <option key={r.id} value={r.id}>{new Date(r.generatedAt).toLocaleDateString()} · overall {r.scores?.overall ?? "n/a"}</option>
+            ))}
+          </select>
+        </div>
+        {error && <div style={{ fontSize: "12px", color: "#ef4444" }}>{error}</div>}
+        {!diff && !error && <div style={{ fontSize: "12px", color: "#4a4f7a" }}>Loading…</div>}
+        {diff && (
+          <>
+            {diff.profileChanged && (
+              <div style={{ fontSize: "11px", color: "#f59e0b", marginBottom: "12px" }}>
+                Scored with different profiles ({diff.from.scoringProfile?.id} v{diff.from.scoringProfile?.version} → {diff.to.scoringProfile?.id} v{diff.to.scoringProfile?.version}), so some movement comes from the weights rather than the person.
+              </div>
+            )}
+            <div style={{ background: "#0a0a1a", borderRadius: "12px", padding: "12px 16px", marginBottom: "16px" }}>
+              {diff.scores.map((s) => (
+                <div key={s.key} className="flex items-center justify-between" style={{ padding: "6px 0", borderBottom: "1px solid #ffffff06", fontSize: "12px" }}>
+                  <span style={{ color: s.key === "overall" ? "#fff" : "#c4c8e0", fontWeight: s.key === "overall" ? 700 : 500 }}>{s.key === "overall" ? "Overall Risk" : SCORE_LABELS[s.key] || s.key}</span>
+                  <span className="flex items-center gap-3">
+                    <span style={{ color: "#4a4f7a" }}>{s.from ?? "n/a"} → {s.to ?? "n/a"}</span>
+                    <ChangeBadge change={s.change} />
+                  </span>
+                </div>
+              ))}
+            </div>
+            <div style={{ fontSize: "11px", fontWeight: 700, color: "#a5b4fc", marginBottom: "6px", textTransform: "uppercase", letterSpacing: "0.05em" }}>Role</div>
+            <div style={{ fontSize: "12px", color: "#8a8fb5", lineHeight: 1.8, marginBottom: "16px" }}>
+              {diff.person.length === 0
+                ? "No title, company, level or location change."
+                : diff.person.map((c) => (
+                  <div key={c.field}><strong style={{ color: "#c4c8e0" }}>{PERSON_FIELD_LABELS[c.field]}:</strong> {c.from || "—"} → {c.to || "—"}</div>
+                ))}
+            </div>
+            <div style={{ fontSize: "11px", fontWeight: 700, color: "#a5b4fc", marginBottom: "6px", textTransform: "uppercase", letterSpacing: "0.05em" }}>Salary Band</div>
+            <div style={{ fontSize: "12px", color: "#8a8fb5", lineHeight: 1.8, marginBottom: "16px" }}>
+              {diff.salary
+                ? `${k(diff.salary.low.from)}–${k(diff.salary.high.from)} (mid ${k(diff.salary.midpoint.from)}) → ${k(diff.salary.low.to)}–${k(diff.salary.high.to)} (mid ${k(diff.salary.midpoint.to)})`
+                : "Unchanged."}
+            </div>
+            <div style={{ fontSize: "11px", fontWeight: 700, color: "#a5b4fc", marginBottom: "6px", textTransform: "uppercase", letterSpacing: "0.05em" }}>Multi-Signal Companies</div>
+            <div style={{ fontSize: "12px", color: "#8a8fb5", lineHeight: 1.8 }}>
+              {diff.multiSignal.added.length === 0 && diff.multiSignal.dropped.length === 0 && "No change."}
+              {diff.multiSignal.added.map((name) => <Tag key={`+${name}`} color="#22c55e">+ {name}</Tag>)}
+              {diff.multiSignal.dropped.map((name) => <Tag key={`-${name}`} color="#ef4444">− {name}</Tag>)}
+            </div>
+          </>
+        )}
+      </Section>
+    </div>
+  );
+}
+
+// ─── What-if Simulator ────────────────────────────────────────
+// Re-scores the saved report with a different title, level, function, location
+// or employer. Deterministic and free unless the narrative box is ticked.
+
+function WhatIfPanel({ reportId, person }) {
+  const [form, setForm] = useState({ currentTitle: "", currentLevel: "", currentFunction: "", location: "", company: "" });
+  const [withNarrative, setWithNarrative] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  const set = (key) => (e) => setForm({ ...form, [key]: e.target.value });
+  const touched = Object.values(form).some((v) => v.trim());
+
+  const handleSimulate = async (e) => {
+    e.preventDefault();
+    setRunning(true);
+    setError(null);
+    try {
+      const res = await fetch(`/api/reports/${reportId}/simulate`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ overrides: form, narrative: withNarrative }),
+      });
+      const data = await res.json();
+      if (data.error) {
+        setError(data.error);
+      } else {
+        setResult(data);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleReset = () => {
+    setForm({ currentTitle: "", currentLevel: "", currentFunction: "", location: "", company: "" });
+    setResult(null);
+    setError(null);
+  };
+
+  const k = (n) => (n == null ? "—" : `$${Math.round(n / 1000)}K`);
+  const signed = (n, fmt = (v) => v) => (n > 0 ? `+${fmt(n)}` : n < 0 ? `−${fmt(-n)}` : "±0");
+  const inputStyle = { width: "100%", padding: "8px 10px", fontSize: "12px", borderRadius: "8px", border: "1px solid #ffffff12", backgroundColor: "#0a0a1a", color: "#fff", outline: "none" };
+  const labelStyle = { fontSize: "10px", fontWeight: 600, color: "#8a8fb5", marginBottom: "4px", display: "block", textTransform: "uppercase", letterSpacing: "0.05em" };
+  const headingStyle = { fontSize: "11px", fontWeight: 700, color: "#a5b4fc", marginBottom: "6px", textTransform: "uppercase", letterSpacing: "0.05em" };
+
+  return (
+    <div className="animate-fade-in">
+      <Section title="What If" icon="🧪">
+        <form onSubmit={handleSimulate}>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "10px", marginBottom: "12px" }}>
+            <div>
+              <label style={labelStyle}>Title</label>
+              <input value={form.currentTitle} onChange={set("currentTitle")} placeholder={person.currentTitle} style={inputStyle} />
+            </div>
+            <div>
+              <label style={labelStyle}>Company</label>
+              <input value={form.company} onChange={set("company")} placeholder={person.currentCompany} style={inputStyle} />
+            </div>
+            <div>
+              <label style={labelStyle}>Level</label>
+              <select value={form.currentLevel} onChange={set("currentLevel")} style={inputStyle}>
+                <option value="">{person.currentLevel} (current)</option>
+                {KNOWN_LEVELS.filter((l) => l !== person.currentLevel).map((l) => <option key={l} value={l}>{l}</option>)}
+              </select>
+            </div>
+            <div>
+              <label style={labelStyle}>Function</label>
+              <select value={form.currentFunction} onChange={set("currentFunction")} style={inputStyle}>
+                <option value="">{person.currentFunction} (current)</option>
+                {KNOWN_FUNCTIONS.filter((f) => f !== person.currentFunction).map((f) => <option key={f} value={f}>{f}</option>)}
+              </select>
+            </div>
+            <div style={{ gridColumn: "1 / span 2" }}>
+              <label style={labelStyle}>Location</label>
+              <input value={form.location} onChange={set("location")} placeholder={person.location || "City, State"} style={inputStyle} />
+            </div>
+          </div>
+          <div className="flex items-center justify-between flex-wrap gap-2">
+            <label className="flex items-center gap-2" style={{ fontSize: "11px", color: "#8a8fb5", cursor: "pointer" }}>
+              <input type="checkbox" checked={withNarrative} onChange={(e) => setWithNarrative(e.target.checked)} />
+              Also write a new narrative (slower)
+            </label>
+            <div className="flex gap-2">
+              {(touched || result) && (
+                <button type="button" onClick={handleReset} style={{ fontSize: "11px", color: "#8a8fb5", background: "transparent", border: "1px solid #ffffff12", borderRadius: "8px", padding: "6px 12px", cursor: "pointer", fontWeight: 600 }}>Reset</button>
+              )}
+              <button type="submit" disabled={!touched || running} style={{ fontSize: "11px", color: "#fff", background: touched ? "#6366f1" : "#6366f144", border: "none", borderRadius: "8px", padding: "6px 14px", cursor: running ? "wait" : touched ? "pointer" : "default", fontWeight: 600 }}>
+                {running ? "Simulating…" : "Simulate"}
+              </button>
+            </div>
+          </div>
+        </form>
+        {error && <div style={{ fontSize: "12px", color: "#ef4444", marginTop: "12px" }}>{error}</div>}
+      </Section>
+
+      {result && (
+        <Section title="Before → After" icon="⚖️">
+          <div style={{ fontSize: "12px", color: "#8a8fb5", lineHeight: 1.8, marginBottom: "16px" }}>
+            {Object.keys(result.overrides).map((key) => {
+              const field = key === "company" ? "currentCompany" : key;
+              return (
+                <div key={key}><strong style={{ color: "#c4c8e0" }}>{PERSON_FIELD_LABELS[field]}:</strong> {person[field] || "—"} → {result.person[field] || "—"}</div>
+              );
+            })}
+          </div>
+          <div style={{ background: "#0a0a1a", borderRadius: "12px", padding: "12px 16px", marginBottom: "16px" }}>
+            {result.changes.scores.map((s) => (
+              <div key={s.key} className="flex items-center justify-between" style={{ padding: "6px 0", borderBottom: "1px solid #ffffff06", fontSize: "12px" }}>
+                <span style={{ color: s.key === "overall" ? "#fff" : "#c4c8e0", fontWeight: s.key === "overall" ? 700 : 500 }}>{s.key === "overall" ? "Overall Risk" : SCORE_LABELS[s.key] || s.key}</span>
+                <span className="flex items-center gap-3">
+                  <span style={{ color: "#4a4f7a" }}>{s.from ?? "n/a"} → {s.to ?? "n/a"}</span>
+                  <ChangeBadge change={s.change} />
+                </span>
+              </div>
+            ))}
+          </div>
+          {result.baselineDrift?.length > 0 && (
+            <div style={{ fontSize: "11px", color: "#f59e0b", lineHeight: 1.6, marginTop: "-8px", marginBottom: "16px" }}>
+              The left-hand scores are today's data, not this report's saved scores:{" "}
+              {result.baselineDrift.map((d) => `${d.key === "overall" ? "Overall Risk" : SCORE_LABELS[d.key] || d.key} ${d.saved} → ${d.now}`).join(", ")}.
+              The changes above compare like with like; re-run the assessment to update the report.
+            </div>
+          )}
+
+          <div style={headingStyle}>Salary Band</div>
+          <div style={{ fontSize: "12px", color: "#8a8fb5", lineHeight: 1.8, marginBottom: "16px" }}>
+            <div>{k(result.changes.salary.low.from)}–{k(result.changes.salary.high.from)} (mid {k(result.changes.salary.midpoint.from)}) → {k(result.changes.salary.low.to)}–{k(result.changes.salary.high.to)} (mid {k(result.changes.salary.midpoint.to)})</div>
+            <div>
+              Midpoint <strong style={{ color: result.changes.salary.midpoint.change >= 0 ? "#22c55e" : "#ef4444" }}>{signed(result.changes.salary.midpoint.change, k)}</strong>
+              {" · "}AI pay pressure {result.changes.aiPressure.from}% → {result.changes.aiPressure.to}%
+              {result.changes.growthPct.change != null && result.company && <> · Company 2-year growth {result.changes.growthPct.from}% → {result.changes.growthPct.to}%</>}
+            </div>
+          </div>
+
+          <div style={headingStyle}>Comp by Level ({result.person.currentFunction})</div>
+          <div style={{ background: "#0a0a1a", borderRadius: "12px", padding: "8px 12px", marginBottom: "16px" }}>
+            {result.after.salary.progression.map((p) => {
+              const isTarget = p.level === result.person.currentLevel;
+              const wasCurrent = p.level === person.currentLevel && result.person.currentFunction === person.currentFunction;
+              return (
+                <div key={p.level} className="flex items-center justify-between" style={{ padding: "6px 8px", borderRadius: "8px", backgroundColor: isTarget ? "#6366f115" : "transparent", fontSize: "12px" }}>
+                  <span style={{ color: isTarget ? "#a5b4fc" : "#8a8fb5", fontWeight: isTarget ? 700 : 500 }}>{p.level} {isTarget ? "← simulated" : wasCurrent ? "← today" : ""}</span>
+                  <span style={{ color: isTarget ? "#a5b4fc" : "#fff", fontWeight: 700 }}>{k(p.midpoint)}</span>
+                </div>
+              );
+            })}
+          </div>
+
+          {result.narrative && (
+            <>
+              <div style={headingStyle}>Simulated Narrative</div>
+              <div style={{ fontSize: "12px", color: "#c4c8e0", lineHeight: 1.7, marginBottom: "16px" }}>
+                {result.narrative.bottomLine}
+                {result.narrative.retrainingPaths?.length > 0 && (
+                  <div className="flex flex-wrap gap-1" style={{ marginTop: "8px" }}>
+                    {result.narrative.retrainingPaths.slice(0, 3).map((p) => <Tag key={p.title}>{p.title}</Tag>)}
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+
+          {result.notes.length > 0 && (
+            <div style={{ fontSize: "11px", color: "#f59e0b", lineHeight: 1.6 }}>
+              {result.notes.map((note) => <div key={note}>{note}</div>)}
+            </div>
+          )}
+          <div style={{ marginTop: "8px", fontSize: "11px", color: "#4a4f7a", lineHeight: 1.5 }}>
+            Simulations aren't saved. Both columns are scored with {result.scoringProfile.id} v{result.scoringProfile.version} against today's data.
+          </div>
+        </Section>
+      )}
+    </div>
+  );
+}
+
+// ─── Company Intelligence ─────────────────────────────────────
+// The Company tab of a person report, also the body of a company-only report.
+// `focusFunction` (the person's function) gets its own chart row and is
+// highlighted in the function table; company reports leave it out.
+
+function CompanyIntel({ company, scores, narrative, focusFunction = null }) {
+  return (
+    <>
+      <div style={{ fontSize: "11px", color: "#6b7094", marginBottom: "16px", display: "flex", alignItems: "center", gap: "6px" }}>
+        <span style={{ color: "#a5b4fc", fontWeight: 600 }}>Source: workforce.ai</span>
+        <span style={{ color: "#3a3f5c" }}>·</span>
+        Tracking 100M+ professionals
+        <span style={{ color: "#3a3f5c" }}>·</span>
+        Reflects observed workforce patterns, not official headcount
+      </div>
+
+      {/* Para 1: Company overview + competitive positioning + risk profile */}
+      {(narrative.companyHealthNarrative || narrative.companyHealthSummary) && (
+        <div style={{ fontSize: "13px", color: "#c4c8e0", lineHeight: 1.95, marginBottom: "12px", padding: "20px", background: "linear-gradient(135deg, #12122a 0%, #1a1a3e 100%)", borderRadius: "14px", border: "1px solid #6366f122" }}>
+          {narrative.companyHealthNarrative || narrative.companyHealthSummary}
+        </div>
+      )}
+
+      {/* Para 2: AI disruption exposure at the company level + outlook */}
+      {(narrative.companyOutlook || narrative.companyAiExposure) && (
+        <div style={{ fontSize: "13px", color: "#c4c8e0", lineHeight: 1.95, marginBottom: "20px", padding: "20px", background: "linear-gradient(135deg, #1a0f0a 0%, #120a0a 100%)", borderRadius: "14px", border: "1px solid #ef444420" }}>
+          <div style={{ fontSize: "11px", fontWeight: 700, color: "#f59e0b", textTransform: "uppercase", letterSpacing: "0.08em", marginBottom: "10px" }}>AI & Competitive Exposure</div>
+          {narrative.companyAiExposure || narrative.companyOutlook}
+        </div>
+      )}
+
+      {/* Key stats */}
+      <div style={{ display: "flex", justifyContent: "space-around", marginBottom: "8px" }}>
+        <Stat label="Headcount*" value={company.totalHeadcount?.toLocaleString() || "?"} color="#a5b4fc" />
+        {company.currentHeadcount != null && (
+          <Stat label="Active Now*" value={company.currentHeadcount.toLocaleString()} color="#a5b4fc" />
+        )}
+        {company.deptHeadcount != null && (
+          <Stat label={`${company.deptName || focusFunction}*`} value={company.deptHeadcount?.toLocaleString()} color="#6366f1" />
+        )}
+        <Stat label="2-Year Growth" value={`${company.growthPct > 0 ? "+" : ""}${company.growthPct}%`} color={company.growthPct > 0 ? "#22c55e" : "#ef4444"} />
+        <Stat label="Stability Score" value={scores.companyInstability == null ? "N/A" : `${100 - scores.companyInstability}/100`} color={scores.companyInstability == null ? "#4a4f7a" : riskColor(scores.companyInstability)} />
+      </div>
+      <div style={{ fontSize: "10px", color: "#4a4f7a", textAlign: "center", marginBottom: "20px" }}>
+        * Observed sample from workforce.ai — directional figures, not official company headcount
+      </div>
+
+      {/* Dual headcount chart — total + dept */}
+      {company.headcountTimeline && company.headcountTimeline.length > 1 && (() => {
+        const tl = company.headcountTimeline;
+        const totalMin = Math.min(...tl.map(p => p.count));
+        const totalMax = Math.max(...tl.map(p => p.count));
+        const totalRange = totalMax - totalMin || 1;
+        const hasDept = tl[0]?.dept != null;
+        const deptMin = hasDept ? Math.min(...tl.map(p => p.dept)) : 0;
+        const deptMax = hasDept ? Math.max(...tl.map(p => p.dept)) : 1;
+        const deptRange = deptMax - deptMin || 1;
+        const totalDelta = tl[tl.length - 1].count - tl[0].count;
+        const deptDelta = hasDept ? tl[tl.length - 1].dept - tl[0].dept : 0;
+        const maxBarH = 56;
+        const minBarH = 8;
+        function barH(val, min, range) { return minBarH + ((val - min) / range) * (maxBarH - minBarH); }
+
+        return (
+          <div style={{ background: "#0a0a1a", borderRadius: "12px", padding: "16px", marginBottom: "16px" }}>
+            {/* Total row */}
+            <div style={{ marginBottom: "20px" }}>
+              <div className="flex items-center justify-between" style={{ marginBottom: "8px" }}>
+                <div className="flex items-center gap-2">
+                  <div style={{ width: "10px", height: "10px", borderRadius: "3px", backgroundColor: "#a5b4fc" }} />
+                  <span style={{ fontSize: "12px", fontWeight: 600, color: "#fff" }}>Total Company*</span>
+                </div>
+                <div className="flex items-center gap-2">
+                  <span style={{ fontSize: "12px", color: "#8a8fb5" }}>{tl[0].count.toLocaleString()} → {tl[tl.length-1].count.toLocaleString()}</span>
+                  <span style={{ fontSize: "11px", fontWeight: 700, color: totalDelta >= 0 ? "#22c55e" : "#ef4444" }}>{totalDelta >= 0 ? "+" : ""}{totalDelta.toLocaleString()}</span>
+                </div>
+              </div>
+              <div style={{ display: "flex", alignItems: "flex-end", gap: "3px", height: `${maxBarH}px` }}>
+                {tl.map((pt, i) => (
+                  <div key={i} style={{ flex: 1, height: `${barH(pt.count, totalMin, totalRange)}px`, backgroundColor: i === tl.length - 1 ? "#a5b4fc" : "#a5b4fc55", borderRadius: "3px 3px 0 0" }} />
+                ))}
+              </div>
+            </div>
+
+            {/* Dept row */}
+            {hasDept && (
+              <div>
+                <div className="flex items-center justify-between" style={{ marginBottom: "8px" }}>
+                  <div className="flex items-center gap-2">
+                    <div style={{ width: "10px", height: "10px", borderRadius: "3px", backgroundColor: "#6366f1" }} />
+                    <span style={{ fontSize: "12px", fontWeight: 600, color: "#fff" }}>{company.deptName || focusFunction}*</span>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <span style={{ fontSize: "12px", color: "#8a8fb5" }}>{tl[0].dept.toLocaleString()} → {tl[tl.length-1].dept.toLocaleString()}</span>
+                    <span style={{ fontSize: "11px", fontWeight: 700, color: deptDelta >= 0 ? "#22c55e" : "#ef4444" }}>{deptDelta >= 0 ? "+" : ""}{deptDelta.toLocaleString()}</span>
+                  </div>
+                </div>
+                <div style={{ display: "flex", alignItems: "flex-end", gap: "3px", height: `${maxBarH}px` }}>
+                  {tl.map((pt, i) => (
+                    <div key={i} style={{ flex: 1, height: `${barH(pt.dept, deptMin, deptRange)}px`, backgroundColor: i === tl.length - 1 ? "#6366f1" : "#6366f155", borderRadius: "3px 3px 0 0" }} />
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Date labels */}
+            <div style={{ display: "flex", marginTop: "8px" }}>
+              {tl.map((pt, i) => (
+                <span key={i} style={{ flex: 1, fontSize: "9px", color: "#4a4f7a", textAlign: "center" }}>
+                  {i === 0 || i === Math.floor(tl.length / 2) || i === tl.length - 1 ? pt.date : ""}
+                </span>
+              ))}
+            </div>
+            <div style={{ fontSize: "9px", color: "#4a4f7a", marginTop: "6px" }}>* Observed sample — see note above</div>
+          </div>
+        );
+      })()}
+
+      {/* Function Health Table */}
+      {company.flows && company.flows.length > 0 && (
+        <div style={{ marginBottom: "16px" }}>
+          <div style={{ fontSize: "12px", fontWeight: 700, color: "#fff", marginBottom: "8px" }}>📈 Function Health — Which departments are growing?</div>
+          {focusFunction && (
+            <div style={{ fontSize: "11px", color: "#8a8fb5", lineHeight: 1.5, marginBottom: "12px" }}>
+              Your function ({focusFunction}) is highlighted.
+            </div>
+          )}
+          <div style={{ background: "#0a0a1a", borderRadius: "12px", padding: "16px", overflowX: "auto" }}>
+            <div style={{ display: "grid", gridTemplateColumns: "1.4fr 65px 75px 60px 65px", gap: "8px", marginBottom: "10px", paddingBottom: "8px", borderBottom: "1px solid #ffffff12" }}>
+              {["Function", "Hires*", "Deps*", "Net", "Churn"].map((h, i) => (
+                <span key={i} style={{ fontSize: "10px", color: "#4a4f7a", fontWeight: 700, textAlign: i > 0 ? "right" : "left", textTransform: "uppercase", letterSpacing: "0.08em" }}>{h}</span>
+              ))}
+            </div>
+            {company.flows
+              .sort((a, b) => b.net - a.net)
+              .slice(0, 8)
+              .map((f, i) => {
+                const isTarget = focusFunction != null && f.function === focusFunction;
+                const churnColor = f.churnPct > 55 ? "#ef4444" : f.churnPct > 40 ? "#f59e0b" : "#22c55e";
+                return (
+                  <div key={i} style={{ display: "grid", gridTemplateColumns: "1.4fr 65px 75px 60px 65px", gap: "8px", padding: "7px 4px", borderBottom: "1px solid #ffffff06", backgroundColor: isTarget ? "#ef444410" : "transparent", borderRadius: isTarget ? "6px" : "0" }}>
+                    <span style={{ fontSize: "12px", color: isTarget ? "#ef4444" : "#fff", fontWeight: isTarget ? 700 : 500 }}>{f.function}{isTarget ? " ←" : ""}</span>
+                    <span style={{ fontSize: "12px", color: "#8a8fb5", textAlign: "right" }}>{f.hires}</span>
+                    <span style={{ fontSize: "12px", color: "#8a8fb5", textAlign: "right" }}>{f.departures}</span>
+                    <span style={{ fontSize: "12px", color: f.net >= 0 ? "#22c55e" : "#ef4444", textAlign: "right", fontWeight: 600 }}>{f.net >= 0 ? "+" : ""}{f.net}</span>
+                    <span style={{ fontSize: "12px", color: churnColor, textAlign: "right", fontWeight: 600 }}>{f.churnPct}%</span>
+                  </div>
+                );
+              })}
+            <div style={{ fontSize: "9px", color: "#4a4f7a", marginTop: "8px" }}>* Observed sample from workforce.ai tracking</div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+// Company-only report (POST /api/company): no person, so no tabs — just the
+// company scores, the Company tab body and hiring by level
+function CompanyReport({ data, onReset }) {
+  const { company, companyData, scores, scoreBreakdown, narrative, dataUnavailable } = data;
+  const unavailableReports = Object.entries(dataUnavailable || {});
+  const levels = [...(companyData.levelHiring || [])].sort((a, b) => b.hires - a.hires);
+
+  return (
+    <div style={{ padding: "24px" }}>
+      <div style={{ maxWidth: "800px", margin: "0 auto" }}>
+        {/* Top bar */}
+        <div className="flex items-center justify-between mb-4" style={{ padding: "12px 16px", backgroundColor: "#12122a", borderRadius: "12px", border: "1px solid #ffffff08" }}>
+          <div className="flex items-center gap-3">
+            <div style={{ width: "28px", height: "28px", borderRadius: "8px", background: "linear-gradient(135deg, #6366f1, #a5b4fc)", display: "flex", alignItems: "center", justifyContent: "center", fontSize: "14px", fontWeight: 800, color: "#fff" }}>W</div>
+            <div>
+              <div style={{ fontSize: "13px", fontWeight: 700, color: "#fff", lineHeight: 1.2 }}>Company Risk Report</div>
+              <div style={{ fontSize: "10px", color: "#6366f1", fontWeight: 600, letterSpacing: "0.05em" }}>workforce.ai</div>
+            </div>
+          </div>
+          <div className="flex items-center gap-3">
+            <div style={{ fontSize: "10px", color: "#4a4f7a", textAlign: "right" }}>
+              {new Date(data.generatedAt).toLocaleDateString()}
+              {data.scoringProfile && <div>Scoring: {data.scoringProfile.id} v{data.scoringProfile.version}</div>}
+            </div>
+            <button onClick={onReset} style={{ fontSize: "11px", color: "#6366f1", background: "#6366f112", border: "1px solid #6366f133", borderRadius: "8px", padding: "5px 12px", cursor: "pointer", fontWeight: 600 }}>+ New Report</button>
+          </div>
+        </div>
+
+        {/* Company */}
+        <div style={{ background: "linear-gradient(135deg, #12122a 0%, #1a1a3e 100%)", borderRadius: "20px", padding: "28px", marginBottom: "20px", border: "1px solid #ffffff08" }}>
+          <h1 style={{ fontSize: "28px", fontWeight: 800, marginBottom: "4px", letterSpacing: "-0.02em" }}>{company.name}</h1>
+          <div style={{ fontSize: "11px", color: "#4a4f7a" }}>LiveData company id {company.id}</div>
+          {company.alternatives?.length > 0 && (
+            <div style={{ fontSize: "12px", color: "#8a8fb5", marginTop: "12px" }}>
+              Not the right company?{" "}
+              {company.alternatives.map((alt, i) => (
+                <span key={alt.id}>
+                  {i > 0 && " · "}
+                  <a href={`/company/${encodeURIComponent(alt.id)}`} style={{ color: "#6366f1", fontWeight: 600 }}>{alt.name || alt.id}</a>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {unavailableReports.length > 0 && (
+          <div style={{ padding: "16px", border: "1px solid #4a4f7a55", borderRadius: "12px", backgroundColor: "#4a4f7a11", marginBottom: "16px" }}>
+            <div style={{ fontSize: "13px", fontWeight: 700, color: "#8a8fb5", marginBottom: "6px" }}>⏳ Some Company Data Unavailable</div>
+            <div style={{ fontSize: "12px", color: "#8a8fb5", lineHeight: 1.7 }}>
+              {unavailableReports[0][1].message} Missing: {unavailableReports.map(([key]) => ({ demographics: "headcount trends", flows: "function hiring flows", flowsByLevel: "level hiring flows", stats: "current headcount" }[key] || key)).join(", ")}. Run a new report later to fill them in.
+            </div>
+          </div>
+        )}
+
+        <Section title="Company Risk" icon="📊">
+          <RiskBar label="Company Instability" value={scores.companyInstability} color={riskColor(scores.companyInstability)} explain={scoreBreakdown?.companyInstability} delay={100} tip="Based on the two-year headcount trend — how stable does this company appear right now?" />
+          <RiskBar label="Company-wide Churn" value={scores.functionChurn} color={riskColor(scores.functionChurn)} explain={scoreBreakdown?.functionChurn} delay={200} tip="Departures per hire across every function over the last year. High churn signals people are leaving faster than they're replaced." />
+        </Section>
+
+        <Section title={`${company.name} · Company Intelligence`} icon="🏢">
+          <CompanyIntel company={companyData} scores={scores} narrative={narrative} />
+        </Section>
+
+        {levels.length > 0 && (
+          <Section title="Hiring by Level" icon="🪜">
+            <div style={{ background: "#0a0a1a", borderRadius: "12px", padding: "16px" }}>
+              <div style={{ display: "grid", gridTemplateColumns: "1.4fr 65px 75px 60px", gap: "8px", marginBottom: "10px", paddingBottom: "8px", borderBottom: "1px solid #ffffff12" }}>
+                {["Level", "Hires*", "Deps*", "Net"].map((h, i) => (
+                  <span key={i} style={{ fontSize: "10px", color: "#4a4f7a", fontWeight: 700, textAlign: i > 0 ? "right" : "left", textTransform: "uppercase", letterSpacing: "0.08em" }}>{h}</span>
+                ))}
+              </div>
+              {levels.map((l) => (
+                <div key={l.level} style={{ display: "grid", gridTemplateColumns: "1.4fr 65px 75px 60px", gap: "8px", padding: "7px 4px", borderBottom: "1px solid #ffffff06" }}>
+                  <span style={{ fontSize: "12px", color: "#fff", fontWeight: 500 }}>{l.level}</span>
+                  <span style={{ fontSize: "12px", color: "#8a8fb5", textAlign: "right" }}>{l.hires}</span>
+                  <span style={{ fontSize: "12px", color: "#8a8fb5", textAlign: "right" }}>{l.departures}</span>
+                  <span style={{ fontSize: "12px", color: l.net >= 0 ? "#22c55e" : "#ef4444", textAlign: "right", fontWeight: 600 }}>{l.net >= 0 ? "+" : ""}{l.net}</span>
+                </div>
+              ))}
+              <div style={{ fontSize: "9px", color: "#4a4f7a", marginTop: "8px" }}>* Observed sample from workforce.ai tracking, last 12 months</div>
+            </div>
+          </Section>
+        )}
+      </div>
+    </div>
+  );
+}
+
 // ─── Report Dashboard ─────────────────────────────────────────
 
-function Report({ data, onReset }) {
+function Report({ data, onReset, onRerun, rerunning }) {
   const [tab, setTab] = useState("overview");
-  const { person, scores, company, salary, narrative, hiringSignals } = data;
+  const [runs, setRuns] = useState([]);
+  const { person, scores, scoreBreakdown, dataQuality, company, salary, narrative, hiringSignals, dataUnavailable } = data;
+  const unavailableReports = Object.entries(dataUnavailable || {});
+
+  // Earlier runs of the same person (not shown on share links)
+  useEffect(() => {
+    if (!data.id || data.share || !person.linkedin) return;
+    fetch(`/api/history/${encodeURIComponent(person.linkedin)}?report=${data.id}`)
+      .then((res) => res.json())
+      .then((h) => setRuns(h.runs || []))
+      .catch(() => setRuns([]));
+  }, [data.id, data.share, person.linkedin]);
+  const hasHistory = runs.length > 1 && runs.some((r) => r.id === data.id);
 
   const hasSignals = hiringSignals && (
     hiringSignals.regional?.totalHires > 0 ||
@@ -490,6 +1294,8 @@ function Report({ data, onReset }) {
     { id: "salary", label: "Salary", icon: "💰" },
     ...(hasSignals ? [{ id: "opportunities", label: "Opportunities", icon: "🚀" }] : []),
     { id: "retraining", label: narrative?.isPreCareer ? "Career Paths" : "Future-Proofing", icon: "🎯" },
+    ...(hasHistory ? [{ id: "changes", label: "Changes", icon: "📈" }] : []),
+    ...(data.id && !data.share && !data.streaming ? [{ id: "whatif", label: "What If", icon: "🧪" }] : []),
   ];
 
   const overallColor = riskColor(scores.overall);
@@ -507,7 +1313,21 @@ function Report({ data, onReset }) {
             </div>
           </div>
           <div className="flex items-center gap-3">
-            <div style={{ fontSize: "10px", color: "#4a4f7a" }}>{new Date(data.generatedAt).toLocaleDateString()}</div>
+            <div style={{ fontSize: "10px", color: "#4a4f7a", textAlign: "right" }}>
+              {data.streaming ? "Generating…" : new Date(data.generatedAt).toLocaleDateString()}
+              {data.scoringProfile && <div>Scoring: {data.scoringProfile.id} v{data.scoringProfile.version}</div>}
+              {data.share && <div>Shared link{data.share.expiresAt ? ` · expires ${new Date(data.share.expiresAt).toLocaleDateString()}` : ""}</div>}
+            </div>
+            {person.linkedin && !data.share && !data.streaming && onRerun && (
+              <button onClick={() => onRerun(data)} disabled={rerunning} title="Run a fresh assessment for this LinkedIn profile" style={{ fontSize: "11px", color: "#6366f1", background: "#6366f112", border: "1px solid #6366f133", borderRadius: "8px", padding: "5px 12px", cursor: rerunning ? "wait" : "pointer", fontWeight: 600 }}>{rerunning ? "Re-running…" : "↻ Re-run"}</button>
+            )}
+            {(data.id || data.share) && !data.streaming && (
+              <a href={`/api/reports/${data.share?.id || data.id}/pdf`} title="Download the full report (every tab) as a PDF" style={{ fontSize: "11px", color: "#6366f1", background: "#6366f112", border: "1px solid #6366f133", borderRadius: "8px", padding: "5px 12px", fontWeight: 600 }}>PDF</a>
+            )}
+            {data.id && !data.share && !data.streaming && <ShareMenu reportId={data.id} />}
+            {data.id && !data.share && !data.streaming && (
+              <a href={`/compare?reports=${data.id}`} title="Line this report up against other people" style={{ fontSize: "11px", color: "#6366f1", background: "#6366f112", border: "1px solid #6366f133", borderRadius: "8px", padding: "5px 12px", fontWeight: 600 }}>Compare</a>
+            )}
             <button onClick={onReset} style={{ fontSize: "11px", color: "#6366f1", background: "#6366f112", border: "1px solid #6366f133", borderRadius: "8px", padding: "5px 12px", cursor: "pointer", fontWeight: 600 }}>+ New Report</button>
           </div>
         </div>
@@ -525,7 +1345,14 @@ function Report({ data, onReset }) {
                 <Tag color="#a5b4fc">{person.currentFunction}</Tag>
               </div>
             </div>
-            <RiskGauge score={scores.overall} label="Overall Risk" color={overallColor} />
+            <div className="flex flex-col items-center">
+              <RiskGauge score={scores.overall} label="Overall Risk" color={overallColor} />
+              {dataQuality && (
+                <div title={`${dataQuality.score}/100 data coverage, weighted like the overall score`} style={{ marginTop: "8px", fontSize: "10px", fontWeight: 600, color: dataQualityColor(dataQuality.grade), border: `1px solid ${dataQualityColor(dataQuality.grade)}44`, borderRadius: "8px", padding: "2px 8px" }}>
+                  Data quality {dataQuality.grade} · {dataQuality.label}
+                </div>
+              )}
+            </div>
           </div>
         </div>
 
@@ -543,9 +1370,11 @@ function Report({ data, onReset }) {
             tab={tab}
             person={person}
             scores={scores}
+            scoreBreakdown={scoreBreakdown}
             company={company}
             salary={salary}
             hiringSignals={hiringSignals}
+            scoringProfile={data.scoringProfile}
           />
         )}
 
@@ -560,6 +1389,27 @@ function Report({ data, onReset }) {
                 </div>
               </div>
             )}
+            {unavailableReports.length > 0 && (
+              <div style={{ padding: "16px", border: "1px solid #4a4f7a55", borderRadius: "12px", backgroundColor: "#4a4f7a11", marginBottom: "16px" }}>
+                <div style={{ fontSize: "13px", fontWeight: 700, color: "#8a8fb5", marginBottom: "6px" }}>⏳ Some Data Unavailable</div>
+                <div style={{ fontSize: "12px", color: "#8a8fb5", lineHeight: 1.7 }}>
+                  {unavailableReports[0][1].message} Scores that depend on {unavailableReports.map(([key]) => ({ demographics: "headcount trends", flows: "function hiring flows", flowsByLevel: "level hiring flows", hiringSignals: "hiring signals" }[key] || key)).join(", ")} are marked unavailable and left out of the overall score. Run a new report later to fill them in.
+                </div>
+              </div>
+            )}
+            {dataQuality?.missing?.some((m) => m.confidence === "low") && (
+              <div style={{ padding: "16px", border: "1px dashed #4a4f7a55", borderRadius: "12px", marginBottom: "16px" }}>
+                <div style={{ fontSize: "13px", fontWeight: 700, color: "#8a8fb5", marginBottom: "6px" }}>🔍 Limited Data Behind Some Scores</div>
+                <div style={{ fontSize: "12px", color: "#8a8fb5", lineHeight: 1.7 }}>
+                  These scores are shown faded because they rest on thin or default data:
+                  <ul style={{ margin: "6px 0 0 16px", listStyle: "disc" }}>
+                    {dataQuality.missing.filter((m) => m.confidence === "low").map((m) => (
+                      <li key={m.key}><strong style={{ color: "#c4c8e0" }}>{SCORE_LABELS[m.key] || m.key}:</strong> {m.note}</li>
+                    ))}
+                  </ul>
+                </div>
+              </div>
+            )}
             {narrative?.isPreCareer && (
               <div style={{ padding: "16px", border: "1px solid #f59e0b44", borderRadius: "12px", backgroundColor: "#f59e0b0a", marginBottom: "16px" }}>
                 <div style={{ fontSize: "13px", fontWeight: 700, color: "#f59e0b", marginBottom: "6px" }}>📋 Limited Assessment — {narrative.careerStageAssessment?.includes("student") || narrative.careerStageAssessment?.includes("Student") ? "Student" : "Early / Transitional Career"}</div>
@@ -569,6 +1419,11 @@ function Report({ data, onReset }) {
               </div>
             )}
             <Section title="Risk Summary" icon="⚡">
+              {data.streaming && !narrative.overviewSummary && (
+                <div className="animate-glow" style={{ fontSize: "13px", color: "#8a8fb5", marginBottom: "20px", padding: "20px", borderRadius: "12px", border: "1px dashed #6366f133" }}>
+                  Writing the analysis for {person.name?.split(" ")[0] || "this person"} — sections fill in as they're ready.
+                </div>
+              )}
               {narrative.overviewSummary && (
                 <div style={{ fontSize: "14px", color: "#c4c8e0", lineHeight: 2.0, marginBottom: "20px", padding: "20px", background: "linear-gradient(135deg, #12122a 0%, #1a1a3e 100%)", borderRadius: "12px", border: "1px solid #6366f122" }}>
                   {narrative.overviewSummary}
@@ -581,14 +1436,15 @@ function Report({ data, onReset }) {
               )}
               <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "12px", marginBottom: "16px" }}>
                 <div style={{ background: "#0a0a1a", borderRadius: "12px", padding: "16px" }}>
-                  <RiskBar label="AI Automation Exposure" value={scores.aiRisk} color={riskColor(scores.aiRisk)} delay={100} tip="How likely is it that AI tools could perform key tasks in this specific role within the next 2–3 years? Higher = more at risk of automation." />
-                  <RiskBar label="Function Churn" value={scores.functionChurn} color={riskColor(scores.functionChurn)} delay={200} tip="How often are people in this job function leaving their roles industry-wide? High churn signals instability in the field." />
-                  <RiskBar label="Company Instability" value={scores.companyInstability} color={riskColor(scores.companyInstability)} delay={300} tip="Based on hiring/departure ratios, headcount trend, and layoff signals — how stable does this company appear right now?" />
+                  <RiskBar label="AI Automation Exposure" value={scores.aiRisk} color={riskColor(scores.aiRisk)} explain={scoreBreakdown?.aiRisk} delay={100} tip="How likely is it that AI tools could perform key tasks in this specific role within the next 2–3 years? Higher = more at risk of automation." />
+                  <RiskBar label="Function Churn" value={scores.functionChurn} color={riskColor(scores.functionChurn)} explain={scoreBreakdown?.functionChurn} delay={200} tip="How often are people in this job function leaving their roles industry-wide? High churn signals instability in the field." />
+                  <RiskBar label="Company Instability" value={scores.companyInstability} color={riskColor(scores.companyInstability)} explain={scoreBreakdown?.companyInstability} delay={300} tip="Based on hiring/departure ratios, headcount trend, and layoff signals — how stable does this company appear right now?" />
                 </div>
                 <div style={{ background: "#0a0a1a", borderRadius: "12px", padding: "16px" }}>
-                  <RiskBar label="Promotion Ceiling" value={scores.promotionCeiling} color={riskColor(scores.promotionCeiling)} delay={400} tip="How difficult is it to advance to the next level at this company or in this function? High = few openings above, slow career progression." />
-                  <RiskBar label="Salary Compression" value={scores.salaryCompression} color={riskColor(scores.salaryCompression)} delay={500} tip="Is pay getting squeezed? High compression means the gap between entry-level and senior pay is narrowing — limiting upside from tenure alone." />
-                  <RiskBar label="Tenure Volatility" value={scores.tenureVolatility} color={riskColor(scores.tenureVolatility)} delay={600} tip="How frequently does this person tend to change jobs relative to peers? Short stints can reduce perceived stability to future employers." />
+                  <RiskBar label="Promotion Ceiling" value={scores.promotionCeiling} color={riskColor(scores.promotionCeiling)} explain={scoreBreakdown?.promotionCeiling} delay={400} tip="How difficult is it to advance to the next level at this company or in this function? High = few openings above, slow career progression." />
+                  <RiskBar label="Salary Compression" value={scores.salaryCompression} color={riskColor(scores.salaryCompression)} explain={scoreBreakdown?.salaryCompression} delay={500} tip="Is pay getting squeezed? High compression means the gap between entry-level and senior pay is narrowing — limiting upside from tenure alone." />
+                  <RiskBar label="Tenure Volatility" value={scores.tenureVolatility} color={riskColor(scores.tenureVolatility)} explain={scoreBreakdown?.tenureVolatility} delay={600} tip="How frequently does this person tend to change jobs relative to peers? Short stints can reduce perceived stability to future employers." />
+                  <RiskBar label="Market Demand" value={scores.marketDemand} color={riskColor(scores.marketDemand)} explain={scoreBreakdown?.marketDemand} delay={700} tip="How actively is the market hiring people like this? Combines local hires at the same function and level, where former colleagues have landed, and national growth in the function. Higher = weaker demand." />
                 </div>
               </div>
               {narrative.careerStageAssessment && (
@@ -599,6 +1455,20 @@ function Report({ data, onReset }) {
               )}
             </Section>
 
+            {hasHistory && (
+              <Section title="Score History" icon="📈">
+                <div className="flex items-center justify-between flex-wrap gap-4">
+                  <ScoreSparkline runs={runs} currentId={data.id} />
+                  <div style={{ fontSize: "12px", color: "#8a8fb5", lineHeight: 1.6 }}>
+                    {runs.length} assessments since {new Date(runs[0].generatedAt).toLocaleDateString()}
+                    <div>
+                      <span style={{ color: "#a5b4fc", cursor: "pointer", fontWeight: 600 }} onClick={() => setTab("changes")}>See what changed →</span>
+                    </div>
+                  </div>
+                </div>
+              </Section>
+            )}
+
             {/* Local Market — summary only, no company list (see Opportunities tab) */}
             {(() => {
               const geoLabel = hiringSignals?.geoCity || hiringSignals?.geoRegion?.split(",")[0]?.trim() || person.location?.split(",")[0]?.trim() || "Your Area";
@@ -719,54 +1589,7 @@ function Report({ data, onReset }) {
 
               {/* Role-specific displacement bars */}
               {(() => {
-                // Build role-contextual profile — try to match current title, fall back to function
-                const title = (person.currentTitle || "").toLowerCase();
-                const aiProfiles = {
-                  "Engineering": [
-                    { role: "Code generation / boilerplate",     risk: 82, note: "GitHub Copilot & peers do this today", tags: ["junior", "engineer", "developer", "swe"] },
-                    { role: "QA / automated testing",             risk: 71, note: "AI-assisted test generation growing fast", tags: ["qa", "test", "quality"] },
-                    { role: "Mid-level feature development",      risk: 55, note: "Pair programming with AI — scope shrinks", tags: ["engineer", "developer", "software"] },
-                    { role: "Architecture / system design",       risk: 28, note: "Judgment-intensive — AI-resistant", tags: ["architect", "principal", "staff", "senior staff"] },
-                    { role: "Staff+ technical leadership",        risk: 15, note: "Organizational influence — protected", tags: ["vp", "cto", "director", "head of"] },
-                  ],
-                  "Publishing, Editorial and Reporting": [
-                    { role: "Data / markets automated output",    risk: 88, note: "AP, Reuters, Bloomberg automate this now", tags: ["data reporter", "markets", "finance reporter"] },
-                    { role: "Earnings / finance reporting",       risk: 74, note: "Highest automation overlap in journalism", tags: ["reporter", "journalist", "writer"] },
-                    { role: "General business news",              risk: 61, note: "Mid-risk — depends on source depth", tags: ["staff writer", "correspondent"] },
-                    { role: "Investigative / regulatory",         risk: 28, note: "Source-driven — AI-resistant", tags: ["investigative", "regulatory", "policy"] },
-                    { role: "Senior analytical / columnist",      risk: 16, note: "Voice and judgment — protected", tags: ["editor", "senior editor", "managing editor", "columnist"] },
-                  ],
-                  "Finance and Administration": [
-                    { role: "Data entry / reconciliation",        risk: 85, note: "Heavily automated by RPA and AI tools", tags: ["analyst", "associate", "coordinator"] },
-                    { role: "Routine financial reporting",        risk: 72, note: "Templated reports increasingly AI-generated", tags: ["financial analyst", "accountant"] },
-                    { role: "FP&A / budget modeling",             risk: 48, note: "Augmented by AI but judgment still required", tags: ["fp&a", "finance manager", "senior analyst"] },
-                    { role: "Strategic finance / CFO advisory",   risk: 22, note: "Executive judgment — AI-resistant", tags: ["vp finance", "cfo", "director finance", "controller"] },
-                  ],
-                  "Sales and Support": [
-                    { role: "Tier 1 support / FAQs",              risk: 80, note: "Chatbots handling most of this already", tags: ["support", "customer service", "tier 1"] },
-                    { role: "SDR / outbound prospecting",         risk: 65, note: "AI sequencing replacing manual outreach", tags: ["sdr", "bdr", "sales development"] },
-                    { role: "Account management",                 risk: 40, note: "Relationship-driven — partially protected", tags: ["account manager", "am", "csm", "customer success"] },
-                    { role: "Enterprise / strategic sales",       risk: 20, note: "Complex deals — human judgment required", tags: ["enterprise", "ae", "account executive", "vp sales"] },
-                  ],
-                  "Marketing and Product": [
-                    { role: "Content creation / copywriting",     risk: 78, note: "Generative AI directly competes here", tags: ["content", "copywriter", "writer", "content manager"] },
-                    { role: "Performance / paid marketing",       risk: 60, note: "Automation tools replacing manual ops", tags: ["performance", "paid", "growth", "demand gen"] },
-                    { role: "Product management",                 risk: 35, note: "Prioritization and stakeholder work — resistant", tags: ["product manager", "pm", "product lead"] },
-                    { role: "Brand / creative strategy",          risk: 25, note: "Taste and narrative — protected", tags: ["brand", "creative director", "vp marketing", "cmo"] },
-                  ],
-                  "Business Management": [
-                    { role: "Operational reporting / dashboards", risk: 70, note: "BI tools and AI automating routine reports", tags: ["ops", "operations analyst", "coordinator"] },
-                    { role: "Project coordination",               risk: 55, note: "AI scheduling and tracking tools growing", tags: ["project manager", "program manager", "pmo"] },
-                    { role: "Strategy / general management",      risk: 28, note: "Leadership and judgment — AI-resistant", tags: ["director", "vp", "chief of staff", "general manager"] },
-                  ],
-                };
-                const fnKey = person.currentFunction;
-                const profile = aiProfiles[fnKey] || aiProfiles["Business Management"];
-                // Find which row best matches the person's title
-                const bestMatchIdx = profile.reduce((best, row, i) => {
-                  const matches = row.tags.filter(tag => title.includes(tag)).length;
-                  return matches > (profile[best]?.tags.filter(tag => title.includes(tag)).length || 0) ? i : best;
-                }, -1);
+                const { function: fnKey, rows: profile, matchIndex: bestMatchIdx } = matchAiRoleProfile(person);
                 return (
                   <div style={{ background: "#0a0a1a", borderRadius: "12px", padding: "18px", marginBottom: "16px" }}>
                     <div style={{ fontSize: "12px", fontWeight: 700, color: "#fff", marginBottom: "4px" }}>
@@ -816,147 +1639,7 @@ function Report({ data, onReset }) {
         {tab === "company" && (
           <div className="animate-fade-in">
             <Section title={`${person.currentCompany} · Company Intelligence`} icon="🏢">
-              <div style={{ fontSize: "11px", color: "#6b7094", marginBottom: "16px", display: "flex", alignItems: "center", gap: "6px" }}>
-                <span style={{ color: "#a5b4fc", fontWeight: 600 }}>Source: workforce.ai</span>
-                <span style={{ color: "#3a3f5c" }}>·</span>
-                Tracking 100M+ professionals
-                <span style={{ color: "#3a3f5c" }}>·</span>
-                Reflects observed workforce patterns, not official headcount
-              </div>
-
-              {/* Para 1: Company overview + competitive positioning + risk profile */}
-              {(narrative.companyHealthNarrative || narrative.companyHealthSummary) && (
-                <div style={{ fontSize: "13px", color: "#c4c8e0", lineHeight: 1.95, marginBottom: "12px", padding: "20px", background: "linear-gradient(135deg, #12122a 0%, #1a1a3e 100%)", borderRadius: "14px", border: "1px solid #6366f122" }}>
-                  {narrative.companyHealthNarrative || narrative.companyHealthSummary}
-                </div>
-              )}
-
-              {/* Para 2: AI disruption exposure at the company level + outlook */}
-              {(narrative.companyOutlook || narrative.companyAiExposure) && (
-                <div style={{ fontSize: "13px", color: "#c4c8e0", lineHeight: 1.95, marginBottom: "20px", padding: "20px", background: "linear-gradient(135deg, #1a0f0a 0%, #120a0a 100%)", borderRadius: "14px", border: "1px solid #ef444420" }}>
-                  <div style={{ fontSize: "11px", fontWeight: 700, color: "#f59e0b", textTransform: "uppercase", letterSpacing: "0.08em", marginBottom: "10px" }}>AI & Competitive Exposure</div>
-                  {narrative.companyAiExposure || narrative.companyOutlook}
-                </div>
-              )}
-
-              {/* Key stats */}
-              <div style={{ display: "flex", justifyContent: "space-around", marginBottom: "8px" }}>
-                <Stat label="Headcount*" value={company.totalHeadcount?.toLocaleString() || "?"} color="#a5b4fc" />
-                {company.deptHeadcount != null && (
-                  <Stat label={`${company.deptName || person.currentFunction}*`} value={company.deptHeadcount?.toLocaleString()} color="#6366f1" />
-                )}
-                <Stat label="2-Year Growth" value={`${company.growthPct > 0 ? "+" : ""}${company.growthPct}%`} color={company.growthPct > 0 ? "#22c55e" : "#ef4444"} />
-                <Stat label="Stability Score" value={`${100 - scores.companyInstability}/100`} color={riskColor(scores.companyInstability)} />
-              </div>
-              <div style={{ fontSize: "10px", color: "#4a4f7a", textAlign: "center", marginBottom: "20px" }}>
-                * Observed sample from workforce.ai — directional figures, not official company headcount
-              </div>
-
-              {/* Dual headcount chart — total + dept */}
-              {company.headcountTimeline && company.headcountTimeline.length > 1 && (() => {
-                const tl = company.headcountTimeline;
-                const totalMin = Math.min(...tl.map(p => p.count));
-                const totalMax = Math.max(...tl.map(p => p.count));
-                const totalRange = totalMax - totalMin || 1;
-                const hasDept = tl[0]?.dept != null;
-                const deptMin = hasDept ? Math.min(...tl.map(p => p.dept)) : 0;
-                const deptMax = hasDept ? Math.max(...tl.map(p => p.dept)) : 1;
-                const deptRange = deptMax - deptMin || 1;
-                const totalDelta = tl[tl.length - 1].count - tl[0].count;
-                const deptDelta = hasDept ? tl[tl.length - 1].dept - tl[0].dept : 0;
-                const maxBarH = 56;
-                const minBarH = 8;
-                function barH(val, min, range) { return minBarH + ((val - min) / range) * (maxBarH - minBarH); }
-
-                return (
-                  <div style={{ background: "#0a0a1a", borderRadius: "12px", padding: "16px", marginBottom: "16px" }}>
-                    {/* Total row */}
-                    <div style={{ marginBottom: "20px" }}>
-                      <div className="flex items-center justify-between" style={{ marginBottom: "8px" }}>
-                        <div className="flex items-center gap-2">
-                          <div style={{ width: "10px", height: "10px", borderRadius: "3px", backgroundColor: "#a5b4fc" }} />
-                          <span style={{ fontSize: "12px", fontWeight: 600, color: "#fff" }}>Total Company*</span>
-                        </div>
-                        <div className="flex items-center gap-2">
-                          <span style={{ fontSize: "12px", color: "#8a8fb5" }}>{tl[0].count.toLocaleString()} → {tl[tl.length-1].count.toLocaleString()}</span>
-                          <span style={{ fontSize: "11px", fontWeight: 700, color: totalDelta >= 0 ? "#22c55e" : "#ef4444" }}>{totalDelta >= 0 ? "+" : ""}{totalDelta.toLocaleString()}</span>
-                        </div>
-                      </div>
-                      <div style={{ display: "flex", alignItems: "flex-end", gap: "3px", height: `${maxBarH}px` }}>
-                        {tl.map((pt, i) => (
-                          <div key={i} style={{ flex: 1, height: `${barH(pt.count, totalMin, totalRange)}px`, backgroundColor: i === tl.length - 1 ? "#a5b4fc" : "#a5b4fc55", borderRadius: "3px 3px 0 0" }} />
-                        ))}
-                      </div>
-                    </div>
-
-                    {/* Dept row */}
-                    {hasDept && (
-                      <div>
-                        <div className="flex items-center justify-between" style={{ marginBottom: "8px" }}>
-                          <div className="flex items-center gap-2">
-                            <div style={{ width: "10px", height: "10px", borderRadius: "3px", backgroundColor: "#6366f1" }} />
-                            <span style={{ fontSize: "12px", fontWeight: 600, color: "#fff" }}>{company.deptName || person.currentFunction}*</span>
-                          </div>
-                          <div className="flex items-center gap-2">
-                            <span style={{ fontSize: "12px", color: "#8a8fb5" }}>{tl[0].dept.toLocaleString()} → {tl[tl.length-1].dept.toLocaleString()}</span>
-                            <span style={{ fontSize: "11px", fontWeight: 700, color: deptDelta >= 0 ? "#22c55e" : "#ef4444" }}>{deptDelta >= 0 ? "+" : ""}{deptDelta.toLocaleString()}</span>
-                          </div>
-                        </div>
-                        <div style={{ display: "flex", alignItems: "flex-end", gap: "3px", height: `${maxBarH}px` }}>
-                          {tl.map((pt, i) => (
-                            <div key={i} style={{ flex: 1, height: `${barH(pt.dept, deptMin, deptRange)}px`, backgroundColor: i === tl.length - 1 ? "#6366f1" : "#6366f155", borderRadius: "3px 3px 0 0" }} />
-                          ))}
-                        </div>
-                      </div>
-                    )}
-
-                    {/* Date labels */}
-                    <div style={{ display: "flex", marginTop: "8px" }}>
-                      {tl.map((pt, i) => (
-                        <span key={i} style={{ flex: 1, fontSize: "9px", color: "#4a4f7a", textAlign: "center" }}>
-                          {i === 0 || i === Math.floor(tl.length / 2) || i === tl.length - 1 ? pt.date : ""}
-                        </span>
-                      ))}
-                    </div>
-                    <div style={{ fontSize: "9px", color: "#4a4f7a", marginTop: "6px" }}>* Observed sample — see note above</div>
-                  </div>
-                );
-              })()}
-
-              {/* Function Health Table */}
-              {company.flows && company.flows.length > 0 && (
-                <div style={{ marginBottom: "16px" }}>
-                  <div style={{ fontSize: "12px", fontWeight: 700, color: "#fff", marginBottom: "8px" }}>📈 Function Health — Which departments are growing?</div>
-                  <div style={{ fontSize: "11px", color: "#8a8fb5", lineHeight: 1.5, marginBottom: "12px" }}>
-                    Your function ({person.currentFunction}) is highlighted.
-                  </div>
-                  <div style={{ background: "#0a0a1a", borderRadius: "12px", padding: "16px", overflowX: "auto" }}>
-                    <div style={{ display: "grid", gridTemplateColumns: "1.4fr 65px 75px 60px 65px", gap: "8px", marginBottom: "10px", paddingBottom: "8px", borderBottom: "1px solid #ffffff12" }}>
-                      {["Function", "Hires*", "Deps*", "Net", "Churn"].map((h, i) => (
-                        <span key={i} style={{ fontSize: "10px", color: "#4a4f7a", fontWeight: 700, textAlign: i > 0 ? "right" : "left", textTransform: "uppercase", letterSpacing: "0.08em" }}>{h}</span>
-                      ))}
-                    </div>
-                    {company.flows
-                      .sort((a, b) => b.net - a.net)
-                      .slice(0, 8)
-                      .map((f, i) => {
-                        const isTarget = f.function === person.currentFunction;
-                        const churnColor = f.churnPct > 55 ? "#ef4444" : f.churnPct > 40 ? "#f59e0b" : "#22c55e";
-                        return (
-                          <div key={i} style={{ display: "grid", gridTemplateColumns: "1.4fr 65px 75px 60px 65px", gap: "8px", padding: "7px 4px", borderBottom: "1px solid #ffffff06", backgroundColor: isTarget ? "#ef444410" : "transparent", borderRadius: isTarget ? "6px" : "0" }}>
-                            <span style={{ fontSize: "12px", color: isTarget ? "#ef4444" : "#fff", fontWeight: isTarget ? 700 : 500 }}>{f.function}{isTarget ? " ←" : ""}</span>
-                            <span style={{ fontSize: "12px", color: "#8a8fb5", textAlign: "right" }}>{f.hires}</span>
-                            <span style={{ fontSize: "12px", color: "#8a8fb5", textAlign: "right" }}>{f.departures}</span>
-                            <span style={{ fontSize: "12px", color: f.net >= 0 ? "#22c55e" : "#ef4444", textAlign: "right", fontWeight: 600 }}>{f.net >= 0 ? "+" : ""}{f.net}</span>
-                            <span style={{ fontSize: "12px", color: churnColor, textAlign: "right", fontWeight: 600 }}>{f.churnPct}%</span>
-                          </div>
-                        );
-                      })}
-                    <div style={{ fontSize: "9px", color: "#4a4f7a", marginTop: "8px" }}>* Observed sample from workforce.ai tracking</div>
-                  </div>
-                </div>
-              )}
-
+              <CompanyIntel company={company} scores={scores} narrative={narrative} focusFunction={person.currentFunction} />
             </Section>
           </div>
         )}
@@ -1208,6 +1891,12 @@ function Report({ data, onReset }) {
           </div>
         )}
 
+        {/* CHANGES */}
+        {tab === "changes" && hasHistory && <ChangesView reportId={data.id} runs={runs} />}
+
+        {/* WHAT IF */}
+        {tab === "whatif" && data.id && <WhatIfPanel reportId={data.id} person={person} />}
+
         {/* FUTURE-PROOFING */}
         {tab === "retraining" && (
           <div className="animate-fade-in">
@@ -1371,53 +2060,171 @@ function Report({ data, onReset }) {
 
 // ─── Main Page ────────────────────────────────────────────────
 
-export default function Home() {
+// `initialReport` is set when /report/<id> renders a saved report, and
+// `initialCompanyId` when /company/<id> opens a company-only report
+export default function Home({ initialReport = null, initialCompanyId = null }) {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [reportData, setReportData] = useState(null);
+  const [reportData, setReportData] = useState(initialReport);
+  const [companyReport, setCompanyReport] = useState(null);
+  const [candidates, setCandidates] = useState(null);
+  const [query, setQuery] = useState(null);
+  const [stage, setStage] = useState(null);
 
   const handleSearch = async (params) => {
     setLoading(true);
     setError(null);
+    setStage(null);
+    // Stream stages land here until scores arrive; from then on the Report renders
+    // and each later event (narrative sections) is merged into reportData
+    let partial = {};
+    let rendered = false;
+    let finished = false;
     try {
-      const res = await fetch("/api/assess", {
+      // ?profile=<id> picks a scoring profile other than the server default
+      const profile = new URLSearchParams(window.location.search).get("profile");
+      const res = await fetch("/api/assess/stream", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(params),
+        body: JSON.stringify(profile && !params.profile ? { ...params, profile } : params),
       });
-      const text = await res.text();
-      let data;
-      try {
-        data = JSON.parse(text);
-      } catch {
-        // Vercel returned non-JSON (timeout, crash, 502)
-        const preview = text.slice(0, 120);
-        if (res.status === 504 || preview.toLowerCase().includes("timeout") || preview.toLowerCase().includes("task timed out")) {
-          setError("The assessment timed out. This can happen with complex profiles — try again.");
-        } else {
-          setError(`Server error (${res.status}): ${preview || "No response body"}`);
+
+      if (!res.ok || !res.headers.get("content-type")?.includes("text/event-stream")) {
+        const text = await res.text();
+        let data;
+        try {
+          data = JSON.parse(text);
+        } catch {
+          // Vercel returned non-JSON (timeout, crash, 502)
+          const preview = text.slice(0, 120);
+          if (res.status === 504 || preview.toLowerCase().includes("timeout") || preview.toLowerCase().includes("task timed out")) {
+            setError("The assessment timed out. This can happen with complex profiles — try again.");
+          } else {
+            setError(`Server error (${res.status}): ${preview || "No response body"}`);
+          }
+          setLoading(false);
+          return;
         }
+        setError(data.error || "Something went wrong");
         setLoading(false);
         return;
       }
+
+      await readEventStream(res, (event, data) => {
+        if (event === "person") {
+          partial = { ...partial, ...data };
+          setStage("Analyzing company · Checking hiring signals...");
+        } else if (event === "company" || event === "hiringSignals") {
+          partial = { ...partial, ...data };
+          setStage("Scoring risk...");
+        } else if (event === "scores") {
+          rendered = true;
+          setCandidates(null);
+          setReportData({ ...partial, ...data, narrative: {}, streaming: true });
+        } else if (event === "narrativeSection") {
+          setReportData((d) => d && { ...d, narrative: { ...d.narrative, [data.key]: data.value } });
+        } else if (event === "narrative") {
+          setReportData((d) => d && { ...d, narrative: data.narrative });
+        } else if (event === "done") {
+          finished = true;
+          setCandidates(null);
+          setReportData(data);
+          // Point the address bar at the saved copy so a refresh doesn't lose it
+          if (data.id) window.history.replaceState(null, "", `/report/${data.id}`);
+        } else if (event === "candidates") {
+          finished = true;
+          setQuery(params);
+          setCandidates(data.candidates);
+        } else if (event === "error") {
+          finished = true;
+          // A failed re-run leaves the report it was started from on screen
+          if (rendered) setReportData(null);
+          setError(data.error || "Something went wrong");
+        }
+      });
+
+      if (!finished) {
+        // Connection dropped mid-report: keep whatever already rendered
+        if (rendered) setReportData((d) => d && { ...d, streaming: false });
+        setError("The assessment was cut off before it finished. Try again for the full report.");
+      }
+    } catch (err) {
+      if (rendered) setReportData((d) => d && { ...d, streaming: false });
+      setError(`Network error: ${err.message || "Unknown"}. Check your connection and try again.`);
+    }
+    setLoading(false);
+    setStage(null);
+  };
+
+  const handleCompanySearch = async (params) => {
+    setLoading(true);
+    setError(null);
+    setStage("Analyzing company...");
+    try {
+      const profile = new URLSearchParams(window.location.search).get("profile");
+      const res = await fetch("/api/company", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(profile ? { ...params, profile } : params),
+      });
+      const data = await res.json().catch(() => ({ error: `Server error (${res.status})` }));
       if (!res.ok) {
         setError(data.error || "Something went wrong");
       } else {
-        setReportData(data);
+        setCompanyReport(data);
+        window.history.replaceState(null, "", `/company/${encodeURIComponent(data.company.id)}`);
       }
     } catch (err) {
       setError(`Network error: ${err.message || "Unknown"}. Check your connection and try again.`);
     }
     setLoading(false);
+    setStage(null);
+  };
+
+  useEffect(() => {
+    if (initialCompanyId) handleCompanySearch({ id: initialCompanyId });
+  }, [initialCompanyId]);
+
+  const handleReset = () => {
+    setReportData(null);
+    setCompanyReport(null);
+    if (window.location.pathname !== "/") window.history.pushState(null, "", "/");
+  };
+
+  // Fresh LiveData (cache bypassed) under the same scoring profile, so the
+  // Changes tab compares like with like where it can
+  const handleRerun = (report) => {
+    handleSearch({ linkedin: report.person.linkedin, refresh: true, profile: report.scoringProfile?.id });
   };
 
+  const handlePick = (candidate) => {
+    handleSearch(candidate.linkedin ? { linkedin: candidate.linkedin } : { ...query, pick: candidate.index });
+  };
+
+  if (companyReport) {
+    return <CompanyReport data={companyReport} onReset={handleReset} />;
+  }
+
   if (reportData) {
-    return <Report data={reportData} onReset={() => setReportData(null)} />;
+    return (
+      <div>
+        <Report data={reportData} onReset={handleReset} onRerun={handleRerun} rerunning={loading} />
+        {error && (
+          <div style={{ position: "fixed", bottom: "24px", left: "50%", transform: "translateX(-50%)", backgroundColor: "#ef444422", border: "1px solid #ef444444", color: "#ef4444", padding: "12px 24px", borderRadius: "12px", fontSize: "13px", fontWeight: 600, maxWidth: "400px", textAlign: "center" }}>
+            {error}
+          </div>
+        )}
+      </div>
+    );
   }
 
   return (
     <div>
-      <SearchForm onSubmit={handleSearch} loading={loading} />
+      {candidates ? (
+        <CandidatePicker candidates={candidates} query={query} onPick={handlePick} onBack={() => setCandidates(null)} loading={loading} stage={stage} />
+      ) : (
+        <SearchForm onSubmit={handleSearch} onCompanySubmit={handleCompanySearch} loading={loading} stage={stage} />
+      )}
       {error && (
         <div style={{ position: "fixed", bottom: "24px", left: "50%", transform: "translateX(-50%)", backgroundColor: "#ef444422", border: "1px solid #ef444444", color: "#ef4444", padding: "12px 24px", borderRadius: "12px", fontSize: "13px", fontWeight: 600, maxWidth: "400px", textAlign: "center" }}>
           {error}
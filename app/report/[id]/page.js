@@ -0,0 +1,28 @@
+import { notFound } from "next/navigation";
+import Home from "@/app/page";
+import { loadReport, ReportError } from "@/lib/reports";
+
+export const dynamic = "force-dynamic";
+
+// /report/<id> — a saved report (or a share link to one), rendered by the same
+// dashboard as a fresh assessment
+export default async function SavedReportPage({ params }) {
+  let saved;
+  try {
+    saved = await loadReport(params.id);
+  } catch (err) {
+    if (!(err instanceof ReportError)) throw err;
+    if (err.status === 404) notFound();
+    return (
+      <div style={{ minHeight: "100vh", display: "flex", alignItems: "center", justifyContent: "center", padding: "24px" }}>
+        <div style={{ maxWidth: "420px", textAlign: "center" }}>
+          <h1 style={{ fontSize: "24px", fontWeight: 800, marginBottom: "8px" }}>{err.message}</h1>
+          <p style={{ fontSize: "13px", color: "#8a8fb5", lineHeight: 1.6, marginBottom: "20px" }}>Ask whoever sent it for a new link, or run a fresh assessment.</p>
+          <a href="/" style={{ fontSize: "13px", color: "#6366f1", fontWeight: 600 }}>New assessment →</a>
+        </div>
+      </div>
+    );
+  }
+
+  return <Home initialReport={{ ...saved.report, share: saved.share }} />;
+}
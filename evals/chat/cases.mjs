@@ -0,0 +1,131 @@
+// Chat Eval Cases
+// Each case is one Ask bar question with the assessment context the dashboard
+// would send, and what the answer has to do:
+//   calls       tools that must be called: { name, input, absent }. Input strings
+//               match case-insensitively, numbers exactly, RegExps are tested, and
+//               `absent` keys must be unset
+//   notCalled   tool names that must not be called
+//   noTools     true when the answer should come from the context alone
+//   prompt      RegExps the first request's user prompt must match
+//   historyTurns  earlier turns the first request must carry
+//   answer      RegExps the final answer must match
+// Claude's side of each case is transcripts/<id>.json.
+
+// The fixture person (fixtures/livedata/_defaults), as the Overview tab sends them
+const JORDAN = {
+  person: {
+    name: "Jordan Avery",
+    currentTitle: "Account Executive",
+    currentCompany: "Northwind Software",
+    location: "Austin, Texas, United States",
+    currentFunction: "Sales and Support",
+    currentLevel: "Staff",
+    education: "BBA @ University of Texas at Austin",
+    jobs: [
+      { title: "Account Executive", company: "Northwind Software" },
+      { title: "Sales Development Representative", company: "Fabrikam" },
+      { title: "Marketing Intern", company: "Tailspin Toys" },
+    ],
+  },
+  scores: { overall: 60, aiRisk: 85, companyInstability: 35, promotionCeiling: 46, tenureVolatility: 65, functionChurn: 65, marketDemand: 43, salaryCompression: 77 },
+  scoreBreakdown: {
+    aiRisk: {
+      rule: "Sales and Support starts at 70",
+      adjustments: [{ label: "Staff level", delta: 15 }],
+      effectiveWeight: 0.25,
+      contribution: 21.3,
+      confidence: "high",
+    },
+  },
+  salary: {
+    estimate: { low: 54698, midpoint: 70125, high: 91163, p90: 108694 },
+    aiPressure: { direction: "downward", magnitude: "significant", pctImpact: -15 },
+    progression: [],
+  },
+  tab: "overview",
+};
+
+export const CASES = [
+  {
+    id: "account-managers-use-title",
+    description: "A role with \"Manager\" in the name is a title, not Manager-level seniority",
+    question: "Which companies in Austin are hiring account managers?",
+    context: JORDAN,
+    expect: {
+      calls: [{ name: "search_location_hires", input: { location: /austin/i, title: /account manager/i }, absent: ["level"] }],
+    },
+  },
+  {
+    id: "director-level-uses-level",
+    description: "Seniority questions filter on level, not title",
+    question: "Has Contoso been hiring director-level people this year?",
+    context: JORDAN,
+    expect: {
+      calls: [{ name: "search_company_hires", input: { company_name: /contoso/i, level: "Director" }, absent: ["title"] }],
+    },
+  },
+  {
+    id: "broad-area-uses-function",
+    description: "A broad area (\"engineering\") is a function category",
+    question: "Is Adventure Works growing its engineering team?",
+    context: JORDAN,
+    expect: {
+      calls: [{ name: "search_company_hires", input: { company_name: /adventure works/i, function: "Engineering" }, absent: ["title", "level"] }],
+    },
+  },
+  {
+    id: "salary-uses-tool",
+    description: "Pay for another role comes from estimate_salary, not Claude's own figures",
+    question: "What would a Director of Marketing make in Denver?",
+    context: { ...JORDAN, tab: "salary" },
+    expect: {
+      calls: [{ name: "estimate_salary", input: { function: /marketing/i, level: "Director", location: /denver/i } }],
+      answer: [/\$1\d\dK/],
+    },
+  },
+  {
+    id: "headcount-uses-demographics",
+    description: "Org size and trend questions use get_company_demographics",
+    question: "How big is Contoso's engineering org, and is it shrinking?",
+    context: JORDAN,
+    expect: {
+      calls: [{ name: "get_company_demographics", input: { company_name: /contoso/i, function: /engineering/i } }],
+      notCalled: ["search_company_hires"],
+    },
+  },
+  {
+    id: "pairwise-flow",
+    description: "Moves between two named companies use the pairwise tool",
+    question: "How many people went from Northwind Software to Contoso in the last 18 months?",
+    context: JORDAN,
+    expect: {
+      calls: [{ name: "search_moves_between_companies", input: { from_company: /northwind/i, to_company: /contoso/i, months_back: 18 } }],
+      notCalled: ["search_person_moves"],
+    },
+  },
+  {
+    id: "follow-up-keeps-thread",
+    description: "A follow-up resolves \"their\" from the earlier turn",
+    question: "And where have their people been going?",
+    history: [
+      { role: "user", text: "Is Contoso hiring account executives?" },
+      { role: "assistant", text: "Yes. Contoso hired 14 account executives in the last 12 months against 5 departures." },
+    ],
+    context: JORDAN,
+    expect: {
+      historyTurns: 2,
+      calls: [{ name: "search_person_moves", input: { company_name: /contoso/i, direction: "departures" } }],
+    },
+  },
+  {
+    id: "score-question-uses-context",
+    description: "\"Why is my score…\" is answered from the score breakdown without tools",
+    question: "Why is my AI risk so high?",
+    context: JORDAN,
+    expect: {
+      noTools: true,
+      prompt: [/HOW SCORES WERE CALCULATED/, /aiRisk: Sales and Support starts at 70; \+15 Staff level/],
+      answer: [/70/, /15/],
+    },
+  },
+];
@@ -0,0 +1,26 @@
+// Module hooks that let plain Node load the app's route handlers the way Next
+// does: "@/..." resolves from the repo root (jsconfig.json), extensionless
+// imports get ".js", and the repo's .js files load as ES modules.
+
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+const ROOT_URL = pathToFileURL(ROOT).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith("@/")) specifier = pathToFileURL(path.join(ROOT, specifier.slice(2))).href;
+  try {
+    return await nextResolve(specifier, context);
+  } catch (err) {
+    if (err.code !== "ERR_MODULE_NOT_FOUND" || specifier.endsWith(".js")) throw err;
+    return nextResolve(`${specifier}.js`, context);
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(ROOT_URL) && url.endsWith(".js") && !url.includes("/node_modules/")) {
+    return nextLoad(url, { ...context, format: "module" });
+  }
+  return nextLoad(url, context);
+}
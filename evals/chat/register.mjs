@@ -0,0 +1,4 @@
+// node --import ./evals/chat/register.mjs — installs hooks.mjs
+import { register } from "module";
+
+register("./hooks.mjs", import.meta.url);
@@ -0,0 +1,262 @@
+// Chat Eval Harness
+// Replays the cases in cases.mjs through the POST /api/chat handler and checks
+// which tools were called, with which arguments, plus the stream itself. LiveData
+// is served from the replay fixtures (fixtures/livedata/), and Claude is a
+// scripted stand-in playing back transcripts/<case>.json, so a run needs no keys
+// and no network.
+//
+//   npm run eval:chat                 replay every case
+//   npm run eval:chat -- salary       only cases whose id contains "salary"
+//   npm run eval:chat -- --live       ask the real Claude (ANTHROPIC_API_KEY), e.g. after a prompt change
+//   npm run eval:chat -- --record     --live, and save each reply as the case's transcript
+//   npm run eval:chat -- --verbose    keep the handler's own logging
+//
+// Exits 1 when any case fails. A transcript recorded against a different system
+// prompt, tool list or opening messages than the handler sends now fails as
+// stale; re-record it.
+//
+// The committed transcripts are hand-written (their recordedAt is null), not
+// recorded from Claude, so a replay run only checks the plumbing: that the
+// handler sends the requests, runs the tools and streams the events the
+// transcript implies. It says nothing about what Claude would do with the
+// prompt; use --live for that, and --record to replace them with real replies.
+
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { CASES } from "./cases.mjs";
+
+const TRANSCRIPTS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "transcripts");
+
+const args = process.argv.slice(2);
+const record = args.includes("--record");
+const live = record || args.includes("--live");
+const verbose = args.includes("--verbose");
+const only = args.filter((a) => !a.startsWith("--"));
+
+// Set before the route (and lib/livedata) load
+process.env.LIVEDATA_MODE = "replay";
+process.env.LIVEDATA_CACHE = "off";
+if (live && !process.env.ANTHROPIC_API_KEY) {
+  console.error("--live and --record call Claude and need ANTHROPIC_API_KEY");
+  process.exit(1);
+}
+if (!live) process.env.ANTHROPIC_API_KEY = "eval-replay";
+
+const { POST } = await import("@/app/api/chat/route.js");
+const { readEventStream } = await import("@/lib/sse");
+const { readMessageStream } = await import("@/lib/claude");
+
+const realFetch = globalThis.fetch;
+
+// ─── Claude Stand-in ──────────────────────────────────────────
+
+// One transcript turn as the SSE stream the Messages API would send, text split
+// into word-sized deltas and tool inputs into a single JSON fragment
+function streamTurn({ content, stop_reason }) {
+  const events = [{ type: "message_start", message: { role: "assistant", content: [] } }];
+  content.forEach((block, index) => {
+    if (block.type === "text") {
+      events.push({ type: "content_block_start", index, content_block: { type: "text", text: "" } });
+      for (const text of block.text.match(/\s*\S+\s*/g) || []) {
+        events.push({ type: "content_block_delta", index, delta: { type: "text_delta", text } });
+      }
+    } else {
+      events.push({ type: "content_block_start", index, content_block: { type: "tool_use", id: block.id, name: block.name, input: {} } });
+      events.push({ type: "content_block_delta", index, delta: { type: "input_json_delta", partial_json: JSON.stringify(block.input) } });
+    }
+    events.push({ type: "content_block_stop", index });
+  });
+  events.push({ type: "message_delta", delta: { stop_reason } }, { type: "message_stop" });
+
+  const body = events.map((e) => `event: ${e.type}\ndata: ${JSON.stringify(e)}\n\n`).join("");
+  return new Response(body, { headers: { "Content-Type": "text/event-stream" } });
+}
+
+// Keeps every Claude request the handler makes. Replay answers each with the
+// transcript's next turn; live passes it to the API and keeps the reply for --record.
+// Anything else reaching the network is an error: LiveData should come from fixtures.
+function installClaude(turns) {
+  const requests = [];
+  const replies = [];
+  globalThis.fetch = async (url, init) => {
+    if (!String(url).startsWith("https://api.anthropic.com/")) {
+      throw new Error(`Unexpected network call during eval: ${url}`);
+    }
+    requests.push(JSON.parse(init.body));
+    if (!live) {
+      const turn = turns[requests.length - 1];
+      if (!turn) throw new Error(`Transcript has ${turns.length} turn(s) but the handler asked for another`);
+      return streamTurn(turn);
+    }
+
+    const res = await realFetch(url, init);
+    if (!res.ok) return res;
+    const [forRoute, forRecord] = res.body.tee();
+    replies.push(readMessageStream(new Response(forRecord)).then(({ content, stopReason }) => ({ stop_reason: stopReason, content })));
+    return new Response(forRoute, { status: res.status, headers: res.headers });
+  };
+  return { requests, replies };
+}
+
+// ─── Checks ───────────────────────────────────────────────────
+
+// Why `input` doesn't satisfy the expected call, or null when it does
+function inputMismatch(want, input = {}) {
+  for (const [key, expected] of Object.entries(want.input || {})) {
+    const got = input[key];
+    const ok = expected instanceof RegExp
+      ? expected.test(String(got ?? ""))
+      : String(got ?? "").toLowerCase() === String(expected).toLowerCase();
+    if (!ok) return `${key} was ${JSON.stringify(got)}, expected ${expected instanceof RegExp ? expected : JSON.stringify(expected)}`;
+  }
+  for (const key of want.absent || []) {
+    if (input[key] != null) return `should not set ${key} (got ${JSON.stringify(input[key])})`;
+  }
+  return null;
+}
+
+function checkCase(testCase, { events, requests }) {
+  const failures = [];
+  const expect = testCase.expect || {};
+  const failed = events.find((e) => e.event === "error" || e.event === "http");
+  const done = events.find((e) => e.event === "done")?.data;
+  const calls = events.filter((e) => e.event === "tool").map((e) => e.data);
+  const names = calls.map((c) => c.name).join(", ") || "none";
+
+  if (failed) failures.push(`Handler failed: ${failed.data.error}`);
+  if (!done) return [...failures, "Stream ended without a done event"];
+
+  // The stream itself: one status line per tool, tokens that add up to the answer,
+  // and tools that found their fixture data
+  const statuses = events.filter((e) => e.event === "status").length;
+  if (statuses !== calls.length) failures.push(`${statuses} status line(s) for ${calls.length} tool call(s)`);
+  const streamed = events.filter((e) => e.event === "token").map((e) => e.data.text).join("");
+  if (streamed && streamed !== done.answer) failures.push("Streamed tokens don't add up to the final answer");
+  for (const call of calls.filter((c) => c.error)) failures.push(`${call.name} failed: ${call.headline}`);
+
+  for (const want of expect.calls || []) {
+    const candidates = calls.filter((c) => c.name === want.name);
+    if (candidates.length === 0) failures.push(`Expected a ${want.name} call, got: ${names}`);
+    else if (!candidates.some((c) => !inputMismatch(want, c.input))) failures.push(`${want.name}: ${inputMismatch(want, candidates[0].input)}`);
+  }
+  for (const name of expect.notCalled || []) {
+    if (calls.some((c) => c.name === name)) failures.push(`${name} should not have been called`);
+  }
+  if (expect.noTools && calls.length) failures.push(`Expected no tool calls, got: ${names}`);
+
+  const first = requests[0];
+  const prompt = first?.messages.at(-1)?.content || "";
+  for (const pattern of expect.prompt || []) {
+    if (!pattern.test(prompt)) failures.push(`User prompt doesn't match ${pattern}`);
+  }
+  if (expect.historyTurns != null && first && first.messages.length - 1 !== expect.historyTurns) {
+    failures.push(`First request carried ${first.messages.length - 1} earlier turn(s), expected ${expect.historyTurns}`);
+  }
+  for (const pattern of expect.answer || []) {
+    if (!pattern.test(done.answer)) failures.push(`Answer doesn't match ${pattern}`);
+  }
+  return failures;
+}
+
+// ─── Runner ───────────────────────────────────────────────────
+
+// Everything a transcript's replies were answering: the system prompt, the tool
+// definitions and the first request's messages (the history, then the user
+// message that carries the question and the case's assessment context)
+function promptHash(request) {
+  if (!request) return null;
+  const { system, tools, messages } = request;
+  return createHash("sha256").update(JSON.stringify({ system, tools, messages })).digest("hex").slice(0, 16);
+}
+
+async function readTranscript(id) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(TRANSCRIPTS_DIR, `${id}.json`), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+async function runCase(testCase) {
+  const transcript = live ? null : await readTranscript(testCase.id);
+  if (!live && !transcript) return { failures: [`No transcript at transcripts/${testCase.id}.json (run with --record)`], calls: [] };
+
+  const claude = installClaude(transcript?.turns || []);
+  const events = [];
+  const quiet = verbose ? null : { log: console.log, warn: console.warn, error: console.error };
+  if (quiet) console.log = console.warn = console.error = () => {};
+
+  try {
+    const res = await POST(new Request("http://localhost/api/chat", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ question: testCase.question, history: testCase.history || [], ...testCase.context }),
+    }));
+    if (res.headers.get("Content-Type")?.startsWith("text/event-stream")) {
+      await readEventStream(res, (event, data) => events.push({ event, data }));
+    } else {
+      events.push({ event: "http", data: await res.json() });
+    }
+  } finally {
+    if (quiet) Object.assign(console, quiet);
+    globalThis.fetch = realFetch;
+  }
+
+  if (record && claude.replies.length) {
+    const turns = await Promise.all(claude.replies);
+    await fs.mkdir(TRANSCRIPTS_DIR, { recursive: true });
+    await fs.writeFile(
+      path.join(TRANSCRIPTS_DIR, `${testCase.id}.json`),
+      JSON.stringify({
+        id: testCase.id,
+        question: testCase.question,
+        model: claude.requests[0]?.model,
+        recordedAt: new Date().toISOString(),
+        promptHash: promptHash(claude.requests[0]),
+        turns,
+      }, null, 2) + "\n"
+    );
+  }
+
+  // A stale transcript explains any other failure, so it's listed first
+  const failures = checkCase(testCase, { events, requests: claude.requests });
+  const hash = promptHash(claude.requests[0]);
+  if (transcript && hash && transcript.promptHash !== hash) {
+    const why = transcript.promptHash
+      ? `the system prompt, tools or opening messages changed since it was recorded (${transcript.promptHash}, now ${hash})`
+      : "it has no promptHash, so it can't be matched to the current prompt";
+    failures.unshift(`Stale transcript: ${why}. Re-record with: npm run eval:chat -- --record ${testCase.id}`);
+  }
+
+  return {
+    failures,
+    calls: events.filter((e) => e.event === "tool").map((e) => e.data.name),
+  };
+}
+
+const cases = CASES.filter((c) => only.length === 0 || only.some((term) => c.id.includes(term)));
+if (cases.length === 0) {
+  console.error(`No cases match: ${only.join(", ")}`);
+  process.exit(1);
+}
+
+console.log(`Chat eval: ${cases.length} case(s), ${record ? "recording" : live ? "live Claude" : "replaying transcripts"}\n`);
+const width = Math.max(...cases.map((c) => c.id.length));
+let failed = 0;
+
+for (const testCase of cases) {
+  let result;
+  try {
+    result = await runCase(testCase);
+  } catch (err) {
+    result = { failures: [`Crashed: ${err.stack || err.message}`], calls: [] };
+  }
+  if (result.failures.length) failed++;
+  console.log(`  ${result.failures.length ? "✗" : "✓"} ${testCase.id.padEnd(width)}  ${result.calls.join(", ") || "(no tools)"}`);
+  for (const failure of result.failures) console.log(`      - ${failure}`);
+}
+
+console.log(`\n${cases.length - failed} passed, ${failed} failed`);
+process.exitCode = failed ? 1 : 0;
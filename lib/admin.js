@@ -0,0 +1,16 @@
+// Admin Routes
+// Operations that cost money or drop shared state (clearing the LiveData cache)
+// need `Authorization: Bearer <ADMIN_TOKEN>`. With no ADMIN_TOKEN set they are
+// turned off rather than left open.
+
+import { createHash, timingSafeEqual } from "crypto";
+
+const digest = (value) => createHash("sha256").update(value).digest();
+
+export function isAdminRequest(request) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) return false;
+  const match = (request.headers.get("authorization") || "").match(/^Bearer\s+(.+)$/i);
+  // Compare digests so the check takes the same time whatever the length
+  return !!match && timingSafeEqual(digest(match[1].trim()), digest(token));
+}
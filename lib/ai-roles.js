@@ -0,0 +1,53 @@
+// AI Displacement by Role
+// Hand-curated automation exposure for common roles within a function, shown on
+// the AI Risk tab and in the PDF export with the person's own row highlighted.
+
+export const AI_ROLE_PROFILES = {
+  "Engineering": [
+    { role: "Code generation / boilerplate",     risk: 82, note: "GitHub Copilot & peers do this today", tags: ["junior", "engineer", "developer", "swe"] },
+    { role: "QA / automated testing",             risk: 71, note: "AI-assisted test generation growing fast", tags: ["qa", "test", "quality"] },
+    { role: "Mid-level feature development",      risk: 55, note: "Pair programming with AI — scope shrinks", tags: ["engineer", "developer", "software"] },
+    { role: "Architecture / system design",       risk: 28, note: "Judgment-intensive — AI-resistant", tags: ["architect", "principal", "staff", "senior staff"] },
+    { role: "Staff+ technical leadership",        risk: 15, note: "Organizational influence — protected", tags: ["vp", "cto", "director", "head of"] },
+  ],
+  "Publishing, Editorial and Reporting": [
+    { role: "Data / markets automated output",    risk: 88, note: "AP, Reuters, Bloomberg automate this now", tags: ["data reporter", "markets", "finance reporter"] },
+    { role: "Earnings / finance reporting",       risk: 74, note: "Highest automation overlap in journalism", tags: ["reporter", "journalist", "writer"] },
+    { role: "General business news",              risk: 61, note: "Mid-risk — depends on source depth", tags: ["staff writer", "correspondent"] },
+    { role: "Investigative / regulatory",         risk: 28, note: "Source-driven — AI-resistant", tags: ["investigative", "regulatory", "policy"] },
+    { role: "Senior analytical / columnist",      risk: 16, note: "Voice and judgment — protected", tags: ["editor", "senior editor", "managing editor", "columnist"] },
+  ],
+  "Finance and Administration": [
+    { role: "Data entry / reconciliation",        risk: 85, note: "Heavily automated by RPA and AI tools", tags: ["analyst", "associate", "coordinator"] },
+    { role: "Routine financial reporting",        risk: 72, note: "Templated reports increasingly AI-generated", tags: ["financial analyst", "accountant"] },
+    { role: "FP&A / budget modeling",             risk: 48, note: "Augmented by AI but judgment still required", tags: ["fp&a", "finance manager", "senior analyst"] },
+    { role: "Strategic finance / CFO advisory",   risk: 22, note: "Executive judgment — AI-resistant", tags: ["vp finance", "cfo", "director finance", "controller"] },
+  ],
+  "Sales and Support": [
+    { role: "Tier 1 support / FAQs",              risk: 80, note: "Chatbots handling most of this already", tags: ["support", "customer service", "tier 1"] },
+    { role: "SDR / outbound prospecting",         risk: 65, note: "AI sequencing replacing manual outreach", tags: ["sdr", "bdr", "sales development"] },
+    { role: "Account management",                 risk: 40, note: "Relationship-driven — partially protected", tags: ["account manager", "am", "csm", "customer success"] },
+    { role: "Enterprise / strategic sales",       risk: 20, note: "Complex deals — human judgment required", tags: ["enterprise", "ae", "account executive", "vp sales"] },
+  ],
+  "Marketing and Product": [
+    { role: "Content creation / copywriting",     risk: 78, note: "Generative AI directly competes here", tags: ["content", "copywriter", "writer", "content manager"] },
+    { role: "Performance / paid marketing",       risk: 60, note: "Automation tools replacing manual ops", tags: ["performance", "paid", "growth", "demand gen"] },
+    { role: "Product management",                 risk: 35, note: "Prioritization and stakeholder work — resistant", tags: ["product manager", "pm", "product lead"] },
+    { role: "Brand / creative strategy",          risk: 25, note: "Taste and narrative — protected", tags: ["brand", "creative director", "vp marketing", "cmo"] },
+  ],
+  "Business Management": [
+    { role: "Operational reporting / dashboards", risk: 70, note: "BI tools and AI automating routine reports", tags: ["ops", "operations analyst", "coordinator"] },
+    { role: "Project coordination",               risk: 55, note: "AI scheduling and tracking tools growing", tags: ["project manager", "program manager", "pmo"] },
+    { role: "Strategy / general management",      risk: 28, note: "Leadership and judgment — AI-resistant", tags: ["director", "vp", "chief of staff", "general manager"] },
+  ],
+};
+
+// Falls back to Business Management for functions without a curated table.
+// matchIndex is the row whose tags best match the title, -1 when none do.
+export function matchAiRoleProfile(person) {
+  const title = (person.currentTitle || "").toLowerCase();
+  const rows = AI_ROLE_PROFILES[person.currentFunction] || AI_ROLE_PROFILES["Business Management"];
+  const tagMatches = (row) => row.tags.filter((tag) => title.includes(tag)).length;
+  const matchIndex = rows.reduce((best, row, i) => (tagMatches(row) > (rows[best] ? tagMatches(rows[best]) : 0) ? i : best), -1);
+  return { function: person.currentFunction, rows, matchIndex };
+}
@@ -0,0 +1,762 @@
+// Assessment Pipeline
+// Find the person, pull company reports + hiring signals, score, estimate salary
+// and write the narrative. Shared by POST /api/assess (one JSON response) and
+// POST /api/assess/stream (Server-Sent Events as each stage lands).
+
+import {
+  findPerson,
+  findPersonByLinkedIn,
+  getCompanyDemographics,
+  getCompanyFlows,
+  getCompanyFlowsByLevel,
+  linkedinSlug,
+  liveDataFetch,
+  LiveDataError,
+} from "@/lib/livedata";
+import { explainAllScores } from "@/lib/scoring";
+import { getScoringProfile, ScoringProfileError } from "@/lib/profiles";
+import { estimateSalary, getCompProgression, estimateAISalaryPressure } from "@/lib/salary";
+import { generateNarrative, fallbackNarrative, withNarrativeTimeout } from "@/lib/claude";
+import { cached } from "@/lib/cache";
+import { saveReport } from "@/lib/reports";
+
+// Request problems (bad input, no match) carry the HTTP status the routes return
+export class AssessmentError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "AssessmentError";
+    this.status = status;
+  }
+}
+
+// â”€â”€â”€ Parse person data from LiveData response â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
+
+function parsePerson(result) {
+  const GENERIC_TITLES = new Set([
+    "manager", "director", "senior manager", "associate manager",
+    "specialist", "senior specialist", "analyst", "senior analyst",
+    "associate", "senior associate", "coordinator", "consultant",
+    "lead", "senior lead", "staff", "intern", "vp", "svp", "evp",
+    "vice president", "president", "head", "officer", "executive",
+    "partner", "principal", "advisor", "associate director",
+  ]);
+
+  const rawTitle = result.position?.title || result.jobs?.[0]?.title || "Unknown";
+  const titleIsGeneric = GENERIC_TITLES.has(rawTitle.toLowerCase().trim());
+
+  const person = {
+    name: result.name || "Unknown",
+    linkedin: result.linkedin || null,
+    location: result.location || null,
+    currentTitle: rawTitle,
+    titleIsGeneric,
+    currentCompany: result.position?.company?.name || result.jobs?.[0]?.company?.name || "Unknown",
+    currentCompanyId: result.position?.company?.id || result.jobs?.[0]?.company?.id || null,
+    currentFunction: result.jobs?.[0]?.function || "Sales and Support",
+    currentLevel: result.jobs?.[0]?.level || "Staff",
+    startedAt: result.position?.started_at || result.jobs?.[0]?.started_at || null,
+    education: result.education?.map((e) => `${e.degree || ""} @ ${e.school || ""}`).join(", ") || null,
+    jobs: (result.jobs || []).map((j) => ({
+      title: j.title,
+      company: j.company?.name,
+      companyId: j.company?.id,
+      function: j.function,
+      level: j.level,
+      started_at: j.started_at,
+      ended_at: j.ended_at,
+    })),
+  };
+
+  return person;
+}
+
+// â”€â”€â”€ Rank candidate matches for disambiguation â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
+// LiveData returns up to 3 people for a name search. Score each one on name,
+// company and source order so the user can pick instead of us taking [0].
+
+const PLAUSIBLE_MATCH_CONFIDENCE = 50;
+
+function normalizeName(value) {
+  return (value || "").toLowerCase().replace(/[^a-z0-9\s]/g, "").replace(/\s+/g, " ").trim();
+}
+
+function scoreCandidate(result, index, name, company) {
+  const queryName = normalizeName(name);
+  const candidateName = normalizeName(result.name);
+  const queryTokens = queryName.split(" ").filter(Boolean);
+
+  let confidence = 0;
+  if (candidateName && candidateName === queryName) confidence += 50;
+  else if (queryTokens.length && queryTokens.every((t) => candidateName.includes(t))) confidence += 40;
+  else if (queryTokens.some((t) => candidateName.includes(t))) confidence += 20;
+
+  if (company) {
+    const target = normalizeName(company);
+    const current = normalizeName(result.position?.company?.name || result.jobs?.[0]?.company?.name);
+    const past = (result.jobs || []).map((j) => normalizeName(j.company?.name));
+    if (current && (current.includes(target) || target.includes(current))) confidence += 35;
+    else if (past.some((c) => c && (c.includes(target) || target.includes(c)))) confidence += 20;
+  } else {
+    confidence += 20;
+  }
+
+  // LiveData's own ordering is a weak tiebreaker
+  confidence += [15, 10, 5][index] || 0;
+
+  return Math.min(100, confidence);
+}
+
+function rankCandidates(results, name, company) {
+  return results
+    .map((result, index) => {
+      const person = parsePerson(result);
+      return {
+        index,
+        name: person.name,
+        currentTitle: person.currentTitle,
+        currentCompany: person.currentCompany,
+        location: person.location,
+        linkedin: linkedinSlug(person.linkedin),
+        confidence: scoreCandidate(result, index, name, company),
+      };
+    })
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+// â”€â”€â”€ LiveData errors as "data unavailable" â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
+
+export function describeDataError(err) {
+  switch (err?.code) {
+    case "auth":
+      return { code: "auth", status: 502, message: "Workforce data service rejected our credentials." };
+    case "not_found":
+      return { code: "not_found", status: 404, message: "No workforce data found for this record." };
+    case "rate_limited":
+      return { code: "rate_limited", status: 503, message: "Workforce data service is busy. Try again in a minute." };
+    default:
+      return { code: "upstream", status: 502, message: "Workforce data service is temporarily unavailable." };
+  }
+}
+
+// â”€â”€â”€ Aggregate demographics into summary â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
+
+export function summarizeDemographics(demographics, personFunction) {
+  const byFunction = {};
+  const byDate = {};
+
+  for (const row of demographics) {
+    const func = row.group_values?.[0]?.value || "Unknown";
+    const date = row.date;
+    const count = row.count_employees || 0;
+
+    if (!byFunction[func]) byFunction[func] = {};
+    byFunction[func][date] = count;
+
+    byDate[date] = (byDate[date] || 0) + count;
+  }
+
+  const dates = Object.keys(byDate).sort();
+  const totalHeadcount = dates.length > 0 ? byDate[dates[dates.length - 1]] : 0;
+  const earliestHeadcount = dates.length > 0 ? byDate[dates[0]] : 0;
+  const growthPct =
+    earliestHeadcount > 0
+      ? Math.round(((totalHeadcount - earliestHeadcount) / earliestHeadcount) * 100)
+      : 0;
+
+  const latestDate = dates[dates.length - 1];
+  const functionBreakdown = {};
+  for (const [func, dateMap] of Object.entries(byFunction)) {
+    functionBreakdown[func] = {
+      current: dateMap[latestDate] || 0,
+      earliest: dateMap[dates[0]] || 0,
+    };
+  }
+
+  const deptDateMap = personFunction && byFunction[personFunction] ? byFunction[personFunction] : null;
+  const deptHeadcount = deptDateMap && latestDate ? (deptDateMap[latestDate] || 0) : null;
+
+  const recentDates = dates.slice(-12);
+  const monthNames = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+  function fmtDate(d) {
+    const parts = d.split("-");
+    if (parts.length >= 2) {
+      const m = parseInt(parts[1], 10) - 1;
+      const y = parts[0].slice(-2);
+      return `${monthNames[m] || parts[1]} ${y}`;
+    }
+    return d;
+  }
+
+  return {
+    totalHeadcount,
+    earliestHeadcount,
+    growthPct,
+    deptHeadcount,
+    deptName: personFunction || null,
+    headcountTimeline: recentDates.map((d) => {
+      const entry = { date: fmtDate(d), count: byDate[d] };
+      if (deptDateMap) entry.dept = deptDateMap[d] || 0;
+      return entry;
+    }),
+    functionBreakdown,
+  };
+}
+
+// â”€â”€â”€ Aggregate flows into summary â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
+
+export function summarizeFlows(flows) {
+  const byFunction = {};
+
+  for (const row of flows) {
+    const func = row.group_values?.[0]?.value || "Unknown";
+    if (!byFunction[func]) byFunction[func] = { arrivals: 0, departures: 0 };
+    byFunction[func].arrivals += row.arrivals || 0;
+    byFunction[func].departures += row.departures || 0;
+  }
+
+  return Object.entries(byFunction).map(([func, data]) => ({
+    function: func,
+    hires: data.arrivals,
+    departures: data.departures,
+    net: data.arrivals - data.departures,
+    churnPct: data.arrivals > 0 ? Math.round((data.departures / data.arrivals) * 1000) / 10 : 0,
+  }));
+}
+
+export function summarizeFlowsByLevel(flows) {
+  const byLevel = {};
+  for (const row of flows) {
+    const level = row.group_values?.[0]?.value || "Unknown";
+    if (!byLevel[level]) byLevel[level] = { arrivals: 0, departures: 0 };
+    byLevel[level].arrivals += row.arrivals || 0;
+    byLevel[level].departures += row.departures || 0;
+  }
+
+  return Object.entries(byLevel).map(([level, data]) => ({
+    level,
+    hires: data.arrivals,
+    departures: data.departures,
+    net: data.arrivals - data.departures,
+  }));
+}
+
+// Level flows for the promotion ladder, scoped to the person's own function.
+// Falls back to company-wide when the function sample is too thin to read a
+// ladder from, or the function query came back empty or failed. Both queries
+// start together so the fallback costs no extra wait.
+async function getLevelFlows(person, dateFrom, dateTo, minSample, options = {}) {
+  const fn = person.currentFunction;
+  const countHires = (rows) => rows.reduce((sum, row) => sum + (row.arrivals || 0), 0);
+
+  const [functionResult, companyResult] = await Promise.allSettled([
+    fn ? getCompanyFlowsByLevel(person.currentCompanyId, dateFrom, dateTo, [fn], options) : [],
+    getCompanyFlowsByLevel(person.currentCompanyId, dateFrom, dateTo, [], options),
+  ]);
+  if (functionResult.status === "rejected") {
+    console.error("Function level-hiring report failed, using company-wide:", functionResult.reason.message);
+  }
+
+  const functionRows = functionResult.status === "fulfilled" ? functionResult.value : [];
+  const functionHires = countHires(functionRows);
+  if (fn && functionHires >= minSample) {
+    return { rows: functionRows, scope: { type: "function", function: fn, sampleHires: functionHires } };
+  }
+  if (companyResult.status === "fulfilled") {
+    const companyRows = companyResult.value;
+    return { rows: companyRows, scope: { type: "company", function: fn, sampleHires: countHires(companyRows), functionSampleHires: functionHires } };
+  }
+  // A thin function sample still beats nothing
+  if (functionHires > 0) return { rows: functionRows, scope: { type: "function", function: fn, sampleHires: functionHires } };
+  throw companyResult.reason;
+}
+
+// â”€â”€â”€ Company reports for one person â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
+// Demographics (2 years), function flows and the level ladder (1 year) for the
+// person's current company. Report failures are kept in `dataUnavailable` (not
+// swallowed into []) so the scores that depend on them come back as unavailable
+// rather than a fake 50. Shared with the what-if simulator.
+
+export async function loadCompanyReports(person, profile, cacheOptions = {}) {
+  const twoYearsAgo = new Date();
+  twoYearsAgo.setFullYear(twoYearsAgo.getFullYear() - 2);
+  const dateFrom = twoYearsAgo.toISOString().split("T")[0];
+  const dateTo = new Date().toISOString().split("T")[0];
+
+  const oneYearAgo = new Date();
+  oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
+  const flowsFrom = oneYearAgo.toISOString().split("T")[0];
+
+  const dataUnavailable = {};
+  const report = (key, promise, fallback = []) =>
+    promise.catch((err) => {
+      console.error(`Company report "${key}" failed:`, err.message);
+      dataUnavailable[key] = describeDataError(err);
+      return fallback;
+    });
+
+  const [demographics, flows, levelFlows] = await Promise.all([
+    report("demographics", getCompanyDemographics(person.currentCompanyId, dateFrom, dateTo, cacheOptions)),
+    report("flows", getCompanyFlows(person.currentCompanyId, flowsFrom, dateTo, cacheOptions)),
+    report(
+      "flowsByLevel",
+      getLevelFlows(person, flowsFrom, dateTo, profile.promotionCeiling.minFunctionSample, cacheOptions),
+      { rows: [], scope: null }
+    ),
+  ]);
+
+  const companyData = {
+    ...summarizeDemographics(demographics, person.currentFunction),
+    flows: summarizeFlows(flows),
+    levelHiring: summarizeFlowsByLevel(levelFlows.rows),
+    levelHiringScope: levelFlows.scope,
+  };
+  return { demographics, flows, levelFlows, companyData, dataUnavailable };
+}
+
+// â”€â”€â”€ Hiring Signals (LiveData API Direct) â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
+// 4 parallel queries: regional demand, employer flow, school network, function growth
+
+const LDT_BASE = "https://gotlivedata.io/api/people/v1/o_52c87b0a";
+const LDT_KEY = process.env.LIVEDATA_API_KEY || "ldtkey_ab94dc93b2af4b51a633ad3fb1859494";
+
+async function ldtSearch(body, options = {}) {
+  return cached("search", `${LDT_BASE}/search`, body, () =>
+    liveDataFetch(`${LDT_BASE}/search`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${LDT_KEY}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+      signal: options.signal,
+    }), options);
+}
+
+function extractGeoRegion(location) {
+  if (!location) return null;
+  const parts = location.split(",").map((s) => s.trim());
+  // Always return city (first element), never state
+  return parts[0] || null;
+}
+
+function extractGeoCity(location) {
+  if (!location) return null;
+  return location.split(",")[0]?.trim() || null;
+}
+
+function extractSchools(education) {
+  if (!education) return [];
+  return education
+    .split(",")
+    .map((e) => {
+      const parts = e.split("@").map((s) => s.trim());
+      return parts.length > 1 ? parts[1] : null;
+    })
+    .filter(Boolean);
+}
+
+function extractEmployerIds(jobs, currentCompanyId) {
+  if (!jobs) return [];
+  const ids = new Set();
+  if (currentCompanyId) ids.add(currentCompanyId);
+  for (const job of jobs) {
+    if (job.companyId && job.company !== "None") ids.add(job.companyId);
+  }
+  return [...ids].slice(0, 8);
+}
+
+function extractEmployerNames(jobs) {
+  if (!jobs) return [];
+  const names = new Set();
+  for (const job of jobs) {
+    if (job.company && job.company !== "None") names.add(job.company);
+  }
+  return [...names];
+}
+
+// Query type → key on the signals object
+const SIGNAL_KEYS = { regional: "regional", employer_flow: "employerFlow", school: "school", function_growth: "functionGrowth" };
+
+// LiveData failures on any query are listed in `unavailable` (signal key →
+// describeDataError) rather than thrown, so the other signals still render
+async function getHiringSignals(person, options = {}) {
+  const sixMonthsAgo = new Date();
+  sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
+  const dateFrom = sixMonthsAgo.toISOString().split("T")[0];
+  const dateTo = new Date().toISOString().split("T")[0];
+
+  const isExec = ["VP", "C-Team"].includes(person.currentLevel);
+  const fn = [person.currentFunction].filter(Boolean);
+  const lvl = isExec ? ["VP", "C-Team"] : [person.currentLevel].filter(Boolean);
+  const geo = extractGeoRegion(person.location);
+  const schools = extractSchools(person.education);
+  const employerIds = extractEmployerIds(person.jobs, person.currentCompanyId);
+  const employerNames = extractEmployerNames(person.jobs);
+
+  const queries = [];
+
+  // Q1: Regional demand â€” function+level hires in their geo
+  if (geo && fn.length && lvl.length) {
+    queries.push(
+      ldtSearch({
+        filters: [{
+          operator: "and",
+          filters: [
+            { type: "must", field: "jobs.location", match_type: "fuzzy", string_values: [geo] },
+            { type: "must", field: "jobs.function", match_type: "exact", string_values: fn },
+            { type: "must", field: "jobs.level", match_type: "exact", string_values: lvl },
+            { type: "must", field: "jobs.started_at", match_type: "fuzzy", date_from: dateFrom, date_to: dateTo },
+          ],
+          isJobsGroup: true,
+          jobsGroupType: "any",
+          positionStatus: "all",
+          report: {
+            name: "arrivals_departures",
+            params: { date_from: dateFrom, date_to: dateTo, group_by: ["jobs.company.name"] },
+          },
+        }],
+        size: 0,
+      }, options).then((r) => ({ type: "regional", data: r })).catch((error) => ({ type: "regional", data: null, error }))
+    );
+  } else {
+    queries.push(Promise.resolve({ type: "regional", data: null }));
+  }
+
+  // Q2: Employer flow â€” where alumni from their companies land now
+  if (employerIds.length > 0) {
+    const companyOrFilter = {
+      operator: "or",
+      filters: [
+        ...employerIds.map((id) => ({ type: "must", field: "jobs.company.id", match_type: "exact", string_values: [id] })),
+        ...employerIds.map((id) => ({ type: "must", field: "jobs.company.group_id", match_type: "exact", string_values: [`${id}-group`] })),
+      ],
+    };
+
+    const eighteenMonthsAgo = new Date();
+    eighteenMonthsAgo.setMonth(eighteenMonthsAgo.getMonth() - 18);
+    const flowFrom = eighteenMonthsAgo.toISOString().split("T")[0];
+
+    queries.push(
+      ldtSearch({
+        filters: [{
+          operator: "and",
+          filters: [
+            companyOrFilter,
+            { type: "must", field: "jobs.ended_at", match_type: "fuzzy", date_from: flowFrom, date_to: dateTo },
+            ...(fn.length ? [{ type: "must", field: "jobs.function", match_type: "exact", string_values: [...fn, "Business Management"] }] : []),
+          ],
+          isJobsGroup: true,
+          jobsGroupType: "ended",
+          positionStatus: "all",
+        }],
+        size: 200,
+        return_fields: ["name", "position.title", "position.company.name"],
+      }, options).then((r) => ({ type: "employer_flow", data: r })).catch((error) => ({ type: "employer_flow", data: null, error }))
+    );
+  } else {
+    queries.push(Promise.resolve({ type: "employer_flow", data: null }));
+  }
+
+  // Q3: School network â€” where alumni are getting hired in this function
+  if (schools.length > 0 && fn.length > 0) {
+    queries.push(
+      ldtSearch({
+        filters: [
+          {
+            operator: "and",
+            filters: [
+              { type: "must", field: "education.school", match_type: "fuzzy", string_values: schools },
+            ],
+            isJobsGroup: false,
+          },
+          {
+            operator: "and",
+            filters: [
+              { type: "must", field: "jobs.function", match_type: "exact", string_values: [...fn, "Business Management"] },
+              { type: "must", field: "jobs.started_at", match_type: "fuzzy", date_from: dateFrom, date_to: dateTo },
+            ],
+            isJobsGroup: true,
+            jobsGroupType: "any",
+            positionStatus: "all",
+            report: {
+              name: "arrivals_departures",
+              params: { date_from: dateFrom, date_to: dateTo, group_by: ["jobs.company.name"] },
+            },
+          },
+        ],
+        size: 0,
+      }, options).then((r) => ({ type: "school", data: r })).catch((error) => ({ type: "school", data: null, error }))
+    );
+  } else {
+    queries.push(Promise.resolve({ type: "school", data: null }));
+  }
+
+  // Q4: Function growth â€” top companies building this function nationally
+  if (fn.length > 0) {
+    queries.push(
+      ldtSearch({
+        filters: [{
+          operator: "and",
+          filters: [
+            { type: "must", field: "jobs.function", match_type: "exact", string_values: fn },
+            { type: "must", field: "jobs.started_at", match_type: "fuzzy", date_from: dateFrom, date_to: dateTo },
+          ],
+          isJobsGroup: true,
+          jobsGroupType: "any",
+          positionStatus: "all",
+          report: {
+            name: "arrivals_departures",
+            params: { date_from: dateFrom, date_to: dateTo, group_by: ["jobs.company.name"] },
+          },
+        }],
+        size: 0,
+      }, options).then((r) => ({ type: "function_growth", data: r })).catch((error) => ({ type: "function_growth", data: null, error }))
+    );
+  } else {
+    queries.push(Promise.resolve({ type: "function_growth", data: null }));
+  }
+
+  const results = await Promise.all(queries);
+
+  // A failed search is kept apart from one that found no hires, so Market Demand
+  // can say the data is missing instead of scoring it as a quiet market
+  const unavailable = {};
+  for (const result of results.filter((r) => r.error)) {
+    console.error(`Hiring signal "${result.type}" failed:`, result.error.message);
+    unavailable[SIGNAL_KEYS[result.type]] = describeDataError(result.error);
+  }
+
+  const signals = {
+    regional: processArrivalsReport(results.find((r) => r.type === "regional")?.data),
+    employerFlow: processEmployerFlow(results.find((r) => r.type === "employer_flow")?.data, employerNames),
+    school: processArrivalsReport(results.find((r) => r.type === "school")?.data),
+    functionGrowth: processArrivalsReport(results.find((r) => r.type === "function_growth")?.data),
+    geoRegion: geo,
+    geoCity: extractGeoCity(person.location),
+    schools,
+    employerNames,
+    currentTitle: person.currentTitle,
+    currentFunction: person.currentFunction,
+    currentLevel: person.currentLevel,
+    unavailable,
+  };
+
+  signals.multiSignal = findMultiSignalCompanies(signals);
+
+  return signals;
+}
+
+function processArrivalsReport(result) {
+  const rows = result?.report_results?.arrivals_departures;
+  if (!rows || rows.length === 0) return null;
+
+  const byCompany = {};
+  for (const row of rows) {
+    const company = row.group_values?.[0]?.value;
+    if (!company || company === "None" || company === "Freelance/Self-employed") continue;
+    if (!byCompany[company]) byCompany[company] = 0;
+    byCompany[company] += row.arrivals || 0;
+  }
+
+  const companies = Object.entries(byCompany)
+    .filter(([, count]) => count > 0)
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, hires]) => ({ name, hires }));
+
+  return {
+    totalHires: companies.reduce((sum, c) => sum + c.hires, 0),
+    totalCompanies: companies.length,
+    topCompanies: companies.slice(0, 20),
+  };
+}
+
+function processEmployerFlow(result, sourceEmployerNames) {
+  if (!result?.results || result.results.length === 0) return null;
+
+  const byDestination = {};
+  const sourceSet = new Set((sourceEmployerNames || []).map((n) => n.toLowerCase()));
+
+  for (const person of result.results) {
+    const destCompany = person.position?.company?.name;
+    if (!destCompany || destCompany === "None" || destCompany === "Freelance/Self-employed") continue;
+    if (sourceSet.has(destCompany.toLowerCase())) continue;
+    if (!byDestination[destCompany]) byDestination[destCompany] = 0;
+    byDestination[destCompany]++;
+  }
+
+  const destinations = Object.entries(byDestination)
+    .filter(([, count]) => count > 0)
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, count]) => ({ name, count }));
+
+  return {
+    totalAlumni: destinations.reduce((sum, d) => sum + d.count, 0),
+    totalDestinations: destinations.length,
+    topDestinations: destinations.slice(0, 20),
+  };
+}
+
+function findMultiSignalCompanies(signals) {
+  const companySignals = {};
+
+  const addSignal = (items, signalType, countField) => {
+    if (!items) return;
+    for (const c of items) {
+      const name = c.name;
+      if (!companySignals[name]) companySignals[name] = { name, signals: [], totalWeight: 0 };
+      if (!companySignals[name].signals.includes(signalType)) {
+        companySignals[name].signals.push(signalType);
+      }
+      companySignals[name].totalWeight += c[countField] || 1;
+    }
+  };
+
+  if (signals.regional?.topCompanies) addSignal(signals.regional.topCompanies, "hiring_locally", "hires");
+  if (signals.employerFlow?.topDestinations) addSignal(signals.employerFlow.topDestinations, "employer_network", "count");
+  if (signals.school?.topCompanies) addSignal(signals.school.topCompanies, "school_network", "hires");
+  if (signals.functionGrowth?.topCompanies) addSignal(signals.functionGrowth.topCompanies.slice(0, 15), "function_growth", "hires");
+
+  return Object.values(companySignals)
+    .filter((c) => c.signals.length >= 2)
+    .sort((a, b) => b.signals.length - a.signals.length || b.totalWeight - a.totalWeight)
+    .slice(0, 15);
+}
+
+// â”€â”€â”€ Main Handler â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
+
+// `emit(event, data)` is called as each stage completes: person, company,
+// hiringSignals, scores, narrativeSection (one per top-level narrative key, when
+// Claude streams) and narrative. Resolves to the full report, or { candidates }
+// when a name search needs the user to pick. Throws AssessmentError or LiveDataError.
+// `signal` (the client disconnected) cancels LiveData and Claude calls in flight,
+// and the run rejects with its reason before anything is saved.
+export async function runAssessment(body, emit = () => {}, { signal } = {}) {
+  const { name, company, linkedin, pick, refresh, profile: profileId, narrative: withNarrative = true } = body || {};
+  // Passed to every LiveData call
+  const cacheOptions = { refresh: refresh === true, signal };
+
+  if (!name && !linkedin) {
+    throw new AssessmentError("Name or LinkedIn URL required", 400);
+  }
+
+  // Resolve the scoring profile before spending any LiveData calls
+  let profile;
+  try {
+    profile = getScoringProfile(profileId);
+  } catch (err) {
+    if (err instanceof ScoringProfileError) throw new AssessmentError(err.message, 400);
+    throw err;
+  }
+
+  // Step 1: Find the person
+  let results;
+  if (linkedin) {
+    results = await findPersonByLinkedIn(linkedinSlug(linkedin), cacheOptions);
+  } else {
+    results = await findPerson(name, company || null, cacheOptions);
+  }
+
+  if (!results || results.length === 0) {
+    throw new AssessmentError("Person not found. Try a different name or add their company.", 404);
+  }
+
+  // Step 1b: Name searches with more than one plausible match go back to the
+  // client as a candidate list; it re-submits with a LinkedIn slug or `pick` index.
+  let selected = results[0];
+  if (!linkedin) {
+    if (Number.isInteger(pick) && results[pick]) {
+      selected = results[pick];
+    } else if (results.length > 1) {
+      const candidates = rankCandidates(results, name, company);
+      const plausible = candidates.filter((c) => c.confidence >= PLAUSIBLE_MATCH_CONFIDENCE);
+      if (plausible.length > 1) {
+        return { candidates };
+      }
+      selected = results[candidates[0].index];
+    }
+  }
+
+  const person = parsePerson(selected);
+
+  if (!person.currentCompanyId) {
+    throw new AssessmentError("Could not determine current company. Try adding the company name.", 400);
+  }
+  emit("person", { person });
+
+  // Step 2: Company data + hiring signals (all in parallel), each emitted as it lands
+  const companyReady = loadCompanyReports(person, profile, cacheOptions).then((loaded) => {
+    emit("company", { company: loaded.companyData, dataUnavailable: loaded.dataUnavailable });
+    return loaded;
+  });
+  let signalsError = null;
+  const signalsReady = getHiringSignals(person, cacheOptions)
+    .catch((err) => {
+      console.error("Hiring signals failed:", err.message);
+      signalsError = describeDataError(err);
+      return null;
+    })
+    .then((signals) => {
+      emit("hiringSignals", { hiringSignals: signals || {} });
+      return signals;
+    });
+
+  const [{ demographics, flows, levelFlows, companyData, dataUnavailable }, hiringSignals] = await Promise.all([companyReady, signalsReady]);
+  // Aborted requests land in dataUnavailable above; don't score or save them
+  signal?.throwIfAborted();
+  const { rows: flowsByLevel, scope: levelScope } = levelFlows;
+  const signalFailure = signalsError || Object.values(hiringSignals?.unavailable || {})[0];
+  if (signalFailure) dataUnavailable.hiringSignals = signalFailure;
+
+  // Step 4: Score
+  const { scores, breakdown: scoreBreakdown, dataQuality, profile: scoringProfile } = explainAllScores(
+    person, demographics, flows, flowsByLevel, hiringSignals, dataUnavailable, levelScope, profile
+  );
+
+  // Step 5: Salary estimate
+  const salary = estimateSalary(person.currentFunction, person.currentLevel, person.location);
+  const progression = getCompProgression(person.currentFunction, person.location);
+  const aiPressure = estimateAISalaryPressure(scores.aiRisk);
+  const salaryData = { estimate: salary, progression, aiPressure };
+  emit("scores", { scores, scoreBreakdown, dataQuality, scoringProfile, salary: salaryData, dataUnavailable });
+
+  // Step 6: Generate narrative (with a time limit so it can't crash the whole
+  // function). `narrative: false` skips the Claude call and uses the rules-based text.
+  let narrative;
+  if (withNarrative === false) {
+    narrative = fallbackNarrative(person, scores, hiringSignals);
+  } else {
+    narrative = await withNarrativeTimeout(
+      (narrativeSignal) => generateNarrative(person, scores, companyData, salaryData, hiringSignals, {
+        onSection: (key, value) => emit("narrativeSection", { key, value }),
+        signal: narrativeSignal,
+      }),
+      () => fallbackNarrative(person, scores, hiringSignals),
+      { signal }
+    );
+  }
+  signal?.throwIfAborted();
+  emit("narrative", { narrative });
+
+  // Step 7: Save and return everything. A failed save still returns the
+  // report, just without an id (so no permanent URL or share link).
+  const assessment = {
+    person,
+    scores,
+    scoreBreakdown,
+    dataQuality,
+    scoringProfile,
+    company: companyData,
+    salary: salaryData,
+    narrative,
+    hiringSignals: hiringSignals || {},
+    dataUnavailable,
+    generatedAt: new Date().toISOString(),
+  };
+  let id = null;
+  try {
+    id = await saveReport(assessment);
+  } catch (err) {
+    console.error("Report save failed:", err.message);
+  }
+  return { id, ...assessment };
+}
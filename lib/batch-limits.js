@@ -0,0 +1,16 @@
+// Batch Size Limits
+// Shared by the batch route (per request) and the batch page (per sheet), so
+// it stays free of server-only imports.
+
+// One request has to finish inside the route's maxDuration (300s). Rows run
+// BATCH_CONCURRENCY (3) at a time, so a request takes ceil(rows / 3) waves:
+//   - without narratives a row is a few seconds of LiveData calls (~6s):
+//     100 rows = 34 waves ≈ 204s
+//   - a narrative can add up to its 30s time limit (~36s a row):
+//     15 rows = 5 waves ≈ 180s
+export const MAX_BATCH_ROWS = 100;
+export const MAX_NARRATIVE_BATCH_ROWS = 15;
+
+// The page splits a sheet into requests of the sizes above and runs them one
+// after another, so a sheet can be longer than a single request
+export const MAX_SHEET_ROWS = 500;
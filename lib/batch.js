@@ -0,0 +1,159 @@
+// Batch Assessment
+// Runs the assessment pipeline over a CSV of people (name + company, or a
+// LinkedIn URL per row). Each row is saved like a normal report; rows that match
+// nobody or several people are flagged for review instead of guessed at.
+
+import { runAssessment, AssessmentError, describeDataError } from "@/lib/assess";
+import { createLimiter, LiveDataError } from "@/lib/livedata";
+import { SCORE_KEYS } from "@/lib/profiles";
+import { MAX_BATCH_ROWS, MAX_NARRATIVE_BATCH_ROWS } from "@/lib/batch-limits";
+import { parseCsv, toCsv } from "@/lib/csv";
+
+export { MAX_BATCH_ROWS, MAX_NARRATIVE_BATCH_ROWS };
+
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 3;
+
+export class BatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BatchError";
+  }
+}
+
+// ─── Input Rows ───────────────────────────────────────────────
+// Header names are matched loosely so HR exports work without editing
+
+const COLUMN_ALIASES = {
+  name: ["name", "full name", "fullname", "employee", "employee name"],
+  company: ["company", "employer", "current company", "organization"],
+  linkedin: ["linkedin", "linkedin url", "linkedin profile", "profile url", "url"],
+  manager: ["manager", "manager name", "reports to", "team lead"],
+};
+
+const normalizeHeader = (h) => h.trim().toLowerCase().replace(/[_-]+/g, " ");
+
+export function parseBatchCsv(text, { narrative = false, rowOffset = 0 } = {}) {
+  const [header, ...lines] = parseCsv((text || "").replace(/^\uFEFF/, ""));
+  if (!header?.some((h) => h.trim())) throw new BatchError("The CSV is empty or has a blank header row");
+
+  const columns = {};
+  header.map(normalizeHeader).forEach((h, i) => {
+    for (const [key, aliases] of Object.entries(COLUMN_ALIASES)) {
+      if (aliases.includes(h) && columns[key] == null) columns[key] = i;
+    }
+  });
+  if (columns.name == null && columns.linkedin == null) {
+    throw new BatchError('The CSV needs a header row with a "name" or "linkedin" column');
+  }
+
+  const cell = (line, key) => (columns[key] != null ? (line[columns[key]] || "").trim() : "");
+  // `row` is the spreadsheet row number (header = 1) so reviewers can find it;
+  // blank lines are dropped after numbering so the numbers still line up.
+  // `rowOffset` places a chunk from splitCsv within the whole sheet.
+  const rows = lines
+    .map((line, i) => ({
+      row: rowOffset + i + 2,
+      name: cell(line, "name"),
+      company: cell(line, "company"),
+      linkedin: cell(line, "linkedin"),
+      manager: cell(line, "manager"),
+    }))
+    .filter((r) => r.name || r.company || r.linkedin);
+
+  if (rows.length === 0) throw new BatchError("The CSV has no rows to assess");
+  const max = narrative ? MAX_NARRATIVE_BATCH_ROWS : MAX_BATCH_ROWS;
+  if (rows.length > max) {
+    const kind = narrative ? "Batches with AI narratives" : "Batches";
+    throw new BatchError(`${kind} are limited to ${max} rows per request (this one has ${rows.length}); split the file and run each part`);
+  }
+  return rows;
+}
+
+// ─── Running ──────────────────────────────────────────────────
+
+// Statuses: ok, ambiguous (several plausible matches), unmatched, error
+async function assessRow(input, { narrative, profile, refresh, signal }) {
+  const result = { row: input.row, input, status: "ok", note: null };
+  const body = input.linkedin
+    ? { linkedin: input.linkedin }
+    : { name: input.name, company: input.company || null };
+
+  if (!body.linkedin && !body.name) {
+    return { ...result, status: "unmatched", note: "Row has no name or LinkedIn URL" };
+  }
+
+  try {
+    const report = await runAssessment({ ...body, narrative, profile, refresh }, undefined, { signal });
+    if (report.candidates) {
+      return {
+        ...result,
+        status: "ambiguous",
+        note: `${report.candidates.length} possible matches — add a LinkedIn URL to pick one`,
+        candidates: report.candidates.slice(0, 5),
+      };
+    }
+    return {
+      ...result,
+      reportId: report.id,
+      person: report.person,
+      scores: report.scores,
+      dataQuality: report.dataQuality,
+      salary: report.salary.estimate,
+      note: Object.keys(report.dataUnavailable || {}).length ? "Some LiveData reports unavailable" : null,
+    };
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    if (err instanceof AssessmentError) {
+      return { ...result, status: err.status === 404 ? "unmatched" : "error", note: err.message };
+    }
+    if (err instanceof LiveDataError) return { ...result, status: "error", note: describeDataError(err).message };
+    console.error(`Batch row ${input.row} failed:`, err);
+    return { ...result, status: "error", note: err.message || "Assessment failed" };
+  }
+}
+
+// `onRow(result, done)` fires as each row finishes (rows run a few at a time, so
+// out of order). Resolves to all results in input order. An aborted
+// `options.signal` stops the rows in flight and skips the rest, rejecting with
+// its reason.
+export async function runBatch(rows, options = {}, onRow = () => {}) {
+  const limit = createLimiter(BATCH_CONCURRENCY);
+  let done = 0;
+  return Promise.all(
+    rows.map((input) =>
+      limit(async () => {
+        options.signal?.throwIfAborted();
+        const result = await assessRow(input, options);
+        done++;
+        onRow(result, done);
+        return result;
+      })
+    )
+  );
+}
+
+// ─── Results CSV ──────────────────────────────────────────────
+// Streamed as it goes: the header with the input rows, then one line per
+// finished row, so a batch cut off by the time limit still downloads whatever
+// was scored. The browser joins the lines in input order.
+
+const RESULT_COLUMNS = [
+  "row", "input_name", "input_company", "input_linkedin", "status", "note", "possible_matches",
+  "matched_name", "linkedin", "title", "company", "level", "function", "location",
+  "overall", ...SCORE_KEYS, "data_quality",
+  "salary_low", "salary_midpoint", "salary_high", "report_url",
+];
+
+export const batchResultsCsvHeader = () => toCsv([RESULT_COLUMNS]);
+
+export function batchResultCsvLine(r, origin = "") {
+  return toCsv([[
+    r.row, r.input.name, r.input.company, r.input.linkedin, r.status,
+    r.note, (r.candidates || []).map((c) => `${c.name} (${[c.currentTitle, c.currentCompany].filter(Boolean).join(", ")})`).join("; "),
+    r.person?.name, r.person?.linkedin, r.person?.currentTitle, r.person?.currentCompany,
+    r.person?.currentLevel, r.person?.currentFunction, r.person?.location,
+    r.scores?.overall, ...SCORE_KEYS.map((key) => r.scores?.[key]), r.dataQuality?.grade,
+    r.salary?.low, r.salary?.midpoint, r.salary?.high,
+    r.reportId ? `${origin}/report/${r.reportId}` : "",
+  ]]);
+}
@@ -0,0 +1,179 @@
+// LiveData Response Cache
+// Wraps LiveData calls so repeat lookups (same person, same company, same day)
+// don't re-run the reports. Keyed on the request URL (which carries the LiveData
+// org) + normalized request body.
+
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+
+// ─── TTLs (seconds) by report type ────────────────────────────
+// Person profiles change slowly; company reports and hiring searches move faster.
+
+const TTL_SECONDS = {
+  person: Number(process.env.LIVEDATA_CACHE_TTL_PERSON) || 24 * 60 * 60,
+  company: Number(process.env.LIVEDATA_CACHE_TTL_COMPANY) || 12 * 60 * 60,
+  search: Number(process.env.LIVEDATA_CACHE_TTL_SEARCH) || 6 * 60 * 60,
+};
+
+const MEMORY_MAX_ENTRIES = 500;
+
+// ─── Key Normalization ────────────────────────────────────────
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// `endpoint` is the full request URL for cache entries, so switching LIVEDATA_ORG_ID
+// or the base URL never serves another org's data
+export function cacheKey(endpoint, body) {
+  return createHash("sha256").update(`${endpoint}:${stableStringify(body)}`).digest("hex");
+}
+
+// ─── Backends ─────────────────────────────────────────────────
+// Each backend implements get(key), set(key, entry), delete(key), clear().
+// Entries are { value, kind, expiresAt }.
+
+function memoryBackend() {
+  const store = new Map();
+  return {
+    name: "memory",
+    async get(key) {
+      return store.get(key) || null;
+    },
+    async set(key, entry) {
+      store.delete(key);
+      store.set(key, entry);
+      // Map keeps insertion order, so the first key is the oldest write
+      if (store.size > MEMORY_MAX_ENTRIES) store.delete(store.keys().next().value);
+    },
+    async delete(key) {
+      store.delete(key);
+    },
+    async clear() {
+      store.clear();
+    },
+  };
+}
+
+function fileBackend() {
+  const dir = process.env.LIVEDATA_CACHE_DIR || path.join(os.tmpdir(), "risk-app-cache");
+  const fileFor = (key) => path.join(dir, `${key}.json`);
+  return {
+    name: "file",
+    async get(key) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+      } catch {
+        return null;
+      }
+    },
+    async set(key, entry) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(fileFor(key), JSON.stringify(entry));
+    },
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+    async clear() {
+      await fs.rm(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+const backendFactories = {
+  memory: memoryBackend,
+  file: fileBackend,
+};
+
+// Lets a deployment plug in its own store (e.g. SQLite, Redis) before first use
+export function registerCacheBackend(name, factory) {
+  backendFactories[name] = factory;
+  if (activeBackend?.name === name) activeBackend = null;
+}
+
+let activeBackend = null;
+
+function getBackend() {
+  const name = process.env.LIVEDATA_CACHE || "memory";
+  if (name === "off") return null;
+  if (!activeBackend || activeBackend.name !== name) {
+    const factory = backendFactories[name];
+    if (!factory) {
+      console.error(`Unknown LIVEDATA_CACHE backend "${name}" — falling back to memory`);
+      activeBackend = memoryBackend();
+    } else {
+      activeBackend = factory();
+    }
+  }
+  return activeBackend;
+}
+
+// ─── Metrics ──────────────────────────────────────────────────
+
+const stats = { hits: 0, misses: 0, bypassed: 0, writes: 0, errors: 0, byKind: {} };
+
+function record(kind, field) {
+  stats[field]++;
+  if (!stats.byKind[kind]) stats.byKind[kind] = { hits: 0, misses: 0, bypassed: 0, writes: 0, errors: 0 };
+  stats.byKind[kind][field]++;
+}
+
+export function getCacheStats() {
+  const lookups = stats.hits + stats.misses;
+  return {
+    backend: getBackend()?.name || "off",
+    ttlSeconds: TTL_SECONDS,
+    ...stats,
+    hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 10 : 0,
+  };
+}
+
+// ─── Cached Call ──────────────────────────────────────────────
+// `fetcher` runs on a miss. Null results and `{ error }` objects are never stored,
+// so a transient failure doesn't get pinned for the whole TTL. A refresh counts as
+// bypassed only, so it doesn't drag down the hit rate.
+
+export async function cached(kind, url, body, fetcher, { refresh = false } = {}) {
+  const store = getBackend();
+  if (!store) return fetcher();
+
+  const key = cacheKey(url, body);
+
+  if (refresh) {
+    record(kind, "bypassed");
+  } else {
+    const entry = await store.get(key).catch(() => null);
+    if (entry && entry.expiresAt > Date.now()) {
+      record(kind, "hits");
+      return entry.value;
+    }
+    if (entry) await store.delete(key).catch(() => {});
+    record(kind, "misses");
+  }
+
+  const value = await fetcher();
+
+  if (value != null && !value.error) {
+    const ttl = TTL_SECONDS[kind] || TTL_SECONDS.search;
+    try {
+      await store.set(key, { value, kind, expiresAt: Date.now() + ttl * 1000 });
+      record(kind, "writes");
+    } catch (err) {
+      record(kind, "errors");
+      console.error("LiveData cache write failed:", err.message);
+    }
+  }
+
+  return value;
+}
+
+export async function clearCache() {
+  await getBackend()?.clear();
+}
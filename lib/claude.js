@@ -3,7 +3,10 @@
 // v2: Career-informed future-proofing with first-real-job detection,
 //     functional profiling, and prestige employer classification
 
+import { validateNarrative, validateCompanyNarrative, isValidRetrainingPath, RETRAINING_PATH_COUNT } from "@/lib/narrative-schema";
+
 const ANTHROPIC_API_URL = "https://api.anthropic.com/v1/messages";
+const NARRATIVE_SYSTEM = "You are an elite workforce intelligence analyst. Return ONLY valid JSON. No markdown, no backticks, no commentary outside the JSON object.";
 
 // â”€â”€â”€ Prestige Employer List â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
 // Internships at these companies signal high selectivity / ambition tier
@@ -379,7 +382,12 @@ function isUpwardTrajectory(levels) {
 }
 
 // â”€â”€â”€ Main Export â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
-export async function generateNarrative(personData, scores, companyData, salaryData, hiringSignals) {
+// With `onSection`, Claude's reply is streamed and each top-level key of the
+// narrative JSON is handed to onSection(key, value) as soon as it is complete.
+// The resolved value is the same either way, and always passes NARRATIVE_SCHEMA
+// (see completeNarrative). `signal` aborts the request (and any repair) and stops
+// further onSection calls; see withNarrativeTimeout.
+export async function generateNarrative(personData, scores, companyData, salaryData, hiringSignals, { onSection, signal } = {}) {
   // Short-circuit for pre-career / transitional profiles â€” no API call needed
   const careerStage = classifyCareerStage(personData);
   if (careerStage.isPreCareer) {
@@ -391,6 +399,7 @@ export async function generateNarrative(personData, scores, companyData, salaryD
     return fallbackNarrative(personData, scores, hiringSignals);
   }
 
+  const startedAt = Date.now();
   const prompt = buildPrompt(personData, scores, companyData, salaryData, hiringSignals);
 
   try {
@@ -401,11 +410,13 @@ export async function generateNarrative(personData, scores, companyData, salaryD
         "x-api-key": apiKey,
         "anthropic-version": "2023-06-01",
       },
+      signal,
       body: JSON.stringify({
         model: "claude-sonnet-4-5-20250929",
         max_tokens: 8000,
-        system: "You are an elite workforce intelligence analyst. Return ONLY valid JSON. No markdown, no backticks, no commentary outside the JSON object.",
+        system: NARRATIVE_SYSTEM,
         messages: [{ role: "user", content: prompt }],
+        ...(onSection ? { stream: true } : {}),
       }),
     });
 
@@ -414,17 +425,287 @@ export async function generateNarrative(personData, scores, companyData, salaryD
       return fallbackNarrative(personData, scores);
     }
 
-    const data = await res.json();
-    const text = data.content?.[0]?.text || "";
+    let text;
+    if (onSection) {
+      text = await readTextStream(res, createSectionParser((key, value) => {
+        if (!signal?.aborted) onSection(key, value);
+      }));
+    } else {
+      const data = await res.json();
+      text = data.content?.[0]?.text || "";
+    }
 
-    const cleaned = text.replace(/```json|```/g, "").trim();
-    return JSON.parse(cleaned);
+    return await completeNarrative(parseNarrative(text), {
+      prompt,
+      reply: text,
+      apiKey,
+      startedAt,
+      signal,
+      fallback: () => fallbackNarrative(personData, scores, hiringSignals),
+    });
   } catch (err) {
     console.error("Claude narrative generation failed:", err);
     return fallbackNarrative(personData, scores, hiringSignals);
   }
 }
 
+// â”€â”€â”€ Time Limit â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
+// Every Claude write-up the pipelines wait on (person, company and simulated
+// narratives, comparison summaries) is capped at NARRATIVE_TIMEOUT_MS.
+// `generate(signal)` gets a signal that aborts on the timeout or when the caller's
+// `signal` does (the client went away), so the Claude request stops rather than
+// streaming sections over the fallback. The timer is always cleared. Any failure
+// resolves to fallback().
+export const NARRATIVE_TIMEOUT_MS = 30000;
+
+export async function withNarrativeTimeout(generate, fallback, { signal, label = "Narrative" } = {}) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal?.aborted) onAbort();
+  else signal?.addEventListener("abort", onAbort, { once: true });
+
+  let timer;
+  const timedOut = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`${label} timed out`);
+      controller.abort(err);
+      reject(err);
+    }, NARRATIVE_TIMEOUT_MS);
+  });
+
+  try {
+    controller.signal.throwIfAborted();
+    return await Promise.race([generate(controller.signal), timedOut]);
+  } catch (err) {
+    console.error(`${label} error (using fallback):`, err.message);
+    return fallback();
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+// â”€â”€â”€ Streaming â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
+
+// Reads an Anthropic SSE response. Text deltas go to onText as they arrive;
+// tool_use inputs are assembled from their JSON fragments. Resolves to
+// { content, stopReason }, the same blocks a non-streamed response would have.
+// Also used by the chat route and the chat eval harness.
+export async function readMessageStream(res, onText = () => {}) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  const content = [];
+  const partialJson = {};
+  let stopReason = null;
+  let buffer = "";
+
+  const handleLine = (line) => {
+    if (!line.startsWith("data:")) return;
+    let event;
+    try {
+      event = JSON.parse(line.slice(5));
+    } catch {
+      return;
+    }
+    const block = content[event.index];
+    if (event.type === "content_block_start") {
+      content[event.index] = { ...event.content_block };
+      if (event.content_block.type === "tool_use") partialJson[event.index] = "";
+    } else if (event.type === "content_block_delta" && event.delta?.type === "text_delta") {
+      block.text = (block.text || "") + event.delta.text;
+      onText(event.delta.text);
+    } else if (event.type === "content_block_delta" && event.delta?.type === "input_json_delta") {
+      partialJson[event.index] += event.delta.partial_json;
+    } else if (event.type === "content_block_stop" && event.index in partialJson) {
+      block.input = partialJson[event.index] ? JSON.parse(partialJson[event.index]) : {};
+    } else if (event.type === "message_delta") {
+      stopReason = event.delta?.stop_reason ?? stopReason;
+    } else if (event.type === "error") {
+      throw new Error(event.error?.message || "Claude stream error");
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+  if (buffer) handleLine(buffer);
+  return { content: content.filter(Boolean), stopReason };
+}
+
+// Just the text of a streamed reply
+async function readTextStream(res, onText) {
+  const { content } = await readMessageStream(res, onText);
+  return content.filter((b) => b.type === "text").map((b) => b.text).join("");
+}
+
+// Incremental parser for the narrative object: tracks string/escape state and
+// nesting depth, and parses each top-level "key": value pair once its closing
+// comma (or the object's closing brace) arrives. Anything before the first "{"
+// (e.g. a stray code fence) is ignored.
+function createSectionParser(onSection) {
+  let started = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let pair = "";
+
+  const flush = () => {
+    const source = pair.trim();
+    pair = "";
+    if (!source) return;
+    try {
+      const parsed = JSON.parse(`{${source}}`);
+      for (const [key, value] of Object.entries(parsed)) onSection(key, value);
+    } catch {
+      // A malformed section is left for the final parse / fallback to deal with
+    }
+  };
+
+  return (chunk) => {
+    for (const ch of chunk) {
+      if (!started) {
+        if (ch === "{") {
+          started = true;
+          depth = 1;
+        }
+        continue;
+      }
+      if (depth === 0) continue;
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === "\\") escaped = true;
+        else if (ch === '"') inString = false;
+        pair += ch;
+        continue;
+      }
+
+      if (ch === '"') inString = true;
+      else if (ch === "{" || ch === "[") depth++;
+      else if (ch === "}" || ch === "]") depth--;
+
+      if (depth === 1 && ch === ",") flush();
+      else if (depth === 0) flush();
+      else pair += ch;
+    }
+  };
+}
+
+// â”€â”€â”€ Validation & Repair â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
+// withNarrativeTimeout caps the narrative at NARRATIVE_TIMEOUT_MS; a repair that
+// can't finish by REPAIR_DEADLINE_MS after the first request is skipped, so the
+// time limit never throws away a reply that was mostly fine
+const REPAIR_DEADLINE_MS = NARRATIVE_TIMEOUT_MS - 4000;
+const MIN_REPAIR_MS = 4000;
+const MAX_REPAIR_PROBLEMS = 20;
+
+// The whole reply when it parses; otherwise every complete top-level field, so a
+// reply cut off at max_tokens keeps the sections it finished
+export function parseNarrative(text) {
+  const cleaned = text.replace(/```json|```/g, "").trim();
+  let parsed;
+  try {
+    parsed = JSON.parse(cleaned);
+  } catch {
+    parsed = {};
+    createSectionParser((key, value) => {
+      parsed[key] = value;
+    })(cleaned);
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed) || Object.keys(parsed).length === 0) {
+    throw new Error("Claude narrative reply has no usable JSON");
+  }
+  return parsed;
+}
+
+// Checks the reply against NARRATIVE_SCHEMA. Fields that fail get one repair
+// round-trip that shows Claude its own reply and asks for only those fields.
+// Whatever still fails comes from fallbackNarrative field by field; a short
+// retrainingPaths list keeps Claude's valid paths and is topped up from the
+// fallback's.
+async function completeNarrative(narrative, { prompt, reply, apiKey, startedAt, signal, fallback }) {
+  let problems = validateNarrative(narrative);
+  if (Object.keys(problems).length === 0) return narrative;
+  console.warn("Claude narrative failed validation:", Object.values(problems).flat().join("; "));
+
+  const merged = { ...narrative };
+  const timeLeft = startedAt + REPAIR_DEADLINE_MS - Date.now();
+  if (timeLeft >= MIN_REPAIR_MS && !signal?.aborted) {
+    try {
+      const repaired = await requestNarrativeRepair(problems, { prompt, reply, apiKey, timeout: timeLeft, signal });
+      for (const field of Object.keys(problems)) {
+        if (field in repaired && !validateNarrative({ ...merged, [field]: repaired[field] })[field]) {
+          merged[field] = repaired[field];
+        }
+      }
+    } catch (err) {
+      console.error("Narrative repair failed:", err.message);
+    }
+    problems = validateNarrative(merged);
+    if (Object.keys(problems).length === 0) return merged;
+  }
+
+  const backup = fallback();
+  for (const field of Object.keys(problems)) {
+    merged[field] = field === "retrainingPaths"
+      ? topUpRetrainingPaths(merged.retrainingPaths, backup.retrainingPaths)
+      : backup[field];
+  }
+  console.warn("Narrative fields filled from fallback:", Object.keys(problems).join(", "));
+  return merged;
+}
+
+async function requestNarrativeRepair(problems, { prompt, reply, apiKey, timeout, signal }) {
+  const fields = Object.keys(problems);
+  const listed = Object.values(problems).flat();
+  const repairPrompt = `Some fields in that JSON are missing or invalid:
+${listed.slice(0, MAX_REPAIR_PROBLEMS).map((p) => `- ${p}`).join("\n")}${listed.length > MAX_REPAIR_PROBLEMS ? `\n- ...and ${listed.length - MAX_REPAIR_PROBLEMS} more` : ""}
+
+Return ONLY a JSON object with exactly these keys: ${fields.join(", ")}. Write each one as the original instructions describe${fields.includes("retrainingPaths") ? ` (retrainingPaths must have exactly ${RETRAINING_PATH_COUNT} complete entries, ranked 1-${RETRAINING_PATH_COUNT})` : ""}. Do not repeat the other fields.`;
+
+  const res = await fetch(ANTHROPIC_API_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-api-key": apiKey,
+      "anthropic-version": "2023-06-01",
+    },
+    signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(timeout)]) : AbortSignal.timeout(timeout),
+    body: JSON.stringify({
+      model: "claude-sonnet-4-5-20250929",
+      max_tokens: 4000,
+      system: NARRATIVE_SYSTEM,
+      messages: [
+        { role: "user", content: prompt },
+        { role: "assistant", content: reply.trim() || "{}" },
+        { role: "user", content: repairPrompt },
+      ],
+    }),
+  });
+  if (!res.ok) throw new Error(`Claude API error ${res.status}`);
+  const data = await res.json();
+  return parseNarrative(data.content?.[0]?.text || "");
+}
+
+// Claude's valid paths first (any rank), then fallback paths with other titles,
+// ranked 1..n
+export function topUpRetrainingPaths(paths, backupPaths) {
+  const kept = (Array.isArray(paths) ? paths : [])
+    .filter((path) => isValidRetrainingPath({ ...path, rank: 1 }))
+    .slice(0, RETRAINING_PATH_COUNT);
+  const titles = new Set(kept.map((path) => path.title.toLowerCase()));
+  for (const path of backupPaths) {
+    if (kept.length >= RETRAINING_PATH_COUNT) break;
+    if (!titles.has(path.title.toLowerCase())) kept.push(path);
+  }
+  return kept.map((path, i) => ({ ...path, rank: i + 1 }));
+}
+
 // â”€â”€â”€ The Core Prompt â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
 function buildPrompt(person, scores, companyData, salaryData, hiringSignals) {
   const careerStage = classifyCareerStage(person);
@@ -490,9 +771,9 @@ RISK SCORES (0â€“100, higher = more risk)
 â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•
 Overall Risk: ${scores.overall}/100
 AI Automation Risk: ${scores.aiRisk}/100
-Company Instability: ${scores.companyInstability}/100
-Promotion Ceiling: ${scores.promotionCeiling}/100
-Market Demand: ${scores.marketDemand}/100 (inverted â€” higher = weaker demand)
+Company Instability: ${scores.companyInstability ?? "unavailable (company data could not be loaded)"}${scores.companyInstability != null ? "/100" : ""}
+Promotion Ceiling: ${scores.promotionCeiling ?? "unavailable (level-hiring data could not be loaded)"}${scores.promotionCeiling != null ? "/100" : ""}
+Market Demand: ${scores.marketDemand ?? "unavailable (hiring signals could not be loaded)"}${scores.marketDemand != null ? "/100" : ""} (inverted â€” higher = weaker demand)
 
 ${companyData ? `COMPANY DATA:\n${JSON.stringify(companyData, null, 2)}` : ""}
 
@@ -774,7 +1055,7 @@ function buildFallbackAIThreat(person, scores, dominantFn, yearsExp, careerStage
   const fn = (dominantFn && dominantFn !== "Unknown") ? dominantFn : inferFunctionFromTitle(title);
 
   // Company-aware, role-specific analysis
-  const para1 = `As ${title} at ${company}, ${name} faces ${riskSeverity} AI disruption pressure. ${scores.companyInstability <= 30 ? `${company}'s growth trajectory suggests resources to invest in AI tools that could augment or compress the team.` : scores.companyInstability >= 50 ? `Workforce instability at ${company} may accelerate AI adoption as the company looks to do more with fewer people.` : `The pace of AI adoption at ${company} will depend on competitive pressure in their market.`} The tasks most immediately at risk in ${name}'s role are those involving data gathering, report generation, routine analysis, and workflow coordination â€” the repetitive components that AI handles with increasing competence.`;
+  const para1 = `As ${title} at ${company}, ${name} faces ${riskSeverity} AI disruption pressure. ${scores.companyInstability == null ? `The pace of AI adoption at ${company} will depend on competitive pressure in their market.` : scores.companyInstability <= 30 ? `${company}'s growth trajectory suggests resources to invest in AI tools that could augment or compress the team.` : scores.companyInstability >= 50 ? `Workforce instability at ${company} may accelerate AI adoption as the company looks to do more with fewer people.` : `The pace of AI adoption at ${company} will depend on competitive pressure in their market.`} The tasks most immediately at risk in ${name}'s role are those involving data gathering, report generation, routine analysis, and workflow coordination â€” the repetitive components that AI handles with increasing competence.`;
 
   const para2 = isLeader
     ? `At the ${person.currentLevel} level, ${name}'s risk is less about personal displacement and more about team compression. AI-augmented teams need fewer people to achieve the same output, which means ${name}'s organization at ${company} may shrink even as their personal scope stays the same or grows. The ${yearsExp} years of experience across ${(person.jobs || []).slice(0, 3).map(j => j.company).filter(Boolean).join(", ")} represent accumulated institutional knowledge that AI doesn't have â€” but ${name} needs to be actively demonstrating that this knowledge translates to better decisions, not just longer tenure.`
@@ -1140,7 +1421,7 @@ export function fallbackNarrative(person, scores, hiringSignals) {
   const title = person.currentTitle || 'their role';
 
   return {
-    overviewSummary: `${person.name} works as a ${title} at ${person.currentCompany} in ${city}, with an overall employment risk score of ${scores.overall}/100. ${scores.aiRisk >= 60 ? `The primary driver is AI exposure — roles like ${title} that involve repeatable campaign management, reporting, and execution workflows are increasingly within reach of AI tooling.` : scores.companyInstability >= 50 ? `The primary driver is company instability at ${person.currentCompany}, which adds uncertainty to their near-term situation.` : `Risk is moderate — a combination of AI exposure and market dynamics warrants attention.`} With ${yearsExp} years of experience${functionalProfile.functionalDepth === 'deep_specialist' ? ` concentrated in ${dominantFn}` : ''}, ${person.name}'s background is established enough to anchor a deliberate move but early enough to redirect. ${scores.companyInstability <= 30 ? `${person.currentCompany} appears stable, providing runway for planning.` : `Instability signals at ${person.currentCompany} suggest contingency planning should be active now.`} The key question is whether ${person.name} is building skills and relationships that outlast this specific role.`,
+    overviewSummary: `${person.name} works as a ${title} at ${person.currentCompany} in ${city}, with an overall employment risk score of ${scores.overall}/100. ${scores.aiRisk >= 60 ? `The primary driver is AI exposure — roles like ${title} that involve repeatable campaign management, reporting, and execution workflows are increasingly within reach of AI tooling.` : scores.companyInstability >= 50 ? `The primary driver is company instability at ${person.currentCompany}, which adds uncertainty to their near-term situation.` : `Risk is moderate — a combination of AI exposure and market dynamics warrants attention.`} With ${yearsExp} years of experience${functionalProfile.functionalDepth === 'deep_specialist' ? ` concentrated in ${dominantFn}` : ''}, ${person.name}'s background is established enough to anchor a deliberate move but early enough to redirect. ${scores.companyInstability == null ? `Workforce data for ${person.currentCompany} was unavailable, so its stability couldn't be assessed.` : scores.companyInstability <= 30 ? `${person.currentCompany} appears stable, providing runway for planning.` : `Instability signals at ${person.currentCompany} suggest contingency planning should be active now.`} The key question is whether ${person.name} is building skills and relationships that outlast this specific role.`,
 
     careerPattern: `Career shows ${functionalProfile.functionalDepthLabel || 'a pattern'} across ${yearsExp} years of professional experience (excluding student/part-time work). ${functionalProfile.summary}`,
 
@@ -1148,11 +1429,13 @@ export function fallbackNarrative(person, scores, hiringSignals) {
 
     aiMitigatingFactors: buildFallbackAIMitigation(person, scores, dominantFn, yearsExp, careerStage, functionalProfile),
 
-    companyHealthNarrative: `${person.currentCompany} shows ${scores.companyInstability <= 30 ? 'a stable growth trajectory' : scores.companyInstability <= 50 ? 'stable positioning' : 'signs of instability'} based on workforce data. ${scores.companyInstability >= 50 ? `Elevated instability at ${person.currentCompany} increases urgency for contingency planning.` : `Stability at ${person.currentCompany} provides runway for deliberate career development.`} Headcount and hiring patterns suggest ${scores.companyInstability <= 30 ? 'the company is investing and growing' : 'the company may be under cost pressure or restructuring'}.`,
+    companyHealthNarrative: scores.companyInstability == null
+      ? `Workforce headcount data for ${person.currentCompany} was unavailable for this report, so company stability could not be scored. Re-run the assessment later for a data-backed view of ${person.currentCompany}'s trajectory.`
+      : `${person.currentCompany} shows ${scores.companyInstability <= 30 ? 'a stable growth trajectory' : scores.companyInstability <= 50 ? 'stable positioning' : 'signs of instability'} based on workforce data. ${scores.companyInstability >= 50 ? `Elevated instability at ${person.currentCompany} increases urgency for contingency planning.` : `Stability at ${person.currentCompany} provides runway for deliberate career development.`} Headcount and hiring patterns suggest ${scores.companyInstability <= 30 ? 'the company is investing and growing' : 'the company may be under cost pressure or restructuring'}.`,
 
-    companyAiExposure: `${person.currentCompany} operates in an industry where AI is ${scores.aiRisk >= 60 ? 'advancing rapidly, putting pressure on traditional workflows and headcount models' : 'beginning to reshape operations, though adoption pace varies by company'}. Whether ${person.currentCompany} is investing in AI to stay competitive or at risk of being disrupted by AI-native competitors depends on their specific market position and product strategy. Companies in ${dominantFn}-heavy sectors that fail to adapt AI into their service delivery are increasingly at a cost disadvantage versus those that do. The workforce data trends at ${person.currentCompany} — ${scores.companyInstability <= 30 ? 'showing stable growth' : scores.companyInstability <= 50 ? 'showing moderate stability' : 'showing signs of instability'} — may reflect how the company is navigating this shift.`,
+    companyAiExposure: `${person.currentCompany} operates in an industry where AI is ${scores.aiRisk >= 60 ? 'advancing rapidly, putting pressure on traditional workflows and headcount models' : 'beginning to reshape operations, though adoption pace varies by company'}. Whether ${person.currentCompany} is investing in AI to stay competitive or at risk of being disrupted by AI-native competitors depends on their specific market position and product strategy. Companies in ${dominantFn}-heavy sectors that fail to adapt AI into their service delivery are increasingly at a cost disadvantage versus those that do. The workforce data trends at ${person.currentCompany} — ${scores.companyInstability == null ? 'unavailable for this report' : scores.companyInstability <= 30 ? 'showing stable growth' : scores.companyInstability <= 50 ? 'showing moderate stability' : 'showing signs of instability'} — may reflect how the company is navigating this shift.`,
 
-    promotionAnalysis: `Internal promotion prospects are ${scores.promotionCeiling <= 40 ? 'favorable' : scores.promotionCeiling <= 60 ? 'competitive' : 'challenging'} given current organizational structure at ${person.currentCompany}. ${careerStage.stage === 'mid_career' ? `The next step from ${person.currentLevel || 'current level'} requires demonstrating scope expansion and leadership readiness.` : careerStage.stage === 'senior_leader' ? 'VP-level promotions often require internal sponsorship or an external move to a company in growth mode.' : 'Earlier-career promotions come fastest at high-growth companies with expanding org charts.'}`,
+    promotionAnalysis: `Internal promotion prospects are ${scores.promotionCeiling == null ? 'hard to gauge without level-hiring data' : scores.promotionCeiling <= 40 ? 'favorable' : scores.promotionCeiling <= 60 ? 'competitive' : 'challenging'} given current organizational structure at ${person.currentCompany}. ${careerStage.stage === 'mid_career' ? `The next step from ${person.currentLevel || 'current level'} requires demonstrating scope expansion and leadership readiness.` : careerStage.stage === 'senior_leader' ? 'VP-level promotions often require internal sponsorship or an external move to a company in growth mode.' : 'Earlier-career promotions come fastest at high-growth companies with expanding org charts.'}`,
 
     localMarketSummary: person.location
       ? `The ${city} market for ${title} roles reflects the broader ${dominantFn} talent landscape in that metro. ${hiringSignals?.regional?.totalHires > 0 ? `Recent data shows active demand across ${hiringSignals.regional.totalCompanies} companies in the area.` : 'Local hiring signal data is limited for this specific title.'} ${person.name} should consider whether a remote-open strategy expands options significantly beyond ${city}.`
@@ -1162,6 +1445,183 @@ export function fallbackNarrative(person, scores, hiringSignals) {
 
     retrainingPaths,
 
-    bottomLine: `${person.name}'s ${riskLevel} risk score as a ${title} at ${person.currentCompany} reflects ${scores.aiRisk >= 60 ? 'real AI exposure in a role where automation is advancing quickly' : 'manageable conditions with no acute crisis'}. ${functionalProfile.functionalDepth === 'deep_specialist' ? `Deep concentration in ${dominantFn} is a strength — hard to replace — but lateral options are narrower. Future-proofing should build on this foundation.` : 'Cross-functional experience provides adaptability that a pure specialist lacks.'} ${scores.companyInstability >= 50 ? `Instability at ${person.currentCompany} adds urgency — this is not the time to wait.` : `Stability at ${person.currentCompany} allows for deliberate rather than reactive moves.`} The highest-leverage action is building skills specific to ${title} expertise that are portable across employers.`,
+    bottomLine: `${person.name}'s ${riskLevel} risk score as a ${title} at ${person.currentCompany} reflects ${scores.aiRisk >= 60 ? 'real AI exposure in a role where automation is advancing quickly' : 'manageable conditions with no acute crisis'}. ${functionalProfile.functionalDepth === 'deep_specialist' ? `Deep concentration in ${dominantFn} is a strength — hard to replace — but lateral options are narrower. Future-proofing should build on this foundation.` : 'Cross-functional experience provides adaptability that a pure specialist lacks.'} ${scores.companyInstability == null ? `Company data for ${person.currentCompany} was unavailable, so watch its hiring and restructuring news directly.` : scores.companyInstability >= 50 ? `Instability at ${person.currentCompany} adds urgency — this is not the time to wait.` : `Stability at ${person.currentCompany} allows for deliberate rather than reactive moves.`} The highest-leverage action is building skills specific to ${title} expertise that are portable across employers.`,
   };
-}
\ No newline at end of file
+}
+
+// â”€â”€â”€ Company-only Narrative â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
+// Company reports have no person, so only the two company sections are written:
+// companyHealthNarrative and companyAiExposure, from the same workforce data
+// the person report uses. Falls back to fallbackCompanyNarrative without a key,
+// and field by field when a section fails COMPANY_NARRATIVE_SCHEMA.
+export async function generateCompanyNarrative(companyName, companyData, scores, { signal } = {}) {
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+  if (!apiKey) {
+    return fallbackCompanyNarrative(companyName, companyData, scores);
+  }
+
+  try {
+    const res = await fetch(ANTHROPIC_API_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-api-key": apiKey,
+        "anthropic-version": "2023-06-01",
+      },
+      signal,
+      body: JSON.stringify({
+        model: "claude-sonnet-4-5-20250929",
+        max_tokens: 2000,
+        system: "You are an elite workforce intelligence analyst. Return ONLY valid JSON. No markdown, no backticks, no commentary outside the JSON object.",
+        messages: [{ role: "user", content: buildCompanyPrompt(companyName, companyData, scores) }],
+      }),
+    });
+
+    if (!res.ok) {
+      console.error("Claude API error:", res.status, await res.text());
+      return fallbackCompanyNarrative(companyName, companyData, scores);
+    }
+
+    const data = await res.json();
+    const narrative = parseNarrative(data.content?.[0]?.text || "");
+    const problems = validateCompanyNarrative(narrative);
+    if (Object.keys(problems).length) {
+      console.warn("Claude company narrative failed validation:", Object.values(problems).flat().join("; "));
+    }
+    // Only the two sections are kept; anything else in the reply is dropped
+    const backup = fallbackCompanyNarrative(companyName, companyData, scores);
+    return Object.fromEntries(Object.entries(backup).map(([field, value]) => [field, problems[field] ? value : narrative[field]]));
+  } catch (err) {
+    console.error("Claude company narrative generation failed:", err);
+    return fallbackCompanyNarrative(companyName, companyData, scores);
+  }
+}
+
+function buildCompanyPrompt(companyName, companyData, scores) {
+  const functions = Object.entries(companyData.functionBreakdown || {})
+    .map(([fn, d]) => `${fn}: ${d.earliest} -> ${d.current}`)
+    .join("\n");
+  const flows = (companyData.flows || [])
+    .map((f) => `${f.function}: ${f.hires} hires, ${f.departures} departures (net ${f.net >= 0 ? "+" : ""}${f.net})`)
+    .join("\n");
+
+  return `Write company intelligence for ${companyName}, an employer someone is asking about. There is no individual in this report -- it is about the business.
+
+WORKFORCE DATA (last 2 years)
+Headcount: ${companyData.earliestHeadcount} -> ${companyData.totalHeadcount} (${companyData.growthPct >= 0 ? "+" : ""}${companyData.growthPct}%)${companyData.currentHeadcount != null ? `\nCurrent active employees: ${companyData.currentHeadcount}` : ""}
+Company instability score: ${scores.companyInstability ?? "unavailable"}/100 (higher = less stable)
+Company-wide churn score: ${scores.functionChurn ?? "unavailable"}/100 (higher = more departures per hire)
+
+Headcount by function (earliest -> latest):
+${functions || "No function breakdown available"}
+
+Hires and departures by function (last 12 months):
+${flows || "No hiring-flow data available"}
+
+Return ONLY this JSON structure:
+
+{
+  "companyHealthNarrative": "Write 6-8 sentences about ${companyName} as a business. Structure: (1) What does ${companyName} actually do -- products, clients, market, business model. Who are their customers? What do they sell? (2-3 sentences). (2) Where does ${companyName} sit in its competitive landscape -- market leader, challenger, or niche player? Who are their main competitors? What are the business headwinds or tailwinds in their market? (2 sentences). (3) What does the workforce intelligence above show -- headcount trajectory, which functions are growing or contracting, hiring versus departures, any signs of restructuring or expansion? Cite the numbers. (2-3 sentences).",
+
+  "companyAiExposure": "Write 4-6 sentences structured as: (1) What is ${companyName}'s own relationship with AI -- is AI disrupting their product, their market, or their cost structure? Do they sell AI, use AI to deliver their services, or face AI-native competitors? (2) How far along is AI adoption in ${companyName}'s industry -- early, mid, or late? Name the specific AI forces at play. (3) What does this mean for ${companyName}'s competitive position? (4) What does this trajectory mean for anyone working there right now?"
+}
+
+If you don't know enough about ${companyName} to be specific, say "Based on what's publicly known about ${companyName}..." and give your best inference. Short and specific beats long and generic.`;
+}
+
+export function fallbackCompanyNarrative(companyName, companyData, scores) {
+  const growing = [...(companyData.flows || [])].sort((a, b) => b.net - a.net)[0];
+  const shrinking = [...(companyData.flows || [])].sort((a, b) => a.net - b.net)[0];
+  const trend = scores.companyInstability <= 30 ? "a stable growth trajectory" : scores.companyInstability <= 50 ? "stable positioning" : "signs of instability";
+
+  return {
+    companyHealthNarrative: scores.companyInstability == null
+      ? `Workforce headcount data for ${companyName} was unavailable for this report, so company stability could not be scored. Re-run the report later for a data-backed view of ${companyName}'s trajectory.`
+      : `${companyName} shows ${trend} based on workforce data, with headcount moving from ${companyData.earliestHeadcount} to ${companyData.totalHeadcount} (${companyData.growthPct >= 0 ? "+" : ""}${companyData.growthPct}%) over two years. ${growing && growing.net > 0 ? `${growing.function} added the most people over the last year (net +${growing.net}).` : "No function grew meaningfully over the last year."} ${shrinking && shrinking.net < 0 ? `${shrinking.function} lost the most (net ${shrinking.net}).` : "No function shrank meaningfully over the last year."} Headcount and hiring patterns suggest ${scores.companyInstability <= 30 ? "the company is investing and growing" : scores.companyInstability <= 50 ? "the company is holding steady rather than expanding fast" : "the company may be under cost pressure or restructuring"}.`,
+
+    companyAiExposure: `Whether ${companyName} is investing in AI to stay competitive or at risk of being disrupted by AI-native competitors depends on its specific market position and product strategy. Companies that fail to build AI into their service delivery are increasingly at a cost disadvantage versus those that do. The workforce data at ${companyName} — ${scores.companyInstability == null ? "unavailable for this report" : scores.companyInstability <= 30 ? "showing stable growth" : scores.companyInstability <= 50 ? "showing moderate stability" : "showing signs of instability"} — may reflect how the company is navigating this shift.`,
+  };
+}
+
+// â”€â”€â”€ Comparative Summary â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
+// Optional summary for the comparison view (lib/compare.js). Takes the lined-up
+// comparison, not the full reports, so the prompt stays small.
+export async function generateComparisonSummary(comparison, { signal } = {}) {
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+  if (!apiKey) {
+    return fallbackComparisonSummary(comparison);
+  }
+
+  const res = await fetch(ANTHROPIC_API_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-api-key": apiKey,
+      "anthropic-version": "2023-06-01",
+    },
+    signal,
+    body: JSON.stringify({
+      model: "claude-sonnet-4-5-20250929",
+      max_tokens: 1200,
+      system: "You are an elite workforce intelligence analyst helping a career coach compare people or roles side by side. Write plain prose, no markdown.",
+      messages: [{ role: "user", content: buildComparisonPrompt(comparison) }],
+    }),
+  });
+
+  if (!res.ok) {
+    console.error("Claude API error:", res.status, await res.text());
+    return fallbackComparisonSummary(comparison);
+  }
+  const data = await res.json();
+  return data.content?.[0]?.text?.trim() || fallbackComparisonSummary(comparison);
+}
+
+function buildComparisonPrompt({ columns, scores, salary, company, paths }) {
+  const row = (r) => `${r.label}: ${r.values.map((v, i) => `${columns[i].name} ${v ?? "n/a"}`).join(", ")}${r.differs ? " (notable gap)" : ""}`;
+  const people = columns
+    .map((c, i) => `${i + 1}. ${c.name} -- ${c.title || "Unknown title"} at ${c.company || "Unknown company"} (${c.level || "level unknown"}, ${c.function || "function unknown"}, ${c.location || "location unknown"})`)
+    .join("\n");
+  const topPaths = paths
+    .map((list, i) => `${columns[i].name}: ${list.map((p) => p.title).join("; ") || "none"}`)
+    .join("\n");
+
+  return `Compare these ${columns.length} people side by side.
+
+PEOPLE
+${people}
+
+RISK SCORES (0-100, higher = more risk)
+${scores.map(row).join("\n")}
+
+SALARY ESTIMATES (USD)
+${salary.map(row).join("\n")}
+
+COMPANY
+${company.map(row).join("\n")}
+
+TOP FUTURE-PROOFING PATHS
+${topPaths}
+
+Write 4-6 sentences. Lead with the single biggest difference between them and what drives it (AI exposure, company trajectory, market demand, pay). Then say who is better positioned over the next 2-3 years and why, naming the specific scores. Close with one concrete thing the weaker-positioned person could borrow from the other's situation. Use names, titles and companies; no sentence should work for a different set of people.`;
+}
+
+export function fallbackComparisonSummary({ columns, scores, salary }) {
+  const overall = scores.find((r) => r.key === "overall");
+  const widest = scores.filter((r) => r.key !== "overall" && r.differs).sort((a, b) => b.spread - a.spread)[0];
+  const pay = salary.find((r) => r.key === "midpoint");
+  const name = (i) => columns[i].name;
+
+  const parts = [];
+  if (overall?.best != null) {
+    parts.push(`${name(overall.best)} carries the lowest overall risk (${overall.values[overall.best]}/100) and ${name(overall.worst)} the highest (${overall.values[overall.worst]}/100).`);
+  } else {
+    parts.push("Overall risk is level across everyone compared.");
+  }
+  if (widest) {
+    parts.push(`The widest gap is in ${widest.label}, ${widest.spread} points between ${name(widest.best)} and ${name(widest.worst)}.`);
+  }
+  if (pay?.differs && pay.best != null) {
+    parts.push(`${name(pay.best)} has the highest estimated salary midpoint ($${Math.round(pay.values[pay.best] / 1000)}K vs. $${Math.round(pay.values[pay.worst] / 1000)}K for ${name(pay.worst)}).`);
+  }
+  return parts.join(" ");
+}
@@ -0,0 +1,106 @@
+// Cohort Rollups
+// Aggregates the per-person results of a batch run (scores from
+// computeAllScores, salary bands from estimateSalary) into a team view: averages
+// by function / level / location / manager, score histograms, a function × level
+// AI-risk heatmap and the highest-risk segments.
+
+import { SCORE_KEYS } from "@/lib/profiles";
+
+const ROLLUP_KEYS = ["overall", ...SCORE_KEYS];
+const HIGH_RISK = 70;
+const HISTOGRAM_BUCKET = 10;
+// Segments smaller than this are shown but never called out as "highest risk"
+const MIN_SEGMENT_SIZE = 2;
+const TOP_SEGMENTS = 5;
+
+export const COHORT_DIMENSIONS = {
+  function: (r) => r.person.currentFunction || "Unknown",
+  level: (r) => r.person.currentLevel || "Unknown",
+  location: (r) => r.person.location?.split(",")[0]?.trim() || "Unknown",
+  manager: (r) => r.input.manager || "Unassigned",
+};
+
+const round = (n) => Math.round(n * 10) / 10;
+
+function mean(values) {
+  const present = values.filter((v) => v != null);
+  return present.length ? round(present.reduce((a, b) => a + b, 0) / present.length) : null;
+}
+
+// Averages for a group of scored results
+function summarize(results) {
+  return {
+    count: results.length,
+    scores: Object.fromEntries(ROLLUP_KEYS.map((key) => [key, mean(results.map((r) => r.scores?.[key]))])),
+    salaryMidpoint: mean(results.map((r) => r.salary?.midpoint)),
+    highRisk: results.filter((r) => r.scores?.overall >= HIGH_RISK).length,
+  };
+}
+
+function groupBy(results, keyOf) {
+  const groups = new Map();
+  for (const r of results) {
+    const key = keyOf(r);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+  return groups;
+}
+
+// Counts per 10-point band; scores of 100 land in the top band
+function histogram(results, key) {
+  const buckets = Array.from({ length: 100 / HISTOGRAM_BUCKET }, (_, i) => ({
+    from: i * HISTOGRAM_BUCKET,
+    to: (i + 1) * HISTOGRAM_BUCKET,
+    count: 0,
+  }));
+  for (const r of results) {
+    const score = r.scores?.[key];
+    if (score == null) continue;
+    buckets[Math.min(Math.floor(score / HISTOGRAM_BUCKET), buckets.length - 1)].count++;
+  }
+  return buckets;
+}
+
+export function rollupCohort(results) {
+  const scored = results.filter((r) => r.status === "ok" && r.scores);
+
+  const segments = Object.fromEntries(
+    Object.entries(COHORT_DIMENSIONS).map(([dimension, keyOf]) => [
+      dimension,
+      [...groupBy(scored, keyOf)]
+        .map(([key, group]) => ({ key, ...summarize(group) }))
+        .sort((a, b) => (b.scores.overall ?? 0) - (a.scores.overall ?? 0)),
+    ])
+  );
+
+  const functions = [...new Set(scored.map(COHORT_DIMENSIONS.function))].sort();
+  const levels = [...new Set(scored.map(COHORT_DIMENSIONS.level))].sort();
+  const heatmap = {
+    score: "aiRisk",
+    functions,
+    levels,
+    cells: functions.flatMap((fn) =>
+      levels.map((level) => {
+        const group = scored.filter((r) => COHORT_DIMENSIONS.function(r) === fn && COHORT_DIMENSIONS.level(r) === level);
+        return { function: fn, level, count: group.length, value: mean(group.map((r) => r.scores.aiRisk)) };
+      })
+    ),
+  };
+
+  const highestRisk = Object.entries(segments)
+    .flatMap(([dimension, list]) => list.map((s) => ({ dimension, ...s })))
+    .filter((s) => s.count >= MIN_SEGMENT_SIZE && s.count < scored.length && s.scores.overall != null)
+    .sort((a, b) => b.scores.overall - a.scores.overall)
+    .slice(0, TOP_SEGMENTS);
+
+  return {
+    assessed: scored.length,
+    excluded: results.length - scored.length,
+    summary: summarize(scored),
+    segments,
+    histograms: Object.fromEntries(ROLLUP_KEYS.map((key) => [key, histogram(scored, key)])),
+    heatmap,
+    highestRisk,
+  };
+}
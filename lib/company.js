@@ -0,0 +1,142 @@
+// Company Assessment
+// The company half of the assessment pipeline, for questions about an employer
+// rather than a person: resolve the company, pull its headcount, flows, level
+// flows and stats, score instability + company-wide churn and write the two
+// company narrative sections. Used by POST /api/company.
+
+import {
+  findCompany,
+  getCompanyDemographics,
+  getCompanyFlows,
+  getCompanyFlowsByLevel,
+  getCompanyStats,
+} from "@/lib/livedata";
+import {
+  AssessmentError,
+  describeDataError,
+  summarizeDemographics,
+  summarizeFlows,
+  summarizeFlowsByLevel,
+} from "@/lib/assess";
+import { explainCompanyScores } from "@/lib/scoring";
+import { getScoringProfile, ScoringProfileError } from "@/lib/profiles";
+import { generateCompanyNarrative, fallbackCompanyNarrative, withNarrativeTimeout } from "@/lib/claude";
+
+const MAX_ALTERNATIVES = 4;
+
+const normalizeCompany = (value) => (value || "").toLowerCase().replace(/[^a-z0-9\s]/g, "").replace(/\s+/g, " ").trim();
+
+// Exact name first, then names containing the query (or vice versa), then
+// whichever employer the search turned up most often
+function rankCompanies(companies, query) {
+  const target = normalizeCompany(query);
+  const rank = (c) => {
+    const name = normalizeCompany(c.name);
+    if (name === target) return 2;
+    if (name && (name.includes(target) || target.includes(name))) return 1;
+    return 0;
+  };
+  return [...companies].sort((a, b) => rank(b) - rank(a) || b.employees - a.employees);
+}
+
+// An id is trusted as given; the lookup only supplies its display name.
+// Returns { id, name, alternatives }. Also used by the what-if simulator.
+export async function resolveCompany({ name, id }, cacheOptions = {}) {
+  const matches = await findCompany(id ? { id } : { name }, cacheOptions);
+  if (id) {
+    return { id, name: matches.find((c) => c.id === id)?.name || name || id, alternatives: [] };
+  }
+  const ranked = rankCompanies(matches, name);
+  if (ranked.length === 0) {
+    throw new AssessmentError("Company not found. Try the full company name.", 404);
+  }
+  return {
+    id: ranked[0].id,
+    name: ranked[0].name || name,
+    alternatives: ranked.slice(1, 1 + MAX_ALTERNATIVES).map(({ id, name }) => ({ id, name })),
+  };
+}
+
+// Body: { name } or { id } (a LiveData company id), plus optional refresh,
+// profile and narrative (false = rules-based text, no Claude call).
+// Throws AssessmentError or LiveDataError.
+export async function runCompanyAssessment(body) {
+  const { name, id, refresh, profile: profileId, narrative: withNarrative = true } = body || {};
+  const cacheOptions = { refresh: refresh === true };
+
+  if (!name && !id) {
+    throw new AssessmentError("Company name or LiveData company id required", 400);
+  }
+
+  let profile;
+  try {
+    profile = getScoringProfile(profileId);
+  } catch (err) {
+    if (err instanceof ScoringProfileError) throw new AssessmentError(err.message, 400);
+    throw err;
+  }
+
+  // Step 1: Resolve the company
+  const { alternatives, ...company } = await resolveCompany({ name, id }, cacheOptions);
+
+  // Step 2: Company reports, same windows as a person assessment
+  const twoYearsAgo = new Date();
+  twoYearsAgo.setFullYear(twoYearsAgo.getFullYear() - 2);
+  const dateFrom = twoYearsAgo.toISOString().split("T")[0];
+  const dateTo = new Date().toISOString().split("T")[0];
+
+  const oneYearAgo = new Date();
+  oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
+  const flowsFrom = oneYearAgo.toISOString().split("T")[0];
+
+  const dataUnavailable = {};
+  const report = (key, promise, fallback = []) =>
+    promise.catch((err) => {
+      console.error(`Company report "${key}" failed:`, err.message);
+      dataUnavailable[key] = describeDataError(err);
+      return fallback;
+    });
+
+  const [demographics, flows, levelFlows, stats] = await Promise.all([
+    report("demographics", getCompanyDemographics(company.id, dateFrom, dateTo, cacheOptions)),
+    report("flows", getCompanyFlows(company.id, flowsFrom, dateTo, cacheOptions)),
+    report("flowsByLevel", getCompanyFlowsByLevel(company.id, flowsFrom, dateTo, [], cacheOptions)),
+    report("stats", getCompanyStats(company.id, cacheOptions), {}),
+  ]);
+
+  const companyData = {
+    ...summarizeDemographics(demographics, null),
+    currentHeadcount: stats.count_employees ?? null,
+    flows: summarizeFlows(flows),
+    levelHiring: summarizeFlowsByLevel(levelFlows),
+    levelHiringScope: { type: "company", function: null, sampleHires: levelFlows.reduce((sum, row) => sum + (row.arrivals || 0), 0) },
+  };
+
+  // Step 3: Score
+  const { scores, breakdown: scoreBreakdown, profile: scoringProfile } = explainCompanyScores(
+    demographics, flows, dataUnavailable, profile
+  );
+
+  // Step 4: Narrative (same 30s cap as the person pipeline)
+  let narrative;
+  if (withNarrative === false) {
+    narrative = fallbackCompanyNarrative(company.name, companyData, scores);
+  } else {
+    narrative = await withNarrativeTimeout(
+      (narrativeSignal) => generateCompanyNarrative(company.name, companyData, scores, { signal: narrativeSignal }),
+      () => fallbackCompanyNarrative(company.name, companyData, scores),
+      { label: "Company narrative" }
+    );
+  }
+
+  return {
+    company: { ...company, alternatives },
+    companyData,
+    scores,
+    scoreBreakdown,
+    scoringProfile,
+    narrative,
+    dataUnavailable,
+    generatedAt: new Date().toISOString(),
+  };
+}
@@ -0,0 +1,184 @@
+// Side-by-side Comparison
+// Runs two to four people through the assessment pipeline in parallel (or loads
+// reports that were already saved) and lines them up: sub-scores, salary bands,
+// progression ladders, company growth and top future-proofing paths, with the
+// rows where they differ most flagged.
+
+import { runAssessment, AssessmentError, describeDataError } from "@/lib/assess";
+import { LiveDataError } from "@/lib/livedata";
+import { loadReport, ReportError } from "@/lib/reports";
+import { SCORE_KEYS } from "@/lib/profiles";
+import { generateComparisonSummary, fallbackComparisonSummary, withNarrativeTimeout } from "@/lib/claude";
+
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 4;
+
+// How far apart a row has to be before it is highlighted
+const SCORE_GAP = 10;
+const SALARY_GAP = 0.1;
+const GROWTH_GAP = 10;
+const TOP_PATHS = 3;
+
+const SCORE_LABELS = {
+  overall: "Overall Risk",
+  aiRisk: "AI Automation Exposure",
+  companyInstability: "Company Instability",
+  promotionCeiling: "Promotion Ceiling",
+  tenureVolatility: "Tenure Volatility",
+  functionChurn: "Function Churn",
+  salaryCompression: "Salary Compression",
+  marketDemand: "Market Demand Risk",
+};
+
+// ─── Running ──────────────────────────────────────────────────
+
+// Each entry is { reportId } (a saved report or share link), { linkedin } or
+// { name, company }. Same statuses as batch rows: ok, ambiguous, unmatched, error.
+async function assessEntry(entry, { narrative, profile, refresh, signal }) {
+  try {
+    if (entry.reportId) {
+      // A share link is echoed back as the report's id, so the response never
+      // swaps it for the permanent one
+      const { report, share } = await loadReport(entry.reportId);
+      return { status: "ok", report: share ? { ...report, id: share.id } : report };
+    }
+    const body = entry.linkedin
+      ? { linkedin: entry.linkedin }
+      : { name: entry.name, company: entry.company || null, pick: entry.pick };
+    const report = await runAssessment({ ...body, narrative, profile, refresh }, undefined, { signal });
+    if (report.candidates) {
+      return { status: "ambiguous", note: `${report.candidates.length} possible matches — pick one`, candidates: report.candidates.slice(0, 5) };
+    }
+    return { status: "ok", report };
+  } catch (err) {
+    if (err instanceof AssessmentError || err instanceof ReportError) {
+      return { status: err.status === 404 ? "unmatched" : "error", note: err.message };
+    }
+    if (err instanceof LiveDataError) return { status: "error", note: describeDataError(err).message };
+    console.error("Comparison entry failed:", err);
+    return { status: "error", note: err.message || "Assessment failed" };
+  }
+}
+
+// Body: { people: [...2–4 entries], narrative, summary, profile, refresh }.
+// `summary: true` adds a Claude-written comparative summary once everyone is scored.
+// Throws AssessmentError for a bad request; per-person problems come back in
+// `entries` so the client can fix one column without re-running the rest.
+// `signal` cancels the assessments and summary when the client goes away.
+export async function runComparison(body, { signal } = {}) {
+  const { people, narrative = true, summary: withSummary = false, profile, refresh } = body || {};
+
+  if (!Array.isArray(people) || people.length < MIN_COMPARE || people.length > MAX_COMPARE) {
+    throw new AssessmentError(`Compare ${MIN_COMPARE} to ${MAX_COMPARE} people`, 400);
+  }
+  const missing = people.findIndex((p) => !p?.reportId && !p?.linkedin && !p?.name);
+  if (missing !== -1) {
+    throw new AssessmentError(`Person ${missing + 1} needs a name, LinkedIn URL or report id`, 400);
+  }
+
+  const entries = await Promise.all(
+    people.map((entry, index) => assessEntry(entry, { narrative, profile, refresh, signal }).then((result) => ({ index, input: entry, ...result })))
+  );
+
+  signal?.throwIfAborted();
+
+  // Columns cover only the people who were scored; `entry` points back at the input
+  const scored = entries.filter((e) => e.status === "ok");
+  const comparison = scored.length >= MIN_COMPARE ? compareReports(scored.map((e) => e.report)) : null;
+  comparison?.columns.forEach((column, i) => {
+    column.entry = scored[i].index;
+  });
+
+  let summary = null;
+  if (comparison && withSummary) {
+    summary = await withNarrativeTimeout(
+      (summarySignal) => generateComparisonSummary(comparison, { signal: summarySignal }),
+      () => fallbackComparisonSummary(comparison),
+      { signal, label: "Comparison summary" }
+    );
+  }
+
+  return {
+    entries: entries.map(({ report, ...e }) => (report ? { ...e, reportId: report.id } : e)),
+    comparison,
+    summary,
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+// ─── Lining Up ────────────────────────────────────────────────
+
+// `better` says which end of the row is good: "low" for risk scores, "high" for
+// pay and growth. best/worst are column indexes, null when the row is a tie or
+// has fewer than two values.
+function compareRow(key, label, values, { better, gap, relative = false }) {
+  const present = values.map((v, i) => ({ v, i })).filter(({ v }) => v != null);
+  if (present.length < 2) return { key, label, values, best: null, worst: null, spread: null, differs: false };
+
+  const min = present.reduce((a, b) => (b.v < a.v ? b : a));
+  const max = present.reduce((a, b) => (b.v > a.v ? b : a));
+  const spread = max.v - min.v;
+  const differs = relative ? min.v > 0 && spread / min.v >= gap : spread >= gap;
+  const tie = spread === 0;
+
+  return {
+    key,
+    label,
+    values,
+    best: tie ? null : (better === "low" ? min : max).i,
+    worst: tie ? null : (better === "low" ? max : min).i,
+    spread: Math.round(spread * 10) / 10,
+    differs,
+  };
+}
+
+export function compareReports(reports) {
+  const columns = reports.map((r) => ({
+    reportId: r.id || null,
+    name: r.person.name,
+    title: r.person.currentTitle,
+    company: r.person.currentCompany,
+    level: r.person.currentLevel,
+    function: r.person.currentFunction,
+    location: r.person.location,
+    dataQuality: r.dataQuality?.grade || null,
+    scoringProfile: r.scoringProfile || null,
+  }));
+
+  const scores = ["overall", ...SCORE_KEYS].map((key) =>
+    compareRow(key, SCORE_LABELS[key] || key, reports.map((r) => r.scores?.[key] ?? null), { better: "low", gap: SCORE_GAP })
+  );
+
+  const salary = [
+    compareRow("midpoint", "Salary Midpoint", reports.map((r) => r.salary?.estimate?.midpoint ?? null), { better: "high", gap: SALARY_GAP, relative: true }),
+    compareRow("low", "Salary Low (P25)", reports.map((r) => r.salary?.estimate?.low ?? null), { better: "high", gap: SALARY_GAP, relative: true }),
+    compareRow("high", "Salary High (P75)", reports.map((r) => r.salary?.estimate?.high ?? null), { better: "high", gap: SALARY_GAP, relative: true }),
+    compareRow("aiPressure", "AI Pay Pressure", reports.map((r) => r.salary?.aiPressure?.pctImpact ?? null), { better: "high", gap: 5 }),
+  ];
+
+  const company = [
+    compareRow("growthPct", "2-Year Headcount Growth", reports.map((r) => r.company?.growthPct ?? null), { better: "high", gap: GROWTH_GAP }),
+    compareRow("totalHeadcount", "Headcount", reports.map((r) => r.company?.totalHeadcount ?? null), { better: "high", gap: 0.5, relative: true }),
+  ];
+
+  // Ladders: each person's function progression with their own rung marked
+  const ladders = reports.map((r) =>
+    (r.salary?.progression || []).map((rung) => ({ ...rung, current: rung.level === r.person.currentLevel }))
+  );
+
+  const paths = reports.map((r) =>
+    (r.narrative?.retrainingPaths || []).slice(0, TOP_PATHS).map((p) => ({
+      title: p.title,
+      function: p.function || null,
+      targetLevel: p.targetLevel || null,
+      fitScore: p.fitScore ?? null,
+      aiSafeScore: p.aiSafeScore ?? null,
+      timeToTransition: p.timeToTransition || null,
+    }))
+  );
+
+  // Saved reports can come from different scoring profiles; the UI warns when they do
+  const profilesDiffer = new Set(columns.map((c) => `${c.scoringProfile?.id}@${c.scoringProfile?.version}`)).size > 1;
+
+  return { columns, scores, salary, company, ladders, paths, profilesDiffer };
+}
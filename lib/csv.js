@@ -0,0 +1,79 @@
+// CSV Helpers
+// Plain CSV parsing and writing, kept free of server-only imports so the batch
+// page can split a sheet before sending it.
+
+// RFC 4180-style: quoted fields may hold commas, newlines and "" escapes. A
+// quote only opens a quoted field at the start of one; elsewhere it's literal.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let fieldStart = true;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    const atStart = fieldStart;
+    fieldStart = false;
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && atStart) {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+      fieldStart = true;
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+      fieldStart = true;
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+export function toCsv(rows) {
+  const escape = (value) => {
+    const text = value == null ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map((row) => row.map(escape).join(",")).join("\r\n") + "\r\n";
+}
+
+// Splits a CSV into chunks of at most `size` non-blank rows, each with the
+// header repeated. `rowOffset` is how many data lines come before the chunk,
+// so the server can number rows as they appear in the whole sheet.
+export function splitCsv(text, size) {
+  const [header = [], ...lines] = parseCsv((text || "").replace(/^\uFEFF/, ""));
+  const chunks = [];
+  let start = 0;
+  let filled = 0;
+  const close = (end) => {
+    chunks.push({ csv: toCsv([header, ...lines.slice(start, end)]), rowOffset: start, rows: filled });
+    start = end;
+    filled = 0;
+  };
+  lines.forEach((line, i) => {
+    if (!line.some((cell) => cell.trim())) return;
+    if (filled === size) close(i);
+    filled++;
+  });
+  if (filled > 0 || chunks.length === 0) close(lines.length);
+  return chunks;
+}
@@ -0,0 +1,110 @@
+// LiveData Fixtures — offline replay and record mode
+// LIVEDATA_MODE=replay serves every LiveData call from fixture files (no API key needed).
+// LIVEDATA_MODE=record calls the real API and writes each response to disk so the
+// same assessment can be replayed later.
+
+import { promises as fs } from "fs";
+import path from "path";
+import { cacheKey } from "./cache";
+
+const FIXTURES_DIR = process.env.LIVEDATA_FIXTURES_DIR || path.join(process.cwd(), "fixtures", "livedata");
+const DEFAULTS_DIR = path.join(FIXTURES_DIR, "_defaults");
+
+export function fixtureMode() {
+  const mode = process.env.LIVEDATA_MODE;
+  return mode === "replay" || mode === "record" ? mode : "live";
+}
+
+// ─── Fixture Naming ───────────────────────────────────────────
+// Request bodies embed today's date (date_from/date_to), so ISO dates are
+// blanked before hashing — a recording made in March still replays in June.
+
+function stripDates(value) {
+  if (Array.isArray(value)) return value.map(stripDates);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, stripDates(v)]));
+  }
+  if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}/.test(value)) return "<date>";
+  return value;
+}
+
+function slugify(value) {
+  return String(value || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 40);
+}
+
+// Readable prefix so a fixtures folder can be browsed by hand
+function describeRequest(endpoint, body) {
+  if (endpoint === "find") {
+    const term = body?.matches?.[0]?.fields?.map((f) => f.search_term).join(" ");
+    return `find-${slugify(term) || "person"}`;
+  }
+  const report = body?.filters?.find((f) => f.report)?.report;
+  if (!report) return "search-people";
+  return `search-${report.name}-${slugify((report.params?.group_by || []).join(" ")) || "all"}`;
+}
+
+function fixturePath(endpoint, body) {
+  const hash = cacheKey(endpoint, stripDates(body)).slice(0, 12);
+  return path.join(FIXTURES_DIR, `${describeRequest(endpoint, body)}-${hash}.json`);
+}
+
+function parseRequest(url, init) {
+  const endpoint = url.split("/").pop();
+  let body = null;
+  try {
+    body = init?.body ? JSON.parse(init.body) : null;
+  } catch {
+    body = null;
+  }
+  return { endpoint, body };
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// ─── Replay ───────────────────────────────────────────────────
+// Exact recording first, then a generic default for the endpoint/report shape
+// (e.g. _defaults/search-arrivals_departures-jobs-level.json), then an empty result.
+
+export async function replayFixture(url, init) {
+  const { endpoint, body } = parseRequest(url, init);
+
+  const recorded = await readJson(fixturePath(endpoint, body));
+  if (recorded) return recorded.response;
+
+  const prefix = describeRequest(endpoint, body);
+  const report = body?.filters?.find((f) => f.report)?.report;
+  const candidates = endpoint === "find" ? ["find"] : report ? [prefix, `search-${report.name}`] : [prefix];
+
+  for (const name of candidates) {
+    const fallback = await readJson(path.join(DEFAULTS_DIR, `${name}.json`));
+    if (fallback) {
+      console.warn(`LiveData replay: no recording for ${prefix}, using _defaults/${name}.json`);
+      return fallback.response;
+    }
+  }
+
+  console.warn(`LiveData replay: no fixture for ${prefix}, returning empty result`);
+  return endpoint === "find" ? { matches: [] } : { results: [], report_results: {} };
+}
+
+// ─── Record ───────────────────────────────────────────────────
+
+export async function recordFixture(url, init, response) {
+  const { endpoint, body } = parseRequest(url, init);
+  const file = fixturePath(endpoint, body);
+  try {
+    await fs.mkdir(FIXTURES_DIR, { recursive: true });
+    await fs.writeFile(
+      file,
+      JSON.stringify({ endpoint, request: body, response, recordedAt: new Date().toISOString() }, null, 2)
+    );
+  } catch (err) {
+    console.error(`LiveData record: could not write ${file}:`, err.message);
+  }
+}
@@ -1,6 +1,9 @@
 // LiveData People API Client
 // Docs: https://gotlivedata.io
 
+import { cached } from "./cache";
+import { fixtureMode, replayFixture, recordFixture } from "./fixtures";
+
 const BASE_URL = "https://gotlivedata.io/api/people/v1";
 const ORG_ID = process.env.LIVEDATA_ORG_ID;
 const API_KEY = process.env.LIVEDATA_API_KEY;
@@ -10,23 +13,161 @@ const headers = {
   "Content-Type": "application/json",
 };
 
-async function apiCall(endpoint, body, method = "POST") {
-  const url = `${BASE_URL}/${ORG_ID}/${endpoint}`;
-  const res = await fetch(url, {
-    method,
-    headers,
-    body: method === "POST" ? JSON.stringify(body) : undefined,
-  });
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`LiveData API error ${res.status}: ${text}`);
+// ─── Error Types ──────────────────────────────────────────────
+// `code` is what routes switch on: "auth", "not_found", "rate_limited", "upstream"
+
+export class LiveDataError extends Error {
+  constructor(message, { status = null, code = "upstream", retryable = false } = {}) {
+    super(message);
+    this.name = "LiveDataError";
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+export class LiveDataAuthError extends LiveDataError {
+  constructor(message, status) {
+    super(message, { status, code: "auth" });
+    this.name = "LiveDataAuthError";
+  }
+}
+
+export class LiveDataNotFoundError extends LiveDataError {
+  constructor(message, status = 404) {
+    super(message, { status, code: "not_found" });
+    this.name = "LiveDataNotFoundError";
+  }
+}
+
+export class LiveDataRateLimitError extends LiveDataError {
+  constructor(message, retryAfterMs = null) {
+    super(message, { status: 429, code: "rate_limited", retryable: true });
+    this.name = "LiveDataRateLimitError";
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class LiveDataUpstreamError extends LiveDataError {
+  constructor(message, status = null) {
+    // 5xx and network failures (no status) are worth retrying; other 4xx are not
+    super(message, { status, code: "upstream", retryable: status == null || status >= 500 });
+    this.name = "LiveDataUpstreamError";
+  }
+}
+
+function errorForStatus(status, text, retryAfterMs) {
+  const message = `LiveData API error ${status}: ${text}`;
+  if (status === 401 || status === 403) return new LiveDataAuthError(message, status);
+  if (status === 404) return new LiveDataNotFoundError(message, status);
+  if (status === 429) return new LiveDataRateLimitError(message, retryAfterMs);
+  return new LiveDataUpstreamError(message, status);
+}
+
+// ─── Concurrency Limiter ──────────────────────────────────────
+// One limiter per server instance, shared by every LiveData request, so the
+// company reports and hiring-signal searches fired by one Promise.all (or by
+// several assessments at once) don't stampede the API.
+
+const MAX_CONCURRENCY = Number(process.env.LIVEDATA_MAX_CONCURRENCY) || 4;
+
+export function createLimiter(max) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= max || queue.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    fn().then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+
+  return (fn) =>
+    new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      next();
+    });
+}
+
+const limit = createLimiter(MAX_CONCURRENCY);
+
+// ─── Retry with Backoff ───────────────────────────────────────
+
+const MAX_RETRIES = 3;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 10000;
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffDelay(attempt, retryAfterMs) {
+  if (retryAfterMs != null) return Math.min(retryAfterMs, MAX_DELAY_MS);
+  // Exponential backoff with full jitter
+  const ceiling = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Fetches JSON from LiveData through the shared limiter, retrying 429s, 5xx
+// and network failures. Throws a LiveDataError subclass once retries run out.
+// An aborted `init.signal` (the client went away) throws its reason at once,
+// without retrying. LIVEDATA_MODE=replay|record swaps in fixtures (see lib/fixtures.js).
+export async function liveDataFetch(url, init) {
+  const mode = fixtureMode();
+  if (mode === "replay") return replayFixture(url, init);
+
+  for (let attempt = 0; ; attempt++) {
+    let error;
+    try {
+      const res = await limit(async () => {
+        init?.signal?.throwIfAborted();
+        return fetch(url, init);
+      });
+      if (res.ok) {
+        const data = await res.json();
+        if (mode === "record") await recordFixture(url, init, data);
+        return data;
+      }
+      const text = await res.text();
+      error = errorForStatus(res.status, text, parseRetryAfter(res.headers.get("retry-after")));
+    } catch (err) {
+      if (init?.signal?.aborted) throw init.signal.reason;
+      error = new LiveDataUpstreamError(`LiveData request failed: ${err.message}`);
+    }
+
+    if (!error.retryable || attempt >= MAX_RETRIES) throw error;
+    const delay = backoffDelay(attempt, error.retryAfterMs);
+    console.warn(`LiveData ${error.code} (${error.status ?? "network"}), retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms`);
+    await sleep(delay);
   }
-  return res.json();
+}
+
+// `options.refresh` skips the cache read (the fresh response is still stored);
+// `options.signal` cancels the request
+async function apiCall(endpoint, body, method = "POST", options = {}) {
+  const kind = endpoint === "find" ? "person" : "company";
+  const url = `${BASE_URL}/${ORG_ID}/${endpoint}`;
+  return cached(kind, url, body, () =>
+    liveDataFetch(url, {
+      method,
+      headers,
+      body: method === "POST" ? JSON.stringify(body) : undefined,
+      signal: options.signal,
+    }), options);
 }
 
 // ─── Find Person ──────────────────────────────────────────────
 
-export async function findPerson(name, company = null) {
+export async function findPerson(name, company = null, options = {}) {
   const fields = [{ field_name: "name", search_term: name }];
   if (company) {
     fields.push({ field_name: "company.name", search_term: company });
@@ -54,18 +195,29 @@ export async function findPerson(name, company = null) {
       "education.degree",
     ],
     confidence: "medium",
-  });
+  }, "POST", options);
 
   return data.matches?.[0]?.people || [];
 }
 
 // ─── Find Person by LinkedIn ──────────────────────────────────
 
-export async function findPersonByLinkedIn(linkedinSlug) {
+// "https://www.linkedin.com/in/jordan-avery/?trk=x", "linkedin.com/in/jordan-avery"
+// and "jordan-avery" all come back as "jordan-avery"
+export function linkedinSlug(value) {
+  if (!value) return null;
+  return String(value)
+    .trim()
+    .replace(/^(https?:\/\/)?([a-z]{2,3}\.)?linkedin\.com\/in\//i, "")
+    .replace(/[?#].*$/, "")
+    .replace(/\/+$/, "");
+}
+
+export async function findPersonByLinkedIn(slug, options = {}) {
   const data = await apiCall("find", {
     matches: [
       {
-        fields: [{ field_name: "linkedin", search_term: linkedinSlug }],
+        fields: [{ field_name: "linkedin", search_term: slug }],
       },
     ],
     size: 1,
@@ -88,14 +240,41 @@ export async function findPersonByLinkedIn(linkedinSlug) {
       "education.degree",
     ],
     confidence: "medium",
-  });
+  }, "POST", options);
 
   return data.matches?.[0]?.people || [];
 }
 
+// ─── Find Company ─────────────────────────────────────────────
+// There is no company lookup endpoint, so current employees stand in for one:
+// a people search on the company name (or exact id), tallied by employer.
+// Returns [{ id, name, employees }] with the most common employer first.
+
+export async function findCompany({ name, id } = {}, options = {}) {
+  const filter = id
+    ? { type: "must", field: "position.company.id", match_type: "exact", string_values: [id] }
+    : { type: "must", field: "position.company.name", match_type: "fuzzy", string_values: [name] };
+
+  const data = await apiCall("search", {
+    filters: [filter],
+    size: 50,
+    return_fields: ["position.company.name", "position.company.id"],
+  }, "POST", options);
+
+  const companies = new Map();
+  for (const person of data.results || []) {
+    const company = person.position?.company;
+    if (!company?.id) continue;
+    const entry = companies.get(company.id) || { id: company.id, name: company.name || null, employees: 0 };
+    entry.employees++;
+    companies.set(company.id, entry);
+  }
+  return [...companies.values()].sort((a, b) => b.employees - a.employees);
+}
+
 // ─── Company Demographics (headcount over time by function) ───
 
-export async function getCompanyDemographics(companyId, dateFrom, dateTo) {
+export async function getCompanyDemographics(companyId, dateFrom, dateTo, options = {}) {
   const groupId = companyId.endsWith("-group") ? companyId : `${companyId}-group`;
   const baseId = companyId.replace(/-group$/, "");
 
@@ -124,14 +303,14 @@ export async function getCompanyDemographics(companyId, dateFrom, dateTo) {
       },
     ],
     size: 0,
-  });
+  }, "POST", options);
 
   return data.report_results?.demographics || [];
 }
 
 // ─── Company Arrivals/Departures ──────────────────────────────
 
-export async function getCompanyFlows(companyId, dateFrom, dateTo) {
+export async function getCompanyFlows(companyId, dateFrom, dateTo, options = {}) {
   const groupId = companyId.endsWith("-group") ? companyId : `${companyId}-group`;
   const baseId = companyId.replace(/-group$/, "");
 
@@ -159,14 +338,15 @@ export async function getCompanyFlows(companyId, dateFrom, dateTo) {
       },
     ],
     size: 0,
-  });
+  }, "POST", options);
 
   return data.report_results?.arrivals_departures || [];
 }
 
 // ─── Company Arrivals/Departures by Level ─────────────────────
+// `functions` narrows the ladder to those job functions; empty = company-wide.
 
-export async function getCompanyFlowsByLevel(companyId, dateFrom, dateTo) {
+export async function getCompanyFlowsByLevel(companyId, dateFrom, dateTo, functions = [], options = {}) {
   const groupId = companyId.endsWith("-group") ? companyId : `${companyId}-group`;
   const baseId = companyId.replace(/-group$/, "");
 
@@ -182,7 +362,9 @@ export async function getCompanyFlowsByLevel(companyId, dateFrom, dateTo) {
               { type: "must", field: "jobs.company.group_id", match_type: "exact", string_values: [groupId] },
             ],
           },
-          { type: "must", field: "jobs.function", match_type: "exact", string_values: ["Sales and Support", "Business Management"] },
+          ...(functions.length
+            ? [{ type: "must", field: "jobs.function", match_type: "exact", string_values: functions }]
+            : []),
         ],
         report: {
           name: "arrivals_departures",
@@ -195,14 +377,14 @@ export async function getCompanyFlowsByLevel(companyId, dateFrom, dateTo) {
       },
     ],
     size: 0,
-  });
+  }, "POST", options);
 
   return data.report_results?.arrivals_departures || [];
 }
 
 // ─── Company Stats (quick headcount) ──────────────────────────
 
-export async function getCompanyStats(companyId) {
+export async function getCompanyStats(companyId, options = {}) {
   const groupId = companyId.endsWith("-group") ? companyId : `${companyId}-group`;
   const baseId = companyId.replace(/-group$/, "");
 
@@ -226,7 +408,7 @@ export async function getCompanyStats(companyId) {
       },
     ],
     size: 0,
-  });
+  }, "POST", options);
 
   return data.report_results?.stats || {};
 }
@@ -0,0 +1,108 @@
+// Narrative Schema
+// The shape generateNarrative asks Claude for (see buildPrompt in lib/claude.js)
+// and the checks its reply has to pass before the dashboard, PDF and comparison
+// view render it. Fields the prompt doesn't ask for (pre-career extras such as
+// careerStageAssessment or actionSteps) are optional and not checked. Company
+// reports (generateCompanyNarrative) are held to the two company sections.
+
+const text = (minLength) => ({ type: "string", minLength });
+const score = { type: "integer", min: 0, max: 100 };
+
+export const RETRAINING_PATH_COUNT = 4;
+
+export const RETRAINING_PATH_SCHEMA = {
+  rank: { type: "integer", min: 1, max: RETRAINING_PATH_COUNT },
+  title: text(3),
+  function: text(3),
+  targetLevel: text(2),
+  fitScore: score,
+  growthScore: score,
+  aiSafeScore: score,
+  rationale: text(80),
+  skills: { type: "array", minItems: 1, items: text(2) },
+  timeToTransition: text(2),
+  salaryComparison: text(2),
+};
+
+// Lengths only catch empty or stub sections; the prompt asks for far more
+export const NARRATIVE_SCHEMA = {
+  overviewSummary: text(200),
+  careerPattern: text(80),
+  aiThreatAnalysis: text(200),
+  aiMitigatingFactors: text(150),
+  companyHealthNarrative: text(150),
+  companyAiExposure: text(150),
+  promotionAnalysis: text(80),
+  // Both can be one line: no location to describe, or no hiring signals
+  localMarketSummary: text(40),
+  hiringOutlook: text(40),
+  retrainingPaths: { type: "array", length: RETRAINING_PATH_COUNT, items: { type: "object", properties: RETRAINING_PATH_SCHEMA } },
+  bottomLine: text(150),
+};
+
+export const NARRATIVE_FIELDS = Object.keys(NARRATIVE_SCHEMA);
+
+export const COMPANY_NARRATIVE_SCHEMA = {
+  companyHealthNarrative: NARRATIVE_SCHEMA.companyHealthNarrative,
+  companyAiExposure: NARRATIVE_SCHEMA.companyAiExposure,
+};
+
+// ─── Validation ───────────────────────────────────────────────
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+function checkValue(errors, where, value, spec) {
+  if (value == null) {
+    errors.push(`${where} is missing`);
+    return;
+  }
+  switch (spec.type) {
+    case "string":
+      if (typeof value !== "string") errors.push(`${where} must be a string`);
+      else if (value.trim().length < spec.minLength) errors.push(`${where} is too short (${value.trim().length} of at least ${spec.minLength} characters)`);
+      return;
+    case "integer":
+      if (!Number.isInteger(value) || value < spec.min || value > spec.max) errors.push(`${where} must be a whole number from ${spec.min} to ${spec.max}`);
+      return;
+    case "array":
+      if (!Array.isArray(value)) {
+        errors.push(`${where} must be an array`);
+        return;
+      }
+      if (spec.length != null && value.length !== spec.length) errors.push(`${where} must have exactly ${spec.length} entries (has ${value.length})`);
+      if (spec.minItems != null && value.length < spec.minItems) errors.push(`${where} needs at least ${spec.minItems} entr${spec.minItems === 1 ? "y" : "ies"}`);
+      value.forEach((item, i) => checkValue(errors, `${where}[${i}]`, item, spec.items));
+      return;
+    case "object":
+      if (!isObject(value)) {
+        errors.push(`${where} must be an object`);
+        return;
+      }
+      for (const [key, propSpec] of Object.entries(spec.properties)) checkValue(errors, `${where}.${key}`, value[key], propSpec);
+      return;
+  }
+}
+
+function validateFields(narrative, schema) {
+  if (!isObject(narrative)) return Object.fromEntries(Object.keys(schema).map((field) => [field, ["narrative must be an object"]]));
+
+  const problems = {};
+  for (const [field, spec] of Object.entries(schema)) {
+    const errors = [];
+    checkValue(errors, field, narrative[field], spec);
+    if (errors.length) problems[field] = errors;
+  }
+  return problems;
+}
+
+// Problems keyed by top-level field ({} when the narrative passes), so a repair
+// can ask for just the fields that failed
+export const validateNarrative = (narrative) => validateFields(narrative, NARRATIVE_SCHEMA);
+
+export const validateCompanyNarrative = (narrative) => validateFields(narrative, COMPANY_NARRATIVE_SCHEMA);
+
+export function isValidRetrainingPath(path) {
+  const errors = [];
+  checkValue(errors, "path", path, NARRATIVE_SCHEMA.retrainingPaths.items);
+  return errors.length === 0;
+}
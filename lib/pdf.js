@@ -0,0 +1,355 @@
+// PDF Writer
+// Just enough PDF to lay out a report: US Letter pages, the three built-in
+// Helvetica faces (no font embedding), filled/stroked shapes and wrapped text.
+// Coordinates are points from the top-left corner of the page; the writer flips
+// them into PDF space. Text is WinAnsi-encoded, so characters outside it are
+// swapped for ASCII stand-ins or dropped (emoji).
+
+import { deflateSync } from "zlib";
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+const FONTS = { regular: "F1", bold: "F2", italic: "F3" };
+const FONT_NAMES = { F1: "Helvetica", F2: "Helvetica-Bold", F3: "Helvetica-Oblique" };
+
+// ─── Metrics ──────────────────────────────────────────────────
+// Advance widths (1/1000 em) for ASCII 32–126, from the Adobe AFM files.
+// Oblique shares the regular widths.
+
+const REGULAR_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+const BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+// WinAnsi bytes 0x80–0x9F that differ from Latin-1, with their widths
+const WIN_ANSI = {
+  "€": [0x80, 556], "‚": [0x82, 222], "„": [0x84, 333], "…": [0x85, 1000], "†": [0x86, 556],
+  "‡": [0x87, 556], "‰": [0x89, 1000], "‘": [0x91, 222], "’": [0x92, 222], "“": [0x93, 333],
+  "”": [0x94, 333], "•": [0x95, 350], "–": [0x96, 556], "—": [0x97, 1000], "™": [0x99, 1000],
+};
+
+const SUBSTITUTES = {
+  "→": "->", "←": "<-", "↑": "^", "↓": "v", "▲": "+", "▼": "-", "−": "-", "★": "*",
+  "≈": "~", "≥": ">=", "≤": "<=", "✓": "v", " ": " ", "\t": "  ",
+};
+
+// Unicode → the string of single-byte characters the PDF will show
+export function toWinAnsi(text) {
+  let out = "";
+  for (const ch of String(text ?? "")) {
+    if (SUBSTITUTES[ch] != null) out += SUBSTITUTES[ch];
+    else if (WIN_ANSI[ch]) out += String.fromCharCode(WIN_ANSI[ch][0]);
+    else if (ch.codePointAt(0) <= 0xff && ch !== "\r") out += ch;
+  }
+  return out.replace(/ {2,}/g, " ");
+}
+
+const WIN_ANSI_WIDTHS = Object.fromEntries(Object.values(WIN_ANSI).map(([byte, width]) => [byte, width]));
+
+function charWidth(code, font) {
+  if (code >= 32 && code <= 126) return (font === "bold" ? BOLD_WIDTHS : REGULAR_WIDTHS)[code - 32];
+  return WIN_ANSI_WIDTHS[code] || 556;
+}
+
+// Width in points of already-encoded text
+function encodedWidth(encoded, size, font) {
+  let units = 0;
+  for (let i = 0; i < encoded.length; i++) units += charWidth(encoded.charCodeAt(i), font);
+  return (units * size) / 1000;
+}
+
+export function textWidth(text, size, font = "regular") {
+  return encodedWidth(toWinAnsi(text), size, font);
+}
+
+// Greedy word wrap; a single word wider than the line is split by character.
+// Newlines in the text start a new line.
+export function wrapText(text, size, maxWidth, font = "regular") {
+  const lines = [];
+  for (const paragraph of toWinAnsi(text).split("\n")) {
+    let line = "";
+    for (const word of paragraph.split(" ")) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (encodedWidth(candidate, size, font) <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      line = word;
+      while (encodedWidth(line, size, font) > maxWidth && line.length > 1) {
+        let cut = line.length - 1;
+        while (cut > 1 && encodedWidth(line.slice(0, cut), size, font) > maxWidth) cut--;
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+// ─── Drawing ──────────────────────────────────────────────────
+
+const num = (n) => (Math.round(n * 100) / 100).toString();
+
+function rgb(hex) {
+  const h = (hex || "#000000").replace("#", "");
+  const full = h.length === 3 ? h.split("").map((c) => c + c).join("") : h.slice(0, 6);
+  return [0, 2, 4].map((i) => num(parseInt(full.slice(i, i + 2), 16) / 255)).join(" ");
+}
+
+// Escapes for a PDF literal string; bytes above 0x7E go out as octal
+function pdfString(encoded) {
+  let out = "";
+  for (let i = 0; i < encoded.length; i++) {
+    const code = encoded.charCodeAt(i);
+    const ch = encoded[i];
+    if (ch === "\\" || ch === "(" || ch === ")") out += `\\${ch}`;
+    else if (code < 32 || code > 126) out += `\\${code.toString(8).padStart(3, "0")}`;
+    else out += ch;
+  }
+  return `(${out})`;
+}
+
+// Document info strings (title, author) as UTF-16, which PDF readers decode
+// without the WinAnsi limits of page text
+function pdfTextString(text) {
+  const hex = [...String(text ?? "")].map((ch) => {
+    const code = ch.codePointAt(0);
+    if (code <= 0xffff) return code.toString(16).padStart(4, "0");
+    const offset = code - 0x10000;
+    return [0xd800 + (offset >> 10), 0xdc00 + (offset & 0x3ff)].map((unit) => unit.toString(16)).join("");
+  });
+  return `<FEFF${hex.join("")}>`;
+}
+
+// Cubic Bézier control distance for a quarter circle
+const KAPPA = 0.5523;
+
+// `margin` is the page margin for the flow helpers; the drawing calls ignore it
+export function createPdf({ title = "", author = "", margin = 54 } = {}) {
+  const pages = [];
+  let current = null;
+
+  const flipY = (y) => PAGE_HEIGHT - y;
+  const emit = (op) => current.push(op);
+
+  const doc = {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+    margin,
+    contentWidth: PAGE_WIDTH - margin * 2,
+    // Flow cursor: the top of the next block on the current page
+    y: margin,
+
+    get pageCount() {
+      return pages.length;
+    },
+
+    addPage() {
+      current = [];
+      pages.push(current);
+      doc.y = margin;
+      return doc;
+    },
+
+    // Draw on an earlier page (page footers once the page count is known)
+    goToPage(index) {
+      current = pages[index];
+      return doc;
+    },
+
+    text(str, x, y, { size = 10, font = "regular", color = "#000000", align = "left", width = 0 } = {}) {
+      const encoded = toWinAnsi(str);
+      if (!encoded) return doc;
+      let left = x;
+      if (align !== "left") {
+        const w = encodedWidth(encoded, size, font);
+        left = align === "right" ? x + width - w : x + (width - w) / 2;
+      }
+      emit(`BT /${FONTS[font]} ${num(size)} Tf ${rgb(color)} rg ${num(left)} ${num(flipY(y))} Td ${pdfString(encoded)} Tj ET`);
+      return doc;
+    },
+
+    rect(x, y, w, h, { fill = null, stroke = null, lineWidth = 1, radius = 0 } = {}) {
+      if (w <= 0 || h <= 0) return doc;
+      const r = Math.min(radius, w / 2, h / 2);
+      let path;
+      if (r > 0) {
+        const [x0, y0, x1, y1] = [x, flipY(y + h), x + w, flipY(y)];
+        const k = r * (1 - KAPPA);
+        path = [
+          `${num(x0 + r)} ${num(y0)} m`,
+          `${num(x1 - r)} ${num(y0)} l`,
+          `${num(x1 - k)} ${num(y0)} ${num(x1)} ${num(y0 + k)} ${num(x1)} ${num(y0 + r)} c`,
+          `${num(x1)} ${num(y1 - r)} l`,
+          `${num(x1)} ${num(y1 - k)} ${num(x1 - k)} ${num(y1)} ${num(x1 - r)} ${num(y1)} c`,
+          `${num(x0 + r)} ${num(y1)} l`,
+          `${num(x0 + k)} ${num(y1)} ${num(x0)} ${num(y1 - k)} ${num(x0)} ${num(y1 - r)} c`,
+          `${num(x0)} ${num(y0 + r)} l`,
+          `${num(x0)} ${num(y0 + k)} ${num(x0 + k)} ${num(y0)} ${num(x0 + r)} ${num(y0)} c h`,
+        ].join(" ");
+      } else {
+        path = `${num(x)} ${num(flipY(y + h))} ${num(w)} ${num(h)} re`;
+      }
+      paint(path, fill, stroke, lineWidth);
+      return doc;
+    },
+
+    line(x1, y1, x2, y2, { color = "#000000", width = 1 } = {}) {
+      emit(`${rgb(color)} RG ${num(width)} w ${num(x1)} ${num(flipY(y1))} m ${num(x2)} ${num(flipY(y2))} l S`);
+      return doc;
+    },
+
+    circle(cx, cy, r, { fill = null, stroke = null, lineWidth = 1 } = {}) {
+      const y = flipY(cy);
+      const k = r * KAPPA;
+      const path = [
+        `${num(cx + r)} ${num(y)} m`,
+        `${num(cx + r)} ${num(y + k)} ${num(cx + k)} ${num(y + r)} ${num(cx)} ${num(y + r)} c`,
+        `${num(cx - k)} ${num(y + r)} ${num(cx - r)} ${num(y + k)} ${num(cx - r)} ${num(y)} c`,
+        `${num(cx - r)} ${num(y - k)} ${num(cx - k)} ${num(y - r)} ${num(cx)} ${num(y - r)} c`,
+        `${num(cx + k)} ${num(y - r)} ${num(cx + r)} ${num(y - k)} ${num(cx + r)} ${num(y)} c h`,
+      ].join(" ");
+      paint(path, fill, stroke, lineWidth);
+      return doc;
+    },
+
+    // Stroked arc, angles in degrees counter-clockwise from 3 o'clock (so a
+    // gauge over the top runs from 180 to 0)
+    arc(cx, cy, r, startDeg, endDeg, { color = "#000000", width = 1 } = {}) {
+      if (startDeg === endDeg) return doc;
+      const segments = Math.ceil(Math.abs(endDeg - startDeg) / 90);
+      const step = ((endDeg - startDeg) / segments) * (Math.PI / 180);
+      const point = (a) => [cx + r * Math.cos(a), flipY(cy - r * Math.sin(a))];
+      let a = startDeg * (Math.PI / 180);
+      const [sx, sy] = point(a);
+      const ops = [`${num(sx)} ${num(sy)} m`];
+      for (let i = 0; i < segments; i++) {
+        const b = a + step;
+        const k = (4 / 3) * Math.tan(step / 4) * r;
+        const [ax, ay] = point(a);
+        const [bx, by] = point(b);
+        const c1 = [ax - k * Math.sin(a), ay + k * Math.cos(a)];
+        const c2 = [bx + k * Math.sin(b), by - k * Math.cos(b)];
+        ops.push(`${num(c1[0])} ${num(c1[1])} ${num(c2[0])} ${num(c2[1])} ${num(bx)} ${num(by)} c`);
+        a = b;
+      }
+      emit(`${rgb(color)} RG ${num(width)} w 1 J ${ops.join(" ")} S 0 J`);
+      return doc;
+    },
+
+    // ─── Flow ──────────────────────────────────────────────────
+    // Blocks stack down the page from `doc.y`, starting a new page when the
+    // next one won't fit above the bottom margin.
+
+    ensureSpace(height) {
+      if (doc.y + height > PAGE_HEIGHT - margin) doc.addPage();
+      return doc;
+    },
+
+    moveDown(points) {
+      doc.y += points;
+      return doc;
+    },
+
+    // Wrapped text at the cursor, broken across pages line by line
+    paragraph(str, { size = 10, font = "regular", color = "#000000", indent = 0, width = null, lineHeight = 1.45, after = 8 } = {}) {
+      const maxWidth = (width ?? doc.contentWidth - indent);
+      const leading = size * lineHeight;
+      for (const line of wrapText(str, size, maxWidth, font)) {
+        doc.ensureSpace(leading);
+        doc.text(line, margin + indent, doc.y + size, { size, font, color });
+        doc.y += leading;
+      }
+      doc.y += after;
+      return doc;
+    },
+
+    toBuffer() {
+      return serialize(pages, { title, author });
+    },
+  };
+
+  function paint(path, fill, stroke, lineWidth) {
+    const colors = [fill && `${rgb(fill)} rg`, stroke && `${rgb(stroke)} RG ${num(lineWidth)} w`].filter(Boolean).join(" ");
+    const op = fill && stroke ? "B" : fill ? "f" : "S";
+    emit(`${colors} ${path} ${op}`);
+  }
+
+  return doc;
+}
+
+// ─── Serializing ──────────────────────────────────────────────
+
+function serialize(pages, { title, author }) {
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalog = add(null);
+  const pageTree = add(null);
+  const fontIds = Object.entries(FONT_NAMES).map(([key, name]) =>
+    [key, add(`<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`)]
+  );
+  const fontResources = fontIds.map(([key, id]) => `/${key} ${id} 0 R`).join(" ");
+
+  const pageIds = pages.map((ops) => {
+    const content = deflateSync(Buffer.from(ops.join("\n"), "latin1"));
+    const contentId = add(Buffer.concat([
+      Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, "latin1"),
+      content,
+      Buffer.from("\nendstream", "latin1"),
+    ]));
+    return add(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+  });
+
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+  objects[pageTree - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+  const now = new Date().toISOString().replace(/[-:T]/g, "").slice(0, 14);
+  const info = add(`<< /Title ${pdfTextString(title)} /Author ${pdfTextString(author)} /Producer (workforce.ai) /CreationDate (D:${now}Z) >>`);
+
+  const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+  let offset = chunks[0].length;
+  const offsets = objects.map((body, i) => {
+    const chunk = Buffer.concat([
+      Buffer.from(`${i + 1} 0 obj\n`, "latin1"),
+      Buffer.isBuffer(body) ? body : Buffer.from(body, "latin1"),
+      Buffer.from("\nendobj\n", "latin1"),
+    ]);
+    chunks.push(chunk);
+    const at = offset;
+    offset += chunk.length;
+    return at;
+  });
+
+  const xref = [
+    "xref",
+    `0 ${objects.length + 1}`,
+    "0000000000 65535 f ",
+    ...offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n `),
+    "trailer",
+    `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>`,
+    "startxref",
+    String(offset),
+    "%%EOF",
+  ].join("\n");
+  chunks.push(Buffer.from(`${xref}\n`, "latin1"));
+  return Buffer.concat(chunks);
+}
@@ -0,0 +1,245 @@
+// Scoring Profiles
+// Weights, lookup tables, keyword lists and thresholds for lib/scoring.js, loaded
+// from config/scoring-profiles/*.json. Every file is validated when this module
+// first loads, so a bad profile fails the build / server start instead of a report.
+
+import fs from "fs";
+import path from "path";
+
+const PROFILES_DIR = process.env.SCORING_PROFILES_DIR || path.join(process.cwd(), "config", "scoring-profiles");
+const DEFAULT_PROFILE_ID = process.env.SCORING_PROFILE || "default";
+
+export const SCORE_KEYS = [
+  "aiRisk",
+  "companyInstability",
+  "promotionCeiling",
+  "tenureVolatility",
+  "functionChurn",
+  "salaryCompression",
+  "marketDemand",
+];
+
+const MARKET_SIGNALS = ["regional", "employerNetwork", "functionGrowth"];
+
+export class ScoringProfileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ScoringProfileError";
+  }
+}
+
+// ─── Inheritance ──────────────────────────────────────────────
+// `"extends": "default"` starts from another profile and overrides only what the
+// file lists. Objects merge key by key; arrays and scalars replace.
+
+function mergeDeep(base, override) {
+  if (!isObject(base) || !isObject(override)) return override;
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = key in base ? mergeDeep(base[key], value) : value;
+  }
+  return merged;
+}
+
+function resolveProfile(id, raw, seen = []) {
+  const file = raw[id];
+  if (!file) throw new ScoringProfileError(`Scoring profile "${seen[seen.length - 1]}" extends unknown profile "${id}"`);
+  if (seen.includes(id)) throw new ScoringProfileError(`Scoring profile inheritance loop: ${[...seen, id].join(" → ")}`);
+  if (!file.extends) return file;
+
+  const { extends: parentId, ...own } = file;
+  return mergeDeep(resolveProfile(parentId, raw, [...seen, id]), own);
+}
+
+// ─── Validation ───────────────────────────────────────────────
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const isScore = (v) => typeof v === "number" && v >= 0 && v <= 100;
+
+// Buckets are checked in order; the last one must be the catch-all (threshold null)
+function checkBuckets(errors, where, buckets, thresholdKey, valueKey) {
+  if (!Array.isArray(buckets) || buckets.length === 0) {
+    errors.push(`${where}.buckets must be a non-empty array`);
+    return;
+  }
+  buckets.forEach((b, i) => {
+    const last = i === buckets.length - 1;
+    if (last && b[thresholdKey] !== null) errors.push(`${where}.buckets[${i}].${thresholdKey} must be null (catch-all)`);
+    if (!last && typeof b[thresholdKey] !== "number") errors.push(`${where}.buckets[${i}].${thresholdKey} must be a number`);
+    if (!isScore(b[valueKey])) errors.push(`${where}.buckets[${i}].${valueKey} must be 0–100`);
+  });
+}
+
+export function validateProfile(profile) {
+  const errors = [];
+
+  if (typeof profile.id !== "string" || !profile.id) errors.push("id must be a non-empty string");
+  if (typeof profile.version !== "string" || !profile.version) errors.push("version must be a non-empty string");
+
+  if (!isObject(profile.weights)) {
+    errors.push("weights must be an object");
+  } else {
+    for (const [key, weight] of Object.entries(profile.weights)) {
+      if (!SCORE_KEYS.includes(key)) errors.push(`weights.${key} is not a known score (${SCORE_KEYS.join(", ")})`);
+      if (typeof weight !== "number" || weight < 0) errors.push(`weights.${key} must be a number ≥ 0`);
+    }
+    if (!Object.values(profile.weights).some((w) => w > 0)) errors.push("weights needs at least one weight above 0");
+  }
+
+  const ai = profile.aiRisk;
+  if (!isObject(ai)) {
+    errors.push("aiRisk must be an object");
+  } else {
+    if (!isScore(ai.unknownFunctionScore)) errors.push("aiRisk.unknownFunctionScore must be 0–100");
+    if (!isObject(ai.byFunction) || !Object.values(ai.byFunction).every(isScore)) errors.push("aiRisk.byFunction must map functions to 0–100");
+    if (!isObject(ai.levelModifier) || !Object.values(ai.levelModifier).every((v) => typeof v === "number")) {
+      errors.push("aiRisk.levelModifier must map levels to numbers");
+    }
+    for (const key of ["highRiskTitles", "lowRiskTitles"]) {
+      const list = ai[key];
+      if (!isObject(list) || typeof list.delta !== "number") errors.push(`aiRisk.${key}.delta must be a number`);
+      if (!Array.isArray(list?.keywords) || !list.keywords.every((k) => typeof k === "string" && k === k.toLowerCase())) {
+        errors.push(`aiRisk.${key}.keywords must be an array of lowercase strings`);
+      }
+    }
+  }
+
+  for (const [key, thresholdKey] of [["companyInstability", "above"], ["promotionCeiling", "max"], ["tenureVolatility", "below"], ["functionChurn", "below"]]) {
+    if (!isObject(profile[key])) {
+      errors.push(`${key} must be an object`);
+      continue;
+    }
+    if (!isScore(profile[key].neutral)) errors.push(`${key}.neutral must be 0–100`);
+    checkBuckets(errors, key, profile[key].buckets, thresholdKey, "score");
+  }
+
+  const promotion = profile.promotionCeiling;
+  if (isObject(promotion)) {
+    if (!isScore(promotion.noUpperHires)) errors.push("promotionCeiling.noUpperHires must be 0–100");
+    if (typeof promotion.minFunctionSample !== "number") errors.push("promotionCeiling.minFunctionSample must be a number");
+    if (typeof promotion.nextStepWeight !== "number" || promotion.nextStepWeight < 0 || promotion.nextStepWeight > 1) {
+      errors.push("promotionCeiling.nextStepWeight must be 0–1");
+    }
+    if (!Array.isArray(promotion.ladder) || promotion.ladder.length < 2) {
+      errors.push("promotionCeiling.ladder needs at least two rungs");
+    } else {
+      promotion.ladder.forEach((r, i) => {
+        if (typeof r.rung !== "string" || !Array.isArray(r.levels) || r.levels.length === 0) {
+          errors.push(`promotionCeiling.ladder[${i}] needs a rung name and a non-empty levels array`);
+        }
+      });
+      // Every rung but the top one is the lower side of a step and needs a typical ratio
+      for (const { rung } of promotion.ladder.slice(0, -1)) {
+        if (!(promotion.typicalRatio?.[rung] > 0)) errors.push(`promotionCeiling.typicalRatio.${rung} must be a number above 0`);
+      }
+    }
+  }
+  if (isObject(profile.tenureVolatility)) {
+    for (const key of ["shortStintMonths", "shortStintPenalty"]) {
+      if (typeof profile.tenureVolatility[key] !== "number") errors.push(`tenureVolatility.${key} must be a number`);
+    }
+  }
+
+  const salary = profile.salaryCompression;
+  if (!isObject(salary) || typeof salary.aiRiskWeight !== "number" || typeof salary.functionChurnWeight !== "number") {
+    errors.push("salaryCompression needs numeric aiRiskWeight and functionChurnWeight");
+  }
+
+  const confidence = profile.confidence;
+  if (!isObject(confidence)) {
+    errors.push("confidence must be an object");
+  } else {
+    for (const level of ["high", "medium", "low", "none"]) {
+      const value = confidence.levels?.[level];
+      if (typeof value !== "number" || value < 0 || value > 1) errors.push(`confidence.levels.${level} must be 0–1`);
+    }
+    const grades = confidence.grades;
+    if (!Array.isArray(grades) || grades.length === 0 || grades[grades.length - 1].min !== null) {
+      errors.push("confidence.grades must be a non-empty array ending in a catch-all (min null)");
+    } else if (!grades.every((g) => typeof g.grade === "string" && (g.min === null || typeof g.min === "number"))) {
+      errors.push("confidence.grades entries need a grade string and a numeric min");
+    }
+    // Salary compression is derived, so it borrows function churn's sample
+    for (const key of SCORE_KEYS.filter((k) => k !== "salaryCompression")) {
+      const sample = confidence.samples?.[key];
+      if (!isObject(sample) || typeof sample.unit !== "string" || typeof sample.high !== "number" || typeof sample.medium !== "number") {
+        errors.push(`confidence.samples.${key} needs unit, high and medium`);
+      }
+    }
+  }
+
+  const market = profile.marketDemand;
+  if (!isObject(market) || !isScore(market.neutral)) {
+    errors.push("marketDemand.neutral must be 0–100");
+  }
+  for (const signal of MARKET_SIGNALS) {
+    const config = market?.signals?.[signal];
+    if (!isObject(config) || typeof config.weight !== "number" || config.weight < 0) {
+      errors.push(`marketDemand.signals.${signal}.weight must be a number ≥ 0`);
+      continue;
+    }
+    checkBuckets(errors, `marketDemand.signals.${signal}`, config.buckets, "min", "demand");
+  }
+
+  return errors;
+}
+
+// ─── Loading ──────────────────────────────────────────────────
+
+function loadProfiles() {
+  let files;
+  try {
+    files = fs.readdirSync(PROFILES_DIR).filter((f) => f.endsWith(".json"));
+  } catch (err) {
+    throw new ScoringProfileError(`Cannot read scoring profiles from ${PROFILES_DIR}: ${err.message}`);
+  }
+
+  const raw = {};
+  for (const file of files) {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(path.join(PROFILES_DIR, file), "utf8"));
+    } catch (err) {
+      throw new ScoringProfileError(`Scoring profile ${file} is not valid JSON: ${err.message}`);
+    }
+    if (raw[parsed.id]) throw new ScoringProfileError(`Duplicate scoring profile id "${parsed.id}" in ${file}`);
+    raw[parsed.id] = parsed;
+  }
+
+  const profiles = {};
+  for (const id of Object.keys(raw)) {
+    const profile = resolveProfile(id, raw);
+    const errors = validateProfile(profile);
+    if (errors.length) {
+      throw new ScoringProfileError(`Scoring profile "${id}" is invalid:\n  - ${errors.join("\n  - ")}`);
+    }
+    profiles[id] = Object.freeze(profile);
+  }
+
+  if (!profiles[DEFAULT_PROFILE_ID]) {
+    throw new ScoringProfileError(`Default scoring profile "${DEFAULT_PROFILE_ID}" not found in ${PROFILES_DIR}`);
+  }
+  return profiles;
+}
+
+const PROFILES = loadProfiles();
+
+export function listScoringProfiles() {
+  return Object.values(PROFILES).map(({ id, version, description }) => ({
+    id,
+    version,
+    description: description || null,
+    default: id === DEFAULT_PROFILE_ID,
+  }));
+}
+
+// No id = the default profile (SCORING_PROFILE env, else "default"). Own keys
+// only, so "constructor" or "__proto__" is an unknown profile, not Object's.
+export function getScoringProfile(id) {
+  const key = id || DEFAULT_PROFILE_ID;
+  const profile = Object.hasOwn(PROFILES, key) ? PROFILES[key] : null;
+  if (!profile) {
+    throw new ScoringProfileError(`Unknown scoring profile "${id}". Available: ${Object.keys(PROFILES).join(", ")}`);
+  }
+  return profile;
+}
@@ -0,0 +1,651 @@
+// Report PDF
+// A saved assessment as a printable leave-behind: a cover page, then every
+// dashboard tab in order (overview, AI risk, company, salary, opportunities,
+// future-proofing) with its charts drawn as static graphics, and a closing page
+// of data sources and caveats. Used by GET /api/reports/<id>/pdf.
+
+import { createPdf, wrapText } from "@/lib/pdf";
+import { matchAiRoleProfile } from "@/lib/ai-roles";
+
+// Print palette: the dashboard's accent colors on white
+const INK = "#1f2340";
+const MUTED = "#5b5f7f";
+const FAINT = "#9094b0";
+const ACCENT = "#6366f1";
+const PANEL = "#f4f4fb";
+const RULE = "#e3e4ef";
+const GOOD = "#16a34a";
+const WARN = "#d97706";
+const BAD = "#dc2626";
+
+const SCORE_ROWS = [
+  ["aiRisk", "AI Automation Exposure"],
+  ["functionChurn", "Function Churn"],
+  ["companyInstability", "Company Instability"],
+  ["promotionCeiling", "Promotion Ceiling"],
+  ["salaryCompression", "Salary Compression"],
+  ["tenureVolatility", "Tenure Volatility"],
+  ["marketDemand", "Market Demand"],
+];
+
+const UNAVAILABLE_LABELS = { demographics: "headcount trends", flows: "function hiring flows", flowsByLevel: "level hiring flows", hiringSignals: "hiring signals" };
+
+const SIGNAL_LABELS = {
+  hiring_locally: "Hiring locally",
+  employer_network: "Employer network",
+  school_network: "School network",
+  function_growth: "Growing function",
+};
+
+const PATH_BADGES = ["Primary Path", "Strong Alternative", "Tactical Bridge", "Long Shot"];
+const PATH_COLORS = [GOOD, ACCENT, WARN, MUTED];
+
+function riskColor(score) {
+  if (score >= 70) return BAD;
+  if (score >= 50) return WARN;
+  if (score >= 30) return ACCENT;
+  return GOOD;
+}
+
+function riskLabel(score) {
+  if (score >= 70) return "High";
+  if (score >= 50) return "Moderate-Elevated";
+  if (score >= 30) return "Moderate";
+  return "Low";
+}
+
+// Same bands as the Future-Proofing tab's directive card
+function directiveLabel(score) {
+  if (score < 30) return "The Position";
+  if (score < 55) return "What to Watch";
+  return "The Directive";
+}
+
+const k = (n) => (n == null ? "—" : `$${Math.round(n / 1000)}K`);
+const signed = (n) => `${n >= 0 ? "+" : ""}${n.toLocaleString("en-US")}`;
+const longDate = (iso) => new Date(iso).toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" });
+
+// ─── Blocks ───────────────────────────────────────────────────
+// Each block draws at the flow cursor and moves it down.
+
+function sectionTitle(doc, title) {
+  doc.addPage();
+  doc.rect(doc.margin, doc.y, 4, 22, { fill: ACCENT });
+  doc.text(title, doc.margin + 12, doc.y + 17, { size: 18, font: "bold", color: INK });
+  doc.moveDown(34);
+}
+
+// Keeps room for a few lines of whatever follows, so a heading never ends a page
+function subheading(doc, text, color = ACCENT) {
+  doc.ensureSpace(80);
+  doc.moveDown(4);
+  doc.text(text.toUpperCase(), doc.margin, doc.y + 9, { size: 8.5, font: "bold", color });
+  doc.moveDown(16);
+}
+
+// A tinted box with a label. Boxes taller than a page fall back to a heading
+// and plain paragraph so the text can break across pages.
+function callout(doc, label, text, { color = ACCENT, size = 10 } = {}) {
+  if (!text) return;
+  const pad = 12;
+  const leading = size * 1.5;
+  const lines = wrapText(text, size, doc.contentWidth - pad * 2 - 4);
+  const height = pad * 2 + (label ? 16 : 0) + lines.length * leading;
+  if (height > doc.height - doc.margin * 2 - 40) {
+    if (label) subheading(doc, label, color);
+    doc.paragraph(text, { size, color: INK, lineHeight: 1.5 });
+    return;
+  }
+  doc.ensureSpace(height + 10);
+  const top = doc.y;
+  doc.rect(doc.margin, top, doc.contentWidth, height, { fill: PANEL, radius: 6 });
+  doc.rect(doc.margin, top, 3, height, { fill: color });
+  let y = top + pad;
+  if (label) {
+    doc.text(label, doc.margin + pad + 4, y + 9, { size: 9, font: "bold", color });
+    y += 16;
+  }
+  for (const line of lines) {
+    doc.text(line, doc.margin + pad + 4, y + size, { size, color: INK });
+    y += leading;
+  }
+  doc.y = top + height + 10;
+}
+
+function note(doc, text) {
+  doc.paragraph(text, { size: 7.5, color: FAINT, after: 6 });
+}
+
+// Big-number tiles in one row
+function statRow(doc, stats) {
+  const shown = stats.filter(Boolean);
+  if (shown.length === 0) return;
+  const gap = 8;
+  const w = (doc.contentWidth - gap * (shown.length - 1)) / shown.length;
+  const h = 54;
+  doc.ensureSpace(h + 10);
+  shown.forEach((stat, i) => {
+    const x = doc.margin + i * (w + gap);
+    doc.rect(x, doc.y, w, h, { fill: PANEL, radius: 6 });
+    doc.text(stat.value, x, doc.y + 24, { size: 16, font: "bold", color: stat.color || INK, align: "center", width: w });
+    doc.text(stat.label, x, doc.y + 37, { size: 7.5, color: MUTED, align: "center", width: w });
+    if (stat.sub) doc.text(stat.sub, x, doc.y + 47, { size: 7, font: "italic", color: FAINT, align: "center", width: w });
+  });
+  doc.moveDown(h + 10);
+}
+
+// Labelled 0–100 bars; null values read "n/a" over an empty track
+function scoreBars(doc, rows) {
+  for (const { label, value, note: rowNote, highlight, strong } of rows) {
+    const h = rowNote ? 34 : 22;
+    doc.ensureSpace(h);
+    const top = doc.y;
+    if (highlight) doc.rect(doc.margin - 4, top - 3, doc.contentWidth + 8, h - 2, { fill: PANEL, radius: 4 });
+    const color = value == null ? FAINT : riskColor(value);
+    doc.text(label, doc.margin, top + 8, { size: 9, font: strong || highlight ? "bold" : "regular", color: INK });
+    doc.text(value == null ? "n/a" : String(value), doc.margin, top + 8, { size: 9, font: "bold", color, align: "right", width: doc.contentWidth });
+    doc.rect(doc.margin, top + 12, doc.contentWidth, 4, { fill: RULE, radius: 2 });
+    if (value != null) doc.rect(doc.margin, top + 12, (doc.contentWidth * Math.max(value, 2)) / 100, 4, { fill: color, radius: 2 });
+    if (rowNote) doc.text(rowNote, doc.margin, top + 25, { size: 7.5, color: MUTED });
+    doc.moveDown(h);
+  }
+  doc.moveDown(6);
+}
+
+// columns: [{ label, width (fraction), align }]; rows: { cells, color, bold }
+function table(doc, columns, rows) {
+  const rowH = 17;
+  const widths = columns.map((c) => c.width * doc.contentWidth);
+  const drawHeader = () => {
+    let x = doc.margin;
+    columns.forEach((c, i) => {
+      doc.text(c.label.toUpperCase(), x + 4, doc.y + 10, { size: 7, font: "bold", color: FAINT, align: c.align || "left", width: widths[i] - 8 });
+      x += widths[i];
+    });
+    doc.line(doc.margin, doc.y + 15, doc.margin + doc.contentWidth, doc.y + 15, { color: RULE });
+    doc.moveDown(18);
+  };
+  doc.ensureSpace(rowH * Math.min(rows.length, 3) + 18);
+  drawHeader();
+  for (const row of rows) {
+    if (doc.y + rowH > doc.height - doc.margin) {
+      doc.addPage();
+      drawHeader();
+    }
+    if (row.highlight) doc.rect(doc.margin, doc.y, doc.contentWidth, rowH, { fill: PANEL });
+    let x = doc.margin;
+    row.cells.forEach((cell, i) => {
+      const color = row.colors?.[i] || (i === 0 ? INK : MUTED);
+      doc.text(String(cell ?? "—"), x + 4, doc.y + 12, { size: 8.5, font: i === 0 && (row.bold || row.highlight) ? "bold" : "regular", color, align: columns[i].align || "left", width: widths[i] - 8 });
+      x += widths[i];
+    });
+    doc.moveDown(rowH);
+  }
+  doc.moveDown(8);
+}
+
+function gauge(doc, cx, cy, r, score) {
+  doc.arc(cx, cy, r, 180, 0, { color: RULE, width: 14 });
+  if (score != null) doc.arc(cx, cy, r, 180, 180 - (Math.min(score, 100) * 180) / 100, { color: riskColor(score), width: 14 });
+  doc.text(score == null ? "n/a" : String(score), cx - r, cy - 8, { size: 40, font: "bold", color: score == null ? FAINT : riskColor(score), align: "center", width: r * 2 });
+  doc.text("OVERALL RISK", cx - r, cy + 8, { size: 8, font: "bold", color: MUTED, align: "center", width: r * 2 });
+}
+
+// Quarterly headcount as columns scaled between the series' min and max,
+// like the Company tab
+function headcountChart(doc, timeline, field, label, color) {
+  const values = timeline.map((p) => p[field]);
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  const maxH = 52;
+  const minH = 8;
+  const delta = values[values.length - 1] - values[0];
+  doc.ensureSpace(maxH + 40);
+  doc.rect(doc.margin, doc.y + 2, 8, 8, { fill: color, radius: 2 });
+  doc.text(`${label}*`, doc.margin + 14, doc.y + 10, { size: 9, font: "bold", color: INK });
+  doc.text(`${values[0].toLocaleString("en-US")} -> ${values[values.length - 1].toLocaleString("en-US")}   ${signed(delta)}`, doc.margin, doc.y + 10, { size: 9, color: delta >= 0 ? GOOD : BAD, align: "right", width: doc.contentWidth });
+  doc.moveDown(16);
+  const gap = 4;
+  const w = (doc.contentWidth - gap * (values.length - 1)) / values.length;
+  values.forEach((v, i) => {
+    const h = minH + ((v - min) / range) * (maxH - minH);
+    doc.rect(doc.margin + i * (w + gap), doc.y + maxH - h, w, h, { fill: i === values.length - 1 ? color : tint(color), radius: 2 });
+  });
+  doc.moveDown(maxH + 4);
+  timeline.forEach((p, i) => {
+    if (i === 0 || i === Math.floor(timeline.length / 2) || i === timeline.length - 1) {
+      doc.text(p.date, doc.margin + i * (w + gap), doc.y + 8, { size: 7, color: FAINT, align: "center", width: w });
+    }
+  });
+  doc.moveDown(16);
+}
+
+// A lighter shade of a hex color, for the non-current chart columns
+function tint(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  const mix = (c) => Math.round(c + (255 - c) * 0.6).toString(16).padStart(2, "0");
+  return `#${mix(n >> 16)}${mix((n >> 8) & 0xff)}${mix(n & 0xff)}`;
+}
+
+// ─── Pages ────────────────────────────────────────────────────
+
+function coverPage(doc, report, exportedAt, hasSignals, share) {
+  const { person, scores, dataQuality, scoringProfile } = report;
+  doc.addPage();
+  doc.rect(0, 0, doc.width, 8, { fill: ACCENT });
+  doc.rect(doc.margin, 60, 28, 28, { fill: ACCENT, radius: 7 });
+  doc.text("W", doc.margin, 80, { size: 15, font: "bold", color: "#ffffff", align: "center", width: 28 });
+  doc.text("workforce.ai", doc.margin + 36, 79, { size: 12, font: "bold", color: INK });
+
+  doc.text("Employment Risk Assessment", doc.margin, 170, { size: 28, font: "bold", color: INK });
+  doc.text(person.name, doc.margin, 210, { size: 20, font: "bold", color: ACCENT });
+  doc.text(`${person.currentTitle} · ${person.currentCompany}`, doc.margin, 232, { size: 12, color: INK });
+  doc.text([person.currentLevel, person.currentFunction, person.location].filter(Boolean).join(" · "), doc.margin, 250, { size: 10, color: MUTED });
+
+  const cx = doc.width / 2;
+  gauge(doc, cx, 400, 90, scores.overall);
+  if (scores.overall != null) {
+    doc.text(riskLabel(scores.overall), cx - 100, 432, { size: 12, font: "bold", color: riskColor(scores.overall), align: "center", width: 200 });
+  }
+  if (dataQuality) {
+    doc.text(`Data quality ${dataQuality.grade} · ${dataQuality.label}`, cx - 150, 450, { size: 9, color: MUTED, align: "center", width: 300 });
+  }
+
+  const contents = ["Overview", "AI Risk", "Company", "Salary", ...(hasSignals ? ["Opportunities"] : []), report.narrative?.isPreCareer ? "Career Paths" : "Future-Proofing", "Data Sources & Caveats"];
+  doc.text("CONTENTS", doc.margin, 510, { size: 8, font: "bold", color: FAINT });
+  contents.forEach((title, i) => doc.text(`${i + 1}.  ${title}`, doc.margin, 528 + i * 15, { size: 10, color: INK }));
+
+  const metaTop = 660;
+  doc.line(doc.margin, metaTop, doc.margin + doc.contentWidth, metaTop, { color: RULE });
+  const meta = [
+    ["Generated", longDate(exportedAt)],
+    ["Assessment run", longDate(report.generatedAt)],
+    ["Scoring profile", scoringProfile ? `${scoringProfile.id} v${scoringProfile.version}` : "—"],
+    // Through a share link, the link is what the reader holds; never the report's own id
+    share ? ["Share link", share.id] : ["Report", report.id || "—"],
+  ];
+  meta.forEach(([label, value], i) => {
+    const x = doc.margin + (i % 2) * (doc.contentWidth / 2);
+    const y = metaTop + 20 + Math.floor(i / 2) * 28;
+    doc.text(label.toUpperCase(), x, y, { size: 7, font: "bold", color: FAINT });
+    doc.text(value, x, y + 12, { size: 10, color: INK });
+  });
+  doc.text("Sample-based workforce data — directional trends, not census figures · Not financial or career advice", doc.margin, doc.height - 40, { size: 7.5, color: FAINT });
+}
+
+function overviewSection(doc, report) {
+  const { person, scores, scoreBreakdown, dataQuality, narrative = {}, hiringSignals, dataUnavailable } = report;
+  sectionTitle(doc, "Overview");
+
+  if (person.titleIsGeneric) {
+    callout(doc, "Generic title — assessment may be broad", `The data source only has "${person.currentTitle}" for this profile, with no specialty information. The analysis is based on the broader ${person.currentFunction} background.`, { color: WARN });
+  }
+  const unavailable = Object.entries(dataUnavailable || {});
+  if (unavailable.length) {
+    callout(doc, "Some data unavailable", `${unavailable[0][1].message} Scores that depend on ${unavailable.map(([key]) => UNAVAILABLE_LABELS[key] || key).join(", ")} are marked unavailable and left out of the overall score.`, { color: MUTED });
+  }
+  if (narrative.isPreCareer) {
+    callout(doc, "Limited assessment", "Traditional risk scores require an established professional role. Directional career guidance is provided instead; see Career Paths.", { color: WARN });
+  }
+
+  if (narrative.overviewSummary) doc.paragraph(narrative.overviewSummary, { size: 11, color: INK, lineHeight: 1.55 });
+  if (narrative.overviewDetail) doc.paragraph(narrative.overviewDetail, { size: 10, color: MUTED, lineHeight: 1.55 });
+
+  subheading(doc, "Risk scores (0–100, higher = more risk)");
+  scoreBars(doc, [
+    { label: "Overall Risk", value: scores.overall, strong: true },
+    ...SCORE_ROWS.map(([key, label]) => ({
+      label,
+      value: scores[key] ?? null,
+      note: scoreBreakdown?.[key]?.confidence === "low" ? "Low confidence — rests on thin or default data" : null,
+    })),
+  ]);
+  const lowConfidence = dataQuality?.missing?.filter((m) => m.confidence === "low") || [];
+  if (lowConfidence.length) {
+    subheading(doc, "Limited data behind some scores", MUTED);
+    for (const m of lowConfidence) {
+      doc.paragraph(`${SCORE_ROWS.find(([key]) => key === m.key)?.[1] || m.key}: ${m.note}`, { size: 9, color: MUTED, indent: 8, after: 3 });
+    }
+    doc.moveDown(6);
+  }
+  callout(doc, "Career stage assessment", narrative.careerStageAssessment);
+
+  const geoLabel = hiringSignals?.geoCity || hiringSignals?.geoRegion?.split(",")[0]?.trim() || person.location?.split(",")[0]?.trim() || "Your Area";
+  const localText = narrative.localMarketSummary || narrative.hiringOutlook;
+  if (hiringSignals?.regional?.totalHires > 0 || localText) {
+    subheading(doc, `Local market · ${geoLabel}`);
+    if (localText) doc.paragraph(localText, { size: 10, color: INK, lineHeight: 1.55 });
+    if (hiringSignals?.regional?.totalHires > 0) {
+      statRow(doc, [
+        { label: `observed hires · ${person.currentTitle}`, value: `${hiringSignals.regional.totalHires.toLocaleString("en-US")}*`, sub: "last 6 months", color: GOOD },
+        hiringSignals.regional.totalCompanies > 0 && { label: "companies hiring locally", value: hiringSignals.regional.totalCompanies.toLocaleString("en-US"), sub: `in ${geoLabel}`, color: ACCENT },
+        hiringSignals.multiSignal?.length > 0 && { label: "warm door matches", value: String(hiringSignals.multiSignal.length), sub: "network overlap", color: WARN },
+      ]);
+    } else {
+      callout(doc, null, `Local hiring data for this specific role in ${geoLabel} is limited, which is itself a signal. It may reflect a thin local market for this title, or activity that is mostly remote or in other metros.`, { color: WARN });
+    }
+  }
+
+  if (person.jobs?.length) {
+    subheading(doc, "Career timeline");
+    table(doc, [
+      { label: "Years", width: 0.14 },
+      { label: "Title", width: 0.42 },
+      { label: "Company", width: 0.32 },
+      { label: "Months", width: 0.12, align: "right" },
+    ], person.jobs.slice(0, 8).map((job) => {
+      const months = job.started_at && job.ended_at ? Math.round((new Date(job.ended_at) - new Date(job.started_at)) / (1000 * 60 * 60 * 24 * 30)) : null;
+      const monthsColor = !job.ended_at ? GOOD : months && months < 6 ? BAD : months && months < 12 ? WARN : MUTED;
+      return {
+        cells: [
+          `${job.started_at ? new Date(job.started_at).getFullYear() : "?"}–${job.ended_at ? new Date(job.ended_at).getFullYear() : "Now"}`,
+          job.title,
+          job.company,
+          months ?? (job.ended_at ? "—" : "current"),
+        ],
+        colors: [MUTED, INK, ACCENT, monthsColor],
+      };
+    }));
+  }
+  callout(doc, "Pattern", narrative.careerPattern, { color: WARN });
+  callout(doc, "Market & geography", narrative.geoMarketContext);
+}
+
+function aiSection(doc, report) {
+  const { person, scores, narrative = {} } = report;
+  sectionTitle(doc, `AI Risk · ${person.currentTitle}`);
+  const band = scores.aiRisk < 40 ? "Low" : scores.aiRisk < 65 ? "Mid" : "High";
+  statRow(doc, [
+    { label: "AI Risk Score", value: scores.aiRisk == null ? "n/a" : String(scores.aiRisk), sub: scores.aiRisk == null ? null : riskLabel(scores.aiRisk), color: scores.aiRisk == null ? FAINT : riskColor(scores.aiRisk) },
+    { label: "Seniority Level", value: person.currentLevel || "—", color: ACCENT },
+    { label: "Exposure Band", value: band, color: scores.aiRisk < 40 ? GOOD : scores.aiRisk < 65 ? WARN : BAD },
+  ]);
+  callout(doc, `How AI affects ${person.currentTitle} specifically`, narrative.aiThreatAnalysis, { color: BAD });
+
+  const { function: fnKey, rows, matchIndex } = matchAiRoleProfile(person);
+  subheading(doc, `AI displacement risk by role · ${fnKey}`);
+  scoreBars(doc, rows.map((row, i) => ({
+    label: i === matchIndex ? `${row.role}  <- your role` : row.role,
+    value: row.risk,
+    note: row.note,
+    highlight: i === matchIndex,
+  })));
+
+  callout(doc, `What protects ${person.name.split(" ")[0]}`, narrative.aiMitigatingFactors, { color: GOOD });
+  callout(doc, "What's at risk", narrative.aiVulnerabilities, { color: BAD });
+}
+
+function companySection(doc, report) {
+  const { person, scores, company = {}, narrative = {} } = report;
+  sectionTitle(doc, `${person.currentCompany} · Company Intelligence`);
+  note(doc, "Source: workforce.ai, tracking 100M+ professionals. Reflects observed workforce patterns, not official headcount.");
+
+  const health = narrative.companyHealthNarrative || narrative.companyHealthSummary;
+  if (health) doc.paragraph(health, { size: 10, color: INK, lineHeight: 1.55 });
+  callout(doc, "AI & competitive exposure", narrative.companyAiExposure || narrative.companyOutlook, { color: WARN });
+
+  statRow(doc, [
+    { label: "Headcount*", value: company.totalHeadcount?.toLocaleString("en-US") || "?", color: ACCENT },
+    company.currentHeadcount != null && { label: "Active Now*", value: company.currentHeadcount.toLocaleString("en-US"), color: ACCENT },
+    company.deptHeadcount != null && { label: `${company.deptName || person.currentFunction}*`, value: company.deptHeadcount.toLocaleString("en-US"), color: ACCENT },
+    company.growthPct != null && { label: "2-Year Growth", value: `${company.growthPct > 0 ? "+" : ""}${company.growthPct}%`, color: company.growthPct > 0 ? GOOD : BAD },
+    { label: "Stability Score", value: scores.companyInstability == null ? "N/A" : `${100 - scores.companyInstability}/100`, color: scores.companyInstability == null ? FAINT : riskColor(scores.companyInstability) },
+  ]);
+  note(doc, "* Observed sample from workforce.ai — directional figures, not official company headcount");
+
+  const tl = company.headcountTimeline;
+  if (tl?.length > 1) {
+    subheading(doc, "Headcount, last two years");
+    headcountChart(doc, tl, "count", "Total Company", ACCENT);
+    if (tl[0].dept != null) headcountChart(doc, tl, "dept", company.deptName || person.currentFunction, "#4338ca");
+  }
+
+  if (company.flows?.length) {
+    subheading(doc, "Function health — which departments are growing?");
+    table(doc, [
+      { label: "Function", width: 0.44 },
+      { label: "Hires*", width: 0.14, align: "right" },
+      { label: "Deps*", width: 0.14, align: "right" },
+      { label: "Net", width: 0.14, align: "right" },
+      { label: "Churn", width: 0.14, align: "right" },
+    ], [...company.flows].sort((a, b) => b.net - a.net).slice(0, 8).map((f) => {
+      const isTarget = f.function === person.currentFunction;
+      return {
+        cells: [`${f.function}${isTarget ? "  <- your function" : ""}`, f.hires, f.departures, signed(f.net), `${f.churnPct}%`],
+        colors: [isTarget ? BAD : INK, MUTED, MUTED, f.net >= 0 ? GOOD : BAD, f.churnPct > 55 ? BAD : f.churnPct > 40 ? WARN : GOOD],
+        highlight: isTarget,
+      };
+    }));
+  }
+}
+
+function salarySection(doc, report) {
+  const { person, scores, salary } = report;
+  sectionTitle(doc, "Compensation Estimate");
+  statRow(doc, [
+    { label: "Est. Low", value: k(salary.estimate.low), sub: "P25", color: MUTED },
+    { label: "Est. Mid", value: k(salary.estimate.midpoint), sub: "Median", color: GOOD },
+    { label: "Est. High", value: k(salary.estimate.high), sub: "P75", color: WARN },
+  ]);
+
+  // Ladder: each level's P25–P75 range on one shared axis, midpoint ticked
+  const ladder = salary.progression || [];
+  if (ladder.length) {
+    subheading(doc, `Comp by level · ${person.currentFunction}`);
+    const axisMax = Math.max(...ladder.map((p) => p.high));
+    const labelW = 110;
+    const valueW = 60;
+    const barW = doc.contentWidth - labelW - valueW;
+    for (const p of ladder) {
+      doc.ensureSpace(22);
+      const isCurrent = p.level === person.currentLevel;
+      if (isCurrent) doc.rect(doc.margin - 4, doc.y - 2, doc.contentWidth + 8, 20, { fill: PANEL, radius: 4 });
+      doc.text(isCurrent ? `${p.level}  <- current` : p.level, doc.margin, doc.y + 11, { size: 9, font: isCurrent ? "bold" : "regular", color: isCurrent ? ACCENT : INK });
+      const x0 = doc.margin + labelW + (barW * p.low) / axisMax;
+      const x1 = doc.margin + labelW + (barW * p.high) / axisMax;
+      doc.rect(x0, doc.y + 5, x1 - x0, 8, { fill: isCurrent ? ACCENT : tint(ACCENT), radius: 3 });
+      const mid = doc.margin + labelW + (barW * p.midpoint) / axisMax;
+      doc.rect(mid - 1, doc.y + 3, 2, 12, { fill: INK });
+      doc.text(k(p.midpoint), doc.margin + labelW + barW, doc.y + 11, { size: 9, font: "bold", color: isCurrent ? ACCENT : INK, align: "right", width: valueW });
+      doc.moveDown(22);
+    }
+    note(doc, "Bars show the P25–P75 range for each level; the tick marks the midpoint.");
+  }
+
+  if (salary.aiPressure) {
+    callout(doc, `AI salary pressure: ${salary.aiPressure.magnitude}`, `Based on AI automation risk (${scores.aiRisk}/100), compensation in this function could face ${salary.aiPressure.direction} pressure of approximately ${Math.abs(salary.aiPressure.pctImpact)}% over the next 2–3 years.`, { color: WARN });
+  }
+  note(doc, "Estimates based on function, level, and geography. Actual compensation varies by company stage, equity, and individual negotiation.");
+}
+
+function opportunitiesSection(doc, report) {
+  const { person, narrative = {}, hiringSignals: hs } = report;
+  const geoLabel = hs.geoCity || hs.geoRegion?.split(",")[0]?.trim() || person.location?.split(",")[0]?.trim() || "Your Area";
+  sectionTitle(doc, "Who's Hiring People Like You");
+  note(doc, `Signals filtered to ${person.currentTitle} in ${geoLabel} — role-specific, not just department-level.`);
+  statRow(doc, [
+    hs.regional?.totalHires > 0 && { label: "Role-Match Hires*", value: hs.regional.totalHires.toLocaleString("en-US"), sub: person.currentTitle, color: GOOD },
+    hs.regional?.totalCompanies > 0 && { label: "Companies Hiring", value: hs.regional.totalCompanies.toLocaleString("en-US"), sub: geoLabel, color: ACCENT },
+    hs.employerFlow?.totalAlumni > 0 && { label: "Alumni Tracked", value: hs.employerFlow.totalAlumni.toLocaleString("en-US"), sub: "From your employers", color: ACCENT },
+    hs.school?.totalHires > 0 && { label: "School Network", value: hs.school.totalHires.toLocaleString("en-US"), sub: (hs.schools || [])[0] || "Alumni", color: WARN },
+  ]);
+  if (narrative.hiringOutlook) doc.paragraph(narrative.hiringOutlook, { size: 10, color: INK, lineHeight: 1.55 });
+  if (!hs.regional?.totalHires) {
+    callout(doc, `Thin local market for ${person.currentTitle}`, `Observed hiring for ${person.currentTitle} in ${geoLabel} is limited over the past 6 months. The local market for this role may be thin, or demand may sit with remote-first companies or in other metros.`, { color: WARN });
+  }
+
+  const isMulti = (name) => hs.multiSignal?.some((m) => m.name === name);
+
+  if (hs.multiSignal?.length) {
+    subheading(doc, "Warmest opportunities", GOOD);
+    note(doc, "Companies appearing in more than one signal: local hiring and network overlap.");
+    for (const co of hs.multiSignal) {
+      const contact = co.suggestedContact || co.contact;
+      const lines = [
+        co.signals.map((s) => SIGNAL_LABELS[s] || s).join(" · "),
+        co.recentHires > 0 ? `${co.recentHires} role-matched hires in ${geoLabel} · last 6 months*` : null,
+        contact ? `Contact: ${contact.name}${contact.title ? `, ${contact.title}` : ""}${contact.connectionType ? ` (${contact.connectionType})` : ""}` : null,
+      ].filter(Boolean);
+      callout(doc, `${co.name}${co.signals.length >= 3 ? "  ·  TOP MATCH" : ""}`, lines.join("\n"), { color: co.signals.length >= 3 ? GOOD : ACCENT, size: 9 });
+    }
+  }
+
+  if (hs.regional?.topCompanies?.length) {
+    subheading(doc, `Hiring ${person.currentTitle} · ${geoLabel}`);
+    table(doc, [
+      { label: "Company", width: 0.46 },
+      { label: "Suggested contact", width: 0.38 },
+      { label: "Hires*", width: 0.16, align: "right" },
+    ], hs.regional.topCompanies.slice(0, 10).map((c) => {
+      const contact = c.suggestedContact || c.contact;
+      return {
+        cells: [`${c.name}${isMulti(c.name) ? " *" : ""}`, contact ? `${contact.name}${contact.title ? `, ${contact.title}` : ""}` : "", c.hires],
+        colors: [isMulti(c.name) ? GOOD : INK, MUTED, ACCENT],
+        bold: isMulti(c.name),
+      };
+    }));
+  }
+
+  const alumni = hs.employerFlow?.localAlumni || hs.employerFlow?.topDestinations;
+  if (alumni?.length) {
+    subheading(doc, `Local alumni · ${geoLabel}`);
+    note(doc, `People who worked at ${(hs.employerNames || []).slice(0, 2).join(" or ") || "your past employers"}, now nearby.`);
+    table(doc, [
+      { label: "Person / company", width: 0.5 },
+      { label: "Connection", width: 0.5 },
+    ], alumni.slice(0, 8).map((d) => (d.personName
+      ? { cells: [d.personName, `${d.currentTitle || ""} @ ${d.name}${d.sharedEmployer ? ` · worked at ${d.sharedEmployer}` : ""}`] }
+      : { cells: [d.name, `${d.count} alumni from your employer network`] })));
+  }
+
+  if (hs.school?.topCompanies?.length) {
+    const school = (hs.schools || ["Alumni"])[0];
+    subheading(doc, `${school} network`);
+    table(doc, [
+      { label: "Company", width: 0.7 },
+      { label: "Alumni*", width: 0.3, align: "right" },
+    ], hs.school.topCompanies.slice(0, 10).map((c) => ({
+      cells: [`${c.name}${isMulti(c.name) ? " *" : ""}`, c.hires],
+      colors: [isMulti(c.name) ? GOOD : INK, WARN],
+      bold: isMulti(c.name),
+    })));
+  }
+  note(doc, "All figures are observed samples from workforce.ai tracking — directional trends, not census data · * = appears in multiple signals");
+}
+
+function futureSection(doc, report) {
+  const { person, scores, narrative = {}, hiringSignals } = report;
+  const geoLabel = hiringSignals?.geoCity || person.location?.split(",")[0] || "your area";
+  sectionTitle(doc, narrative.isPreCareer ? "Career Entry Paths" : "Future-Proofing Playbook");
+
+  const strategy = narrative.futureProofingNarrative || narrative.strategicNarrative;
+  if (strategy) {
+    subheading(doc, directiveLabel(scores.overall ?? 50));
+    doc.paragraph(strategy, { size: 10.5, color: INK, lineHeight: 1.55 });
+  }
+  callout(doc, `What to do right now · ${geoLabel}`, narrative.immediateActions || narrative.tacticalNow);
+  callout(doc, "Your network lever", narrative.networkStrategy, { color: GOOD });
+  callout(doc, `${geoLabel}: what the local market means for you`, narrative.geoStrategy || narrative.localContext);
+
+  (narrative.retrainingPaths || []).forEach((path, i) => {
+    const color = PATH_COLORS[i] || MUTED;
+    doc.ensureSpace(90);
+    doc.moveDown(6);
+    doc.text(`${i + 1}. ${(PATH_BADGES[i] || "Option").toUpperCase()}`, doc.margin, doc.y + 8, { size: 7.5, font: "bold", color });
+    doc.moveDown(12);
+    doc.paragraph(path.title, { size: 13, font: "bold", color: INK, after: 2 });
+    const meta = [path.function, path.targetLevel && `${path.targetLevel} level`, path.timeToTransition].filter(Boolean).join(" · ");
+    if (meta) doc.paragraph(meta, { size: 8.5, color: MUTED, after: 4 });
+    const fit = [["Fit", path.fitScore], ["Growth", path.growthScore], ["AI-Safe", path.aiSafeScore]].filter(([, v]) => v != null);
+    if (fit.length) doc.paragraph(fit.map(([label, v]) => `${label} ${v}`).join("   ·   "), { size: 9, font: "bold", color, after: 6 });
+    if (path.rationale) doc.paragraph(path.rationale, { size: 10, color: INK, lineHeight: 1.5 });
+    callout(doc, `Why this fits ${person.name?.split(" ")[0]}`, path.whyThisFits, { color, size: 9 });
+    const steps = path.actionSteps || path.firstSteps;
+    if (steps?.length) {
+      doc.paragraph("Concrete first steps:", { size: 9, font: "bold", color: INK, after: 3 });
+      steps.forEach((step, j) => doc.paragraph(`${j + 1}. ${step}`, { size: 9, color: MUTED, indent: 10, after: 3 }));
+      doc.moveDown(4);
+    }
+    if (path.skills?.length) doc.paragraph(`Skills: ${path.skills.join(", ")}`, { size: 8.5, color: MUTED, after: 3 });
+    if (path.warmDoors?.length) doc.paragraph(`Warm doors: ${path.warmDoors.join(", ")}`, { size: 8.5, color: GOOD, after: 3 });
+    if (path.salaryComparison) doc.paragraph(path.salaryComparison, { size: 8.5, color: MUTED, after: 3 });
+    doc.ensureSpace(10);
+    doc.line(doc.margin, doc.y + 4, doc.margin + doc.contentWidth, doc.y + 4, { color: RULE });
+    doc.moveDown(10);
+  });
+
+  if (narrative.bottomLine) {
+    callout(doc, "The bottom line", narrative.closingAction ? `${narrative.bottomLine}\nThis week: ${narrative.closingAction}` : narrative.bottomLine, { size: 10.5 });
+  }
+}
+
+function caveatsSection(doc, report) {
+  const { dataQuality, scoringProfile, dataUnavailable } = report;
+  sectionTitle(doc, "Data Sources & Caveats");
+  const items = [
+    ["Workforce data", "Headcounts, hiring flows and hiring signals are observed samples from workforce.ai tracking of public professional profiles. They show directional trends, not census data or official company figures, and smaller companies, functions and cities have thinner samples."],
+    ["Scores", `Each score runs 0–100, where higher means more risk. They come from rules-based scoring${scoringProfile ? ` with the "${scoringProfile.id}" profile, version ${scoringProfile.version}` : ""}. The overall score is a weighted blend of the sub-scores. Reports scored with different profile versions aren't directly comparable.`],
+    ["Data quality", dataQuality ? `Grade ${dataQuality.grade} (${dataQuality.label}, ${dataQuality.score}/100 coverage weighted like the overall score).` : "Not recorded for this report."],
+    ["Salary", "Salary bands are estimated from function, level and location. They aren't offers or survey data, and they leave out equity and company stage."],
+    ["Narrative", "The written analysis is generated from the scores and data in this report. It is interpretation, not a finding, and should be read alongside the figures."],
+    ["Use", "This assessment is directional guidance. It isn't financial, legal or career advice, and it shouldn't be the sole basis for employment decisions about the person assessed."],
+  ];
+  for (const [label, text] of items) {
+    subheading(doc, label, INK);
+    doc.paragraph(text, { size: 9.5, color: MUTED, lineHeight: 1.5 });
+  }
+
+  const missing = dataQuality?.missing || [];
+  const unavailable = Object.entries(dataUnavailable || {});
+  if (missing.length || unavailable.length) {
+    subheading(doc, "Gaps in this report", WARN);
+    for (const [key, err] of unavailable) {
+      doc.paragraph(`${UNAVAILABLE_LABELS[key] || key}: unavailable when the report ran (${err.message})`, { size: 9, color: MUTED, indent: 8, after: 3 });
+    }
+    for (const m of missing) {
+      doc.paragraph(`${SCORE_ROWS.find(([key]) => key === m.key)?.[1] || m.key}: ${m.note}`, { size: 9, color: MUTED, indent: 8, after: 3 });
+    }
+  }
+}
+
+// Page numbers and running header go on last, once the page count is known.
+// The cover page gets neither.
+function pageFooters(doc, person) {
+  const count = doc.pageCount;
+  for (let i = 1; i < count; i++) {
+    doc.goToPage(i);
+    const y = doc.height - 30;
+    doc.line(doc.margin, y - 10, doc.margin + doc.contentWidth, y - 10, { color: RULE });
+    doc.text(`Employment Risk Assessment · ${person.name}`, doc.margin, y, { size: 7.5, color: FAINT });
+    doc.text(`Page ${i + 1} of ${count}`, doc.margin, y, { size: 7.5, color: FAINT, align: "right", width: doc.contentWidth });
+  }
+}
+
+// Returns the PDF as a Buffer. `exportedAt` is the date printed on the cover;
+// `share` is the share link the report was loaded through, if any.
+export function renderReportPdf(report, { exportedAt = new Date().toISOString(), share = null } = {}) {
+  const { person, hiringSignals } = report;
+  const hasSignals = !!hiringSignals && (
+    hiringSignals.regional?.totalHires > 0 ||
+    hiringSignals.employerFlow?.totalAlumni > 0 ||
+    hiringSignals.school?.totalHires > 0 ||
+    hiringSignals.multiSignal?.length > 0
+  );
+
+  const doc = createPdf({ title: `Employment Risk Assessment — ${person.name}`, author: "workforce.ai" });
+  coverPage(doc, report, exportedAt, hasSignals, share);
+  overviewSection(doc, report);
+  aiSection(doc, report);
+  companySection(doc, report);
+  salarySection(doc, report);
+  if (hasSignals) opportunitiesSection(doc, report);
+  futureSection(doc, report);
+  caveatsSection(doc, report);
+  pageFooters(doc, person);
+  return doc.toBuffer();
+}
+
+export function reportPdfFilename(report) {
+  const slug = (report.person?.name || "report").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  return `risk-assessment-${slug || "report"}-${(report.generatedAt || "").slice(0, 10)}.pdf`;
+}
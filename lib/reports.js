@@ -0,0 +1,282 @@
+// Saved Reports
+// Finished assessments are written to disk so a report survives a refresh and
+// can be reopened at /report/<id> without re-running LiveData or Claude. Share
+// links are separate ids that point at a report and can expire. Each run is also
+// indexed by LinkedIn slug so repeat assessments of a person can be compared, and
+// cohort rollups (lib/cohorts.js) are kept alongside.
+
+import { createHash, randomBytes } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { linkedinSlug } from "@/lib/livedata";
+
+const REPORTS_DIR = process.env.REPORTS_DIR || path.join(process.cwd(), "data", "reports");
+const SHARES_DIR = path.join(REPORTS_DIR, "shares");
+const HISTORY_DIR = path.join(REPORTS_DIR, "history");
+const COHORTS_DIR = path.join(REPORTS_DIR, "cohorts");
+
+// Ids are random hex, which also keeps them safe to use as file names
+const ID_PATTERN = /^[a-f0-9]{16}$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const SHARE_EXPIRY_DAYS = [1, 7, 30];
+
+export class ReportError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "ReportError";
+    this.status = status;
+  }
+}
+
+// ─── Storage ──────────────────────────────────────────────────
+
+const newId = () => randomBytes(8).toString("hex");
+
+async function readJson(dir, id) {
+  if (!ID_PATTERN.test(id || "")) return null;
+  try {
+    return JSON.parse(await fs.readFile(path.join(dir, `${id}.json`), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+async function writeJson(dir, id, value) {
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify(value));
+}
+
+// Index files are read-modify-write and saves run concurrently (batch rows,
+// parallel tabs), so each one's updates wait for the previous one in this process
+const indexWrites = new Map();
+
+function withIndexLock(key, task) {
+  const run = (indexWrites.get(key) || Promise.resolve()).then(task);
+  const tail = run.catch(() => {});
+  indexWrites.set(key, tail);
+  tail.then(() => {
+    if (indexWrites.get(key) === tail) indexWrites.delete(key);
+  });
+  return run;
+}
+
+// ─── Reports ──────────────────────────────────────────────────
+
+// Returns the new id; the stored copy carries it too so /report/<id> can share it
+export async function saveReport(report) {
+  const id = newId();
+  await writeJson(REPORTS_DIR, id, { ...report, id, savedAt: new Date().toISOString() });
+  if (report.person?.linkedin) await appendHistory(report.person.linkedin, historyEntry(id, report));
+  return id;
+}
+
+// `id` may be a report id or a share link id. Resolves to { report, share },
+// where share is null for the report's own permanent URL. Through a share link
+// the report's id and savedAt are blanked and the share omits reportId, so an
+// expiring link never reveals the permanent URL it points at.
+export async function loadReport(id) {
+  const report = await readJson(REPORTS_DIR, id);
+  if (report) return { report, share: null };
+
+  const share = await readJson(SHARES_DIR, id);
+  if (!share) throw new ReportError("Report not found", 404);
+  if (share.expiresAt && new Date(share.expiresAt).getTime() <= Date.now()) {
+    throw new ReportError("This share link has expired", 410);
+  }
+
+  const shared = await readJson(REPORTS_DIR, share.reportId);
+  if (!shared) throw new ReportError("Report not found", 404);
+  const { savedAt, ...rest } = shared;
+  return {
+    report: { ...rest, id: null },
+    share: { id: share.id, createdAt: share.createdAt, expiresAt: share.expiresAt },
+  };
+}
+
+// ─── History ──────────────────────────────────────────────────
+// One index file per LinkedIn slug listing every saved run, oldest first. File
+// names hash the normalised slug, since profile URLs come in several spellings
+// and slugs can hold characters that aren't path-safe.
+
+const historyId = (slug) => createHash("sha256").update(linkedinSlug(slug).toLowerCase()).digest("hex").slice(0, 16);
+
+
+function historyEntry(id, report) {
+  return {
+    id,
+    generatedAt: report.generatedAt,
+    scores: report.scores,
+    title: report.person.currentTitle || null,
+    company: report.person.currentCompany || null,
+    scoringProfile: report.scoringProfile || null,
+  };
+}
+
+async function appendHistory(slug, entry) {
+  const id = historyId(slug);
+  await withIndexLock(`history/${id}`, async () => {
+    const history = (await readJson(HISTORY_DIR, id)) || { slug: linkedinSlug(slug), runs: [] };
+    history.runs.push(entry);
+    await writeJson(HISTORY_DIR, id, history);
+  });
+}
+
+export async function listReportHistory(slug) {
+  const history = linkedinSlug(slug) ? await readJson(HISTORY_DIR, historyId(slug)) : null;
+  return history?.runs || [];
+}
+
+// The history as seen from one of its runs: only the holder of a run's own id
+// (not a share link) may list the others, so a slug alone reveals nothing
+export async function listHistoryForReport(slug, reportId) {
+  const runs = await listReportHistory(slug);
+  if (!reportId || !runs.some((run) => run.id === reportId)) throw new ReportError("Report history not found", 404);
+  return runs;
+}
+
+// The run saved just before `report` for the same person, or null
+export async function previousReport(report) {
+  const runs = await listReportHistory(report.person?.linkedin);
+  const index = runs.findIndex((r) => r.id === report.id);
+  const previous = index > 0 ? runs[index - 1] : null;
+  return previous ? readJson(REPORTS_DIR, previous.id) : null;
+}
+
+// ─── Diff ─────────────────────────────────────────────────────
+// What moved between two runs for the same person. Scores are `to - from`, so a
+// positive change means more risk.
+
+const PERSON_FIELDS = ["currentTitle", "currentCompany", "currentLevel", "currentFunction", "location"];
+const SALARY_FIELDS = ["low", "midpoint", "high"];
+
+export function diffReports(from, to) {
+  // Overall first, then each factor
+  const scoreKeys = [...new Set(["overall", ...Object.keys(from.scores || {}), ...Object.keys(to.scores || {})])];
+  const scores = scoreKeys.map((key) => {
+    const before = from.scores?.[key] ?? null;
+    const after = to.scores?.[key] ?? null;
+    return { key, from: before, to: after, change: before != null && after != null ? after - before : null };
+  });
+
+  const person = PERSON_FIELDS
+    .filter((field) => (from.person?.[field] || null) !== (to.person?.[field] || null))
+    .map((field) => ({ field, from: from.person?.[field] || null, to: to.person?.[field] || null }));
+
+  const fromSalary = from.salary?.estimate || {};
+  const toSalary = to.salary?.estimate || {};
+  const salary = SALARY_FIELDS.some((field) => fromSalary[field] !== toSalary[field])
+    ? Object.fromEntries(SALARY_FIELDS.map((field) => [field, { from: fromSalary[field] ?? null, to: toSalary[field] ?? null }]))
+    : null;
+
+  const companyNames = (report) => (report.hiringSignals?.multiSignal || []).map((c) => c.name);
+  const fromCompanies = companyNames(from);
+  const toCompanies = companyNames(to);
+
+  return {
+    from: { id: from.id, generatedAt: from.generatedAt, scoringProfile: from.scoringProfile || null },
+    to: { id: to.id, generatedAt: to.generatedAt, scoringProfile: to.scoringProfile || null },
+    // Score movement across profile versions can come from the weights, not the person
+    profileChanged:
+      from.scoringProfile?.id !== to.scoringProfile?.id || from.scoringProfile?.version !== to.scoringProfile?.version,
+    scores,
+    person,
+    salary,
+    multiSignal: {
+      added: toCompanies.filter((name) => !fromCompanies.includes(name)),
+      dropped: fromCompanies.filter((name) => !toCompanies.includes(name)),
+    },
+  };
+}
+
+// ─── Share Links ──────────────────────────────────────────────
+// Only a report's own id can mint links, so holding a share link doesn't let
+// someone extend it. `expiresInDays` null = never expires.
+
+export async function createShareLink(reportId, { expiresInDays = null } = {}) {
+  if (expiresInDays != null && !SHARE_EXPIRY_DAYS.includes(expiresInDays)) {
+    throw new ReportError(`expiresInDays must be one of ${SHARE_EXPIRY_DAYS.join(", ")} (or null for no expiry)`, 400);
+  }
+  if (!(await readJson(REPORTS_DIR, reportId))) throw new ReportError("Report not found", 404);
+
+  const createdAt = new Date();
+  const share = {
+    id: newId(),
+    reportId,
+    createdAt: createdAt.toISOString(),
+    expiresAt: expiresInDays != null ? new Date(createdAt.getTime() + expiresInDays * DAY_MS).toISOString() : null,
+  };
+  await writeJson(SHARES_DIR, share.id, share);
+  return share;
+}
+
+// ─── Cohorts ──────────────────────────────────────────────────
+// Each cohort file holds every person's result, so the list page reads a small
+// index of headers (cohorts/index.json) instead of opening them all. Saved
+// cohorts are open to anyone who can reach /api/cohorts, so each scored row
+// links to its report through a share link (`shareId`), never the report's own id.
+
+const COHORT_INDEX = path.join(COHORTS_DIR, "index.json");
+
+const cohortHeader = ({ id, name, createdAt, size, rollup }) => ({
+  id,
+  name,
+  createdAt,
+  size,
+  assessed: rollup?.assessed ?? 0,
+  overall: rollup?.summary?.scores?.overall ?? null,
+});
+
+// Without an index (a store from before it existed) the headers come from the
+// cohort files, and the next save writes the index
+async function readCohortIndex() {
+  try {
+    return JSON.parse(await fs.readFile(COHORT_INDEX, "utf8"));
+  } catch {
+    let files;
+    try {
+      files = await fs.readdir(COHORTS_DIR);
+    } catch {
+      return [];
+    }
+    // readJson skips index.json itself, since "index" isn't an id
+    const cohorts = await Promise.all(files.filter((f) => f.endsWith(".json")).map((f) => readJson(COHORTS_DIR, f.slice(0, -5))));
+    return cohorts.filter(Boolean).map(cohortHeader);
+  }
+}
+
+async function shareCohortResults(results) {
+  return Promise.all(
+    results.map(async ({ reportId, ...result }) => (reportId ? { ...result, shareId: (await createShareLink(reportId)).id } : result))
+  );
+}
+
+export async function saveCohort(cohort) {
+  const id = newId();
+  const saved = { ...cohort, results: await shareCohortResults(cohort.results || []), id, createdAt: new Date().toISOString() };
+  await writeJson(COHORTS_DIR, id, saved);
+  await withIndexLock("cohorts", async () => {
+    const index = await readCohortIndex();
+    await fs.writeFile(COHORT_INDEX, JSON.stringify([...index.filter((c) => c.id !== id), cohortHeader(saved)]));
+  });
+  return id;
+}
+
+// Cohorts saved before share links were used get theirs on first load
+export async function loadCohort(id) {
+  return withIndexLock(`cohorts/${id}`, async () => {
+    const cohort = await readJson(COHORTS_DIR, id);
+    if (!cohort) throw new ReportError("Cohort not found", 404);
+    if (!cohort.results?.some((result) => result.reportId)) return cohort;
+
+    const shared = { ...cohort, results: await shareCohortResults(cohort.results) };
+    await writeJson(COHORTS_DIR, id, shared);
+    return shared;
+  });
+}
+
+// Newest first, headers only
+export async function listCohorts() {
+  const index = await readCohortIndex();
+  return [...index].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
@@ -0,0 +1,51 @@
+// Role Lookups
+// Salary bands and AI risk for any function / level / location / title, from the
+// same tables as the Salary tab and the scoring engine. The chat assistant calls
+// these as tools so the figures it quotes match the dashboard; neither function
+// touches LiveData or Claude.
+
+import { AssessmentError } from "@/lib/assess";
+import { explainAIRisk } from "@/lib/scoring";
+import { estimateSalary, getCompProgression, estimateAISalaryPressure, KNOWN_FUNCTIONS, KNOWN_LEVELS } from "@/lib/salary";
+
+// Exact name first (any case), then a name starting with or containing the
+// value, so "marketing" finds "Marketing and Product"
+function matchOption(value, options, kind) {
+  const target = (value || "").trim().toLowerCase();
+  if (!target) throw new AssessmentError(`A ${kind} is required. Use one of: ${options.join(", ")}`, 400);
+  const match =
+    options.find((o) => o.toLowerCase() === target) ||
+    options.find((o) => o.toLowerCase().startsWith(target)) ||
+    options.find((o) => o.toLowerCase().includes(target));
+  if (!match) throw new AssessmentError(`Unknown ${kind} "${value}". Use one of: ${options.join(", ")}`, 400);
+  return match;
+}
+
+// Band for the role in that location, the Staff → VP ladder beside it, and the
+// AI pay pressure implied by the role's AI risk. Throws AssessmentError (400).
+export function lookupSalary({ function: func, level, location, title } = {}, profile) {
+  const fn = matchOption(func, KNOWN_FUNCTIONS, "function");
+  const lvl = matchOption(level, KNOWN_LEVELS, "level");
+  const aiRisk = explainAIRisk({ currentFunction: fn, currentLevel: lvl, currentTitle: title || null }, profile).score;
+
+  return {
+    function: fn,
+    level: lvl,
+    location: location || null,
+    title: title || null,
+    estimate: estimateSalary(fn, lvl, location),
+    progression: getCompProgression(fn, location),
+    aiRisk,
+    aiPressure: estimateAISalaryPressure(aiRisk),
+  };
+}
+
+// AI automation exposure with the rule and adjustments behind it, as in the
+// report's score breakdown. Level and title are optional. Throws AssessmentError (400).
+export function lookupAIRisk({ function: func, level, title } = {}, profile) {
+  const fn = matchOption(func, KNOWN_FUNCTIONS, "function");
+  const lvl = level ? matchOption(level, KNOWN_LEVELS, "level") : null;
+  const { score, rule, adjustments, missing } = explainAIRisk({ currentFunction: fn, currentLevel: lvl, currentTitle: title || null }, profile);
+
+  return { function: fn, level: lvl, title: title || null, score, rule, adjustments, missing };
+}
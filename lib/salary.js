@@ -86,6 +86,11 @@ function getGeoMultiplier(location) {
   return GEO_MULTIPLIER.default;
 }
 
+// Functions and levels with their own rates (anything else uses the defaults);
+// the what-if simulator offers these as choices
+export const KNOWN_FUNCTIONS = Object.keys(BASE_BY_FUNCTION);
+export const KNOWN_LEVELS = Object.keys(LEVEL_MULTIPLIER);
+
 // ─── Main Estimation Function ─────────────────────────────────
 
 export function estimateSalary(func, level, location) {
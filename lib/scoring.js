@@ -1,69 +1,72 @@
 // Risk Scoring Engine
 // Scores are 0-100 where higher = more risk
+// Weights, tables and thresholds come from a scoring profile (lib/profiles.js,
+// config/scoring-profiles/*.json). Every function takes the profile last and
+// falls back to the default profile.
 
-// ─── AI Automation Exposure ────────────────────────────────────
-// Based on function + level. BDR/SDR ICs are highest risk, managers moderate.
+import { getScoringProfile } from "./profiles";
 
-const AI_RISK_BY_FUNCTION = {
-  "Sales and Support": 70,
-  "Marketing and Product": 45,
-  "Business Management": 30,
-  "Finance and Administration": 35,
-  "Human Resources": 25,
-  "Engineering": 20,
-  "Operations": 30,
-  "Information Technology": 40,
-  "Consulting": 35,
-  "Program and Project Management": 25,
-  "Legal": 20,
-  "Risk, Safety, Compliance": 15,
-  "Healthcare": 15,
-  "Education": 20,
-};
-
-const AI_RISK_LEVEL_MODIFIER = {
-  Staff: 15,
-  "Senior Staff": 10,
-  Intern: 20,
-  Consultant: 10,
-  Manager: -5,
-  Director: -15,
-  VP: -20,
-  "C-Team": -25,
-};
-
-// Title keywords that increase AI risk
-const HIGH_AI_RISK_TITLES = [
-  "sdr", "bdr", "sales development", "business development",
-  "outbound", "lead generation", "prospecting",
-  "data entry", "scheduling", "coordinator",
-];
+// Each score has an explain* variant returning { score, inputs, rule, adjustments,
+// sampleSize, missing } so the dashboard can show which bucket or keyword drove the
+// number and how much data backed it. The plain score* functions return just the number.
 
-const LOW_AI_RISK_TITLES = [
-  "strategy", "leadership", "director", "vp", "chief",
-  "enablement", "operations", "success", "relationship",
-];
+const clamp = (score) => Math.max(0, Math.min(100, Math.round(score)));
+const pct = (ratio) => `${Math.round(ratio * 100)}%`;
+
+// First bucket whose threshold passes; a null threshold is the catch-all
+const pickBucket = (buckets, thresholdKey, passes) =>
+  buckets.find((b) => b[thresholdKey] == null || passes(b[thresholdKey]));
 
-export function scoreAIRisk(person) {
-  const func = person.currentFunction || "Sales and Support";
-  const level = person.currentLevel || "Staff";
+// ─── AI Automation Exposure ────────────────────────────────────
+// Based on function + level. BDR/SDR ICs are highest risk, managers moderate.
+
+export function explainAIRisk(person, profile = getScoringProfile()) {
+  const config = profile.aiRisk;
+  const func = person.currentFunction || config.defaultFunction;
+  const level = person.currentLevel || config.defaultLevel;
   const title = (person.currentTitle || "").toLowerCase();
 
-  let score = AI_RISK_BY_FUNCTION[func] ?? 40;
-  score += AI_RISK_LEVEL_MODIFIER[level] ?? 0;
+  const base = config.byFunction[func] ?? config.unknownFunctionScore;
+  const adjustments = [];
+
+  const levelModifier = config.levelModifier[level] ?? 0;
+  if (levelModifier) adjustments.push({ label: `${level} level`, delta: levelModifier });
 
   // Title adjustments
-  if (HIGH_AI_RISK_TITLES.some((kw) => title.includes(kw))) score += 12;
-  if (LOW_AI_RISK_TITLES.some((kw) => title.includes(kw))) score -= 10;
+  const highMatches = config.highRiskTitles.keywords.filter((kw) => title.includes(kw));
+  const lowMatches = config.lowRiskTitles.keywords.filter((kw) => title.includes(kw));
+  if (highMatches.length) adjustments.push({ label: `High-risk title keywords: ${highMatches.join(", ")}`, delta: config.highRiskTitles.delta });
+  if (lowMatches.length) adjustments.push({ label: `Low-risk title keywords: ${lowMatches.join(", ")}`, delta: config.lowRiskTitles.delta });
+
+  const missing = [
+    config.byFunction[person.currentFunction] == null && "function not recognized",
+    !person.currentLevel && "no seniority level",
+    !person.currentTitle && "no job title",
+  ].filter(Boolean);
+
+  return {
+    score: clamp(base + adjustments.reduce((sum, a) => sum + a.delta, 0)),
+    inputs: { function: func, level, title: person.currentTitle || null },
+    sampleSize: 3 - missing.length,
+    missing: missing.length ? `Profile has ${missing.join(", ")}` : null,
+    rule: config.byFunction[func] != null
+      ? `${func} starts at ${base}`
+      : `${func} isn't in the function table, so it starts at the default ${base}`,
+    adjustments,
+  };
+}
 
-  return Math.max(0, Math.min(100, Math.round(score)));
+export function scoreAIRisk(person, profile) {
+  return explainAIRisk(person, profile).score;
 }
 
 // ─── Company Instability ──────────────────────────────────────
 // Based on headcount trajectory. Growing = low risk, shrinking = high.
 
-export function scoreCompanyInstability(demographics) {
-  if (!demographics || demographics.length < 2) return 50;
+export function explainCompanyInstability(demographics, profile = getScoringProfile()) {
+  const config = profile.companyInstability;
+  const neutral = (rule, inputs = {}, sampleSize = 0) => ({ score: config.neutral, inputs, rule, adjustments: [], sampleSize, missing: rule, maxConfidence: "low" });
+  if (!demographics || demographics.length < 2) return neutral(`Not enough headcount history, so it uses the neutral ${config.neutral}`);
 
   // Get earliest and latest headcount
   const sorted = [...demographics].sort(
@@ -77,57 +80,120 @@ export function scoreCompanyInstability(demographics) {
   }
 
   const dates = Object.keys(periods).sort();
-  if (dates.length < 2) return 50;
+  if (dates.length < 2) return neutral(`Only one headcount snapshot, so it uses the neutral ${config.neutral}`, {}, dates.length);
 
   const earliest = periods[dates[0]];
   const latest = periods[dates[dates.length - 1]];
+  const inputs = { fromDate: dates[0], fromHeadcount: earliest, toDate: dates[dates.length - 1], toHeadcount: latest };
 
-  if (earliest === 0) return 50;
+  if (earliest === 0) return neutral("Starting headcount is 0, so growth can't be measured", inputs, dates.length);
 
   const growthRate = (latest - earliest) / earliest;
+  const bucket = pickBucket(config.buckets, "above", (above) => growthRate > above);
+
+  return {
+    score: bucket.score,
+    inputs: { ...inputs, growthRate: Math.round(growthRate * 1000) / 1000 },
+    rule: `Headcount ${bucket.label} (${growthRate >= 0 ? "+" : ""}${pct(growthRate)})`,
+    adjustments: [],
+    sampleSize: dates.length,
+  };
+}
 
-  // Map growth to risk: >50% growth = low risk (15), flat = moderate (50), >20% shrink = high (85)
-  if (growthRate > 0.5) return 15;
-  if (growthRate > 0.2) return 25;
-  if (growthRate > 0.05) return 35;
-  if (growthRate > -0.05) return 50;
-  if (growthRate > -0.2) return 70;
-  return 85;
+export function scoreCompanyInstability(demographics, profile) {
+  return explainCompanyInstability(demographics, profile).score;
 }
 
 // ─── Promotion Ceiling ────────────────────────────────────────
-// Based on manager-to-director ratio in the company
-
-export function scorePromotionCeiling(flowsByLevel) {
-  if (!flowsByLevel || flowsByLevel.length === 0) return 50;
+// Based on hiring at each step of the ladder (Staff → Manager → Director → VP),
+// ideally within the person's own function. Each step compares hires at the
+// lower rung to hires one rung up, relative to a typical ratio for that step;
+// the step directly above the person's level carries most of the weight.
+// `scope` is { type: "function" | "company", function, sampleHires } from the route.
+
+export function explainPromotionCeiling(flowsByLevel, currentLevel, scope = null, profile = getScoringProfile()) {
+  const config = profile.promotionCeiling;
+  const scopeInputs = scope ? { scope: scope.type === "function" ? `${scope.function} only` : "Company-wide", sampleHires: scope.sampleHires } : {};
+  if (!flowsByLevel || flowsByLevel.length === 0) {
+    const rule = `No level-hiring data, so it uses the neutral ${config.neutral}`;
+    return { score: config.neutral, inputs: scopeInputs, rule, adjustments: [], sampleSize: 0, missing: rule, maxConfidence: "low" };
+  }
 
-  const levelCounts = {};
+  const rungOf = (level) => config.ladder.find((r) => r.levels.includes(level))?.rung;
+  const hires = Object.fromEntries(config.ladder.map((r) => [r.rung, 0]));
   for (const row of flowsByLevel) {
-    const level = row.group_values?.[0]?.value || "unknown";
-    levelCounts[level] = (levelCounts[level] || 0) + (row.arrivals || 0);
+    const rung = rungOf(row.group_values?.[0]?.value);
+    if (rung) hires[rung] += row.arrivals || 0;
+  }
+
+  // Steps with no hires at the lower rung say nothing about the path up
+  const steps = [];
+  for (let i = 0; i < config.ladder.length - 1; i++) {
+    const from = config.ladder[i].rung;
+    const to = config.ladder[i + 1].rung;
+    if (hires[from] === 0) continue;
+
+    if (hires[to] === 0) {
+      steps.push({ from, to, ratio: null, score: config.noUpperHires, label: `no ${to} hires` });
+      continue;
+    }
+    const ratio = hires[from] / hires[to];
+    const bucket = pickBucket(config.buckets, "max", (max) => ratio / config.typicalRatio[from] <= max);
+    steps.push({ from, to, ratio, score: bucket.score, label: bucket.label });
   }
 
-  const managers = levelCounts["Manager"] || 0;
-  const directors = levelCounts["Director"] || 0;
+  const inputs = {
+    ...scopeInputs,
+    ...Object.fromEntries(config.ladder.map((r) => [`${r.rung.toLowerCase()}Hires`, hires[r.rung]])),
+  };
+  const sampleSize = Object.values(hires).reduce((sum, n) => sum + n, 0);
+  if (steps.length === 0) {
+    const rule = `No hires below ${config.ladder[config.ladder.length - 1].rung}, so it uses the neutral ${config.neutral}`;
+    return { score: config.neutral, inputs, rule, adjustments: [], sampleSize, missing: rule, maxConfidence: "low" };
+  }
 
-  if (directors === 0 && managers > 0) return 75; // No director hires = crowded
-  if (managers === 0) return 40;
+  // The company-wide ladder is a stand-in for the person's own function
+  const fallback = scope?.type === "company"
+    ? { maxConfidence: "medium", missing: `Only ${scope.functionSampleHires ?? 0} ${scope.function} hires, so the company-wide ladder was used` }
+    : {};
+
+  const describe = (s) => `${s.from}→${s.to} ${s.ratio == null ? s.label : `${s.ratio.toFixed(1)}:1 (${s.label}, typical ${config.typicalRatio[s.from]}:1)`}`;
+  const nextStep = steps.find((s) => s.from === rungOf(currentLevel));
+  const others = steps.filter((s) => s !== nextStep);
+  const average = (list) => list.reduce((sum, s) => sum + s.score, 0) / list.length;
+
+  if (!nextStep || others.length === 0) {
+    return {
+      score: clamp(average(steps)),
+      inputs,
+      rule: `Average of ladder steps: ${steps.map(describe).join("; ")}`,
+      adjustments: [],
+      sampleSize,
+      ...fallback,
+    };
+  }
 
-  const ratio = managers / Math.max(directors, 1);
+  return {
+    score: clamp(nextStep.score * config.nextStepWeight + average(others) * (1 - config.nextStepWeight)),
+    inputs,
+    rule: `Next step ${describe(nextStep)} weighted ${pct(config.nextStepWeight)}; rest of ladder: ${others.map(describe).join("; ")}`,
+    adjustments: [],
+    sampleSize,
+    ...fallback,
+  };
+}
 
-  // 2:1 ratio = normal (40), 4:1 = crowded (55), 8:1 = very crowded (75)
-  if (ratio <= 2) return 30;
-  if (ratio <= 3) return 40;
-  if (ratio <= 4) return 55;
-  if (ratio <= 6) return 65;
-  return 75;
+export function scorePromotionCeiling(flowsByLevel, currentLevel, scope, profile) {
+  return explainPromotionCeiling(flowsByLevel, currentLevel, scope, profile).score;
 }
 
 // ─── Tenure Volatility ────────────────────────────────────────
 // Based on the person's job history — short tenures = higher risk
 
-export function scoreTenureVolatility(jobs) {
-  if (!jobs || jobs.length < 2) return 40;
+export function explainTenureVolatility(jobs, profile = getScoringProfile()) {
+  const config = profile.tenureVolatility;
+  const neutral = (rule) => ({ score: config.neutral, inputs: {}, rule, adjustments: [], sampleSize: 0, missing: rule, maxConfidence: "low" });
+  if (!jobs || jobs.length < 2) return neutral(`Fewer than two roles on record, so it uses the default ${config.neutral}`);
 
   const tenures = [];
   for (const job of jobs) {
@@ -139,100 +205,328 @@ export function scoreTenureVolatility(jobs) {
     }
   }
 
-  if (tenures.length === 0) return 40;
+  if (tenures.length === 0) return neutral(`No completed roles with dates, so it uses the default ${config.neutral}`);
 
   const avgTenure = tenures.reduce((a, b) => a + b, 0) / tenures.length;
-  const shortStints = tenures.filter((t) => t < 6).length;
+  const shortStints = tenures.filter((t) => t < config.shortStintMonths).length;
 
   // Average tenure scoring
-  let score = 40;
-  if (avgTenure < 12) score = 75;
-  else if (avgTenure < 18) score = 60;
-  else if (avgTenure < 24) score = 45;
-  else if (avgTenure < 36) score = 35;
-  else score = 25;
+  const bucket = pickBucket(config.buckets, "below", (below) => avgTenure < below);
 
   // Penalty for very short stints
-  score += shortStints * 5;
+  const penalty = shortStints * config.shortStintPenalty;
+  const adjustments = penalty
+    ? [{ label: `${shortStints} stint${shortStints === 1 ? "" : "s"} under ${config.shortStintMonths} months`, delta: penalty }]
+    : [];
+
+  return {
+    score: clamp(bucket.score + penalty),
+    inputs: { completedRoles: tenures.length, avgTenureMonths: Math.round(avgTenure), shortStints },
+    rule: `Average completed tenure ${bucket.label} (${avgTenure.toFixed(1)} months)`,
+    adjustments,
+    sampleSize: tenures.length,
+  };
+}
 
-  return Math.max(0, Math.min(100, Math.round(score)));
+export function scoreTenureVolatility(jobs, profile) {
+  return explainTenureVolatility(jobs, profile).score;
 }
 
 // ─── Function Churn Risk ──────────────────────────────────────
-// Based on arrivals/departures in the person's function
-
-export function scoreFunctionChurn(flows, targetFunction) {
-  if (!flows || flows.length === 0) return 50;
+// Based on arrivals/departures in the person's function. A null function counts
+// every function (company-wide churn, for company-only reports).
+
+export function explainFunctionChurn(flows, targetFunction, profile = getScoringProfile()) {
+  const config = profile.functionChurn;
+  if (!flows || flows.length === 0) {
+    const rule = `No hiring-flow data, so it uses the neutral ${config.neutral}`;
+    return { score: config.neutral, inputs: { function: targetFunction }, rule, adjustments: [], sampleSize: 0, missing: rule, maxConfidence: "low" };
+  }
 
   let arrivals = 0;
   let departures = 0;
 
   for (const row of flows) {
     const func = row.group_values?.[0]?.value;
-    if (func === targetFunction) {
+    if (targetFunction == null || func === targetFunction) {
       arrivals += row.arrivals || 0;
       departures += row.departures || 0;
     }
   }
 
-  if (arrivals === 0) return 50;
+  const inputs = { function: targetFunction, arrivals, departures };
+  if (arrivals === 0) {
+    const rule = `No ${targetFunction || "company"} arrivals in the window, so it uses the neutral ${config.neutral}`;
+    return { score: config.neutral, inputs, rule, adjustments: [], sampleSize: departures, missing: rule, maxConfidence: "low" };
+  }
+
   const churnRatio = departures / arrivals;
+  const bucket = pickBucket(config.buckets, "below", (below) => churnRatio < below);
+
+  return {
+    score: bucket.score,
+    inputs: { ...inputs, churnRatio: Math.round(churnRatio * 100) / 100 },
+    rule: `Departures per arrival ${bucket.label} (${churnRatio.toFixed(2)})`,
+    adjustments: [],
+    sampleSize: arrivals + departures,
+  };
+}
 
-  // <0.3 = stable (25), 0.3-0.5 = moderate (45), >0.5 = volatile (70)
-  if (churnRatio < 0.25) return 20;
-  if (churnRatio < 0.35) return 35;
-  if (churnRatio < 0.5) return 50;
-  if (churnRatio < 0.65) return 65;
-  return 78;
+export function scoreFunctionChurn(flows, targetFunction, profile) {
+  return explainFunctionChurn(flows, targetFunction, profile).score;
 }
 
-// ─── Overall Risk Score ───────────────────────────────────────
+// ─── Salary Compression ───────────────────────────────────────
+// A derived estimate based on AI risk + function churn
 
-export function computeOverallRisk(scores) {
-  const weights = {
-    aiRisk: 0.30,
-    companyInstability: 0.20,
-    promotionCeiling: 0.15,
-    tenureVolatility: 0.10,
-    functionChurn: 0.15,
-    salaryCompression: 0.10,
+export function explainSalaryCompression(aiRisk, functionChurn, profile = getScoringProfile()) {
+  const { aiRiskWeight, functionChurnWeight } = profile.salaryCompression;
+  return {
+    score: Math.round((aiRisk * aiRiskWeight + functionChurn * functionChurnWeight)),
+    inputs: { aiRisk, functionChurn },
+    rule: `${pct(aiRiskWeight)} AI automation exposure + ${pct(functionChurnWeight)} function churn`,
+    adjustments: [],
   };
+}
 
+// ─── Market Demand ────────────────────────────────────────────
+// Based on the hiring signals: regional hires at the person's function + level,
+// where their former colleagues landed, and national function growth.
+// Inverted like every other score — strong demand = low risk.
+
+// `source` is the hiringSignals key, also used in hiringSignals.unavailable
+const MARKET_SIGNALS = [
+  { key: "regional", source: "regional", inputKey: "regionalHires", label: "Regional hires", count: (s) => s.regional?.totalHires },
+  { key: "employerNetwork", source: "employerFlow", inputKey: "alumniMoves", label: "Former colleagues' moves", count: (s) => s.employerFlow?.totalAlumni },
+  { key: "functionGrowth", source: "functionGrowth", inputKey: "nationalFunctionHires", label: "National function hires", count: (s) => s.functionGrowth?.totalHires },
+];
+
+// Null when the hiring searches behind every contributing signal failed
+export function explainMarketDemand(hiringSignals, profile = getScoringProfile()) {
+  if (!hiringSignals) return null;
+  const config = profile.marketDemand;
+  const unavailable = hiringSignals.unavailable || {};
+
+  // A missing signal (no hires found, or a failed search) is left out rather
+  // than scored as zero demand
+  const signals = MARKET_SIGNALS.map((signal) => {
+    const failed = !!unavailable[signal.source];
+    const count = failed ? null : signal.count(hiringSignals);
+    const { weight, buckets } = config.signals[signal.key];
+    const demand = count == null ? null : pickBucket(buckets, "min", (min) => count >= min).demand;
+    return { ...signal, count, demand, weight, failed };
+  });
+  const parts = signals.filter((s) => s.demand != null && s.weight > 0);
+  const inputs = Object.fromEntries(signals.map((s) => [s.inputKey, s.count ?? null]));
+  const failed = signals.filter((s) => s.failed);
+  const empty = signals.filter((s) => !s.failed && !parts.includes(s));
+  const describeGaps = () => [
+    failed.length ? `${failed.map((s) => s.label).join(", ")} unavailable (hiring search failed)` : null,
+    empty.length ? `No hires found for ${empty.map((s) => s.label.toLowerCase()).join(", ")}` : null,
+  ].filter(Boolean).join("; ") || null;
+
+  // Nothing to score from because the searches failed — unavailable, not neutral
+  if (parts.length === 0 && failed.length > 0) return null;
+
+  // No hires found in any signal — thin data, not proof of a dead market
+  if (parts.length === 0) {
+    const rule = `No hires found in any hiring signal, so it uses the neutral ${config.neutral}`;
+    return { score: config.neutral, inputs, rule, adjustments: [], sampleSize: 0, missing: rule, maxConfidence: "low" };
+  }
+
+  const totalWeight = parts.reduce((sum, s) => sum + s.weight, 0);
+  const demand = parts.reduce((sum, s) => sum + s.demand * s.weight, 0) / totalWeight;
+
+  return {
+    score: clamp(100 - demand),
+    inputs,
+    rule: `100 minus weighted demand strength (${Math.round(demand)}): ${parts.map((s) => `${s.label.toLowerCase()} ${s.demand}`).join(", ")}`,
+    adjustments: [],
+    sampleSize: parts.length,
+    missing: describeGaps(),
+  };
+}
+
+export function scoreMarketDemand(hiringSignals, profile) {
+  return explainMarketDemand(hiringSignals, profile)?.score ?? null;
+}
+
+// ─── Overall Risk Score ───────────────────────────────────────
+
+// Weight and share of `overall` per factor. Weights are renormalized over the
+// scores that are present, so contributions always add up to the overall score.
+export function explainOverallRisk(scores, profile = getScoringProfile()) {
+  const weights = profile.weights;
   let total = 0;
   let totalWeight = 0;
 
   for (const [key, weight] of Object.entries(weights)) {
-    if (scores[key] !== undefined) {
+    // null = source data unavailable; leave it out rather than count it as 0
+    if (scores[key] != null) {
       total += scores[key] * weight;
       totalWeight += weight;
     }
   }
 
-  return Math.round(total / (totalWeight || 1));
+  const contributions = {};
+  for (const [key, weight] of Object.entries(weights)) {
+    const included = scores[key] != null && totalWeight > 0;
+    contributions[key] = {
+      weight,
+      effectiveWeight: included ? Math.round((weight / totalWeight) * 1000) / 1000 : 0,
+      contribution: included ? Math.round(((scores[key] * weight) / totalWeight) * 10) / 10 : null,
+    };
+  }
+
+  return { overall: Math.round(total / (totalWeight || 1)), contributions };
+}
+
+export function computeOverallRisk(scores, profile) {
+  return explainOverallRisk(scores, profile).overall;
+}
+
+// ─── Confidence & Data Quality ────────────────────────────────
+// Confidence comes from the sample behind a score (headcount snapshots, hires
+// counted, completed roles…) against the profile's thresholds. Neutral defaults
+// are capped at "low", and unavailable scores are "none".
+
+const CONFIDENCE_LEVELS = ["none", "low", "medium", "high"];
+const lowest = (...levels) => CONFIDENCE_LEVELS[Math.min(...levels.map((l) => CONFIDENCE_LEVELS.indexOf(l)))];
+
+function rateConfidence(explanation, sampleConfig) {
+  if (explanation.score == null) return "none";
+  const n = explanation.sampleSize ?? 0;
+  const level = n >= sampleConfig.high ? "high" : n >= sampleConfig.medium ? "medium" : "low";
+  return lowest(level, explanation.maxConfidence || "high");
+}
+
+// Report-level grade: confidence of each score weighted like the overall score,
+// so a thin sample on a heavily weighted factor costs more
+export function gradeDataQuality(breakdown, profile = getScoringProfile()) {
+  const { levels, grades } = profile.confidence;
+  let total = 0;
+  let totalWeight = 0;
+  for (const [key, weight] of Object.entries(profile.weights)) {
+    if (!breakdown[key]) continue;
+    total += levels[breakdown[key].confidence] * weight;
+    totalWeight += weight;
+  }
+
+  const quality = total / (totalWeight || 1);
+  const { grade, label } = pickBucket(grades, "min", (min) => quality >= min);
+  const weak = Object.entries(breakdown).filter(([, e]) => e.confidence === "low" || e.confidence === "none");
+
+  return {
+    grade,
+    label,
+    score: Math.round(quality * 100),
+    lowConfidence: weak.map(([key]) => key),
+    missing: weak.map(([key, e]) => ({ key, confidence: e.confidence, note: e.missing || e.rule })),
+  };
 }
 
 // ─── Compute All Scores ───────────────────────────────────────
+// `unavailable` flags company reports that failed upstream (keys: demographics,
+// flows, flowsByLevel). Scores built on them are null instead of a neutral 50.
+// `hiringSignals` is null when the hiring searches failed outright; searches that
+// failed one by one are in hiringSignals.unavailable.
+// `levelScope` says whether flowsByLevel is function-only or company-wide.
+// Returns { scores, breakdown, dataQuality, profile } — breakdown[key] is the
+// explanation plus its confidence, sample, weight and contribution to `overall`;
+// profile is the { id, version } used.
+
+const unavailableExplanation = (rule) => ({ score: null, inputs: {}, rule, adjustments: [], sampleSize: 0, missing: rule });
+
+export function explainAllScores(person, demographics, flows, flowsByLevel, hiringSignals, unavailable = {}, levelScope = null, profile = getScoringProfile()) {
+  const aiRisk = explainAIRisk(person, profile);
+  const companyInstability = unavailable.demographics
+    ? unavailableExplanation("Company headcount report unavailable")
+    : explainCompanyInstability(demographics, profile);
+  const promotionCeiling = unavailable.flowsByLevel
+    ? unavailableExplanation("Level-hiring report unavailable")
+    : explainPromotionCeiling(flowsByLevel, person.currentLevel, levelScope, profile);
+  const tenureVolatility = explainTenureVolatility(person.jobs, profile);
+  const functionChurn = unavailable.flows
+    ? unavailableExplanation("Hiring-flow report unavailable")
+    : explainFunctionChurn(flows, person.currentFunction, profile);
+  const marketDemand = explainMarketDemand(hiringSignals, profile) || unavailableExplanation("Hiring signals unavailable");
+
+  const explanations = { aiRisk, companyInstability, promotionCeiling, tenureVolatility, functionChurn, marketDemand };
+  const samples = profile.confidence.samples;
+  for (const [key, e] of Object.entries(explanations)) {
+    e.confidence = rateConfidence(e, samples[key]);
+    if (e.confidence === "low" && !e.missing) {
+      e.missing = `Only ${e.sampleSize ?? 0} ${samples[key].unit}; ${samples[key].medium}+ needed for medium confidence`;
+    }
+  }
 
-export function computeAllScores(person, demographics, flows, flowsByLevel) {
-  const aiRisk = scoreAIRisk(person);
-  const companyInstability = scoreCompanyInstability(demographics);
-  const promotionCeiling = scorePromotionCeiling(flowsByLevel);
-  const tenureVolatility = scoreTenureVolatility(person.jobs);
-  const functionChurn = scoreFunctionChurn(flows, person.currentFunction);
-
-  // Salary compression is a derived estimate based on AI risk + function churn
-  const salaryCompression = Math.round((aiRisk * 0.6 + functionChurn * 0.4));
-
-  const scores = {
-    aiRisk,
-    companyInstability,
-    promotionCeiling,
-    tenureVolatility,
-    functionChurn,
-    salaryCompression,
+  // Derived from AI risk + function churn, so it's only as solid as the weaker of the two
+  explanations.salaryCompression = functionChurn.score == null
+    ? { ...unavailableExplanation("Depends on function churn, which is unavailable"), confidence: "none" }
+    : {
+      ...explainSalaryCompression(aiRisk.score, functionChurn.score, profile),
+      sampleSize: functionChurn.sampleSize,
+      missing: functionChurn.missing || aiRisk.missing,
+      confidence: lowest(aiRisk.confidence, functionChurn.confidence),
+    };
+  const units = { ...Object.fromEntries(Object.entries(samples).map(([key, c]) => [key, c.unit])), salaryCompression: samples.functionChurn.unit };
+
+  const scores = Object.fromEntries(Object.entries(explanations).map(([key, e]) => [key, e.score]));
+
+  const { overall, contributions } = explainOverallRisk(scores, profile);
+  scores.overall = overall;
+
+  // Factors the profile gives no weight still get explained, just not counted
+  const breakdown = Object.fromEntries(
+    Object.entries(explanations).map(([key, { sampleSize, maxConfidence, ...e }]) => [key, {
+      ...e,
+      missing: e.missing || null,
+      sample: { size: sampleSize ?? 0, unit: units[key] },
+      ...(contributions[key] || { weight: 0, effectiveWeight: 0, contribution: null }),
+    }])
+  );
+
+  return {
+    scores,
+    breakdown,
+    dataQuality: gradeDataQuality(breakdown, profile),
+    profile: { id: profile.id, version: profile.version },
   };
+}
 
-  scores.overall = computeOverallRisk(scores);
+export function computeAllScores(...args) {
+  return explainAllScores(...args).scores;
+}
 
-  return scores;
+// ─── Company-only Scores ──────────────────────────────────────
+// For company reports there is no person, so only the scores that come from
+// company data apply: headcount instability and company-wide churn. Same
+// { scores, breakdown } shape as explainAllScores, minus weights and `overall`.
+
+export function explainCompanyScores(demographics, flows, unavailable = {}, profile = getScoringProfile()) {
+  const explanations = {
+    companyInstability: unavailable.demographics
+      ? unavailableExplanation("Company headcount report unavailable")
+      : explainCompanyInstability(demographics, profile),
+    functionChurn: unavailable.flows
+      ? unavailableExplanation("Hiring-flow report unavailable")
+      : explainFunctionChurn(flows, null, profile),
+  };
+
+  const samples = profile.confidence.samples;
+  const breakdown = Object.fromEntries(
+    Object.entries(explanations).map(([key, { sampleSize, maxConfidence, ...e }]) => {
+      const confidence = rateConfidence({ ...e, sampleSize, maxConfidence }, samples[key]);
+      const missing = e.missing || (confidence === "low"
+        ? `Only ${sampleSize ?? 0} ${samples[key].unit}; ${samples[key].medium}+ needed for medium confidence`
+        : null);
+      return [key, { ...e, missing, confidence, sample: { size: sampleSize ?? 0, unit: samples[key].unit } }];
+    })
+  );
+
+  return {
+    scores: Object.fromEntries(Object.entries(explanations).map(([key, e]) => [key, e.score])),
+    breakdown,
+    profile: { id: profile.id, version: profile.version },
+  };
 }
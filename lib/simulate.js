@@ -0,0 +1,163 @@
+// What-if Simulator
+// Re-scores a saved report with the person's title, level, function, location
+// or employer swapped out, and reports the before/after deltas. Scores, salary
+// band, comp ladder and AI pay pressure are recomputed by the same functions as
+// the assessment, from company reports (through the LiveData cache) and the
+// report's own hiring signals, so the same overrides always give the same
+// answer. No narrative is written unless asked for.
+
+import { loadCompanyReports, AssessmentError } from "@/lib/assess";
+import { resolveCompany } from "@/lib/company";
+import { explainAllScores } from "@/lib/scoring";
+import { getScoringProfile, ScoringProfileError, SCORE_KEYS } from "@/lib/profiles";
+import { estimateSalary, getCompProgression, estimateAISalaryPressure, KNOWN_FUNCTIONS, KNOWN_LEVELS } from "@/lib/salary";
+import { generateNarrative, fallbackNarrative, withNarrativeTimeout } from "@/lib/claude";
+
+export const SIMULATION_FIELDS = ["currentTitle", "currentLevel", "currentFunction", "location", "company"];
+
+// Blank fields and values equal to the report's are dropped, so an untouched
+// form field never counts as a change
+function normalizeOverrides(raw, person) {
+  if (!raw || typeof raw !== "object") throw new AssessmentError("overrides must be an object", 400);
+
+  const unknown = Object.keys(raw).filter((key) => !SIMULATION_FIELDS.includes(key));
+  if (unknown.length) throw new AssessmentError(`Unknown override: ${unknown.join(", ")}`, 400);
+
+  const overrides = {};
+  for (const key of SIMULATION_FIELDS) {
+    const value = typeof raw[key] === "string" ? raw[key].trim() : null;
+    const current = key === "company" ? person.currentCompany : person[key];
+    if (value && value.toLowerCase() !== (current || "").toLowerCase()) overrides[key] = value;
+  }
+
+  if (overrides.currentLevel && !KNOWN_LEVELS.includes(overrides.currentLevel)) {
+    throw new AssessmentError(`Unknown level "${overrides.currentLevel}". Use one of: ${KNOWN_LEVELS.join(", ")}`, 400);
+  }
+  if (overrides.currentFunction && !KNOWN_FUNCTIONS.includes(overrides.currentFunction)) {
+    throw new AssessmentError(`Unknown function "${overrides.currentFunction}". Use one of: ${KNOWN_FUNCTIONS.join(", ")}`, 400);
+  }
+  if (Object.keys(overrides).length === 0) {
+    throw new AssessmentError("Change at least one of title, level, function, location or company", 400);
+  }
+  return overrides;
+}
+
+// Everything the assessment derives from the person and their company reports
+// (loadCompanyReports), minus the narrative
+function scorePerson(person, hiringSignals, profile, companyReports) {
+  const { demographics, flows, levelFlows, companyData, dataUnavailable } = companyReports;
+  const { scores, breakdown, dataQuality } = explainAllScores(
+    person, demographics, flows, levelFlows.rows, hiringSignals, dataUnavailable, levelFlows.scope, profile
+  );
+  return {
+    scores,
+    scoreBreakdown: breakdown,
+    dataQuality,
+    company: companyData,
+    dataUnavailable,
+    salary: {
+      estimate: estimateSalary(person.currentFunction, person.currentLevel, person.location),
+      progression: getCompProgression(person.currentFunction, person.location),
+      aiPressure: estimateAISalaryPressure(scores.aiRisk),
+    },
+  };
+}
+
+const change = (from, to) => (from == null || to == null ? null : to - from);
+
+// `options.narrative` writes a fresh narrative for the simulated person (one
+// Claude call); `options.signal` cancels LiveData and Claude calls when the
+// client goes away. Throws AssessmentError or LiveDataError.
+export async function simulateReport(report, rawOverrides, { narrative: withNarrative = false, refresh, signal } = {}) {
+  const cacheOptions = { refresh: refresh === true, signal };
+  const overrides = normalizeOverrides(rawOverrides, report.person);
+
+  // Same profile as the report, so the deltas come from the overrides alone
+  let profile;
+  try {
+    profile = getScoringProfile(report.scoringProfile?.id);
+  } catch (err) {
+    if (err instanceof ScoringProfileError) throw new AssessmentError(err.message, 400);
+    throw err;
+  }
+
+  const person = { ...report.person };
+  if (overrides.currentTitle) Object.assign(person, { currentTitle: overrides.currentTitle, titleIsGeneric: false });
+  if (overrides.currentLevel) person.currentLevel = overrides.currentLevel;
+  if (overrides.currentFunction) person.currentFunction = overrides.currentFunction;
+  if (overrides.location) person.location = overrides.location;
+  let company = null;
+  if (overrides.company) {
+    company = await resolveCompany({ name: overrides.company }, cacheOptions);
+    Object.assign(person, { currentCompany: company.name, currentCompanyId: company.id });
+  }
+
+  // The baseline is re-scored too (usually straight from the cache) rather than
+  // read off the report, so data that moved since the report can't pose as a delta
+  const hiringSignals = report.hiringSignals || {};
+
+  // Company reports depend only on the employer and function. A new employer
+  // loads alongside the baseline. With the same employer they'd ask LiveData
+  // the same questions at once (the cache doesn't merge concurrent misses), so
+  // the baseline's reports are reused, or with a new function the changed side
+  // waits and reads the cache the baseline just filled.
+  const sameCompany = person.currentCompanyId === report.person.currentCompanyId;
+  const [baselineReports, otherCompanyReports] = await Promise.all([
+    loadCompanyReports(report.person, profile, cacheOptions),
+    sameCompany ? null : loadCompanyReports(person, profile, cacheOptions),
+  ]);
+  const changedReports = otherCompanyReports
+    || (person.currentFunction === report.person.currentFunction
+      ? baselineReports
+      : await loadCompanyReports(person, profile, { ...cacheOptions, refresh: false }));
+
+  const before = scorePerson(report.person, hiringSignals, profile, baselineReports);
+  const after = scorePerson(person, hiringSignals, profile, changedReports);
+
+  // Scores where today's baseline no longer matches what the report saved
+  const baselineDrift = ["overall", ...SCORE_KEYS]
+    .map((key) => ({ key, saved: report.scores?.[key] ?? null, now: before.scores[key] ?? null }))
+    .filter(({ saved, now }) => saved != null && now != null && saved !== now);
+
+  const notes = [];
+  if (overrides.location || overrides.currentFunction || overrides.currentLevel) {
+    notes.push("Market demand still uses the report's hiring signals (its original city, function and level). Run a new assessment to re-check demand.");
+  }
+  if (company?.alternatives.length && company.name.toLowerCase() !== overrides.company.toLowerCase()) {
+    notes.push(`"${overrides.company}" matched ${company.name}. Other matches: ${company.alternatives.map((a) => a.name).join(", ")}.`);
+  }
+
+  let narrative = null;
+  if (withNarrative) {
+    narrative = await withNarrativeTimeout(
+      (narrativeSignal) => generateNarrative(person, after.scores, after.company, after.salary, hiringSignals, { signal: narrativeSignal }),
+      () => fallbackNarrative(person, after.scores, hiringSignals),
+      { signal, label: "Simulation narrative" }
+    );
+  }
+
+  return {
+    overrides,
+    person,
+    company: company && { id: company.id, name: company.name },
+    scoringProfile: { id: profile.id, version: profile.version },
+    before,
+    after,
+    changes: {
+      scores: ["overall", ...SCORE_KEYS].map((key) => ({
+        key,
+        from: before.scores[key] ?? null,
+        to: after.scores[key] ?? null,
+        change: change(before.scores[key], after.scores[key]),
+      })),
+      salary: Object.fromEntries(
+        ["low", "midpoint", "high"].map((key) => [key, { from: before.salary.estimate[key], to: after.salary.estimate[key], change: after.salary.estimate[key] - before.salary.estimate[key] }])
+      ),
+      aiPressure: { from: before.salary.aiPressure.pctImpact, to: after.salary.aiPressure.pctImpact, change: after.salary.aiPressure.pctImpact - before.salary.aiPressure.pctImpact },
+      growthPct: { from: before.company.growthPct, to: after.company.growthPct, change: change(before.company.growthPct, after.company.growthPct) },
+    },
+    baselineDrift,
+    notes,
+    narrative,
+  };
+}
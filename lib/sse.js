@@ -0,0 +1,82 @@
+// Server-Sent Events
+// The streaming routes (/api/assess/stream, /api/batch, /api/cohorts, /api/chat)
+// write with eventStream; the browser reads them with readEventStream
+// (EventSource can't POST).
+
+// ─── Server ───────────────────────────────────────────────────
+
+// `run(send, signal)` writes events with send(event, data); the stream closes
+// when it settles. `signal` aborts when the client disconnects (the stream is
+// cancelled, or the request's own `signal` fires), so run can stop spending
+// LiveData and Claude calls; send is a no-op from then on.
+export function eventStream(run, { signal: requestSignal } = {}) {
+  const encoder = new TextEncoder();
+  const aborter = new AbortController();
+  let closed = false;
+  const abort = () => {
+    closed = true;
+    aborter.abort(new Error("Client disconnected"));
+  };
+  if (requestSignal?.aborted) abort();
+  else requestSignal?.addEventListener("abort", abort, { once: true });
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event, data) => {
+        if (closed) return;
+        controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+      };
+      try {
+        await run(send, aborter.signal);
+      } finally {
+        requestSignal?.removeEventListener("abort", abort);
+        closed = true;
+        try {
+          controller.close();
+        } catch {
+          // Already cancelled by the client
+        }
+      }
+    },
+    cancel() {
+      abort();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+    },
+  });
+}
+
+// ─── Browser ──────────────────────────────────────────────────
+
+// Calls onEvent(event, data) for each complete event
+export async function readEventStream(res, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  const dispatch = (block) => {
+    let event = "message";
+    let data = "";
+    for (const line of block.split("\n")) {
+      if (line.startsWith("event:")) event = line.slice(6).trim();
+      else if (line.startsWith("data:")) data += line.slice(5).trim();
+    }
+    if (data) onEvent(event, JSON.parse(data));
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split("\n\n");
+    buffer = blocks.pop();
+    blocks.forEach(dispatch);
+  }
+  if (buffer.trim()) dispatch(buffer);
+}
@@ -0,0 +1,95 @@
+// Batch CSV parsing, sheet splitting and results CSV (lib/batch.js, lib/csv.js)
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  BatchError,
+  batchResultCsvLine,
+  batchResultsCsvHeader,
+  MAX_BATCH_ROWS,
+  MAX_NARRATIVE_BATCH_ROWS,
+  parseBatchCsv,
+} from "@/lib/batch";
+import { parseCsv, splitCsv, toCsv } from "@/lib/csv";
+
+test("quoted fields keep their commas", () => {
+  assert.deepEqual(parseCsv('name,company\n"Avery, Jordan","Contoso, Inc."\n'), [
+    ["name", "company"],
+    ["Avery, Jordan", "Contoso, Inc."],
+  ]);
+});
+
+test('"" inside a quoted field is one quote', () => {
+  assert.deepEqual(parseCsv('"Jordan ""JA"" Avery",Contoso'), [['Jordan "JA" Avery', "Contoso"]]);
+});
+
+test("a quote in the middle of an unquoted field is literal", () => {
+  assert.deepEqual(parseCsv('Jordan 5\'10" Avery,Contoso\nSam,Northwind\n'), [
+    ['Jordan 5\'10" Avery', "Contoso"],
+    ["Sam", "Northwind"],
+  ]);
+});
+
+test("CRLF, bare CR and quoted newlines", () => {
+  assert.deepEqual(parseCsv('a,b\r\n"line 1\r\nline 2",c\rd,e'), [
+    ["a", "b"],
+    ["line 1\r\nline 2", "c"],
+    ["d", "e"],
+  ]);
+});
+
+test("toCsv output parses back to the same rows", () => {
+  const rows = [["plain", 'has "quotes"', "has, comma", "two\nlines", ""]];
+  assert.deepEqual(parseCsv(toCsv(rows)), rows);
+});
+
+test("a BOM before the header is ignored", () => {
+  const rows = parseBatchCsv("\uFEFFName,Company\r\nJordan Avery,Contoso\r\n");
+  assert.deepEqual(rows, [{ row: 2, name: "Jordan Avery", company: "Contoso", linkedin: "", manager: "" }]);
+});
+
+test("loose headers map onto name, company and linkedin", () => {
+  const [row] = parseBatchCsv("Full Name,Employer,LinkedIn URL\nJordan Avery,Contoso,https://linkedin.com/in/jordan-avery\n");
+  assert.equal(row.name, "Jordan Avery");
+  assert.equal(row.company, "Contoso");
+  assert.equal(row.linkedin, "https://linkedin.com/in/jordan-avery");
+});
+
+test("batches are capped, more tightly with narratives", () => {
+  const csv = (n) => ["name", ...Array.from({ length: n }, (_, i) => `Person ${i}`)].join("\n");
+  assert.equal(parseBatchCsv(csv(MAX_BATCH_ROWS)).length, MAX_BATCH_ROWS);
+  assert.throws(() => parseBatchCsv(csv(MAX_BATCH_ROWS + 1)), BatchError);
+  assert.throws(() => parseBatchCsv(csv(MAX_NARRATIVE_BATCH_ROWS + 1), { narrative: true }), BatchError);
+});
+
+test("a 200-row sheet splits into requests under the cap, numbered as in the sheet", () => {
+  const lines = Array.from({ length: 200 }, (_, i) => `Person ${i},Contoso`);
+  lines.splice(20, 0, ",");
+  const sheet = ["name,company", ...lines].join("\n");
+
+  for (const [size, narrative] of [[MAX_BATCH_ROWS, false], [MAX_NARRATIVE_BATCH_ROWS, true]]) {
+    const chunks = splitCsv(sheet, size);
+    assert.equal(chunks.length, Math.ceil(200 / size));
+    const rows = chunks.flatMap((chunk) => parseBatchCsv(chunk.csv, { narrative, rowOffset: chunk.rowOffset }));
+    assert.equal(rows.length, 200);
+    // The blank line at sheet row 22 keeps its number but isn't a row
+    assert.deepEqual(
+      rows.map((r) => r.row),
+      [...Array.from({ length: 20 }, (_, i) => i + 2), ...Array.from({ length: 180 }, (_, i) => i + 23)],
+    );
+    assert.equal(rows.at(-1).name, "Person 199");
+  }
+});
+
+test("result lines line up with the header", () => {
+  const header = parseCsv(batchResultsCsvHeader())[0];
+  const [line] = parseCsv(
+    batchResultCsvLine(
+      { row: 2, input: { name: "Jordan Avery", company: "Contoso, Inc.", linkedin: "" }, status: "ok", note: null, reportId: "abc" },
+      "https://example.com"
+    )
+  );
+  assert.equal(line.length, header.length);
+  assert.equal(line[header.indexOf("input_company")], "Contoso, Inc.");
+  assert.equal(line[header.indexOf("report_url")], "https://example.com/report/abc");
+});
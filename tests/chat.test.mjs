@@ -0,0 +1,62 @@
+// Ask bar route (app/api/chat) with a scripted Claude
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+process.env.ANTHROPIC_API_KEY = "test";
+process.env.LIVEDATA_MODE = "replay";
+process.env.LIVEDATA_CACHE = "off";
+
+const { POST } = await import("@/app/api/chat/route");
+const { readEventStream } = await import("@/lib/sse");
+
+// One Messages API streaming reply holding `content`
+function claudeReply(content, stopReason) {
+  const events = [{ type: "message_start", message: { role: "assistant", content: [] } }];
+  content.forEach((block, index) => {
+    const start = block.type === "text" ? { type: "text", text: "" } : { ...block, input: {} };
+    const delta = block.type === "text"
+      ? { type: "text_delta", text: block.text }
+      : { type: "input_json_delta", partial_json: JSON.stringify(block.input) };
+    events.push({ type: "content_block_start", index, content_block: start }, { type: "content_block_delta", index, delta }, { type: "content_block_stop", index });
+  });
+  events.push({ type: "message_delta", delta: { stop_reason: stopReason } }, { type: "message_stop" });
+  return new Response(events.map((e) => `event: ${e.type}\ndata: ${JSON.stringify(e)}\n\n`).join(""), { headers: { "Content-Type": "text/event-stream" } });
+}
+
+// Asks once with Claude scripted to call score_ai_risk; resolves to the Claude requests made
+async function ask(body) {
+  const requests = [];
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (url, init) => {
+    requests.push(JSON.parse(init.body));
+    return requests.length === 1
+      ? claudeReply([{ type: "tool_use", id: "t1", name: "score_ai_risk", input: { function: "Engineering", level: "Manager" } }], "tool_use")
+      : claudeReply([{ type: "text", text: "Done." }], "end_turn");
+  };
+  try {
+    const res = await POST(new Request("http://localhost/api/chat", { method: "POST", body: JSON.stringify({ question: "AI risk for an engineering manager?", ...body }) }));
+    if (res.headers.get("Content-Type")?.startsWith("text/event-stream")) await readEventStream(res, () => {});
+    return { res, requests };
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+}
+
+const toolResult = (requests) => JSON.parse(requests[1].messages.at(-1).content[0].content);
+
+test("role lookups score with the report's profile", async () => {
+  const { requests } = await ask({ profile: "ai-exposure-first" });
+  assert.equal(toolResult(requests).scoringProfile.id, "ai-exposure-first");
+});
+
+test("role lookups fall back to the default profile", async () => {
+  const { requests } = await ask({});
+  assert.equal(toolResult(requests).scoringProfile.id, "default");
+});
+
+test("an unknown profile is a 400", async () => {
+  const { res, requests } = await ask({ profile: "nope" });
+  assert.equal(res.status, 400);
+  assert.equal(requests.length, 0);
+});
@@ -0,0 +1,32 @@
+// Comparison of saved reports (lib/compare.js) against a throwaway REPORTS_DIR
+
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { after, test } from "node:test";
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "compare-"));
+process.env.REPORTS_DIR = dir;
+const { createShareLink, saveReport } = await import("@/lib/reports");
+const { runComparison } = await import("@/lib/compare");
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+const report = (name, overall) => ({
+  person: { name, currentTitle: "Data Analyst", currentCompany: "Contoso", linkedin: "" },
+  scores: { overall },
+  generatedAt: new Date().toISOString(),
+});
+
+test("saved reports compare under the ids they were given", async () => {
+  const own = await saveReport(report("Jordan Avery", 40));
+  const shared = await saveReport(report("Sam Lee", 60));
+  const link = await createShareLink(shared, { expiresInDays: 7 });
+
+  const result = await runComparison({ people: [{ reportId: own }, { reportId: link.id }] });
+
+  assert.deepEqual(result.entries.map((e) => e.reportId), [own, link.id]);
+  assert.deepEqual(result.comparison.columns.map((c) => c.reportId), [own, link.id]);
+  assert.ok(!JSON.stringify(result).includes(shared));
+});
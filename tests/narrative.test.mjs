@@ -0,0 +1,174 @@
+// Narrative parsing, validation, fallback top-up and company narratives (lib/claude.js, lib/narrative-schema.js)
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  fallbackCompanyNarrative,
+  fallbackNarrative,
+  generateCompanyNarrative,
+  parseNarrative,
+  topUpRetrainingPaths,
+} from "@/lib/claude";
+import { NARRATIVE_FIELDS, RETRAINING_PATH_COUNT, validateCompanyNarrative, validateNarrative } from "@/lib/narrative-schema";
+
+const person = (location) => ({
+  name: "Jordan Avery",
+  currentTitle: "Account Manager",
+  currentCompany: "Contoso",
+  currentLevel: "Staff",
+  currentFunction: "Sales and Support",
+  location,
+  jobs: [
+    { title: "Account Manager", company: "Contoso", function: "Sales and Support", level: "Staff", started_at: "2020-03-01", ended_at: null },
+    { title: "Sales Associate", company: "Northwind", function: "Sales and Support", level: "Staff", started_at: "2016-06-01", ended_at: "2020-02-01" },
+  ],
+});
+const scores = { overall: 55, aiRisk: 70, companyInstability: 40, promotionCeiling: 50, tenureVolatility: 30, functionChurn: 45, salaryCompression: 50, marketDemand: 50 };
+const narrative = (location = "Seattle, WA") => fallbackNarrative(person(location), scores, {});
+
+const path = (title, extra = {}) => ({
+  rank: 1,
+  title,
+  function: "Marketing and Product",
+  targetLevel: "Manager",
+  fitScore: 70,
+  growthScore: 65,
+  aiSafeScore: 60,
+  rationale: "Builds on years of client-facing work and the account planning this role already involves every quarter.",
+  skills: ["Product discovery"],
+  timeToTransition: "12-18 months",
+  salaryComparison: "Similar base, higher ceiling",
+  ...extra,
+});
+
+// ─── validateNarrative ────────────────────────────────────────
+
+test("the fallback narrative passes validation, with or without a location", () => {
+  assert.deepEqual(validateNarrative(narrative()), {});
+  assert.deepEqual(validateNarrative(narrative(null)), {});
+});
+
+test("missing company data never reads as a stable company", () => {
+  const unavailable = fallbackNarrative(person("Seattle, WA"), { ...scores, companyInstability: null }, {});
+  const text = Object.values(unavailable).filter((v) => typeof v === "string").join("\n");
+
+  assert.doesNotMatch(text, /appears stable|stable growth|stable positioning|Stability at|Instability (signals )?at/);
+  assert.match(unavailable.overviewSummary, /unavailable/);
+  assert.match(unavailable.companyAiExposure, /unavailable/);
+  assert.match(unavailable.bottomLine, /unavailable/);
+  assert.deepEqual(validateNarrative(unavailable), {});
+});
+
+test("missing, short and mistyped fields are reported by field", () => {
+  const broken = { ...narrative(), bottomLine: "Too short.", careerPattern: 42 };
+  delete broken.overviewSummary;
+  const problems = validateNarrative(broken);
+
+  assert.deepEqual(Object.keys(problems).sort(), ["bottomLine", "careerPattern", "overviewSummary"]);
+  assert.match(problems.bottomLine[0], /too short/);
+  assert.match(problems.careerPattern[0], /must be a string/);
+  assert.match(problems.overviewSummary[0], /missing/);
+});
+
+test("retraining paths need exactly the expected count, each complete", () => {
+  const paths = narrative().retrainingPaths;
+  const problems = validateNarrative({ ...narrative(), retrainingPaths: [...paths.slice(0, 2), { ...paths[2], fitScore: 140 }] });
+  assert.deepEqual(Object.keys(problems), ["retrainingPaths"]);
+  assert.ok(problems.retrainingPaths.some((p) => p.includes(`exactly ${RETRAINING_PATH_COUNT}`)));
+  assert.ok(problems.retrainingPaths.some((p) => p.includes("fitScore")));
+});
+
+test("anything but an object fails every field", () => {
+  assert.deepEqual(Object.keys(validateNarrative("{}")), NARRATIVE_FIELDS);
+  assert.deepEqual(Object.keys(validateNarrative([])), NARRATIVE_FIELDS);
+});
+
+// ─── parseNarrative ───────────────────────────────────────────
+
+test("a whole reply parses, code fences and all", () => {
+  assert.deepEqual(parseNarrative('```json\n{"bottomLine": "Done."}\n```'), { bottomLine: "Done." });
+});
+
+test("a reply cut off mid-field keeps the fields it finished", () => {
+  const full = JSON.stringify({ overviewSummary: "First section.", careerPattern: "Second, with \"quotes\" and {braces}.", aiThreatAnalysis: "Third section that gets cut" });
+  const parsed = parseNarrative(full.slice(0, full.indexOf("gets cut")));
+  assert.deepEqual(parsed, { overviewSummary: "First section.", careerPattern: 'Second, with "quotes" and {braces}.' });
+});
+
+test("a cut-off array field is dropped, not half-kept", () => {
+  const full = JSON.stringify({ bottomLine: "Kept.", retrainingPaths: [path("A"), path("B")] });
+  const parsed = parseNarrative(full.slice(0, full.indexOf('"B"')));
+  assert.deepEqual(parsed, { bottomLine: "Kept." });
+});
+
+test("a reply with no usable JSON throws", () => {
+  assert.throws(() => parseNarrative("I can't help with that."), /no usable JSON/);
+  assert.throws(() => parseNarrative('{"overviewSummary": "never fin'), /no usable JSON/);
+});
+
+// ─── topUpRetrainingPaths ─────────────────────────────────────
+
+test("valid paths are kept and topped up from the fallback, re-ranked", () => {
+  const backup = ["Data Analyst", "Customer Success Manager", "Sales Engineer", "Product Manager"].map((title) => path(title));
+  const result = topUpRetrainingPaths([path("Product Manager", { rank: 3 }), path("Broken", { skills: [] })], backup);
+
+  assert.deepEqual(result.map((p) => p.title), ["Product Manager", "Data Analyst", "Customer Success Manager", "Sales Engineer"]);
+  assert.deepEqual(result.map((p) => p.rank), [1, 2, 3, 4]);
+});
+
+test("fallback titles already present are skipped, in any case", () => {
+  const result = topUpRetrainingPaths([path("data analyst")], [path("Data Analyst"), path("Sales Engineer")]);
+  assert.deepEqual(result.map((p) => p.title), ["data analyst", "Sales Engineer"]);
+});
+
+test("extra or missing paths are capped and tolerated", () => {
+  const many = ["Path One", "Path Two", "Path Three", "Path Four", "Path Five"].map((title) => path(title));
+  assert.equal(topUpRetrainingPaths(many, []).length, RETRAINING_PATH_COUNT);
+  assert.deepEqual(topUpRetrainingPaths(undefined, [path("Data Analyst")]).map((p) => p.title), ["Data Analyst"]);
+});
+
+// ─── generateCompanyNarrative ─────────────────────────────────
+
+const companyData = { earliestHeadcount: 900, totalHeadcount: 1000, growthPct: 11, flows: [] };
+
+// Answers the Claude request with `text`, quietly, with a key set
+async function companyNarrativeFor(text) {
+  const saved = { fetch: globalThis.fetch, key: process.env.ANTHROPIC_API_KEY, warn: console.warn, error: console.error };
+  globalThis.fetch = async () => Response.json({ content: [{ type: "text", text }] });
+  process.env.ANTHROPIC_API_KEY = "test";
+  console.warn = console.error = () => {};
+  try {
+    return await generateCompanyNarrative("Contoso", companyData, scores);
+  } finally {
+    globalThis.fetch = saved.fetch;
+    if (saved.key == null) delete process.env.ANTHROPIC_API_KEY;
+    else process.env.ANTHROPIC_API_KEY = saved.key;
+    Object.assign(console, { warn: saved.warn, error: saved.error });
+  }
+}
+
+test("the company fallback passes validation, with or without company data", () => {
+  assert.deepEqual(validateCompanyNarrative(fallbackCompanyNarrative("Contoso", companyData, scores)), {});
+  assert.deepEqual(validateCompanyNarrative(fallbackCompanyNarrative("Contoso", {}, { ...scores, companyInstability: null })), {});
+});
+
+test("a valid company reply is kept, without extra fields", async () => {
+  const reply = {
+    companyHealthNarrative: "Contoso sells workplace software to mid-market firms. ".repeat(4),
+    companyAiExposure: "Contoso is building AI into its products while AI-native rivals undercut it. ".repeat(3),
+    overviewSummary: "Not part of a company report.",
+  };
+  const result = await companyNarrativeFor(JSON.stringify(reply));
+  assert.deepEqual(result, { companyHealthNarrative: reply.companyHealthNarrative, companyAiExposure: reply.companyAiExposure });
+});
+
+test("company sections that fail validation come from the fallback, field by field", async () => {
+  const backup = fallbackCompanyNarrative("Contoso", companyData, scores);
+  const healthy = "Contoso sells workplace software to mid-market firms. ".repeat(4);
+
+  const result = await companyNarrativeFor(JSON.stringify({ companyHealthNarrative: healthy, companyAiExposure: 42 }));
+  assert.deepEqual(result, { companyHealthNarrative: healthy, companyAiExposure: backup.companyAiExposure });
+
+  assert.deepEqual(await companyNarrativeFor('["not", "an object"]'), backup);
+  assert.deepEqual(await companyNarrativeFor("Sorry, I can't help with that."), backup);
+});
@@ -0,0 +1,51 @@
+// PDF export route (app/api/reports/[id]/pdf) against a throwaway REPORTS_DIR
+
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { after, test } from "node:test";
+import { inflateSync } from "zlib";
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "report-pdf-"));
+process.env.REPORTS_DIR = dir;
+process.env.LIVEDATA_MODE = "replay";
+process.env.LIVEDATA_CACHE = "off";
+
+const { runAssessment } = await import("@/lib/assess");
+const { createShareLink } = await import("@/lib/reports");
+const { GET } = await import("@/app/api/reports/[id]/pdf/route");
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+// Every content stream, inflated, so the printed text can be searched
+async function pdfText(id) {
+  const res = await GET(new Request(`http://localhost/api/reports/${id}/pdf`), { params: { id } });
+  assert.equal(res.status, 200);
+  const pdf = Buffer.from(await res.arrayBuffer());
+  const text = [];
+  let at = 0;
+  while ((at = pdf.indexOf("stream\n", at)) !== -1) {
+    const start = at + "stream\n".length;
+    const end = pdf.indexOf("\nendstream", start);
+    try {
+      text.push(inflateSync(pdf.subarray(start, end)).toString("latin1"));
+    } catch {
+      text.push(pdf.subarray(start, end).toString("latin1"));
+    }
+    at = end;
+  }
+  return text.join("\n");
+}
+
+test("the cover prints the share link id, never the report id, through a share link", async () => {
+  const report = await runAssessment({ name: "Jordan Avery", company: "Contoso", narrative: false, pick: 0 });
+  const link = await createShareLink(report.id);
+
+  const own = await pdfText(report.id);
+  assert.ok(own.includes(report.id));
+
+  const shared = await pdfText(link.id);
+  assert.ok(shared.includes(link.id));
+  assert.ok(!shared.includes(report.id));
+});
@@ -0,0 +1,136 @@
+// Saved report store (lib/reports.js) against a throwaway REPORTS_DIR.
+// npm test — node --test with the evals' module hooks for "@/" imports
+
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { after, test } from "node:test";
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "reports-"));
+process.env.REPORTS_DIR = dir;
+const {
+  createShareLink,
+  listCohorts,
+  listHistoryForReport,
+  listReportHistory,
+  loadCohort,
+  loadReport,
+  ReportError,
+  saveCohort,
+  saveReport,
+} = await import("@/lib/reports");
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+const report = (linkedin = "") => ({
+  person: { name: "Jordan Avery", currentTitle: "Data Analyst", currentCompany: "Contoso", linkedin },
+  scores: { overall: 42 },
+  generatedAt: new Date().toISOString(),
+});
+
+test("a report's own id loads it with no share", async () => {
+  const id = await saveReport(report());
+  const { report: saved, share } = await loadReport(id);
+  assert.equal(saved.id, id);
+  assert.equal(share, null);
+});
+
+test("a share link never exposes the permanent id", async () => {
+  const id = await saveReport(report());
+  const link = await createShareLink(id, { expiresInDays: 1 });
+  const loaded = await loadReport(link.id);
+
+  assert.equal(loaded.report.id, null);
+  assert.equal(loaded.report.savedAt, undefined);
+  assert.equal(loaded.share.id, link.id);
+  assert.ok(!JSON.stringify(loaded).includes(id));
+});
+
+test("an expired share link is refused rather than resolved", async () => {
+  const id = await saveReport(report());
+  const link = await createShareLink(id, { expiresInDays: 1 });
+  const file = path.join(dir, "shares", `${link.id}.json`);
+  await fs.writeFile(file, JSON.stringify({ ...link, expiresAt: new Date(Date.now() - 1000).toISOString() }));
+
+  await assert.rejects(loadReport(link.id), (err) => err instanceof ReportError && err.status === 410);
+});
+
+test("share links can't mint further share links", async () => {
+  const id = await saveReport(report());
+  const link = await createShareLink(id);
+  await assert.rejects(createShareLink(link.id), (err) => err instanceof ReportError && err.status === 404);
+});
+
+test("concurrent saves for one person all land in the history", async () => {
+  const ids = await Promise.all(Array.from({ length: 8 }, () => saveReport(report("concurrent-person"))));
+  const runs = await listReportHistory("concurrent-person");
+  assert.deepEqual(runs.map((run) => run.id).sort(), [...ids].sort());
+});
+
+test("profile URL spellings share one history", async () => {
+  const a = await saveReport(report("https://www.linkedin.com/in/url-person/"));
+  const b = await saveReport(report("linkedin.com/in/URL-Person"));
+  const c = await saveReport(report("url-person"));
+  const runs = await listReportHistory("https://linkedin.com/in/url-person?trk=public");
+  assert.deepEqual(runs.map((run) => run.id), [a, b, c]);
+});
+
+test("history is only listed for the permanent id of one of its runs", async () => {
+  const id = await saveReport(report("gated-person"));
+  const other = await saveReport(report("someone-else"));
+  const link = await createShareLink(id);
+
+  assert.equal((await listHistoryForReport("gated-person", id)).length, 1);
+  for (const reportId of [null, other, link.id]) {
+    await assert.rejects(listHistoryForReport("gated-person", reportId), (err) => err instanceof ReportError && err.status === 404);
+  }
+});
+
+const cohort = (name) => ({ name, size: 2, results: [{ row: 2 }, { row: 3 }], rollup: { assessed: 2, summary: { scores: { overall: 50 } } } });
+
+test("cohorts list from the index, newest first, without results", async () => {
+  const ids = [];
+  for (const name of ["First", "Second"]) ids.push(await saveCohort(cohort(name)));
+  await Promise.all(["Third", "Fourth"].map(async (name) => ids.push(await saveCohort(cohort(name)))));
+
+  const listed = await listCohorts();
+  assert.deepEqual(listed.map((c) => c.id).sort(), [...ids].sort());
+  assert.ok(listed.every((c, i) => i === 0 || listed[i - 1].createdAt >= c.createdAt));
+  assert.deepEqual(Object.keys(listed[0]).sort(), ["assessed", "createdAt", "id", "name", "overall", "size"]);
+  assert.equal((await loadCohort(ids[0])).results.length, 2);
+});
+
+test("cohorts saved before the index existed are still listed", async () => {
+  const id = await saveCohort(cohort("Legacy"));
+  await fs.rm(path.join(dir, "cohorts", "index.json"));
+
+  assert.ok((await listCohorts()).some((c) => c.id === id));
+  const next = await saveCohort(cohort("After"));
+  const indexed = JSON.parse(await fs.readFile(path.join(dir, "cohorts", "index.json"), "utf8"));
+  assert.ok([id, next].every((want) => indexed.some((c) => c.id === want)));
+});
+
+test("saved cohorts link to reports through share links, never their own ids", async () => {
+  const reportId = await saveReport(report());
+  const id = await saveCohort({ ...cohort("Shared"), results: [{ row: 2, status: "ok", reportId }, { row: 3, status: "unmatched" }] });
+
+  const saved = await loadCohort(id);
+  assert.ok(!JSON.stringify(saved).includes(reportId));
+  const { report: opened, share } = await loadReport(saved.results[0].shareId);
+  assert.equal(opened.person.name, "Jordan Avery");
+  assert.equal(share.expiresAt, null);
+});
+
+test("cohorts saved with report ids are converted on load", async () => {
+  const reportId = await saveReport(report());
+  const id = await saveCohort(cohort("Legacy ids"));
+  const file = path.join(dir, "cohorts", `${id}.json`);
+  const legacy = JSON.parse(await fs.readFile(file, "utf8"));
+  await fs.writeFile(file, JSON.stringify({ ...legacy, results: [{ row: 2, status: "ok", reportId }] }));
+
+  const [first, second] = await Promise.all([loadCohort(id), loadCohort(id)]);
+  assert.ok(first.results[0].shareId);
+  assert.equal(second.results[0].shareId, first.results[0].shareId);
+  assert.ok(!(await fs.readFile(file, "utf8")).includes(reportId));
+});
@@ -0,0 +1,66 @@
+// What-if simulation route (app/api/reports/[id]/simulate) against a throwaway REPORTS_DIR
+
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { after, test } from "node:test";
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "simulate-"));
+process.env.REPORTS_DIR = dir;
+process.env.LIVEDATA_ORG_ID = "o_test";
+process.env.LIVEDATA_CACHE = "memory";
+
+// LiveData answers from the replay fixtures; every request is counted
+const { replayFixture } = await import("@/lib/fixtures");
+let liveDataCalls = 0;
+globalThis.fetch = async (url, init) => {
+  liveDataCalls++;
+  return new Response(JSON.stringify(await replayFixture(String(url), init)), { headers: { "Content-Type": "application/json" } });
+};
+
+const { createShareLink, saveReport } = await import("@/lib/reports");
+const { loadCompanyReports, runAssessment } = await import("@/lib/assess");
+const { getScoringProfile } = await import("@/lib/profiles");
+const { simulateReport } = await import("@/lib/simulate");
+const { POST } = await import("@/app/api/reports/[id]/simulate/route");
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+const simulate = (id, overrides) =>
+  POST(new Request(`http://localhost/api/reports/${id}/simulate`, { method: "POST", body: JSON.stringify({ overrides }) }), { params: { id } });
+
+test("share links can't run simulations", async () => {
+  const id = await saveReport({ person: { name: "Jordan Avery", currentLevel: "Manager", linkedin: "" }, scores: { overall: 40 } });
+  const link = await createShareLink(id);
+
+  const res = await simulate(link.id, { currentLevel: "Director" });
+  assert.equal(res.status, 403);
+  assert.ok(!(await res.text()).includes(id));
+});
+
+test("an unchanged employer loads its company reports once, even on refresh", async () => {
+  const report = await runAssessment({ name: "Jordan Avery", company: "Contoso", narrative: false, pick: 0 });
+
+  liveDataCalls = 0;
+  await loadCompanyReports(report.person, getScoringProfile(), { refresh: true });
+  const once = liveDataCalls;
+
+  liveDataCalls = 0;
+  await simulateReport(report, { currentLevel: "Director" }, { refresh: true });
+  assert.equal(liveDataCalls, once);
+
+  liveDataCalls = 0;
+  await simulateReport(report, { currentFunction: "Engineering" }, { refresh: true });
+  // Only the new function's level-flow query is extra
+  assert.equal(liveDataCalls, once + 1);
+});
+
+test("baseline drift lists scores that moved since the report was saved", async () => {
+  const report = await runAssessment({ name: "Jordan Avery", company: "Contoso", narrative: false, pick: 0 });
+  const saved = { ...report, scores: { ...report.scores, overall: report.scores.overall + 5 } };
+
+  const result = await simulateReport(saved, { currentLevel: "Director" });
+  assert.deepEqual(result.baselineDrift, [{ key: "overall", saved: report.scores.overall + 5, now: report.scores.overall }]);
+  assert.equal("reportId" in result, false);
+});